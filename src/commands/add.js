@@ -5,36 +5,57 @@
 const chalk = require("chalk");
 const path = require("path");
 const fs = require("fs");
+const inquirer = require("inquirer").default;
 const ruleFetcher = require("../utils/rule-fetcher");
 const {
   fileExists,
+  directoryExists,
+  findRuleFiles,
   getRuleFilePath,
   saveRuleToFile,
+  linkRuleFile,
   checkCursorRulesDirectoryExists,
+  normalizeRuleName,
 } = require("../utils/file-utils");
+const {
+  createLockEntry,
+  recordRule,
+  getInstalledHash,
+} = require("../utils/lockfile");
+const { listGitRuleFiles, readGitFile } = require("../utils/git");
+const { searchRules } = require("../utils/rule-search");
+const { addManifestRule } = require("../utils/manifest");
+const { parseMdc, serializeMdc } = require("../utils/mdc");
+const {
+  isHttpUrl,
+  looksLikeSpecifier,
+  parseRuleSpecifier,
+  parseGitSpecifier,
+  formatGitSpecifier,
+  isLocalSpecifier,
+  resolveLocalSpecifier,
+  toLocalSpecifier,
+} = require("../utils/specifier");
 
 /**
  * Check if a rule name is valid
+ * Rules in subdirectories of a source are named by their path, such as
+ * "frontend/react"; every segment must be a plain name
  * @param {string} ruleName - Name to validate
  * @returns {boolean} True if the name is valid
  */
 const isValidRuleName = (ruleName) => {
-  return /^[a-zA-Z0-9_\-]+$/.test(ruleName);
+  return /^[a-zA-Z0-9_-]+(\/[a-zA-Z0-9_-]+)*$/.test(ruleName);
 };
 
 /**
- * Check if a string is a valid URL
- * @param {string} str - String to check
- * @returns {boolean} True if valid URL, false otherwise
+ * Get the name a rule is saved under
+ * Nested rules are saved under their last segment, as rules named by a
+ * specifier or git path are, so they never land in subdirectories
+ * @param {string} ruleName - Rule name, possibly nested
+ * @returns {string} Name of the rule file, without .mdc
  */
-const isValidUrl = (str) => {
-  try {
-    const url = new URL(str);
-    return url.protocol === "http:" || url.protocol === "https:";
-  } catch (err) {
-    return false;
-  }
-};
+const getSavedRuleName = (ruleName) => ruleName.split("/").pop();
 
 /**
  * Check if a URL is from cursor.directory
@@ -67,108 +88,559 @@ const extractRuleNameFromUrl = (url) => {
 };
 
 /**
- * Execute the add command
- * @param {string} ruleNameOrUrl - Name of the rule to add, or URL to fetch from
+ * Number of rules fetched at the same time when several are added
+ */
+const ADD_CONCURRENCY = 4;
+
+/**
+ * Check if an input is a pattern to match against community rule names
+ * @param {string} input - Rule name, specifier, URL, path or pattern
+ * @returns {boolean} True if the input contains * or ? wildcards
+ */
+const isRulePattern = (input) => {
+  return (
+    /[*?]/.test(input) &&
+    !isHttpUrl(input) &&
+    !isLocalSpecifier(input) &&
+    !looksLikeSpecifier(input)
+  );
+};
+
+/**
+ * Convert a rule name pattern to a regular expression
+ * "*" matches within a path segment, "**" across segments and "?" one character
+ * @param {string} pattern - Pattern such as "react-*"
+ * @returns {RegExp} Expression matching whole rule names
+ */
+const patternToRegExp = (pattern) => {
+  const source = pattern
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+};
+
+/**
+ * Replace rule name patterns with the community rules they match
+ * @param {string[]} inputs - Inputs given on the command line
+ * @returns {Promise<Object>} The inputs to add, without duplicates, and a failed
+ *   result for each pattern that matches nothing
+ */
+const expandPatterns = async (inputs) => {
+  let names = [];
+  let indexError;
+  if (inputs.some(isRulePattern)) {
+    try {
+      names = (await ruleFetcher.listAvailableRules()).map((rule) => rule.name);
+    } catch (error) {
+      indexError = error;
+    }
+  }
+
+  const expanded = [];
+  const failed = [];
+  for (const input of inputs) {
+    if (!isRulePattern(input)) {
+      expanded.push(input);
+      continue;
+    }
+
+    const pattern = patternToRegExp(input);
+    const matches = names.filter((name) => pattern.test(name));
+    if (matches.length === 0) {
+      failed.push({
+        name: input,
+        status: "failed",
+        message: indexError
+          ? `could not load the rule index: ${indexError.message}`
+          : "no community rules match this pattern",
+      });
+    }
+    expanded.push(...matches);
+  }
+
+  return { inputs: [...new Set(expanded)], failed };
+};
+
+/**
+ * Build the options a rule is saved with
+ * Overwriting with --force keeps local edits unless --discard-changes is given
+ * @param {string} ruleName - Name the rule is saved under
  * @param {Object} options - Command options
+ * @returns {Object} Options for saveRuleToFile and linkRuleFile
  */
-const execute = async (ruleNameOrUrl, options = {}) => {
-  // Handle empty input
-  if (!ruleNameOrUrl) {
-    console.log(chalk.red("Error: Rule name or URL is required"));
-    console.log(`Usage: rulez add <rule-name | url> [options]`);
-    return process.exit(1);
+const getSaveOptions = (ruleName, options) => {
+  const fileOptions = {
+    force: options.force,
+    local: options.local,
+    basePath: process.cwd(),
+    discardChanges: options.discardChanges,
+    keepBoth: options.keepBoth,
+  };
+  if (options.force && !options.discardChanges) {
+    fileOptions.installedHash = getInstalledHash(ruleName, fileOptions);
   }
+  return fileOptions;
+};
 
-  // Check if input is a URL
-  const isUrl = isValidUrl(ruleNameOrUrl);
-  const isCursorUrl = isUrl && isCursorDirectoryUrl(ruleNameOrUrl);
+/**
+ * Save rules read from local files or a git remote
+ * Each rule is recorded in the lockfile and, unless local, in the manifest
+ * @param {Object[]} rules - Rules with a name, source, content and resolved location,
+ *   plus the commit for git rules and the file for local ones
+ * @param {Object} options - Command options
+ * @param {Function} log - Function progress and errors are printed with
+ * @returns {Object[]} A result with the name, status and path or message of each rule
+ */
+const saveRules = (rules, options, log) => {
+  const basePath = process.cwd();
+  const verb = options.symlink ? "Linked" : "Copied";
+  const results = [];
+  const added = new Set();
 
-  // Extract ruleName - either directly or from URL
-  let ruleName = ruleNameOrUrl;
-  if (isUrl) {
-    ruleName = extractRuleNameFromUrl(ruleNameOrUrl);
+  for (const rule of rules) {
+    // Rules in nested directories are flattened, so names must stay unique
+    if (added.has(rule.name)) {
+      const message = `another rule is already named '${rule.name}'`;
+      log(chalk.red(`Failed: ${rule.source} - ${message}`));
+      results.push({ name: rule.name, status: "failed", message });
+      continue;
+    }
+
+    const fileOptions = getSaveOptions(rule.name, options);
+    const saveResult = options.symlink
+      ? linkRuleFile(rule.name, rule.file, fileOptions)
+      : saveRuleToFile(rule.name, rule.content, fileOptions);
+
+    if (saveResult.keptBoth) {
+      log(chalk.yellow(`Kept: ${saveResult.message}`));
+      results.push({
+        name: rule.name,
+        status: "skipped",
+        message: `has local changes; new version saved to ${saveResult.copyPath}`,
+      });
+      continue;
+    }
+    if (!saveResult.success) {
+      log(chalk.red(`Failed: ${rule.source} - ${saveResult.message}`));
+      results.push({
+        name: rule.name,
+        status: "failed",
+        message: saveResult.message,
+        exists: saveResult.exists,
+      });
+      continue;
+    }
+
+    added.add(rule.name);
+    log(chalk.green(`${verb}: ${rule.source} -> ${saveResult.path}`));
+    results.push({ name: rule.name, status: "added", path: saveResult.path });
+
+    try {
+      recordRule(
+        rule.name,
+        createLockEntry(
+          rule.source,
+          { source: rule.resolved, commit: rule.commit },
+          rule.content
+        ),
+        {
+          local: options.local,
+          basePath,
+          content: options.symlink ? undefined : rule.content,
+        }
+      );
+      if (!options.local) {
+        addManifestRule(rule.name, rule.source, {
+          symlink: options.symlink,
+          basePath,
+        });
+      }
+    } catch (error) {
+      log(
+        chalk.yellow(
+          `Warning: Could not record '${rule.name}': ${error.message}`
+        )
+      );
+    }
   }
 
-  // Validate rule name if not a URL or if extracted name is invalid
-  if (!isUrl && !isValidRuleName(ruleName)) {
-    console.log(
-      chalk.red(
-        `Error: '${ruleNameOrUrl}' doesn't appear to be a valid rule name or URL`
-      )
-    );
-    console.log(
-      chalk.yellow(
-        "Rule names must only contain letters, numbers, dashes, and underscores"
-      )
-    );
-    return process.exit(1);
+  if (results.some((result) => result.exists)) {
+    log(chalk.yellow("Use --force to overwrite existing files."));
   }
+  return results;
+};
 
-  // Check if extracted rule name is valid
-  if (isUrl && !ruleName) {
-    console.log(
-      chalk.red(
-        `Error: Could not extract a valid rule name from URL '${ruleNameOrUrl}'`
-      )
-    );
-    return process.exit(1);
+/**
+ * Add rules from a local file or directory
+ * Each rule is copied into the rules directory, or symlinked with --symlink,
+ * and recorded with its path relative to the project root
+ * @param {string} specifier - Local path or file:// URL
+ * @param {Object} options - Command options
+ * @param {Function} log - Function progress and errors are printed with
+ * @returns {Object[]} A result for each rule (see saveRules)
+ */
+const addLocalRules = (specifier, options, log) => {
+  const basePath = process.cwd();
+  const sourcePath = resolveLocalSpecifier(specifier, basePath);
+  const isDirectory = directoryExists(sourcePath);
+
+  if (!isDirectory && !fileExists(sourcePath)) {
+    log(chalk.red(`Error: No such file or directory: ${sourcePath}`));
+    return [
+      {
+        name: specifier,
+        status: "failed",
+        message: "no such file or directory",
+      },
+    ];
   }
 
-  // Check if the Cursor rules directory structure exists
-  if (!checkCursorRulesDirectoryExists(process.cwd())) {
-    console.log(chalk.red("Error: Cursor rules directory structure not found"));
-    console.log(
+  const files = isDirectory ? findRuleFiles(sourcePath) : [sourcePath];
+  if (files.length === 0) {
+    log(chalk.red(`Error: No .mdc rule files found in ${sourcePath}`));
+    return [
+      {
+        name: specifier,
+        status: "failed",
+        message: "no .mdc rule files found",
+      },
+    ];
+  }
+
+  const targetType = options.local ? "local" : "project";
+  log(
+    chalk.blue(
+      `${options.symlink ? "Linking" : "Copying"} ${
+        files.length
+      } rule(s) from ${specifier} to ${targetType} rules...`
+    )
+  );
+
+  const rules = files.map((file) => {
+    const source = toLocalSpecifier(file, basePath);
+    return {
+      name: path.basename(file, path.extname(file)),
+      source,
+      resolved: source,
+      file,
+      content: fs.readFileSync(file, "utf8"),
+    };
+  });
+  return saveRules(rules, options, log);
+};
+
+/**
+ * Add a rule file, or every rule in a directory, from a git remote
+ * Rules are recorded with the ref they were added at so 'rulez update' follows it;
+ * with --offline they are read from the commits already in the git cache
+ * @param {Object} specifier - Parsed git specifier (see parseGitSpecifier)
+ * @param {Object} options - Command options
+ * @param {Function} log - Function progress and errors are printed with
+ * @returns {Object[]} A result for each rule (see saveRules)
+ */
+const addGitRules = (specifier, options, log) => {
+  const { remote, ref } = specifier;
+  const gitOptions = { basePath: process.cwd(), offline: options.offline };
+
+  let listing;
+  let rules;
+  try {
+    log(chalk.blue(`Fetching rules from ${remote}@${ref}...`));
+    listing = listGitRuleFiles(remote, ref, specifier.path, gitOptions);
+    rules = listing.files.map((file) => ({
+      name: path.posix.basename(file, ".mdc"),
+      source: formatGitSpecifier(remote, ref, file),
+      resolved: formatGitSpecifier(remote, listing.commit, file),
+      commit: listing.commit,
+      content: readGitFile(remote, listing.commit, file, gitOptions).content,
+    }));
+  } catch (error) {
+    log(chalk.red(`Error fetching rule: ${error.message}`));
+    return [{ name: specifier.name, status: "failed", message: error.message }];
+  }
+
+  const targetType = options.local ? "local" : "project";
+  log(
+    chalk.blue(
+      `Copying ${rules.length} rule(s) at ${listing.commit.slice(
+        0,
+        7
+      )} to ${targetType} rules...`
+    )
+  );
+  if (options.symlink) {
+    log(chalk.yellow("Note: --symlink only applies to local paths; copying"));
+  }
+  return saveRules(rules, { ...options, symlink: false }, log);
+};
+
+/**
+ * Print the first lines of a rule
+ * @param {string} content - Rule content
+ * @param {Function} log - Function the preview is printed with
+ * @param {number} maxLines - Number of lines to show
+ */
+const printPreview = (content, log, maxLines = 5) => {
+  log(chalk.gray("\nRule content preview:"));
+  const lines = content.split("\n");
+  lines.slice(0, maxLines).forEach((line) => log(chalk.gray(`> ${line}`)));
+  if (lines.length > maxLines) {
+    log(chalk.gray("> ..."));
+  }
+};
+
+/**
+ * Print every source a rule was looked for in, when there was more than one
+ * @param {Object[]} attempts - Sources tried and the error each gave
+ * @param {Function} log - Function the list is printed with
+ */
+const printAttempts = (attempts, log) => {
+  if (!attempts || attempts.length < 2) return;
+  log(chalk.gray("Tried:"));
+  attempts.forEach((attempt) => {
+    log(chalk.gray(`- ${attempt.source}: ${attempt.error}`));
+  });
+};
+
+/**
+ * Describe the content a fallback provided instead of the requested rule
+ * @param {Object} result - Successful fetchRule result with a fallback
+ * @param {string} ruleName - Name of the requested rule
+ * @returns {string} One-sentence description
+ */
+const describeFallback = (result, ruleName) =>
+  result.fallback.type === "generated"
+    ? `No published rule was found for '${ruleName}', so generic placeholder content was generated (--allow-fallback)`
+    : `No published rule was found for '${ruleName}', so the community rule '${result.fallback.rule}' was used instead (--allow-fallback)`;
+
+/**
+ * Put a notice at the top of the body of fallback content
+ * so whoever reads the rule file knows it isn't the requested rule
+ * @param {Object} result - Successful fetchRule result with a fallback
+ * @param {string} ruleName - Name of the requested rule
+ * @returns {string} The labelled content
+ */
+const labelFallbackContent = (result, ruleName) => {
+  const doc = parseMdc(result.content);
+  const label =
+    result.fallback.type === "generated" ? "Generated placeholder" : "Fallback";
+  doc.body = `> **${label}:** ${describeFallback(
+    result,
+    ruleName
+  )}. Replace it with a real rule.\n\n${doc.body.replace(/^\s*\n/, "")}`;
+  return serializeMdc(doc);
+};
+
+/**
+ * Print what a cursor.directory page says about its rule
+ * @param {Object} metadata - Title, description, tags and author of the rule
+ * @param {Function} log - Function the metadata is printed with
+ */
+const printMetadata = (metadata, log) => {
+  const author = metadata.author ? ` by ${metadata.author.name}` : "";
+  if (metadata.title) {
+    log(chalk.gray(`${metadata.title}${author}`));
+  }
+  if (metadata.description) {
+    log(chalk.gray(metadata.description));
+  }
+  if (metadata.tags.length > 0) {
+    log(chalk.gray(`Tags: ${metadata.tags.join(", ")}`));
+  }
+};
+
+/**
+ * Save a fetched rule and record it in the lockfile and manifest
+ * @param {string} ruleNameOrUrl - Input the rule was fetched with
+ * @param {string} ruleName - Name to save the rule under if the fetch didn't provide one
+ * @param {Object} result - Successful result of fetchRule
+ * @param {Object} options - Command options
+ * @param {Function} log - Function progress and errors are printed with
+ * @returns {Object[]} The result for the rule (see saveRules)
+ */
+const saveFetchedRule = (ruleNameOrUrl, ruleName, result, options, log) => {
+  // Save the rule content to a file using the extracted or provided rule name
+  const savedName = getSavedRuleName(result.name || ruleName);
+  const saveResult = saveRuleToFile(
+    savedName,
+    result.content,
+    getSaveOptions(savedName, options)
+  );
+
+  if (saveResult.keptBoth) {
+    log(chalk.yellow(`\n${saveResult.message}`));
+    return [
+      {
+        name: savedName,
+        status: "skipped",
+        message: `has local changes; new version saved to ${saveResult.copyPath}`,
+      },
+    ];
+  }
+  if (!saveResult.success) {
+    if (saveResult.exists) {
+      log(chalk.red(`\nError: ${saveResult.message}`));
+      log(chalk.yellow("Use --force to overwrite the existing file."));
+    } else {
+      log(chalk.red(`\nError saving file: ${saveResult.message}`));
+    }
+    return [
+      {
+        name: savedName,
+        status: "failed",
+        message: saveResult.message,
+        exists: saveResult.exists,
+      },
+    ];
+  }
+
+  log(chalk.green(`\nSuccessfully saved rule to: ${saveResult.path}`));
+
+  if (result.source) {
+    const cached = result.cached ? " (from the local cache)" : "";
+    log(chalk.gray(`Source: ${result.source}${cached}`));
+  }
+
+  // Fallback content isn't what was asked for, so 'rulez install' and
+  // 'rulez update' couldn't fetch it again from what would be recorded
+  if (result.fallback) {
+    log(
       chalk.yellow(
-        "Run 'rulez init' to create the necessary directory structure first"
+        "Not recorded in the manifest or lockfile; add the rule again once it is published to track it"
       )
     );
-    return process.exit(1);
+    return [{ name: savedName, status: "added", path: saveResult.path }];
+  }
+
+  if (result.source) {
+    // Remember where the rule came from so other commands can verify or refresh it
+    try {
+      recordRule(
+        savedName,
+        createLockEntry(ruleNameOrUrl, result, result.content),
+        {
+          local: options.local,
+          basePath: process.cwd(),
+          content: result.content,
+        }
+      );
+    } catch (error) {
+      log(chalk.yellow(`Warning: Could not update lockfile: ${error.message}`));
+    }
+  }
+
+  // Declare project rules in the manifest so 'rulez install' reproduces them
+  if (!options.local) {
+    try {
+      addManifestRule(normalizeRuleName(savedName), ruleNameOrUrl, {
+        from: options.source,
+        basePath: process.cwd(),
+      });
+    } catch (error) {
+      log(chalk.yellow(`Warning: Could not update manifest: ${error.message}`));
+    }
   }
 
+  return [{ name: savedName, status: "added", path: saveResult.path }];
+};
+
+/**
+ * Fetch a rule by name, URL or GitHub specifier and save it
+ * @param {string} ruleNameOrUrl - Rule name, URL or specifier
+ * @param {Object} input - How the input was recognized (ruleName, isUrl, isCursorUrl, specifier)
+ * @param {Object} options - Command options
+ * @param {Function} log - Function progress and errors are printed with
+ * @returns {Promise<Object[]>} The result for the rule (see saveRules)
+ */
+const addRemoteRule = async (ruleNameOrUrl, input, options, log) => {
+  const { ruleName, isUrl, isCursorUrl, specifier } = input;
+
   // Determine target directory based on options
   const targetType = options.local ? "local" : "project";
 
   // Display appropriate fetching message
   if (isUrl) {
-    console.log(chalk.blue(`Fetching rule from URL: ${ruleNameOrUrl}`));
+    log(chalk.blue(`Fetching rule from URL: ${ruleNameOrUrl}`));
     if (isCursorUrl) {
-      console.log(
-        chalk.blue(`Detected cursor.directory URL for rule: ${ruleName}`)
-      );
+      log(chalk.blue(`Detected cursor.directory URL for rule: ${ruleName}`));
     }
-  } else {
-    console.log(
-      chalk.blue(`Fetching rule '${ruleName}' from Cursor Directory...`)
+  } else if (specifier) {
+    log(
+      chalk.blue(
+        `Fetching rule '${ruleName}' from ${specifier.owner}/${specifier.repo}@${specifier.ref}...`
+      )
+    );
+  } else if (options.source) {
+    log(
+      chalk.blue(
+        `Fetching rule '${ruleName}' from source '${options.source}'...`
+      )
     );
+  } else {
+    log(chalk.blue(`Fetching rule '${ruleName}' from Cursor Directory...`));
   }
 
   try {
     // Attempt to fetch the rule from the remote source
-    const result = await ruleFetcher.fetchRule(ruleNameOrUrl, {
+    let result = await ruleFetcher.fetchRule(ruleNameOrUrl, {
       offlineMode: options.offline,
       isUrl: isUrl,
+      source: options.source,
+      allowFallback: options.allowFallback,
     });
 
     if (!result.success) {
-      console.log(chalk.red(`Error: Could not find rule '${ruleName}'`));
-      console.log(chalk.red(`Reason: ${result.error}`));
+      const heading = result.authRequired
+        ? `Error: Authentication required to fetch rule '${ruleName}'`
+        : `Error: Could not find rule '${ruleName}'`;
+      log(chalk.red(heading));
+      log(chalk.red(`Reason: ${result.error}`));
+      printAttempts(result.attempts, log);
 
       // Show suggestions if available
-      if (result.suggestions && result.suggestions.length > 0) {
-        console.log(chalk.yellow("\nDid you mean one of these?"));
-        result.suggestions.forEach((suggestion) => {
-          console.log(chalk.yellow(`- ${suggestion}`));
+      const suggestions = result.suggestions || [];
+      if (suggestions.length > 0) {
+        log(chalk.yellow("\nDid you mean one of these?"));
+        suggestions.forEach((suggestion) => {
+          log(chalk.yellow(`- ${suggestion}`));
         });
       }
 
-      process.exit(1);
+      const hint =
+        suggestions.length > 0
+          ? ` (did you mean ${suggestions.join(", ")}?)`
+          : "";
+      return [
+        { name: ruleName, status: "failed", message: `${result.error}${hint}` },
+      ];
     }
 
-    console.log(chalk.green(`Successfully fetched rule '${ruleName}'`));
-    console.log(chalk.blue(`Adding to ${targetType} rules...`));
+    (result.warnings || []).forEach((warning) => {
+      log(chalk.yellow(`Warning: ${warning}`));
+    });
+    if (result.fallback) {
+      printAttempts(result.attempts, log);
+      log(chalk.yellow(describeFallback(result, ruleName)));
+      log(
+        chalk.yellow("The rule file says so; review it before relying on it")
+      );
+      result = { ...result, content: labelFallbackContent(result, ruleName) };
+    } else {
+      log(chalk.green(`Successfully fetched rule '${ruleName}'`));
+    }
+    if (result.metadata) {
+      printMetadata(result.metadata, log);
+    }
+    log(chalk.blue(`Adding to ${targetType} rules...`));
 
     if (options.local) {
-      console.log(
+      log(
         chalk.yellow(
           "Note: Local override rules are not tracked by version control"
         )
@@ -176,7 +648,7 @@ const execute = async (ruleNameOrUrl, options = {}) => {
     }
 
     if (options.force) {
-      console.log(
+      log(
         chalk.yellow(
           "Force flag set: Will overwrite existing files if they exist"
         )
@@ -184,48 +656,421 @@ const execute = async (ruleNameOrUrl, options = {}) => {
     }
 
     // Display a preview of the rule content (first few lines)
-    console.log(chalk.gray("\nRule content preview:"));
-    const previewLines = result.content.split("\n").slice(0, 5);
-    previewLines.forEach((line) => console.log(chalk.gray(`> ${line}`)));
-    if (result.content.split("\n").length > 5) {
-      console.log(chalk.gray("> ..."));
-    }
-
-    // Save the rule content to a file using the extracted or provided rule name
-    const saveResult = saveRuleToFile(result.name || ruleName, result.content, {
-      force: options.force,
-      local: options.local,
-      basePath: process.cwd(),
-    });
+    printPreview(result.content, log);
 
-    if (!saveResult.success) {
-      if (saveResult.exists) {
-        console.log(chalk.red(`\nError: ${saveResult.message}`));
-        console.log(
-          chalk.yellow("Use --force to overwrite the existing file.")
-        );
-      } else {
-        console.log(chalk.red(`\nError saving file: ${saveResult.message}`));
+    return saveFetchedRule(ruleNameOrUrl, ruleName, result, options, log);
+  } catch (error) {
+    log(chalk.red(`Error fetching rule: ${error.message}`));
+    return [{ name: ruleName, status: "failed", message: error.message }];
+  }
+};
+
+/**
+ * Add the rules one command-line input refers to
+ * @param {string} ruleNameOrUrl - Rule name, URL, specifier or local path
+ * @param {Object} options - Command options
+ * @param {Function} log - Function progress and errors are printed with
+ * @returns {Promise<Object[]>} A result for each rule (see saveRules)
+ */
+const addRule = async (ruleNameOrUrl, options, log) => {
+  // Check if input is a URL or a local path
+  const isLocal = isLocalSpecifier(ruleNameOrUrl);
+  const isUrl = isHttpUrl(ruleNameOrUrl);
+  const isCursorUrl = isUrl && isCursorDirectoryUrl(ruleNameOrUrl);
+
+  const specifier = !isUrl && parseRuleSpecifier(ruleNameOrUrl);
+  const gitSpecifier = !isUrl && parseGitSpecifier(ruleNameOrUrl);
+
+  // Extract ruleName - directly, from a URL or from a specifier
+  let ruleName = ruleNameOrUrl;
+  if (isUrl) {
+    ruleName = extractRuleNameFromUrl(ruleNameOrUrl);
+  } else if (specifier) {
+    ruleName = specifier.name;
+  }
+
+  // Validate rule name if not a URL, specifier or path
+  if (
+    !isUrl &&
+    !specifier &&
+    !gitSpecifier &&
+    !isLocal &&
+    !isValidRuleName(ruleName)
+  ) {
+    log(
+      chalk.red(
+        `Error: '${ruleNameOrUrl}' doesn't appear to be a valid rule name or URL`
+      )
+    );
+    if (looksLikeSpecifier(ruleNameOrUrl)) {
+      log(
+        chalk.yellow(
+          "Specifiers look like github:owner/repo/path/rule.mdc@ref, owner/repo#ref:path/rule.mdc or git+<remote>#ref:path"
+        )
+      );
+    } else {
+      log(
+        chalk.yellow(
+          "Rule names must only contain letters, numbers, dashes, and underscores, with / between the directories of nested rules"
+        )
+      );
+    }
+    return [
+      {
+        name: ruleNameOrUrl,
+        status: "failed",
+        message: "not a valid rule name, specifier, URL or path",
+      },
+    ];
+  }
+
+  // Check if extracted rule name is valid
+  if (isUrl && !ruleName) {
+    log(
+      chalk.red(
+        `Error: Could not extract a valid rule name from URL '${ruleNameOrUrl}'`
+      )
+    );
+    return [
+      {
+        name: ruleNameOrUrl,
+        status: "failed",
+        message: "could not extract a rule name from the URL",
+      },
+    ];
+  }
+
+  if (isLocal) {
+    return addLocalRules(ruleNameOrUrl, options, log);
+  }
+  if (gitSpecifier) {
+    return addGitRules(gitSpecifier, options, log);
+  }
+  return addRemoteRule(
+    ruleNameOrUrl,
+    { ruleName, isUrl, isCursorUrl, specifier },
+    options,
+    log
+  );
+};
+
+/**
+ * Add several rules, a few at a time
+ * With --fail-fast, rules are added one at a time and the rest are skipped
+ * after the first failure
+ * @param {string[]} inputs - Rule names, URLs, specifiers or local paths
+ * @param {Object} options - Command options
+ * @returns {Promise<Object[]>} A result for each rule, in input order
+ */
+const addRules = async (inputs, options) => {
+  const quiet = () => {};
+  let failed = false;
+
+  const concurrency = options.failFast ? 1 : ADD_CONCURRENCY;
+  const results = await ruleFetcher.mapWithConcurrency(
+    inputs,
+    concurrency,
+    async (input) => {
+      if (failed && options.failFast) {
+        return [
+          {
+            name: input,
+            status: "skipped",
+            message: "not attempted after an earlier failure (--fail-fast)",
+          },
+        ];
+      }
+
+      const inputResults = await addRule(input, options, quiet);
+      if (inputResults.some((result) => result.status === "failed")) {
+        failed = true;
       }
-      process.exit(1);
+      return inputResults;
     }
+  );
+
+  return [].concat(...results);
+};
 
+/**
+ * Print a table of the rules that were added, failed or skipped
+ * @param {Object[]} results - Results returned by addRule
+ */
+const printSummary = (results) => {
+  const statusColors = {
+    added: chalk.green,
+    failed: chalk.red,
+    skipped: chalk.yellow,
+  };
+  const nameWidth = Math.max(4, ...results.map((result) => result.name.length));
+
+  console.log("");
+  console.log(
+    chalk.gray(`${"Rule".padEnd(nameWidth)}  ${"Status".padEnd(7)}  Details`)
+  );
+  results.forEach((result) => {
+    const details =
+      result.status === "added"
+        ? path.relative(process.cwd(), result.path)
+        : result.message;
     console.log(
-      chalk.green(`\nSuccessfully saved rule to: ${saveResult.path}`)
+      `${result.name.padEnd(nameWidth)}  ${statusColors[result.status](
+        result.status.padEnd(7)
+      )}  ${details}`
     );
+  });
+
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  const skipped = count("skipped");
+  console.log(
+    chalk.blue(
+      `\n${count("added")} added, ${count("failed")} failed` +
+        (skipped > 0 ? `, ${skipped} skipped` : "")
+    )
+  );
+};
 
-    if (result.source) {
-      console.log(chalk.gray(`Source: ${result.source}`));
+/**
+ * Let the user search the community rules and select the ones to add
+ * Selecting nothing goes back to the search
+ * @param {Object[]} rules - Rules from the community index
+ * @param {string} query - Initial search, if any
+ * @returns {Promise<string[]>} Names of the selected rules
+ */
+const pickRules = async (rules, query) => {
+  let search = query;
+  while (true) {
+    if (search === undefined) {
+      ({ search } = await inquirer.prompt([
+        {
+          type: "input",
+          name: "search",
+          message: "Search rules (leave empty to list all):",
+        },
+      ]));
+    }
+
+    const matches = search.trim()
+      ? searchRules(rules, search).map((result) => result.rule)
+      : rules;
+    if (matches.length === 0) {
+      console.log(chalk.yellow(`No rules match '${search}'`));
+      search = undefined;
+      continue;
+    }
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: "checkbox",
+        name: "selected",
+        message: `Select rules to add (${matches.length} found; select none to search again):`,
+        choices: matches.map((rule) => ({
+          name: rule.name,
+          value: rule.name,
+          description: rule.description || undefined,
+        })),
+        pageSize: 15,
+      },
+    ]);
+    if (selected.length > 0) {
+      return selected;
     }
+    search = undefined;
+  }
+};
+
+/**
+ * Pick rules from the community index, preview them and save them where the user chooses
+ * @param {string} query - Initial search, if any
+ * @param {Object} options - Command options
+ */
+const addInteractively = async (query, options) => {
+  if (!process.stdin.isTTY) {
+    console.log(
+      chalk.red(
+        "Error: --interactive needs a terminal; pass rule names instead"
+      )
+    );
+    return process.exit(1);
+  }
+
+  let rules;
+  try {
+    rules = await ruleFetcher.listAvailableRules();
   } catch (error) {
-    console.log(chalk.red(`Error fetching rule: ${error.message}`));
+    console.log(
+      chalk.red(`Error: Could not load the list of rules: ${error.message}`)
+    );
+    return process.exit(1);
+  }
+
+  const names = await pickRules(rules, query);
+  const results = [];
+  const fetched = [];
+
+  console.log(chalk.blue(`Fetching ${names.length} rule(s)...`));
+  for (const name of names) {
+    // Picked names come from the rule index, so they get the same checks as
+    // names passed on the command line
+    if (!isValidRuleName(name)) {
+      console.log(chalk.red(`Failed: ${name} - not a valid rule name`));
+      results.push({
+        name,
+        status: "failed",
+        message: "not a valid rule name",
+      });
+      continue;
+    }
+
+    let result;
+    try {
+      result = await ruleFetcher.fetchRule(name, {
+        offlineMode: options.offline,
+        isUrl: false,
+        source: options.source,
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      console.log(chalk.red(`Failed: ${name} - ${result.error}`));
+      results.push({ name, status: "failed", message: result.error });
+      continue;
+    }
+
+    console.log(chalk.green(`\n${name}`));
+    printPreview(result.content, console.log, 10);
+    fetched.push({ name, result });
+  }
+
+  if (fetched.length === 0) {
+    return process.exit(1);
+  }
+
+  const { scope } = await inquirer.prompt([
+    {
+      type: "select",
+      name: "scope",
+      message: `Where should ${
+        fetched.length === 1 ? "this rule" : `these ${fetched.length} rules`
+      } be saved?`,
+      choices: [
+        {
+          name: "Project rules (.cursor/rules, shared through git)",
+          value: "project",
+        },
+        {
+          name: "Local overrides (.cursor/local, not tracked by git)",
+          value: "local",
+        },
+        { name: "Cancel", value: "cancel" },
+      ],
+      default: options.local ? "local" : "project",
+    },
+  ]);
+  if (scope === "cancel") {
+    console.log(chalk.yellow("Aborted. Nothing was added."));
+    return;
+  }
+
+  const saveOptions = { ...options, local: scope === "local" };
+  for (const { name, result } of fetched) {
+    results.push(
+      ...saveFetchedRule(name, name, result, saveOptions, console.log)
+    );
+  }
+
+  if (results.some((result) => result.status === "failed")) {
+    process.exit(1);
+  }
+};
+
+/**
+ * Execute the add command
+ * @param {string|string[]} ruleNamesOrUrls - Rules to add: names, patterns, URLs, specifiers or paths
+ * @param {Object} options - Command options
+ */
+const execute = async (ruleNamesOrUrls, options = {}) => {
+  const requested = [].concat(ruleNamesOrUrls || []).filter((input) => input);
+
+  // Without rules to add, a terminal user gets the picker
+  const interactive =
+    options.interactive || (requested.length === 0 && process.stdin.isTTY);
+
+  // Handle empty input
+  if (requested.length === 0 && !interactive) {
+    console.log(chalk.red("Error: Rule name or URL is required"));
+    console.log(`Usage: rulez add <rule-name | url>... [options]`);
+    return process.exit(1);
+  }
+
+  // Check if the Cursor rules directory structure exists
+  if (!checkCursorRulesDirectoryExists(process.cwd())) {
+    console.log(chalk.red("Error: Cursor rules directory structure not found"));
+    console.log(
+      chalk.yellow(
+        "Run 'rulez init' to create the necessary directory structure first"
+      )
+    );
+    return process.exit(1);
+  }
+
+  if (interactive) {
+    try {
+      return await addInteractively(
+        requested.length > 0 ? requested.join(" ") : undefined,
+        options
+      );
+    } catch (error) {
+      // inquirer rejects with ExitPromptError when a prompt is closed with Ctrl-C
+      if (error.name === "ExitPromptError") {
+        console.log(chalk.yellow("\nAborted. Nothing was added."));
+        return process.exit(130);
+      }
+      throw error;
+    }
+  }
+
+  const { inputs, failed } = await expandPatterns(requested);
+  let results;
+
+  if (inputs.length === 1 && failed.length === 0) {
+    results = await addRule(inputs[0], options, console.log);
+  } else {
+    const targetType = options.local ? "local" : "project";
+    if (inputs.length > 0) {
+      console.log(
+        chalk.blue(`Adding ${inputs.length} rule(s) to ${targetType} rules...`)
+      );
+    }
+    if (failed.length > 0 && options.failFast) {
+      results = inputs.map((input) => ({
+        name: input,
+        status: "skipped",
+        message: "not attempted after an earlier failure (--fail-fast)",
+      }));
+    } else {
+      results = await addRules(inputs, options);
+    }
+    results = [...failed, ...results];
+    printSummary(results);
+
+    if (results.some((result) => result.exists)) {
+      console.log(chalk.yellow("Use --force to overwrite existing files."));
+    }
+  }
+
+  if (results.some((result) => result.status === "failed")) {
     process.exit(1);
   }
 };
 
 module.exports = {
-  command: "add <rule-name|url>",
-  description: "Add a Cursor rule from the community directory or URL",
+  command: "add [rule-name|specifier|url|path...]",
+  description:
+    "Add Cursor rules from the community directory, GitHub specifiers, URLs or local paths",
   options: [
     {
       flags: "--force",
@@ -235,14 +1080,49 @@ module.exports = {
       flags: "--local",
       description: "Add to local overrides instead of project rules",
     },
+    {
+      flags: "--discard-changes",
+      description:
+        "With --force, overwrite rules even if they were edited since they were added",
+    },
+    {
+      flags: "--keep-both",
+      description:
+        "With --force, save the new version of an edited rule next to it as <rule>.mdc.upstream",
+    },
     {
       flags: "--offline",
-      description: "Use offline mode with simulated content",
+      description:
+        "Use rules fetched before from the local cache instead of the network",
+    },
+    {
+      flags: "--source <name>",
+      description: "Fetch the rule from this rule source only",
+    },
+    {
+      flags: "--allow-fallback",
+      description:
+        "If a cursor.directory page yields no rule, use a related community rule or generated placeholder content (labelled in the file) instead of failing",
+    },
+    {
+      flags: "--symlink",
+      description:
+        "Symlink rules added from local files instead of copying them",
+    },
+    {
+      flags: "-i, --interactive",
+      description:
+        "Search and pick rules from a list (arguments become the initial search)",
+    },
+    {
+      flags: "--fail-fast",
+      description: "Stop adding rules after the first failure",
     },
   ],
   execute,
   // Export for testing
-  isValidUrl,
+  isValidUrl: isHttpUrl,
   isCursorDirectoryUrl,
   extractRuleNameFromUrl,
+  patternToRegExp,
 };
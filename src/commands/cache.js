@@ -0,0 +1,150 @@
+/**
+ * rulez cache - Manage the local cache of fetched rules
+ */
+
+const chalk = require("chalk");
+const { formatSize } = require("../utils/file-utils");
+const {
+  getRuleCacheDir,
+  listCachedRules,
+  cleanCache,
+  verifyCache,
+} = require("../utils/rule-cache");
+
+/**
+ * List the cached rules
+ * @param {Object} options - Command options
+ */
+const listCache = (options) => {
+  const rules = listCachedRules();
+
+  if (options.json) {
+    console.log(JSON.stringify(rules, null, 2));
+    return;
+  }
+
+  if (rules.length === 0) {
+    console.log(chalk.yellow("The rule cache is empty."));
+    console.log(chalk.gray("Rules are cached whenever they are fetched."));
+    return;
+  }
+
+  const rows = rules.map((rule) => [
+    rule.request,
+    rule.from ? `${rule.source} (${rule.from})` : rule.source,
+    formatSize(rule.size),
+    rule.fetchedAt.slice(0, 10),
+  ]);
+  const headers = ["Rule", "Source", "Size", "Fetched"];
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row[column].length))
+  );
+  const pad = (cells) =>
+    cells
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+
+  console.log(chalk.gray(pad(headers)));
+  rows.forEach((row) => console.log(pad(row)));
+
+  const total = rules.reduce((sum, rule) => sum + rule.size, 0);
+  console.log(
+    chalk.blue(
+      `\n${rules.length} cached rule(s), ${formatSize(
+        total
+      )} in ${getRuleCacheDir()}`
+    )
+  );
+};
+
+/**
+ * Remove rules from the cache
+ * @param {string[]} requests - Rules to remove, as listed by 'rulez cache ls' (all if empty)
+ */
+const cleanCacheCommand = (requests) => {
+  const { removed, missing, bytes } = cleanCache(requests);
+
+  missing.forEach((request) => {
+    console.log(chalk.yellow(`Not cached: ${request}`));
+  });
+  console.log(
+    chalk.green(
+      `Removed ${removed.length} cached rule(s), freeing ${formatSize(bytes)}`
+    )
+  );
+
+  if (missing.length > 0) {
+    process.exit(1);
+  }
+};
+
+/**
+ * Check the cached content and remove anything damaged or unused
+ */
+const verifyCacheCommand = () => {
+  const { checked, corrupt, dropped, pruned } = verifyCache();
+
+  corrupt.forEach((hash) => {
+    console.log(chalk.yellow(`Removed damaged content: ${hash}`));
+  });
+  dropped.forEach((request) => {
+    console.log(
+      chalk.yellow(
+        `Dropped ${request}; fetch it again to cache it (it can't be used offline until then)`
+      )
+    );
+  });
+  if (pruned > 0) {
+    console.log(chalk.gray(`Removed ${pruned} unused file(s)`));
+  }
+
+  const color =
+    corrupt.length + dropped.length > 0 ? chalk.yellow : chalk.green;
+  console.log(
+    color(
+      `Verified ${checked} cached file(s): ${corrupt.length} damaged, ` +
+        `${dropped.length} rule(s) dropped`
+    )
+  );
+};
+
+/**
+ * Execute the cache command
+ * @param {string} action - One of ls, clean or verify
+ * @param {string[]} args - Arguments for the action
+ * @param {Object} options - Command options
+ */
+const execute = (action, args = [], options = {}) => {
+  try {
+    if (action === "ls" || action === "list") {
+      return listCache(options);
+    }
+    if (action === "clean") {
+      return cleanCacheCommand(args);
+    }
+    if (action === "verify") {
+      return verifyCacheCommand();
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(1);
+  }
+
+  console.log(chalk.red(`Error: Unknown action '${action}'`));
+  console.log("Usage: rulez cache <ls | clean | verify> [args...]");
+  return process.exit(1);
+};
+
+module.exports = {
+  command: "cache <action> [args...]",
+  description:
+    "List, clean or verify the local cache of fetched rules used by --offline",
+  options: [
+    {
+      flags: "--json",
+      description: "Output the cached rules as JSON (ls only)",
+    },
+  ],
+  execute,
+};
@@ -0,0 +1,226 @@
+/**
+ * rulez diff - Compare installed rules with their upstream versions
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const {
+  getRuleFilePath,
+  checkCursorRulesDirectoryExists,
+} = require("../utils/file-utils");
+const { readLockfile } = require("../utils/lockfile");
+const { fetchUpstreamRule } = require("../utils/upstream");
+const { createUnifiedDiff, diffStat } = require("../utils/diff");
+
+/**
+ * Exit codes, following diff(1): differences found, or rules that couldn't be compared
+ */
+const EXIT_DIFFERENT = 1;
+const EXIT_TROUBLE = 2;
+
+/**
+ * Widest +/- bar printed by --stat
+ */
+const MAX_STAT_BAR = 40;
+
+/**
+ * Compare one installed rule with its upstream version
+ * @param {string} ruleName - Name of the installed rule
+ * @param {Object} entry - Lock entry for the rule
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Result with a status of changed, unchanged, skipped or failed,
+ *   and for changed rules the installed and upstream content
+ */
+const diffRule = async (ruleName, entry, options) => {
+  if (!entry) {
+    return { status: "failed", message: "not recorded in the lockfile" };
+  }
+
+  const result = await fetchUpstreamRule(entry);
+  if (!result.success) {
+    return {
+      status: result.skipped ? "skipped" : "failed",
+      message: result.error,
+    };
+  }
+
+  const fileOptions = { local: options.local, basePath: process.cwd() };
+  const { path: filePath, exists } = getRuleFilePath(ruleName, fileOptions);
+  const installed = exists ? fs.readFileSync(filePath, "utf8") : null;
+
+  if (installed === result.content) {
+    return { status: "unchanged", path: filePath };
+  }
+  return {
+    status: "changed",
+    path: filePath,
+    installed,
+    upstream: result.content,
+    source: result.source,
+  };
+};
+
+/**
+ * Color a line of a unified diff
+ * @param {string} line - Line of the diff
+ * @returns {string} The colored line
+ */
+const colorDiffLine = (line) => {
+  if (line.startsWith("---") || line.startsWith("+++")) {
+    return chalk.bold(line);
+  }
+  if (line.startsWith("@@")) return chalk.cyan(line);
+  if (line.startsWith("+")) return chalk.green(line);
+  if (line.startsWith("-")) return chalk.red(line);
+  return line;
+};
+
+/**
+ * Print the unified diff of a changed rule
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} result - Result from diffRule
+ */
+const printDiff = (ruleName, result) => {
+  const relative = path
+    .relative(process.cwd(), result.path)
+    .split(path.sep)
+    .join("/");
+  console.log(
+    chalk.bold(`rulez diff ${ruleName} (upstream: ${result.source})`)
+  );
+  createUnifiedDiff(result.installed || "", result.upstream, {
+    oldLabel: result.installed === null ? "/dev/null" : `a/${relative}`,
+    newLabel: `b/${relative}`,
+  }).forEach((line) => console.log(colorDiffLine(line)));
+};
+
+/**
+ * Print a diffstat of the changed rules
+ * @param {Object[]} changed - Rule names and diffRule results of the changed rules
+ */
+const printStat = (changed) => {
+  const stats = changed.map(({ ruleName, result }) => ({
+    ruleName,
+    ...diffStat(result.installed || "", result.upstream),
+  }));
+  const nameWidth = Math.max(...stats.map((stat) => stat.ruleName.length));
+  const largest = Math.max(
+    ...stats.map((stat) => stat.insertions + stat.deletions)
+  );
+  const countWidth = String(largest).length;
+  const scale = largest > MAX_STAT_BAR ? MAX_STAT_BAR / largest : 1;
+
+  let insertions = 0;
+  let deletions = 0;
+  stats.forEach((stat) => {
+    insertions += stat.insertions;
+    deletions += stat.deletions;
+    const plus = Math.ceil(stat.insertions * scale);
+    const minus = Math.ceil(stat.deletions * scale);
+    console.log(
+      ` ${stat.ruleName.padEnd(nameWidth)} | ${String(
+        stat.insertions + stat.deletions
+      ).padStart(countWidth)} ${chalk.green("+".repeat(plus))}${chalk.red(
+        "-".repeat(minus)
+      )}`
+    );
+  });
+  console.log(
+    ` ${stats.length} rule(s) changed, ${insertions} insertion(s)(+), ${deletions} deletion(s)(-)`
+  );
+};
+
+/**
+ * Execute the diff command
+ * @param {string[]} ruleNames - Names of the rules to compare (all recorded rules if empty)
+ * @param {Object} options - Command options
+ */
+const execute = async (ruleNames = [], options = {}) => {
+  // Check if the Cursor rules directory structure exists
+  if (!checkCursorRulesDirectoryExists(process.cwd())) {
+    console.log(chalk.red("Error: Cursor rules directory structure not found"));
+    console.log(
+      chalk.yellow(
+        "Run 'rulez init' to create the necessary directory structure first"
+      )
+    );
+    return process.exit(EXIT_TROUBLE);
+  }
+
+  let lock;
+  try {
+    lock = readLockfile({ local: options.local, basePath: process.cwd() });
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(EXIT_TROUBLE);
+  }
+
+  const targetType = options.local ? "local" : "project";
+  const names =
+    ruleNames.length > 0 ? ruleNames : Object.keys(lock.rules).sort();
+
+  if (names.length === 0) {
+    console.log(chalk.yellow(`No installed ${targetType} rules to compare.`));
+    return;
+  }
+
+  const counts = { changed: 0, unchanged: 0, skipped: 0, failed: 0 };
+  const changed = [];
+
+  for (const ruleName of names) {
+    let result;
+    try {
+      result = await diffRule(ruleName, lock.rules[ruleName], options);
+    } catch (error) {
+      result = { status: "failed", message: error.message };
+    }
+
+    counts[result.status]++;
+
+    if (result.status === "changed") {
+      changed.push({ ruleName, result });
+      if (!options.stat) printDiff(ruleName, result);
+    } else if (result.status === "skipped") {
+      console.log(chalk.yellow(`Skipped: ${ruleName} - ${result.message}`));
+    } else if (result.status === "failed") {
+      console.log(chalk.red(`Failed: ${ruleName} - ${result.message}`));
+    }
+  }
+
+  if (!options.stat) {
+    console.log(
+      chalk.blue(
+        `\n${counts.changed} changed, ${counts.unchanged} up to date, ` +
+          `${counts.skipped} skipped, ${counts.failed} failed`
+      )
+    );
+  } else if (changed.length > 0) {
+    printStat(changed);
+  } else if (counts.failed === 0) {
+    console.log(chalk.green(`All ${targetType} rules match upstream.`));
+  }
+
+  if (counts.failed > 0) {
+    process.exit(EXIT_TROUBLE);
+  } else if (counts.changed > 0) {
+    process.exit(EXIT_DIFFERENT);
+  }
+};
+
+module.exports = {
+  command: "diff [rule-names...]",
+  description:
+    "Show how installed rules differ from their upstream versions (exits 1 on differences)",
+  options: [
+    {
+      flags: "--stat",
+      description: "Summarize the changed lines of each rule instead",
+    },
+    {
+      flags: "--local",
+      description: "Compare local override rules instead of project rules",
+    },
+  ],
+  execute,
+};
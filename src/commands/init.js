@@ -58,6 +58,20 @@ const execute = (options = {}) => {
     fileResult.created.forEach((file) => console.log(chalk.green(`- ${file}`)));
   }
 
+  // Files generated by older versions list their globs in a comment Cursor ignores
+  const legacyFiles = fileResult.legacy || [];
+  if (legacyFiles.length > 0) {
+    console.log(
+      chalk.yellow(
+        "These rule files use '# File patterns:' comments, which Cursor ignores:"
+      )
+    );
+    legacyFiles.forEach((file) => console.log(chalk.yellow(`- ${file}`)));
+    console.log(
+      chalk.yellow("Run 'rulez migrate' to convert them to frontmatter.")
+    );
+  }
+
   // Update .gitignore
   console.log(chalk.blue("\nUpdating .gitignore for local overrides..."));
   const gitignoreResult = updateGitignoreForCursor(options.force);
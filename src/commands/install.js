@@ -0,0 +1,273 @@
+/**
+ * rulez install - Install every rule declared in the project manifest
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const ruleFetcher = require("../utils/rule-fetcher");
+const {
+  fileExists,
+  hashContent,
+  getRuleFilePath,
+  saveRuleToFile,
+  linkRuleFile,
+  checkCursorRulesDirectoryExists,
+} = require("../utils/file-utils");
+const {
+  createLockEntry,
+  recordRule,
+  getLockedRule,
+  getInstalledHash,
+} = require("../utils/lockfile");
+const {
+  getManifestPath,
+  readManifest,
+  getManifestRules,
+} = require("../utils/manifest");
+const {
+  isHttpUrl,
+  isLocalSpecifier,
+  resolveLocalSpecifier,
+} = require("../utils/specifier");
+const { getLockedSource } = require("../utils/upstream");
+
+/**
+ * Fetch a manifest rule at the version recorded in the lockfile
+ * Rules locked to a commit are fetched at that commit, and every locked rule
+ * is checked against the recorded hash, so a fresh clone gets what was locked.
+ * Rules without a lock entry for the same source are fetched at their latest version
+ * @param {Object} rule - Normalized manifest entry (name, source, from)
+ * @param {Object} locked - Lock entry for the rule, if any
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} The fetchRule result, failed if the content
+ *   doesn't match the lockfile
+ */
+const fetchLockedRule = async (rule, locked, options) => {
+  const entry = locked && locked.source === rule.source ? locked : null;
+  // The cache holds rules under what they were added as
+  const pinned = options.offline ? null : getLockedSource(entry);
+
+  const fetchOptions = pinned
+    ? { isUrl: isHttpUrl(pinned) }
+    : { isUrl: isHttpUrl(rule.source), source: rule.from };
+  if (options.offline) fetchOptions.offlineMode = true;
+  const result = await ruleFetcher.fetchRule(
+    pinned || rule.source,
+    fetchOptions
+  );
+  if (!result.success || !entry || !entry.hash) {
+    return result;
+  }
+
+  if (hashContent(result.content) !== entry.hash) {
+    return {
+      success: false,
+      error: pinned
+        ? `content at ${pinned} doesn't match the hash in the lockfile`
+        : `upstream content changed since it was locked; run 'rulez update ${rule.name}' to take the new version`,
+    };
+  }
+  // A merge pending in the installed copy doesn't apply to a fresh install
+  const { pending, ...lockEntry } = entry;
+  return { ...result, locked: lockEntry };
+};
+
+/**
+ * Install a manifest rule by symlinking the local file it declares
+ * @param {Object} rule - Normalized manifest entry with symlink set
+ * @param {Object} fileOptions - Options for saving the rule file (see saveRuleToFile)
+ * @returns {Object} Result with a status of installed, kept or failed
+ */
+const linkRule = (rule, fileOptions) => {
+  if (!isLocalSpecifier(rule.source)) {
+    return {
+      status: "failed",
+      message: `only local files can be symlinked, not '${rule.source}'`,
+    };
+  }
+
+  const targetPath = resolveLocalSpecifier(rule.source, fileOptions.basePath);
+  if (!fileExists(targetPath)) {
+    return { status: "failed", message: `Rule file not found: ${targetPath}` };
+  }
+
+  const linkResult = linkRuleFile(rule.name, targetPath, fileOptions);
+  if (linkResult.keptBoth || linkResult.modified) {
+    return { status: "kept", message: linkResult.message };
+  }
+  if (!linkResult.success) {
+    return { status: "failed", message: linkResult.message };
+  }
+
+  const content = fs.readFileSync(targetPath, "utf8");
+  recordRule(
+    rule.name,
+    createLockEntry(rule.source, { source: rule.source }, content),
+    { local: fileOptions.local, basePath: fileOptions.basePath }
+  );
+
+  return { status: "installed", path: linkResult.path };
+};
+
+/**
+ * Install a single manifest rule
+ * @param {Object} rule - Normalized manifest entry (name, source, scope, from, symlink)
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Result with a status of installed, skipped, kept or failed
+ */
+const installRule = async (rule, options) => {
+  if (rule.error) {
+    return { status: "failed", message: rule.error };
+  }
+
+  const fileOptions = {
+    local: rule.scope === "local",
+    basePath: process.cwd(),
+  };
+
+  const { path: filePath, exists } = getRuleFilePath(rule.name, fileOptions);
+  if (exists && !options.force) {
+    return { status: "skipped", path: filePath };
+  }
+
+  // Reinstalling keeps edits made since the rule was installed unless told otherwise
+  const saveOptions = {
+    ...fileOptions,
+    force: options.force,
+    discardChanges: options.discardChanges,
+    keepBoth: options.keepBoth,
+  };
+  if (exists && !options.discardChanges) {
+    saveOptions.installedHash = getInstalledHash(rule.name, fileOptions);
+  }
+
+  if (rule.symlink) {
+    return linkRule(rule, saveOptions);
+  }
+
+  const locked = getLockedRule(rule.name, fileOptions);
+  const result = await fetchLockedRule(rule, locked, options);
+  if (!result.success) {
+    return { status: "failed", message: result.error };
+  }
+
+  const saveResult = saveRuleToFile(rule.name, result.content, saveOptions);
+  if (saveResult.keptBoth || saveResult.modified) {
+    return { status: "kept", message: saveResult.message };
+  }
+  if (!saveResult.success) {
+    return { status: "failed", message: saveResult.message };
+  }
+
+  // A rule installed at its locked version keeps its lock entry
+  const entry =
+    result.locked || createLockEntry(rule.source, result, result.content);
+  recordRule(rule.name, entry, { ...fileOptions, content: result.content });
+
+  return { status: "installed", path: saveResult.path };
+};
+
+/**
+ * Execute the install command
+ * @param {Object} options - Command options
+ */
+const execute = async (options = {}) => {
+  // Check if the Cursor rules directory structure exists
+  if (!checkCursorRulesDirectoryExists(process.cwd())) {
+    console.log(chalk.red("Error: Cursor rules directory structure not found"));
+    console.log(
+      chalk.yellow(
+        "Run 'rulez init' to create the necessary directory structure first"
+      )
+    );
+    return process.exit(1);
+  }
+
+  let rules;
+  try {
+    rules = getManifestRules(readManifest(process.cwd()));
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(1);
+  }
+
+  if (rules.length === 0) {
+    console.log(
+      chalk.yellow(`No rules declared in ${getManifestPath(process.cwd())}`)
+    );
+    console.log(chalk.gray("Add rules with 'rulez add <rule-name>'"));
+    return;
+  }
+
+  console.log(chalk.blue(`Installing ${rules.length} rule(s)...`));
+
+  const failures = [];
+  const counts = { installed: 0, skipped: 0, kept: 0, failed: 0 };
+
+  for (const rule of rules) {
+    let result;
+    try {
+      result = await installRule(rule, options);
+    } catch (error) {
+      result = { status: "failed", message: error.message };
+    }
+
+    counts[result.status]++;
+
+    if (result.status === "installed") {
+      console.log(chalk.green(`Installed: ${rule.name} (${result.path})`));
+    } else if (result.status === "skipped") {
+      console.log(chalk.gray(`Already installed: ${rule.name}`));
+    } else if (result.status === "kept") {
+      console.log(chalk.yellow(`Kept local changes: ${result.message}`));
+    } else {
+      console.log(chalk.red(`Failed: ${rule.name} - ${result.message}`));
+      failures.push({ name: rule.name, message: result.message });
+    }
+  }
+
+  console.log(
+    chalk.blue(
+      `\n${counts.installed} installed, ${counts.skipped} already installed, ` +
+        (counts.kept > 0 ? `${counts.kept} kept local changes, ` : "") +
+        `${counts.failed} failed`
+    )
+  );
+
+  if (failures.length > 0) {
+    console.log(
+      chalk.red(`\nError: Could not resolve ${failures.length} rule(s):`)
+    );
+    failures.forEach((failure) =>
+      console.log(chalk.red(`- ${failure.name}: ${failure.message}`))
+    );
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  command: "install",
+  description: "Install every rule declared in .cursor/rulez.json",
+  options: [
+    {
+      flags: "--force",
+      description: "Re-fetch and overwrite rules that are already installed",
+    },
+    {
+      flags: "--offline",
+      description:
+        "Use rules fetched before from the local cache instead of the network",
+    },
+    {
+      flags: "--discard-changes",
+      description:
+        "With --force, overwrite rules even if they were edited since they were installed",
+    },
+    {
+      flags: "--keep-both",
+      description:
+        "With --force, save the new version of an edited rule next to it as <rule>.mdc.upstream",
+    },
+  ],
+  execute,
+};
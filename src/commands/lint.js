@@ -0,0 +1,91 @@
+/**
+ * rulez lint - Validate rule files in .cursor/rules and .cursor/local
+ */
+
+const chalk = require("chalk");
+const path = require("path");
+const { lintRules } = require("../utils/rule-linter");
+
+/**
+ * Count problems of a given severity across all results
+ * @param {Object[]} results - Lint results
+ * @param {string} severity - "error" or "warning"
+ * @returns {number} Number of matching problems
+ */
+const countProblems = (results, severity) =>
+  results.reduce(
+    (count, result) =>
+      count +
+      result.problems.filter((problem) => problem.severity === severity).length,
+    0
+  );
+
+/**
+ * Execute the lint command
+ * @param {Object} options - Command options
+ */
+const execute = (options = {}) => {
+  const basePath = process.cwd();
+  const results = lintRules(basePath).map((result) => ({
+    ...result,
+    file: path.relative(basePath, result.file),
+  }));
+
+  const errorCount = countProblems(results, "error");
+  const warningCount = countProblems(results, "warning");
+  const failed = errorCount > 0 || (options.strict && warningCount > 0);
+
+  if (options.json) {
+    console.log(JSON.stringify({ results, errorCount, warningCount }, null, 2));
+  } else if (results.length === 0) {
+    console.log(chalk.yellow("No rule files found to lint."));
+  } else {
+    results
+      .filter((result) => result.problems.length > 0)
+      .forEach((result) => {
+        console.log(`\n${chalk.underline(result.file)}`);
+        result.problems.forEach((problem) => {
+          const location = String(problem.line || "-").padStart(4);
+          const severity =
+            problem.severity === "error"
+              ? chalk.red("error  ")
+              : chalk.yellow("warning");
+          console.log(
+            `  ${location}  ${severity}  ${problem.message}  ${chalk.gray(
+              problem.rule
+            )}`
+          );
+        });
+      });
+
+    const summary = `${results.length} rule file(s) checked: ${errorCount} error(s), ${warningCount} warning(s)`;
+    console.log(
+      "\n" +
+        (failed
+          ? chalk.red(summary)
+          : warningCount > 0
+          ? chalk.yellow(summary)
+          : chalk.green(summary))
+    );
+  }
+
+  if (failed) {
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  command: "lint",
+  description: "Validate rule files in .cursor/rules and .cursor/local",
+  options: [
+    {
+      flags: "--json",
+      description: "Output the results as JSON",
+    },
+    {
+      flags: "--strict",
+      description: "Exit with a non-zero code on warnings as well as errors",
+    },
+  ],
+  execute,
+};
@@ -0,0 +1,69 @@
+/**
+ * rulez list - List the rules available in the remote rule source
+ */
+
+const chalk = require("chalk");
+const ruleFetcher = require("../utils/rule-fetcher");
+
+/**
+ * Execute the list command
+ * @param {Object} options - Command options
+ */
+const execute = async (options = {}) => {
+  let index;
+  try {
+    index = await ruleFetcher.loadRuleIndex({ refresh: options.refresh });
+  } catch (error) {
+    console.log(chalk.red(`Error loading rule index: ${error.message}`));
+    return process.exit(1);
+  }
+
+  if (options.json) {
+    // The body excerpt is only kept for 'rulez search'
+    const rules = index.rules.map(({ body, ...rule }) => rule);
+    console.log(JSON.stringify(rules, null, 2));
+    return;
+  }
+
+  console.log(
+    chalk.blue(`Available rules in ${index.source} (${index.rules.length}):`)
+  );
+
+  if (index.stale) {
+    console.log(
+      chalk.yellow(
+        `Warning: Could not refresh the rule index, showing cached results from ${index.generatedAt}`
+      )
+    );
+  }
+
+  index.rules.forEach((rule) => {
+    console.log(`\n${chalk.green(rule.name)}`);
+    if (rule.description) {
+      console.log(`  ${rule.description}`);
+    }
+    if (rule.globs) {
+      console.log(chalk.gray(`  Globs: ${rule.globs}`));
+    } else if (rule.alwaysApply) {
+      console.log(chalk.gray("  Always applied"));
+    }
+  });
+
+  console.log(chalk.gray("\nAdd a rule with 'rulez add <rule-name>'"));
+};
+
+module.exports = {
+  command: "list",
+  description: "List the rules available in the remote rule source",
+  options: [
+    {
+      flags: "--json",
+      description: "Output the rule list as JSON",
+    },
+    {
+      flags: "--refresh",
+      description: "Rebuild the cached rule index from the remote source",
+    },
+  ],
+  execute,
+};
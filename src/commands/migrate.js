@@ -0,0 +1,102 @@
+/**
+ * rulez migrate - Convert legacy "# File patterns:" comments into frontmatter
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const { getRuleDirectories, findRuleFiles } = require("../utils/file-utils");
+const { migrateLegacyFilePatterns } = require("../utils/mdc");
+
+/**
+ * Describe the attributes a migration set
+ * @param {Object} attributes - Attributes returned by migrateLegacyFilePatterns
+ * @returns {string} Short summary such as "globs: *.md"
+ */
+const describeAttributes = (attributes) => {
+  if (attributes.alwaysApply) {
+    return "alwaysApply: true";
+  }
+  if (attributes.globs) {
+    return `globs: ${attributes.globs}`;
+  }
+  return "existing frontmatter kept";
+};
+
+/**
+ * Execute the migrate command
+ * @param {Object} options - Command options
+ */
+const execute = (options = {}) => {
+  const basePath = process.cwd();
+  const files = getRuleDirectories(basePath).flatMap(({ dir }) =>
+    findRuleFiles(dir)
+  );
+
+  if (files.length === 0) {
+    console.log(chalk.yellow("No rule files found to migrate."));
+    return;
+  }
+
+  let migrated = 0;
+  let failed = 0;
+
+  for (const file of files) {
+    const relativePath = path.relative(basePath, file);
+
+    try {
+      const result = migrateLegacyFilePatterns(fs.readFileSync(file, "utf8"));
+      if (!result.changed) {
+        continue;
+      }
+
+      if (!options.dryRun) {
+        fs.writeFileSync(file, result.content);
+      }
+
+      migrated++;
+      const verb = options.dryRun ? "Would migrate" : "Migrated";
+      console.log(
+        chalk.green(
+          `${verb}: ${relativePath} (${describeAttributes(result.attributes)})`
+        )
+      );
+    } catch (error) {
+      failed++;
+      console.log(chalk.red(`Failed: ${relativePath} - ${error.message}`));
+    }
+  }
+
+  if (migrated === 0 && failed === 0) {
+    console.log(
+      chalk.green(
+        `None of the ${files.length} rule file(s) use '# File patterns:' comments; nothing to migrate.`
+      )
+    );
+    return;
+  }
+
+  const migratedLabel = options.dryRun ? "would be migrated" : "migrated";
+  console.log(
+    chalk.blue(
+      `\n${migrated} of ${files.length} rule file(s) ${migratedLabel}, ${failed} failed`
+    )
+  );
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  command: "migrate",
+  description:
+    "Convert legacy '# File patterns:' comments in rule files into frontmatter",
+  options: [
+    {
+      flags: "--dry-run",
+      description: "Show which files would change without writing them",
+    },
+  ],
+  execute,
+};
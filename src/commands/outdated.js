@@ -0,0 +1,225 @@
+/**
+ * rulez outdated - Report installed rules that have newer upstream versions
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const {
+  fileExists,
+  getRuleFilePath,
+  hashContent,
+} = require("../utils/file-utils");
+const { readLockfile } = require("../utils/lockfile");
+const { fetchUpstreamRule } = require("../utils/upstream");
+
+/**
+ * Rule scopes checked, in the order they are reported
+ */
+const SCOPES = ["project", "local"];
+
+/**
+ * Shorten a content hash or commit for display
+ * @param {Object} version - Object with a hash and an optional commit
+ * @returns {string} A short commit, a short hash, or "-" if neither is known
+ */
+const formatVersion = (version) => {
+  if (!version) return "-";
+  if (version.commit) return version.commit.slice(0, 7);
+  return version.hash ? version.hash.replace(/^sha256-/, "").slice(0, 8) : "-";
+};
+
+/**
+ * Suggest what to do about a rule
+ * @param {Object} report - Report for the rule (see checkRule)
+ * @returns {string} The suggested action
+ */
+const suggestAction = (report) => {
+  const flag = report.scope === "local" ? " --local" : "";
+  switch (report.status) {
+    case "outdated":
+      return report.modified
+        ? `review with 'rulez diff ${report.name}${flag}', then 'rulez update ${report.name}${flag} --merge'`
+        : `rulez update ${report.name}${flag}`;
+    case "missing":
+      return `rulez update ${report.name}${flag}`;
+    case "unknown":
+      return "re-add it with 'rulez add' to track its source";
+    case "error":
+      return "check that the rule's source is reachable";
+    default:
+      return report.modified ? "none (only local edits)" : "none";
+  }
+};
+
+/**
+ * Compare an installed rule with its latest upstream version
+ * @param {string} name - Name of the rule
+ * @param {Object} entry - Lock entry for the rule
+ * @param {string} scope - "project" or "local"
+ * @returns {Promise<Object>} Report with the installed and latest versions,
+ *   whether the file was edited locally, a status and a suggested action
+ */
+const checkRule = async (name, entry, scope) => {
+  const { path: filePath } = getRuleFilePath(name, {
+    local: scope === "local",
+    basePath: process.cwd(),
+  });
+  const exists = fileExists(filePath);
+  const diskHash = exists
+    ? hashContent(fs.readFileSync(filePath, "utf8"))
+    : null;
+
+  // Entries written before hashes were recorded are compared with the file on disk
+  const installedHash = entry.hash || diskHash;
+  const report = {
+    name,
+    scope,
+    source: entry.source,
+    installed: { hash: installedHash },
+    latest: null,
+    modified: Boolean(exists && entry.hash && diskHash !== entry.hash),
+  };
+  if (entry.from) report.from = entry.from;
+  if (entry.commit) report.installed.commit = entry.commit;
+
+  let result;
+  try {
+    result = await fetchUpstreamRule(entry);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (!result.success) {
+    report.status = result.skipped ? "unknown" : "error";
+    report.error = result.error;
+  } else {
+    report.latest = { hash: hashContent(result.content) };
+    if (result.commit) report.latest.commit = result.commit;
+    if (!exists) {
+      report.status = "missing";
+    } else {
+      report.status =
+        report.latest.hash === installedHash ? "current" : "outdated";
+    }
+  }
+
+  report.action = suggestAction(report);
+  return report;
+};
+
+/**
+ * Print the reports as a table
+ * @param {Object[]} reports - Reports from checkRule
+ */
+const printTable = (reports) => {
+  const statusColors = {
+    current: chalk.green,
+    outdated: chalk.yellow,
+    missing: chalk.red,
+    unknown: chalk.gray,
+    error: chalk.red,
+  };
+  const rows = reports.map((report) => ({
+    report,
+    cells: [
+      report.name,
+      report.scope,
+      formatVersion(report.installed),
+      formatVersion(report.latest),
+      report.modified ? "yes" : "no",
+      report.status,
+      report.action,
+    ],
+  }));
+  const headers = [
+    "Rule",
+    "Scope",
+    "Installed",
+    "Latest",
+    "Modified",
+    "Status",
+    "Action",
+  ];
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row.cells[column].length))
+  );
+  const pad = (cells) => cells.map((cell, i) => cell.padEnd(widths[i]));
+
+  console.log(chalk.gray(pad(headers).join("  ").trimEnd()));
+  rows.forEach(({ report, cells }) => {
+    const padded = pad(cells);
+    padded[5] = statusColors[report.status](padded[5]);
+    console.log(padded.join("  ").trimEnd());
+  });
+
+  reports
+    .filter((report) => report.error)
+    .forEach((report) => {
+      const color = report.status === "error" ? chalk.red : chalk.gray;
+      console.log(color(`${report.name}: ${report.error}`));
+    });
+};
+
+/**
+ * Execute the outdated command
+ * @param {string[]} ruleNames - Names of the rules to check (all recorded rules if empty)
+ * @param {Object} options - Command options
+ */
+const execute = async (ruleNames = [], options = {}) => {
+  const reports = [];
+  try {
+    for (const scope of SCOPES) {
+      const lock = readLockfile({
+        local: scope === "local",
+        basePath: process.cwd(),
+      });
+      const names = Object.keys(lock.rules)
+        .filter((name) => ruleNames.length === 0 || ruleNames.includes(name))
+        .sort();
+      for (const name of names) {
+        reports.push(await checkRule(name, lock.rules[name], scope));
+      }
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(1);
+  }
+
+  const unknownNames = ruleNames.filter(
+    (name) => !reports.some((report) => report.name === name)
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    if (reports.length > 0) {
+      printTable(reports);
+    } else if (unknownNames.length === 0) {
+      console.log(chalk.yellow("No installed rules recorded in the lockfile."));
+    }
+    unknownNames.forEach((name) => {
+      console.log(chalk.red(`Error: No installed rule named '${name}' found`));
+    });
+  }
+
+  // Like npm outdated, exit non-zero when anything needs attention
+  const needsAttention = reports.some((report) =>
+    ["outdated", "missing", "error"].includes(report.status)
+  );
+  if (needsAttention || unknownNames.length > 0) {
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  command: "outdated [rule-names...]",
+  description:
+    "Report installed rules whose upstream version changed (exits 1 if any did)",
+  options: [
+    {
+      flags: "--json",
+      description: "Output the report as JSON",
+    },
+  ],
+  execute,
+};
@@ -0,0 +1,128 @@
+/**
+ * rulez remove - Remove an installed rule and its metadata
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const inquirer = require("inquirer").default;
+const { getRuleFilePath, normalizeRuleName } = require("../utils/file-utils");
+const { removeLockedRule } = require("../utils/lockfile");
+const { removeManifestRule } = require("../utils/manifest");
+
+/**
+ * Ask the user to confirm the removal
+ * @param {string} filePath - Path of the rule file that will be deleted
+ * @returns {Promise<boolean>} True if the user confirmed
+ */
+const confirmRemoval = async (filePath) => {
+  const { confirmed } = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "confirmed",
+      message: `Delete ${filePath}?`,
+      default: false,
+    },
+  ]);
+  return confirmed;
+};
+
+/**
+ * Execute the remove command
+ * @param {string} ruleName - Name of the rule to remove
+ * @param {Object} options - Command options
+ */
+const execute = async (ruleName, options = {}) => {
+  if (!ruleName) {
+    console.log(chalk.red("Error: Rule name is required"));
+    console.log(`Usage: rulez remove <rule-name> [options]`);
+    return process.exit(1);
+  }
+
+  const name = normalizeRuleName(ruleName);
+  const fileOptions = { local: options.local, basePath: process.cwd() };
+  const { path: filePath, exists } = getRuleFilePath(name, fileOptions);
+
+  if (exists && !options.yes) {
+    if (!process.stdin.isTTY) {
+      console.log(
+        chalk.red("Error: Confirmation required; pass --yes to remove")
+      );
+      return process.exit(1);
+    }
+
+    let confirmed;
+    try {
+      confirmed = await confirmRemoval(filePath);
+    } catch (error) {
+      // inquirer rejects with ExitPromptError when a prompt is closed with Ctrl-C
+      if (error.name !== "ExitPromptError") throw error;
+      console.log(chalk.yellow("\nAborted. Nothing was removed."));
+      return process.exit(130);
+    }
+    if (!confirmed) {
+      console.log(chalk.yellow("Aborted. Nothing was removed."));
+      return;
+    }
+  }
+
+  let removedFile = false;
+  if (exists) {
+    try {
+      fs.unlinkSync(filePath);
+      removedFile = true;
+    } catch (error) {
+      console.log(chalk.red(`Error removing file: ${error.message}`));
+      return process.exit(1);
+    }
+  }
+
+  let removedLock = false;
+  let removedManifest = false;
+  try {
+    removedLock = removeLockedRule(name, fileOptions);
+    removedManifest = removeManifestRule(name, {
+      scope: options.local ? "local" : "project",
+      basePath: process.cwd(),
+    });
+  } catch (error) {
+    console.log(
+      chalk.yellow(`Warning: Could not clean up metadata: ${error.message}`)
+    );
+  }
+
+  if (!removedFile && !removedLock && !removedManifest) {
+    const targetType = options.local ? "local" : "project";
+    console.log(
+      chalk.red(`Error: No ${targetType} rule named '${name}' found`)
+    );
+    return process.exit(1);
+  }
+
+  if (removedFile) {
+    console.log(chalk.green(`Removed rule file: ${filePath}`));
+  } else {
+    console.log(chalk.yellow(`Rule file was already missing: ${filePath}`));
+  }
+  if (removedLock) {
+    console.log(chalk.gray("Removed lockfile entry"));
+  }
+  if (removedManifest) {
+    console.log(chalk.gray("Removed manifest declaration"));
+  }
+};
+
+module.exports = {
+  command: "remove <rule-name>",
+  description: "Remove an installed rule and its lockfile and manifest entries",
+  options: [
+    {
+      flags: "--local",
+      description: "Remove from local overrides instead of project rules",
+    },
+    {
+      flags: "-y, --yes",
+      description: "Remove without asking for confirmation",
+    },
+  ],
+  execute,
+};
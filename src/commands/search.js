@@ -0,0 +1,113 @@
+/**
+ * rulez search - Find rules in the remote rule source by fuzzy matching
+ */
+
+const chalk = require("chalk");
+const ruleFetcher = require("../utils/rule-fetcher");
+const { searchRules, getSnippet } = require("../utils/rule-search");
+
+// Number of results shown unless --limit is given
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Execute the search command
+ * @param {string[]} queryWords - Words to search for
+ * @param {Object} options - Command options
+ */
+const execute = async (queryWords = [], options = {}) => {
+  const query = [].concat(queryWords).join(" ").trim();
+  if (!query) {
+    console.log(chalk.red("Error: A search query is required"));
+    console.log("Usage: rulez search <query> [options]");
+    return process.exit(1);
+  }
+
+  const limit =
+    options.limit === undefined ? DEFAULT_LIMIT : Number(options.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    console.log(chalk.red("Error: --limit must be a positive whole number"));
+    return process.exit(1);
+  }
+
+  let index;
+  try {
+    index = await ruleFetcher.loadRuleIndex({ refresh: options.refresh });
+  } catch (error) {
+    console.log(chalk.red(`Error loading rule index: ${error.message}`));
+    return process.exit(1);
+  }
+
+  const results = searchRules(index.rules, query);
+  const shown = results.slice(0, limit);
+
+  if (options.json) {
+    const output = shown.map(({ rule, score, matches }) => ({
+      name: rule.name,
+      description: rule.description,
+      globs: rule.globs,
+      alwaysApply: rule.alwaysApply,
+      score: Math.round(score * 100) / 100,
+      matches,
+    }));
+    console.log(JSON.stringify(output, null, 2));
+    return;
+  }
+
+  if (index.stale) {
+    console.log(
+      chalk.yellow(
+        `Warning: Could not refresh the rule index, searching cached results from ${index.generatedAt}`
+      )
+    );
+  }
+
+  if (shown.length === 0) {
+    console.log(chalk.yellow(`No rules match '${query}'`));
+    return;
+  }
+
+  const countLabel =
+    results.length > shown.length
+      ? `top ${shown.length} of ${results.length}`
+      : `${results.length}`;
+  console.log(chalk.blue(`Rules matching '${query}' (${countLabel}):`));
+
+  shown.forEach(({ rule, matches }) => {
+    console.log(
+      `\n${chalk.green(rule.name)} ${chalk.gray(`(${matches.join(", ")})`)}`
+    );
+    if (rule.description) {
+      console.log(`  ${rule.description}`);
+    }
+    if (rule.tags && rule.tags.length > 0) {
+      console.log(chalk.gray(`  Tags: ${rule.tags.join(", ")}`));
+    }
+    const snippet = matches.includes("body") && getSnippet(rule.body, query);
+    if (snippet) {
+      console.log(chalk.gray(`  ${snippet}`));
+    }
+  });
+
+  console.log(chalk.gray("\nAdd a rule with 'rulez add <rule-name>'"));
+};
+
+module.exports = {
+  command: "search <query...>",
+  description:
+    "Search the remote rule source by name, tags, description and content",
+  options: [
+    {
+      flags: "--json",
+      description: "Output the results as JSON",
+    },
+    {
+      flags: "--limit <count>",
+      description: `Maximum number of results to show (defaults to ${DEFAULT_LIMIT})`,
+    },
+    {
+      flags: "--refresh",
+      description: "Rebuild the cached rule index from the remote source",
+    },
+  ],
+  execute,
+};
@@ -0,0 +1,436 @@
+/**
+ * rulez show - Print a rule and what rulez knows about it, without writing anything
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const path = require("path");
+const ruleFetcher = require("../utils/rule-fetcher");
+const {
+  fileExists,
+  findRuleFiles,
+  formatSize,
+  getRuleDirectories,
+  hashContent,
+  normalizeRuleName,
+} = require("../utils/file-utils");
+const { getRuleStatus } = require("../utils/lockfile");
+const { readManifest, getManifestRules } = require("../utils/manifest");
+const { parseMdc, splitGlobs } = require("../utils/mdc");
+const {
+  isHttpUrl,
+  isLocalSpecifier,
+  parseRuleSpecifier,
+  parseGitSpecifier,
+} = require("../utils/specifier");
+
+/**
+ * Rough number of characters per token, good enough to judge a rule's context cost
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Frontmatter keys that are rendered on their own lines
+ */
+const RENDERED_KEYS = ["description", "globs", "alwaysApply"];
+
+/**
+ * Estimate how many tokens a rule adds to the model's context
+ * @param {string} content - Rule content
+ * @returns {number} Estimated token count
+ */
+const estimateTokens = (content) => Math.ceil(content.length / CHARS_PER_TOKEN);
+
+/**
+ * Find the installed rule files with a given name
+ * @param {string} ruleName - Rule name, with or without the extension
+ * @param {string} basePath - Project root
+ * @returns {Object[]} Scope, name and path of each match, project rules first
+ */
+const findInstalledRules = (ruleName, basePath) => {
+  const key = normalizeRuleName(ruleName).toLowerCase();
+  const found = [];
+  for (const { scope, dir } of getRuleDirectories(basePath)) {
+    for (const file of findRuleFiles(dir)) {
+      const name = normalizeRuleName(
+        path.relative(dir, file).split(path.sep).join("/")
+      );
+      if (name.toLowerCase() === key) {
+        found.push({ scope, name, path: file });
+      }
+    }
+  }
+  return found;
+};
+
+/**
+ * Identify an installed rule from a path to its file
+ * @param {string} filePath - Absolute path of a rule file
+ * @param {string} basePath - Project root
+ * @returns {Object|null} Scope, name and path, or null if the file isn't in a rules directory
+ */
+const identifyInstalledFile = (filePath, basePath) => {
+  for (const { scope, dir } of getRuleDirectories(basePath)) {
+    const relative = path.relative(dir, filePath);
+    if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+      return {
+        scope,
+        name: normalizeRuleName(relative.split(path.sep).join("/")),
+        path: filePath,
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Describe how Cursor applies a rule, from its frontmatter
+ * @param {Object} attributes - Frontmatter attributes
+ * @returns {string} The rule type as Cursor names it
+ */
+const describeRuleType = (attributes) => {
+  if (attributes.alwaysApply === true) return "Always";
+  if (splitGlobs(attributes.globs).length > 0) return "Auto Attached";
+  if (attributes.description) return "Agent Requested";
+  return "Manual";
+};
+
+/**
+ * Gather what is known about an installed rule
+ * @param {Object} installed - Scope, name and path of the rule file
+ * @param {string} basePath - Project root
+ * @returns {Object} Rule details (see printRule)
+ */
+const inspectInstalledRule = (installed, basePath) => {
+  const { scope, name } = installed;
+  const details = {
+    name,
+    installed: true,
+    scope,
+    path: installed.path,
+    content: fs.readFileSync(installed.path, "utf8"),
+  };
+
+  if (fs.lstatSync(installed.path).isSymbolicLink()) {
+    details.symlink = fs.readlinkSync(installed.path);
+  }
+
+  const { status, entry } = getRuleStatus(name, {
+    basePath,
+    local: scope === "local",
+  });
+  details.lockStatus = status;
+  if (entry) {
+    details.lock = entry;
+  }
+
+  try {
+    details.manifest =
+      getManifestRules(readManifest(basePath)).find(
+        (rule) => rule.name === name && rule.scope === scope
+      ) || null;
+  } catch (error) {
+    // An unreadable manifest doesn't stop the rule from being shown
+    details.manifest = null;
+  }
+
+  // A local rule with the same name as a project rule takes its place in Cursor
+  const others = findInstalledRules(name, basePath).filter(
+    (other) => other.scope !== scope
+  );
+  if (scope === "project") {
+    details.shadowedBy = others.map((other) => other.path);
+  } else {
+    details.shadows = others.map((other) => other.path);
+  }
+
+  return details;
+};
+
+/**
+ * Fetch a rule that isn't installed, or the upstream copy of one that is
+ * @param {string} ruleRef - Rule name, URL, specifier or path
+ * @param {Object} options - Command options
+ * @param {string} basePath - Project root
+ * @returns {Promise<Object>} Rule details, or a failed fetch result
+ */
+const inspectRemoteRule = async (ruleRef, options, basePath) => {
+  // A rule file outside the rules directories may be named without "./"
+  const isBarePath =
+    ruleRef.endsWith(".mdc") &&
+    !isLocalSpecifier(ruleRef) &&
+    fileExists(path.resolve(basePath, ruleRef));
+  const fetchRef = isBarePath ? `./${ruleRef}` : ruleRef;
+
+  // Showing a rule must leave the caches as they are
+  const result = await ruleFetcher.fetchRule(fetchRef, {
+    isUrl: isHttpUrl(fetchRef),
+    source: options.source,
+    basePath,
+    noCache: true,
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const name = result.name || normalizeRuleName(ruleRef);
+  const details = {
+    success: true,
+    name,
+    installed: false,
+    content: result.content,
+    fetched: { source: result.source },
+  };
+  if (result.from) details.fetched.from = result.from;
+  if (result.commit) details.fetched.commit = result.commit;
+
+  // Say whether the project already has this rule, and if it matches
+  const hash = hashContent(result.content);
+  details.installedCopies = findInstalledRules(name, basePath).map(
+    (installed) => ({
+      scope: installed.scope,
+      path: installed.path,
+      identical: hashContent(fs.readFileSync(installed.path, "utf8")) === hash,
+    })
+  );
+
+  return details;
+};
+
+/**
+ * Find the installed rule a command-line argument refers to
+ * @param {string} ruleRef - Rule name or path to a rule file
+ * @param {Object} options - Command options
+ * @param {string} basePath - Project root
+ * @returns {Object|null} Scope, name and path of the rule, or null if it isn't installed
+ */
+const findRequestedRule = (ruleRef, options, basePath) => {
+  const filePath = path.resolve(basePath, ruleRef);
+  if (ruleRef.endsWith(".mdc") && fileExists(filePath)) {
+    const installed = identifyInstalledFile(filePath, basePath);
+    if (installed) return installed;
+  }
+
+  // Only plain names can refer to installed rules
+  if (
+    isHttpUrl(ruleRef) ||
+    isLocalSpecifier(ruleRef) ||
+    parseRuleSpecifier(ruleRef) ||
+    parseGitSpecifier(ruleRef)
+  ) {
+    return null;
+  }
+
+  const matches = findInstalledRules(ruleRef, basePath);
+  const scope = options.local ? "local" : "project";
+  return (
+    matches.find((match) => match.scope === scope) ||
+    (options.local ? null : matches[0] || null)
+  );
+};
+
+/**
+ * Build the JSON form of a rule's details
+ * @param {Object} details - Rule details
+ * @param {string} basePath - Project root paths are given relative to
+ * @returns {Object} Details with the parsed frontmatter, body and size
+ */
+const toJson = (details, basePath) => {
+  const relative = (filePath) => path.relative(basePath, filePath);
+  const { attributes, body } = parseMdc(details.content);
+  const { content, success, ...rest } = details;
+
+  if (rest.path) rest.path = relative(rest.path);
+  if (rest.shadowedBy) rest.shadowedBy = rest.shadowedBy.map(relative);
+  if (rest.shadows) rest.shadows = rest.shadows.map(relative);
+  if (rest.installedCopies) {
+    rest.installedCopies = rest.installedCopies.map((copy) => ({
+      ...copy,
+      path: relative(copy.path),
+    }));
+  }
+
+  return {
+    ...rest,
+    attributes,
+    type: describeRuleType(attributes),
+    size: {
+      bytes: Buffer.byteLength(content, "utf8"),
+      lines: content.split(/\r?\n/).length,
+      tokens: estimateTokens(content),
+    },
+    body,
+  };
+};
+
+/**
+ * Print a rule's details and content
+ * @param {Object} details - Rule details
+ * @param {string} basePath - Project root paths are shown relative to
+ */
+const printRule = (details, basePath) => {
+  const relative = (filePath) => path.relative(basePath, filePath);
+  const field = (label, value) =>
+    console.log(`${chalk.gray(`${label}:`.padEnd(15))}${value}`);
+
+  const { attributes, body } = parseMdc(details.content);
+  const where = details.installed ? `${details.scope} rule` : "not installed";
+  console.log(`${chalk.green.bold(details.name)} ${chalk.gray(`(${where})`)}`);
+
+  if (details.installed) {
+    const link = details.symlink ? ` -> ${details.symlink}` : "";
+    field("File", `${relative(details.path)}${link}`);
+  }
+
+  field("Type", describeRuleType(attributes));
+  field("Description", attributes.description || chalk.gray("(none)"));
+  const globs = splitGlobs(attributes.globs);
+  field("Globs", globs.length > 0 ? globs.join(", ") : chalk.gray("(none)"));
+  field("Always apply", attributes.alwaysApply === true ? "yes" : "no");
+  Object.entries(attributes)
+    .filter(([key]) => !RENDERED_KEYS.includes(key))
+    .forEach(([key, value]) => field(key, JSON.stringify(value)));
+
+  if (details.installed) {
+    if (details.lock) {
+      const from = details.lock.from ? ` (from ${details.lock.from})` : "";
+      field("Source", `${details.lock.source}${from}`);
+      field("Resolved", details.lock.resolved);
+      if (details.lock.commit) field("Commit", details.lock.commit);
+      field("Fetched", details.lock.fetchedAt);
+    }
+    const lockStatus = {
+      unmodified: chalk.green("matches the lockfile"),
+      modified: chalk.yellow("modified since it was fetched"),
+      untracked: chalk.gray("not in the lockfile"),
+    }[details.lockStatus];
+    field("Lock status", lockStatus);
+    field(
+      "Manifest",
+      details.manifest
+        ? `declared as ${details.manifest.source}`
+        : chalk.gray("not declared")
+    );
+  } else {
+    const from = details.fetched.from ? ` (from ${details.fetched.from})` : "";
+    field("Source", `${details.fetched.source}${from}`);
+    if (details.fetched.commit) field("Commit", details.fetched.commit);
+    details.installedCopies.forEach((copy) => {
+      const state = copy.identical ? "identical" : "differs";
+      field("Installed", `${relative(copy.path)} (${copy.scope}, ${state})`);
+    });
+  }
+
+  const bytes = Buffer.byteLength(details.content, "utf8");
+  const lines = details.content.split(/\r?\n/).length;
+  field(
+    "Size",
+    `${formatSize(bytes)}, ${lines} lines, ~${estimateTokens(
+      details.content
+    )} tokens`
+  );
+
+  (details.shadowedBy || []).forEach((file) => {
+    console.log(
+      chalk.yellow(
+        `Shadowed by local override ${relative(
+          file
+        )}; Cursor uses that copy instead`
+      )
+    );
+  });
+  (details.shadows || []).forEach((file) => {
+    console.log(
+      chalk.yellow(`Overrides project rule ${relative(file)} in this checkout`)
+    );
+  });
+
+  console.log(chalk.gray("─".repeat(60)));
+  console.log(body.replace(/^\r?\n/, "").trimEnd());
+};
+
+/**
+ * Execute the show command
+ * @param {string} ruleRef - Rule name, installed file, URL, specifier or path
+ * @param {Object} options - Command options
+ */
+const execute = async (ruleRef, options = {}) => {
+  if (!ruleRef) {
+    console.log(chalk.red("Error: Rule name or URL is required"));
+    console.log("Usage: rulez show <rule-name|file|url|specifier> [options]");
+    return process.exit(1);
+  }
+
+  const basePath = process.cwd();
+  let details;
+  try {
+    const installed = !options.remote
+      ? findRequestedRule(ruleRef, options, basePath)
+      : null;
+    if (installed) {
+      details = inspectInstalledRule(installed, basePath);
+    } else if (options.local) {
+      console.log(chalk.red(`Error: No local rule named '${ruleRef}' found`));
+      return process.exit(1);
+    } else {
+      details = await inspectRemoteRule(ruleRef, options, basePath);
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(1);
+  }
+
+  if (details.success === false) {
+    const heading = details.authRequired
+      ? `Error: Authentication required to fetch rule '${ruleRef}'`
+      : `Error: Could not find rule '${ruleRef}'`;
+    console.log(chalk.red(heading));
+    console.log(chalk.red(`Reason: ${details.error}`));
+    if (details.suggestions) {
+      console.log(
+        chalk.yellow(`Did you mean: ${details.suggestions.join(", ")}?`)
+      );
+    }
+    return process.exit(1);
+  }
+
+  if (options.raw) {
+    process.stdout.write(details.content);
+    return;
+  }
+  if (options.json) {
+    console.log(JSON.stringify(toJson(details, basePath), null, 2));
+    return;
+  }
+  printRule(details, basePath);
+};
+
+module.exports = {
+  command: "show <rule>",
+  description:
+    "Show a rule's content, frontmatter and install details without writing anything",
+  options: [
+    {
+      flags: "--local",
+      description: "Show the local override instead of the project rule",
+    },
+    {
+      flags: "--remote",
+      description:
+        "Fetch the rule from its source even if it is installed in this project",
+    },
+    {
+      flags: "--source <name>",
+      description: "Fetch the rule from this rule source only",
+    },
+    {
+      flags: "--json",
+      description: "Output the rule and its details as JSON",
+    },
+    {
+      flags: "--raw",
+      description: "Print the rule file exactly as it is, without details",
+    },
+  ],
+  execute,
+};
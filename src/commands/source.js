@@ -0,0 +1,167 @@
+/**
+ * rulez source - Manage the sources rules are fetched from
+ */
+
+const chalk = require("chalk");
+const {
+  getSources,
+  parseSourceLocation,
+  describeSource,
+  addSource,
+  removeSource,
+  DEFAULT_SOURCE,
+  TOKEN_SOURCE_TYPES,
+} = require("../utils/sources");
+
+/**
+ * List the sources rules are looked up in
+ */
+const listSources = () => {
+  const sources = getSources(process.cwd());
+
+  console.log(chalk.blue("Rule sources, in lookup order:"));
+  sources.forEach((source, index) => {
+    const builtIn = source === DEFAULT_SOURCE ? chalk.gray(" (built-in)") : "";
+    let token = "";
+    if (source.tokenEnv) {
+      token = process.env[source.tokenEnv]
+        ? chalk.gray(` (token from ${source.tokenEnv})`)
+        : chalk.yellow(` (token from ${source.tokenEnv}, which isn't set)`);
+    }
+    console.log(
+      `${index + 1}. ${chalk.green(source.name)} ${chalk.gray(
+        `[${source.type}]`
+      )} ${describeSource(source)}${builtIn}${token}`
+    );
+  });
+};
+
+/**
+ * Add a source to the project manifest
+ * @param {string[]} args - Name and location of the source
+ * @param {Object} options - Command options
+ */
+const addSourceCommand = (args, options) => {
+  const [name, location] = args;
+  if (!name || !location) {
+    console.log(chalk.red("Error: A source name and location are required"));
+    console.log(
+      "Usage: rulez source add <name> <github:owner/repo | git remote | url | path>"
+    );
+    return process.exit(1);
+  }
+
+  const extra = {};
+  if (options.branch) extra.branch = options.branch;
+  if (options.path) extra.path = options.path;
+
+  const source = parseSourceLocation(name, location, extra);
+  const isRepository = source.type === "github" || source.type === "git";
+  if (!isRepository && Object.keys(extra).length > 0) {
+    console.log(
+      chalk.red(
+        "Error: --branch and --path only apply to GitHub and git sources"
+      )
+    );
+    return process.exit(1);
+  }
+  if (options.tokenEnv) {
+    if (!TOKEN_SOURCE_TYPES.includes(source.type)) {
+      console.log(
+        chalk.red(
+          "Error: --token-env only applies to GitHub and http sources; git sources use your git credentials"
+        )
+      );
+      return process.exit(1);
+    }
+    source.tokenEnv = options.tokenEnv;
+  }
+
+  const added = addSource(source, { basePath: process.cwd() });
+  console.log(
+    chalk.green(
+      `Added ${added.type} source '${added.name}': ${describeSource(added)}`
+    )
+  );
+  console.log(
+    chalk.gray(
+      `Rules are looked up in your sources first, then in '${DEFAULT_SOURCE.name}'`
+    )
+  );
+};
+
+/**
+ * Remove a source from the project manifest
+ * @param {string[]} args - Name of the source
+ */
+const removeSourceCommand = (args) => {
+  const [name] = args;
+  if (!name) {
+    console.log(chalk.red("Error: A source name is required"));
+    console.log("Usage: rulez source remove <name>");
+    return process.exit(1);
+  }
+
+  if (!removeSource(name, { basePath: process.cwd() })) {
+    const hint =
+      name === DEFAULT_SOURCE.name
+        ? " (the built-in source can't be removed)"
+        : "";
+    console.log(
+      chalk.red(`Error: No rule source named '${name}' found${hint}`)
+    );
+    return process.exit(1);
+  }
+
+  console.log(chalk.green(`Removed rule source '${name}'`));
+};
+
+/**
+ * Execute the source command
+ * @param {string} action - One of list, add or remove
+ * @param {string[]} args - Arguments for the action
+ * @param {Object} options - Command options
+ */
+const execute = (action, args = [], options = {}) => {
+  try {
+    if (action === "list") {
+      return listSources();
+    }
+    if (action === "add") {
+      return addSourceCommand(args, options);
+    }
+    if (action === "remove") {
+      return removeSourceCommand(args);
+    }
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(1);
+  }
+
+  console.log(chalk.red(`Error: Unknown action '${action}'`));
+  console.log("Usage: rulez source <list | add | remove> [args...]");
+  return process.exit(1);
+};
+
+module.exports = {
+  command: "source <action> [args...]",
+  description: "List, add or remove the sources rules are fetched from",
+  options: [
+    {
+      flags: "--branch <branch>",
+      description:
+        "Branch or tag to fetch from (GitHub sources default to main, git sources to the remote's default branch)",
+    },
+    {
+      flags: "--path <path>",
+      description:
+        "Directory of the rules in the repository (GitHub and git sources, defaults to .cursor/rules)",
+    },
+    {
+      flags: "--token-env <var>",
+      description:
+        "Environment variable holding a token for a private repository, named RULEZ_<NAME>_TOKEN (GitHub and http sources)",
+    },
+  ],
+  execute,
+};
@@ -0,0 +1,324 @@
+/**
+ * rulez update - Refresh installed rules from their recorded source
+ */
+
+const chalk = require("chalk");
+const fs = require("fs");
+const {
+  getRuleFilePath,
+  saveRuleToFile,
+  hasLocalChanges,
+  hashContent,
+  checkCursorRulesDirectoryExists,
+} = require("../utils/file-utils");
+const {
+  readLockfile,
+  createLockEntry,
+  recordRule,
+  recordPendingMerge,
+  completePendingMerge,
+  readBaseContent,
+} = require("../utils/lockfile");
+const { fetchUpstreamRule } = require("../utils/upstream");
+const { mergeThreeWay, hasConflictMarkers } = require("../utils/merge");
+
+/**
+ * Merge upstream changes into a rule that was edited since it was installed
+ * @param {string} ruleName - Name of the installed rule
+ * @param {Object} entry - Lock entry for the rule
+ * @param {Object} result - Upstream version from fetchUpstreamRule
+ * @param {string} currentContent - Content of the edited rule file
+ * @param {Object} options - Command options
+ * @param {boolean} options.pendingBase - Merge against the upstream version of
+ *   the rule's pending merge instead of the version it was installed with
+ * @returns {Object} Result with a status of merged, conflicted or skipped
+ */
+const mergeRule = (ruleName, entry, result, currentContent, options) => {
+  const fileOptions = { local: options.local, basePath: process.cwd() };
+  const baseContent = readBaseContent(ruleName, {
+    ...fileOptions,
+    pending: options.pendingBase,
+  });
+  if (baseContent === null) {
+    return {
+      status: "skipped",
+      message:
+        "has local changes but the version it was installed with wasn't kept, so it can't be merged; use --keep-both to merge by hand",
+    };
+  }
+
+  const merge = mergeThreeWay(baseContent, currentContent, result.content, {
+    theirsLabel: `upstream (${result.source})`,
+  });
+  const status = merge.conflicts > 0 ? "conflicted" : "merged";
+  const { path: filePath } = getRuleFilePath(ruleName, fileOptions);
+  if (options.dryRun) {
+    return { status, path: filePath, conflicts: merge.conflicts, dryRun: true };
+  }
+
+  const saveResult = saveRuleToFile(ruleName, merge.content, {
+    ...fileOptions,
+    force: true,
+  });
+  if (!saveResult.success) {
+    return { status: "failed", message: saveResult.message };
+  }
+
+  // The upstream version becomes the base for the next merge, and the file
+  // keeps counting as edited since it holds the local changes. While conflicts
+  // remain it is only kept aside, so the rule isn't reported as up to date
+  const lockEntry = createLockEntry(entry.source, result, result.content);
+  const record = merge.conflicts > 0 ? recordPendingMerge : recordRule;
+  record(ruleName, lockEntry, { ...fileOptions, content: result.content });
+
+  return { status, path: filePath, conflicts: merge.conflicts };
+};
+
+/**
+ * Refresh a single rule from its recorded source
+ * @param {string} ruleName - Name of the installed rule
+ * @param {Object} lockEntry - Lock entry for the rule
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} Result with a status of updated, merged, conflicted,
+ *   unchanged, skipped or failed
+ */
+const updateRule = async (ruleName, lockEntry, options) => {
+  const fileOptions = { local: options.local, basePath: process.cwd() };
+  const { path: filePath, exists } = getRuleFilePath(ruleName, fileOptions);
+  const currentContent = exists ? fs.readFileSync(filePath, "utf8") : null;
+
+  // A name that is neither recorded nor on disk is most likely a typo
+  if (!lockEntry && currentContent === null) {
+    return {
+      status: "failed",
+      message: `not installed; run 'rulez add ${ruleName}' to add it`,
+    };
+  }
+
+  // A rule stays conflicted until the markers a merge left in it are removed
+  if (
+    currentContent !== null &&
+    !options.discardChanges &&
+    hasConflictMarkers(currentContent)
+  ) {
+    return { status: "conflicted", path: filePath, unresolved: true };
+  }
+
+  // Once they are, the upstream version that was merged becomes the base
+  let entry = lockEntry;
+  let pendingBase = false;
+  if (entry && entry.pending && currentContent !== null) {
+    if (options.dryRun) {
+      entry = entry.pending;
+      pendingBase = true;
+    } else {
+      entry = completePendingMerge(ruleName, fileOptions) || entry;
+    }
+  }
+
+  const result = await fetchUpstreamRule(entry);
+  if (!result.success) {
+    return {
+      status: result.skipped ? "skipped" : "failed",
+      message: result.error,
+    };
+  }
+
+  // Rules edited locally are up to date as long as upstream hasn't moved on
+  if (
+    currentContent === result.content ||
+    (currentContent !== null && hashContent(result.content) === entry.hash)
+  ) {
+    return { status: "unchanged", path: filePath };
+  }
+
+  // Edits made since the rule was installed are kept unless explicitly discarded
+  const edited =
+    !options.discardChanges && hasLocalChanges(filePath, entry.hash);
+  if (edited && options.merge) {
+    return mergeRule(ruleName, entry, result, currentContent, {
+      ...options,
+      pendingBase,
+    });
+  }
+  if (edited && !options.keepBoth) {
+    return {
+      status: "skipped",
+      message:
+        "has local changes; use --merge to merge upstream changes into them, --discard-changes to overwrite them or --keep-both to save the new version next to it",
+    };
+  }
+
+  if (options.dryRun) {
+    return edited
+      ? {
+          status: "skipped",
+          message: "has local changes; would save the new version next to it",
+        }
+      : { status: "updated", path: filePath, dryRun: true };
+  }
+
+  const saveResult = saveRuleToFile(ruleName, result.content, {
+    ...fileOptions,
+    force: true,
+    installedHash: entry.hash,
+    discardChanges: options.discardChanges,
+    keepBoth: options.keepBoth,
+  });
+  if (saveResult.keptBoth) {
+    return {
+      status: "skipped",
+      message: `has local changes; new version saved to ${saveResult.copyPath}`,
+    };
+  }
+  if (!saveResult.success) {
+    return { status: "failed", message: saveResult.message };
+  }
+
+  recordRule(ruleName, createLockEntry(entry.source, result, result.content), {
+    ...fileOptions,
+    content: result.content,
+  });
+
+  return { status: "updated", path: filePath };
+};
+
+/**
+ * Execute the update command
+ * @param {string[]} ruleNames - Names of the rules to update (all recorded rules if empty)
+ * @param {Object} options - Command options
+ */
+const execute = async (ruleNames = [], options = {}) => {
+  // Check if the Cursor rules directory structure exists
+  if (!checkCursorRulesDirectoryExists(process.cwd())) {
+    console.log(chalk.red("Error: Cursor rules directory structure not found"));
+    console.log(
+      chalk.yellow(
+        "Run 'rulez init' to create the necessary directory structure first"
+      )
+    );
+    return process.exit(1);
+  }
+
+  let lock;
+  try {
+    lock = readLockfile({ local: options.local, basePath: process.cwd() });
+  } catch (error) {
+    console.log(chalk.red(`Error: ${error.message}`));
+    return process.exit(1);
+  }
+
+  const targetType = options.local ? "local" : "project";
+  const names =
+    ruleNames.length > 0 ? ruleNames : Object.keys(lock.rules).sort();
+
+  if (names.length === 0) {
+    console.log(chalk.yellow(`No installed ${targetType} rules to update.`));
+    return;
+  }
+
+  console.log(
+    chalk.blue(
+      `Checking ${names.length} ${targetType} rule(s) for updates...` +
+        (options.dryRun ? " (dry run)" : "")
+    )
+  );
+
+  const counts = {
+    updated: 0,
+    merged: 0,
+    conflicted: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+  };
+  const conflicted = [];
+
+  for (const ruleName of names) {
+    let result;
+    try {
+      result = await updateRule(ruleName, lock.rules[ruleName], options);
+    } catch (error) {
+      result = { status: "failed", message: error.message };
+    }
+
+    counts[result.status]++;
+
+    if (result.status === "updated") {
+      const verb = result.dryRun ? "Would update" : "Updated";
+      console.log(chalk.green(`${verb}: ${ruleName} (${result.path})`));
+    } else if (result.status === "merged") {
+      const verb = result.dryRun ? "Would merge" : "Merged";
+      console.log(chalk.green(`${verb}: ${ruleName} (${result.path})`));
+    } else if (result.status === "conflicted") {
+      const verb = result.dryRun ? "Would conflict" : "Conflict";
+      if (!result.dryRun) conflicted.push({ ruleName, path: result.path });
+      const details = result.unresolved
+        ? `unresolved conflict markers in ${result.path}`
+        : `${result.conflicts} conflict(s) in ${result.path}`;
+      console.log(chalk.red(`${verb}: ${ruleName} - ${details}`));
+    } else if (result.status === "unchanged") {
+      console.log(chalk.gray(`Up to date: ${ruleName}`));
+    } else if (result.status === "skipped") {
+      console.log(chalk.yellow(`Skipped: ${ruleName} - ${result.message}`));
+    } else {
+      console.log(chalk.red(`Failed: ${ruleName} - ${result.message}`));
+    }
+  }
+
+  const updatedLabel = options.dryRun ? "would update" : "updated";
+  const mergedLabel =
+    options.merge || counts.conflicted > 0
+      ? `${counts.merged} merged, ${counts.conflicted} with conflicts, `
+      : "";
+  console.log(
+    chalk.blue(
+      `\n${counts.updated} ${updatedLabel}, ${mergedLabel}` +
+        `${counts.unchanged} up to date, ${counts.skipped} skipped, ${counts.failed} failed`
+    )
+  );
+
+  if (conflicted.length > 0) {
+    console.log(
+      chalk.yellow("\nResolve the conflict markers in these rules by hand:")
+    );
+    conflicted.forEach(({ ruleName, path: filePath }) => {
+      console.log(chalk.yellow(`- ${ruleName}: ${filePath}`));
+    });
+  }
+
+  if (counts.failed > 0 || conflicted.length > 0) {
+    process.exit(1);
+  }
+};
+
+module.exports = {
+  command: "update [rule-names...]",
+  description: "Refresh installed rules from their recorded source",
+  options: [
+    {
+      flags: "--dry-run",
+      description: "Show which rules would change without writing files",
+    },
+    {
+      flags: "--local",
+      description: "Update local override rules instead of project rules",
+    },
+    {
+      flags: "--merge",
+      description:
+        "Merge upstream changes into rules edited since they were added, marking conflicts",
+    },
+    {
+      flags: "--discard-changes",
+      description:
+        "Overwrite rules even if they were edited since they were added",
+    },
+    {
+      flags: "--keep-both",
+      description:
+        "Save the new version of an edited rule next to it as <rule>.mdc.upstream",
+    },
+  ],
+  execute,
+};
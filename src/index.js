@@ -11,6 +11,18 @@ const pkg = require("../package.json");
 // Import commands
 const initCommand = require("./commands/init");
 const addCommand = require("./commands/add");
+const listCommand = require("./commands/list");
+const searchCommand = require("./commands/search");
+const showCommand = require("./commands/show");
+const diffCommand = require("./commands/diff");
+const outdatedCommand = require("./commands/outdated");
+const updateCommand = require("./commands/update");
+const installCommand = require("./commands/install");
+const removeCommand = require("./commands/remove");
+const lintCommand = require("./commands/lint");
+const migrateCommand = require("./commands/migrate");
+const sourceCommand = require("./commands/source");
+const cacheCommand = require("./commands/cache");
 
 // Set up CLI program
 const program = new Command();
@@ -40,6 +52,18 @@ const registerCommand = (commandModule) => {
 // Register all commands
 registerCommand(initCommand);
 registerCommand(addCommand);
+registerCommand(listCommand);
+registerCommand(searchCommand);
+registerCommand(showCommand);
+registerCommand(diffCommand);
+registerCommand(outdatedCommand);
+registerCommand(updateCommand);
+registerCommand(installCommand);
+registerCommand(removeCommand);
+registerCommand(lintCommand);
+registerCommand(migrateCommand);
+registerCommand(sourceCommand);
+registerCommand(cacheCommand);
 
 // Add error handling
 program.configureOutput({
@@ -54,11 +78,30 @@ Examples:
   $ rulez init              Initialize a project with Cursor rules
   $ rulez add nextjs        Add the Next.js rule from Cursor Directory
   $ rulez add react --local Add the React rule to local overrides
+  $ rulez add react vue     Add several rules at once
+  $ rulez add -i            Search and pick rules from a list
+  $ rulez list --json       List available rules as JSON
+  $ rulez search react hooks  Find rules by name, tags, description or content
+  $ rulez show react        Print a rule with its frontmatter, source and size
+  $ rulez diff --stat       Summarize how installed rules differ from upstream
+  $ rulez outdated          List installed rules with newer upstream versions
+  $ rulez update --dry-run  Show which installed rules have upstream changes
+  $ rulez install           Install every rule declared in .cursor/rulez.json
+  $ rulez remove react -y   Remove the React rule without confirmation
+  $ rulez lint --json       Validate rule files and report problems as JSON
+  $ rulez migrate           Convert "# File patterns:" comments to frontmatter
+  $ rulez source add acme github:acme/rules  Fetch rules from acme/rules first
+  $ GITHUB_TOKEN=... rulez add github:acme/private/rules/api.mdc  Add a rule from a private repository
+  $ rulez add react --offline  Add the React rule from the local cache
+  $ rulez cache verify      Check the cached rules and remove damaged ones
 `
 );
 
-// Parse command line arguments
-program.parse(process.argv);
+// Parse command line arguments; command actions are async, so wait for them
+program.parseAsync(process.argv).catch((error) => {
+  console.log(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
 
 // Display help if no arguments provided
 if (process.argv.length <= 2) {
@@ -0,0 +1,201 @@
+/**
+ * Credentials for fetching rules from private repositories
+ *
+ * Tokens come from GITHUB_TOKEN (or GH_TOKEN) and GITLAB_TOKEN, or from the
+ * environment variable a rule source names in its "tokenEnv" field, which
+ * must be of the form RULEZ_<NAME>_TOKEN so a manifest can't pick any other
+ * secret in the environment. Tokens themselves never go in .cursor/rulez.json,
+ * which is committed. A token is only sent to the hosts it belongs to, and a
+ * source's token only with requests for that source's rules.
+ */
+const { fetchText } = require("./http");
+const { CURSOR_DIRECTORY_REPO, isValidTokenEnv } = require("./sources");
+
+/**
+ * Error code of failures that a token would fix
+ */
+const AUTH_REQUIRED = "ERR_AUTH_REQUIRED";
+
+/**
+ * Hosts that GitHub and GitLab tokens from the environment are sent to
+ */
+const GITHUB_HOSTS = [
+  "github.com",
+  "api.github.com",
+  "raw.githubusercontent.com",
+];
+const GITLAB_HOSTS = ["gitlab.com"];
+
+/**
+ * Check whether a URL points at a GitLab server
+ * @param {URL} url - Parsed URL
+ * @returns {boolean} True for gitlab.com and for GitLab raw file and API paths
+ */
+function isGitLabUrl(url) {
+  return (
+    GITLAB_HOSTS.includes(url.hostname) ||
+    url.pathname.includes("/-/raw/") ||
+    url.pathname.startsWith("/api/v4/")
+  );
+}
+
+/**
+ * Check whether a URL belongs to a rule source
+ * @param {URL} url - Parsed URL
+ * @param {Object} source - Source declaration (see sources.js)
+ * @returns {boolean} True if the URL is one the source fetches rules or commits from
+ */
+function belongsToSource(url, source) {
+  if (source.type === "github") {
+    const repoPath = `/${source.repo.toLowerCase()}/`;
+    const pathname = url.pathname.toLowerCase();
+    return (
+      (url.hostname === "raw.githubusercontent.com" &&
+        pathname.startsWith(repoPath)) ||
+      (url.hostname === "api.github.com" &&
+        pathname.startsWith(`/repos${repoPath}`))
+    );
+  }
+  if (source.type === "http") {
+    const base = new URL(source.url);
+    return (
+      url.origin === base.origin &&
+      url.pathname.startsWith(base.pathname.replace(/\/*$/, "/"))
+    );
+  }
+  return false;
+}
+
+/**
+ * Find the token to send with a request
+ * @param {string} url - URL being requested
+ * @param {Object} options - Options for the lookup
+ * @param {Object} options.source - Rule source the request is made for
+ * @param {Object} options.env - Environment variables (defaults to process.env)
+ * @returns {Object|null} The token and the environment variable it came from,
+ *   or null if no token applies
+ */
+function getCredential(url, options = {}) {
+  const env = options.env || process.env;
+  const parsed = new URL(url);
+  // Tokens are never sent in the clear
+  if (parsed.protocol !== "https:") {
+    return null;
+  }
+
+  const { source } = options;
+  if (source && source.tokenEnv && belongsToSource(parsed, source)) {
+    return isValidTokenEnv(source.tokenEnv) && env[source.tokenEnv]
+      ? { token: env[source.tokenEnv], envName: source.tokenEnv }
+      : null;
+  }
+
+  if (GITHUB_HOSTS.includes(parsed.hostname)) {
+    const envName = ["GITHUB_TOKEN", "GH_TOKEN"].find((name) => env[name]);
+    return envName ? { token: env[envName], envName } : null;
+  }
+  if (GITLAB_HOSTS.includes(parsed.hostname) && env.GITLAB_TOKEN) {
+    return { token: env.GITLAB_TOKEN, envName: "GITLAB_TOKEN" };
+  }
+  return null;
+}
+
+/**
+ * Build the headers that send a token
+ * GitLab accepts its tokens as bearer tokens too. Unlike a PRIVATE-TOKEN
+ * header, Authorization is dropped when a redirect leads to another origin,
+ * so the token doesn't follow it
+ * @param {Object|null} credential - Credential from getCredential
+ * @returns {Object} Request headers, empty without a credential
+ */
+function getAuthHeaders(credential) {
+  if (!credential) return {};
+  return { Authorization: `Bearer ${credential.token}` };
+}
+
+/**
+ * Get the API URL that tells whether the repository behind a URL is visible
+ * @param {URL} url - URL of a file in a GitHub or GitLab repository
+ * @returns {string|null} The repository's API URL, or null for other URLs
+ *   and for the public community repository
+ */
+function getRepositoryApiUrl(url) {
+  if (url.hostname === "raw.githubusercontent.com") {
+    const repo = url.pathname.split("/").slice(1, 3).join("/");
+    return repo.toLowerCase() === CURSOR_DIRECTORY_REPO.toLowerCase()
+      ? null
+      : `https://api.github.com/repos/${repo}`;
+  }
+
+  const gitlab = url.pathname.match(/^\/(.+?)\/-\/raw\//);
+  return gitlab
+    ? `${url.origin}/api/v4/projects/${encodeURIComponent(gitlab[1])}`
+    : null;
+}
+
+/**
+ * Suggest where to put a token for a host
+ * @param {URL} url - URL that needs a token
+ * @returns {string} Hint naming the environment variables to set
+ */
+function describeTokenOptions(url) {
+  const envName = isGitLabUrl(url) ? "GITLAB_TOKEN" : "GITHUB_TOKEN";
+  const hostVariable =
+    GITHUB_HOSTS.includes(url.hostname) || GITLAB_HOSTS.includes(url.hostname)
+      ? `Set ${envName}, or name`
+      : "Name";
+  return `${hostVariable} an environment variable holding a token with 'rulez source add <name> <location> --token-env <VAR>'`;
+}
+
+/**
+ * Work out whether a failed request failed for lack of a valid token
+ * GitHub and GitLab answer 404 for private repositories, so a 404 without a
+ * token is checked against the repository's API to tell the two apart
+ * @param {string} url - URL that was requested
+ * @param {Error} error - Error the request failed with, with the HTTP status if there was one
+ * @param {Object|null} credential - Credential that was sent, if any
+ * @param {Object} options - Options for the probe
+ * @param {boolean} options.noCache - Don't keep the probe's response in the cache
+ * @returns {Promise<Error|null>} An error with the AUTH_REQUIRED code, or null
+ *   if the failure has nothing to do with authentication
+ */
+async function explainAuthFailure(url, error, credential, options = {}) {
+  const parsed = new URL(url);
+  const host = parsed.host;
+  let message = null;
+
+  if (credential && (error.status === 401 || error.status === 403)) {
+    message = `The token in ${credential.envName} was rejected by ${host} (HTTP ${error.status}); check that it is valid and can read the repository`;
+  } else if (!credential && (error.status === 401 || error.status === 403)) {
+    message = `Authentication required for ${host} (HTTP ${
+      error.status
+    }). ${describeTokenOptions(parsed)}`;
+  } else if (!credential && error.status === 404) {
+    const apiUrl = getRepositoryApiUrl(parsed);
+    let hidden = false;
+    if (apiUrl) {
+      try {
+        await fetchText(apiUrl, { retries: 0, noCache: options.noCache });
+      } catch (probeError) {
+        hidden = probeError.status === 404;
+      }
+    }
+    if (hidden) {
+      message = `Authentication required: ${host} doesn't show the repository without a token, so it is private or doesn't exist. ${describeTokenOptions(
+        parsed
+      )}`;
+    }
+  }
+
+  if (!message) return null;
+  const authError = new Error(message);
+  authError.code = AUTH_REQUIRED;
+  return authError;
+}
+
+module.exports = {
+  getCredential,
+  getAuthHeaders,
+  explainAuthFailure,
+  AUTH_REQUIRED,
+};
@@ -0,0 +1,394 @@
+/**
+ * Extraction of rules from cursor.directory pages
+ *
+ * cursor.directory is a Next.js site, so a rule page carries the rule it
+ * renders as data: in the __NEXT_DATA__ script of the pages router, or in the
+ * React Server Components payload that the app router streams through
+ * `self.__next_f.push(...)` scripts. That data is read first, as it holds the
+ * rule exactly as it was published, with its title, tags and author. Only if
+ * it is missing is the rendered page searched for the rule's code block.
+ *
+ * Every result says how confident the extraction is:
+ *
+ *   high   - the rule was found in the page data under the page's slug
+ *   medium - a single rule was found in the page data, or the site's rule
+ *            code block was found in the markup
+ *   low    - the page's only code block was taken as the rule
+ *
+ * and a failure says why nothing was extracted rather than guessing from
+ * unrelated page text.
+ */
+const { parse } = require("node-html-parser");
+
+/**
+ * Prefix of the scripts that carry the app router's payload
+ */
+const FLIGHT_SCRIPT_PREFIX = "self.__next_f.push(";
+
+/**
+ * Selector of the element cursor.directory renders a rule's content in
+ */
+const RULE_BLOCK_SELECTOR = "code.text-sm.block";
+
+/**
+ * Get the slug of a cursor.directory page
+ * @param {string} url - URL of the page
+ * @returns {string} The last path segment, or an empty string if there is none
+ */
+function getPageSlug(url) {
+  try {
+    const parts = new URL(url).pathname.split("/").filter((part) => part);
+    return parts.length > 0 ? decodeURIComponent(parts[parts.length - 1]) : "";
+  } catch (error) {
+    return "";
+  }
+}
+
+/**
+ * Take a number of UTF-8 bytes from a string
+ * @param {string} text - Text to read from
+ * @param {number} start - Index to start at
+ * @param {number} byteLength - Number of bytes to take
+ * @returns {string} The characters making up those bytes
+ */
+function sliceUtf8(text, start, byteLength) {
+  return Buffer.from(text.slice(start), "utf8")
+    .subarray(0, byteLength)
+    .toString("utf8");
+}
+
+/**
+ * Read the app router's payload out of a page
+ * @param {Object} root - Parsed page
+ * @returns {string} The concatenated payload, empty if the page has none
+ */
+function readFlightPayload(root) {
+  return root
+    .querySelectorAll("script")
+    .map((script) => script.rawText.trim())
+    .filter((text) => text.startsWith(FLIGHT_SCRIPT_PREFIX))
+    .map((text) => {
+      try {
+        const [type, chunk] = JSON.parse(
+          text.slice(FLIGHT_SCRIPT_PREFIX.length).replace(/\)\s*;?$/, "")
+        );
+        // Type 1 chunks hold the payload; the others bootstrap the client
+        return type === 1 && typeof chunk === "string" ? chunk : "";
+      } catch (error) {
+        return "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * Split an app router payload into its rows
+ * Rows are "<id>:<json>" lines, except text rows, "<id>:T<hex byte length>,<text>",
+ * which may span lines
+ * @param {string} payload - Payload read by readFlightPayload
+ * @returns {Map<string, *>} Row values by id, with text rows as strings
+ */
+function parseFlightRows(payload) {
+  const rows = new Map();
+  let index = 0;
+
+  while (index < payload.length) {
+    const colon = payload.indexOf(":", index);
+    const newline = payload.indexOf("\n", index);
+    if (colon === -1) break;
+
+    const id = payload.slice(index, colon);
+    if (!/^[0-9a-f]+$/i.test(id)) {
+      // Not the start of a row; skip to the next line
+      if (newline === -1) break;
+      index = newline + 1;
+      continue;
+    }
+
+    const textRow = payload.slice(colon + 1).match(/^T([0-9a-f]+),/i);
+    if (textRow) {
+      const start = colon + 1 + textRow[0].length;
+      const text = sliceUtf8(payload, start, parseInt(textRow[1], 16));
+      rows.set(id, text);
+      index = start + text.length;
+      continue;
+    }
+
+    const end = payload.indexOf("\n", colon);
+    const line = payload.slice(colon + 1, end === -1 ? payload.length : end);
+    try {
+      rows.set(id, JSON.parse(line));
+    } catch (error) {
+      // Module references and hints aren't JSON and never hold rules
+    }
+    index = end === -1 ? payload.length : end + 1;
+  }
+
+  return rows;
+}
+
+/**
+ * Replace references to other rows ("$<id>") with the rows' values
+ * @param {*} value - Value from the payload
+ * @param {Map<string, *>} rows - Rows of the payload
+ * @param {Map<string, *>} resolved - Rows resolved so far; rows being resolved
+ *   map to their raw value so cycles end
+ * @returns {*} The value with its references resolved
+ */
+function resolveReferences(value, rows, resolved = new Map()) {
+  if (typeof value === "string") {
+    if (value.startsWith("$$")) return value.slice(1);
+    const reference = value.match(/^\$([0-9a-f]+)$/i);
+    if (!reference || !rows.has(reference[1])) return value;
+
+    const id = reference[1];
+    if (!resolved.has(id)) {
+      resolved.set(id, rows.get(id));
+      resolved.set(id, resolveReferences(rows.get(id), rows, resolved));
+    }
+    return resolved.get(id);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, rows, resolved));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        resolveReferences(item, rows, resolved),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Find the objects in page data that look like published rules
+ * @param {*} data - Page data
+ * @returns {Object[]} Objects with a title and non-empty content
+ */
+function findRuleObjects(data) {
+  const found = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+      return;
+    }
+    if (!value || typeof value !== "object") return;
+
+    if (
+      typeof value.title === "string" &&
+      typeof value.content === "string" &&
+      value.content.trim()
+    ) {
+      found.push(value);
+    }
+    Object.values(value).forEach(visit);
+  };
+  visit(data);
+
+  // The same rule is often passed to several components
+  return found.filter(
+    (rule, index) =>
+      found.findIndex(
+        (other) => other.title === rule.title && other.content === rule.content
+      ) === index
+  );
+}
+
+/**
+ * Normalize the author of a rule
+ * @param {*} author - Author as given in page data or markup
+ * @returns {Object|undefined} The author's name and URL, if known
+ */
+function normalizeAuthor(author) {
+  if (typeof author === "string" && author.trim()) {
+    return { name: author.trim() };
+  }
+  if (author && typeof author.name === "string" && author.name.trim()) {
+    const normalized = { name: author.name.trim() };
+    if (typeof author.url === "string" && author.url) {
+      normalized.url = author.url;
+    }
+    return normalized;
+  }
+  return undefined;
+}
+
+/**
+ * Read the metadata a page declares in its head
+ * @param {Object} root - Parsed page
+ * @returns {Object} Title, description, tags and author, where present
+ */
+function readPageMetadata(root) {
+  const meta = (selector) => {
+    const element = root.querySelector(selector);
+    const content = element && element.getAttribute("content");
+    return content ? content.trim() : undefined;
+  };
+  const heading = root.querySelector("h1");
+  const title = root.querySelector("title");
+
+  const keywords = meta('meta[name="keywords"]');
+  return {
+    title:
+      meta('meta[property="og:title"]') ||
+      (heading && heading.text.trim()) ||
+      (title && title.text.trim()) ||
+      undefined,
+    description:
+      meta('meta[name="description"]') ||
+      meta('meta[property="og:description"]'),
+    tags: keywords
+      ? keywords
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter((tag) => tag)
+      : [],
+    author: normalizeAuthor(meta('meta[name="author"]')),
+  };
+}
+
+/**
+ * Build a successful extraction from a rule found in page data
+ * @param {Object} rule - Rule object from the page data
+ * @param {Object} page - Metadata read from the page's head
+ * @param {string} confidence - How sure the extraction is
+ * @param {string} method - Where the rule was found
+ * @returns {Object} The extraction result
+ */
+function fromRuleObject(rule, page, confidence, method) {
+  const tags = Array.isArray(rule.tags)
+    ? rule.tags.filter((tag) => typeof tag === "string")
+    : page.tags;
+  return {
+    success: true,
+    content: rule.content.trim(),
+    title: rule.title.trim() || page.title,
+    description:
+      typeof rule.description === "string" && rule.description.trim()
+        ? rule.description.trim()
+        : page.description,
+    tags,
+    author: normalizeAuthor(rule.author) || page.author,
+    confidence,
+    method,
+  };
+}
+
+/**
+ * Pick the page's rule out of the rules found in its data
+ * @param {Object[]} rules - Rule objects from findRuleObjects
+ * @param {string} slug - Slug of the page
+ * @returns {Object|null} The rule and the confidence in it, or null if none can be chosen
+ */
+function pickRule(rules, slug) {
+  const matching = rules.filter((rule) => rule.slug === slug);
+  if (matching.length === 1) {
+    return { rule: matching[0], confidence: "high" };
+  }
+  if (rules.length === 1) {
+    return { rule: rules[0], confidence: "medium" };
+  }
+  return null;
+}
+
+/**
+ * Extract a rule from the HTML of a cursor.directory page
+ * @param {string} html - HTML of the page
+ * @param {string} url - URL of the page, whose slug identifies the rule
+ * @returns {Object} On success, the content, title, description, tags and author
+ *   of the rule with the confidence of the extraction and the method that
+ *   found it; on failure, the reason nothing was extracted
+ */
+function extractCursorDirectoryRule(html, url) {
+  const root = parse(html, {
+    blockTextElements: { script: true, noscript: true, style: true },
+  });
+  const slug = getPageSlug(url);
+  const page = readPageMetadata(root);
+  let ambiguous = 0;
+
+  const nextData = root.querySelector("script#__NEXT_DATA__");
+  if (nextData) {
+    try {
+      const rules = findRuleObjects(JSON.parse(nextData.rawText));
+      const picked = pickRule(rules, slug);
+      if (picked) {
+        return fromRuleObject(
+          picked.rule,
+          page,
+          picked.confidence,
+          "next-data"
+        );
+      }
+      ambiguous = Math.max(ambiguous, rules.length);
+    } catch (error) {
+      // Fall through to the other representations of the page
+    }
+  }
+
+  const payload = readFlightPayload(root);
+  if (payload) {
+    const rows = parseFlightRows(payload);
+    const resolved = new Map();
+    const rules = findRuleObjects(
+      [...rows.values()].map((row) => resolveReferences(row, rows, resolved))
+    );
+    const picked = pickRule(rules, slug);
+    if (picked) {
+      return fromRuleObject(
+        picked.rule,
+        page,
+        picked.confidence,
+        "flight-data"
+      );
+    }
+    ambiguous = Math.max(ambiguous, rules.length);
+  }
+
+  const blocks = root
+    .querySelectorAll(RULE_BLOCK_SELECTOR)
+    .map((block) => block.text.trim())
+    .filter((text) => text);
+  if (blocks.length === 1) {
+    return {
+      success: true,
+      content: blocks[0],
+      ...page,
+      confidence: "medium",
+      method: "rule-block",
+    };
+  }
+
+  const codeBlocks = root
+    .querySelectorAll("pre")
+    .map((block) => block.text.trim())
+    .filter((text) => text);
+  if (blocks.length === 0 && codeBlocks.length === 1) {
+    return {
+      success: true,
+      content: codeBlocks[0],
+      ...page,
+      confidence: "low",
+      method: "code-block",
+    };
+  }
+
+  let reason = `No rule content found on ${url}; the page has no rule data or code block`;
+  if (ambiguous > 1) {
+    reason = `Found ${ambiguous} rules in the data of ${url} and none with the slug '${slug}'`;
+  } else if (blocks.length > 1 || codeBlocks.length > 1) {
+    reason = `Found ${Math.max(
+      blocks.length,
+      codeBlocks.length
+    )} code blocks on ${url} and couldn't tell which one is the rule`;
+  }
+  return { success: false, reason };
+}
+
+module.exports = {
+  extractCursorDirectoryRule,
+  parseFlightRows,
+  getPageSlug,
+};
@@ -0,0 +1,211 @@
+/**
+ * Line diffs between two versions of a rule
+ *
+ * Lines are compared with Myers' algorithm, which finds the shortest list of
+ * insertions and deletions that turns one text into the other. The result can
+ * be rendered as a unified diff, the format of `diff -u` and `git diff`.
+ */
+
+/**
+ * Lines of unchanged context shown around each change
+ */
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * Marker printed after a line that has no trailing newline
+ */
+const NO_NEWLINE_MARKER = "\\ No newline at end of file";
+
+/**
+ * Split text into lines, each keeping its line ending
+ * Keeping the endings makes a missing final newline count as a change
+ * @param {string} text - Text to split
+ * @returns {string[]} The lines
+ */
+function splitLines(text) {
+  return text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+}
+
+/**
+ * Find the shortest edit script between two lists of lines
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Object[]} Operations in order, each with a type of "equal",
+ *   "delete" or "insert", the line, and where it sits in the old and new lists
+ */
+function diffSequences(a, b) {
+  const max = a.length + b.length;
+  const offset = max + 1;
+  const v = new Array(2 * max + 3).fill(0);
+  const trace = [];
+
+  // Walk diagonals until one reaches the end of both lists
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Follow the trace back from the end to recover the operations
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      ops.push({ type: "equal", line: a[x], oldIndex: x, newIndex: y });
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        y--;
+        ops.push({ type: "insert", line: b[y], oldIndex: x, newIndex: y });
+      } else {
+        x--;
+        ops.push({ type: "delete", line: a[x], oldIndex: x, newIndex: y });
+      }
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Object[]} Operations (see diffSequences)
+ */
+function diffLines(oldText, newText) {
+  return diffSequences(splitLines(oldText), splitLines(newText));
+}
+
+/**
+ * Format the range of a hunk header
+ * @param {number} start - 0-based index of the first line
+ * @param {number} count - Number of lines
+ * @returns {string} Range such as "3,7", "3" or "2,0"
+ */
+function formatRange(start, count) {
+  if (count === 0) return `${start},0`;
+  return count === 1 ? `${start + 1}` : `${start + 1},${count}`;
+}
+
+/**
+ * Group operations into hunks of changes with surrounding context
+ * @param {Object[]} ops - Operations from diffLines
+ * @param {number} context - Lines of context around each change
+ * @returns {Object[][]} The operations of each hunk
+ */
+function groupHunks(ops, context) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  ops.forEach((op, index) => {
+    if (op.type === "equal") return;
+    const start = Math.max(0, index - context);
+    if (current && start <= lastChange + context + 1) {
+      current.end = index;
+    } else {
+      current = { start, end: index };
+      hunks.push(current);
+    }
+    lastChange = index;
+  });
+
+  return hunks.map(({ start, end }) =>
+    ops.slice(start, Math.min(ops.length, end + context + 1))
+  );
+}
+
+/**
+ * Render the unified diff of two texts
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @param {Object} options - Options for the diff
+ * @param {string} options.oldLabel - Name shown for the old text
+ * @param {string} options.newLabel - Name shown for the new text
+ * @param {number} options.context - Lines of context (defaults to 3)
+ * @returns {string[]} Lines of the diff, empty if the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const context =
+    options.context === undefined ? DEFAULT_CONTEXT : options.context;
+  const ops = diffLines(oldText, newText);
+  if (ops.every((op) => op.type === "equal")) {
+    return [];
+  }
+
+  const lines = [
+    `--- ${options.oldLabel || "a"}`,
+    `+++ ${options.newLabel || "b"}`,
+  ];
+
+  for (const hunk of groupHunks(ops, context)) {
+    const { oldIndex: oldStart, newIndex: newStart } = hunk[0];
+    const oldCount = hunk.filter((op) => op.type !== "insert").length;
+    const newCount = hunk.filter((op) => op.type !== "delete").length;
+
+    lines.push(
+      `@@ -${formatRange(oldStart, oldCount)} +${formatRange(
+        newStart,
+        newCount
+      )} @@`
+    );
+    for (const op of hunk) {
+      const prefix = { equal: " ", delete: "-", insert: "+" }[op.type];
+      lines.push(prefix + op.line.replace(/\n$/, ""));
+      if (!op.line.endsWith("\n")) {
+        lines.push(NO_NEWLINE_MARKER);
+      }
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Count the lines added and removed between two texts
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Object} Numbers of inserted and deleted lines
+ */
+function diffStat(oldText, newText) {
+  const ops = diffLines(oldText, newText);
+  return {
+    insertions: ops.filter((op) => op.type === "insert").length,
+    deletions: ops.filter((op) => op.type === "delete").length,
+  };
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+  diffStat,
+  splitLines,
+  NO_NEWLINE_MARKER,
+};
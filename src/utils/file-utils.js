@@ -1,9 +1,23 @@
 /**
  * File utility functions for Cursing Rulez
  */
+const crypto = require("crypto");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 const chalk = require("chalk");
+const { findLegacyFilePatterns } = require("./mdc");
+
+/**
+ * Name of the directory used for user-level cached data
+ */
+const CACHE_DIR_NAME = "cursing-rulez";
+
+/**
+ * Suffix of the file the new version of an edited rule is saved to with keepBoth
+ * Cursor only loads .mdc files, so the copy doesn't become a rule of its own
+ */
+const UPSTREAM_COPY_SUFFIX = ".upstream";
 
 /**
  * Check if a directory exists
@@ -261,7 +275,11 @@ function createCursorDirectoryStructure(force = false, basePath) {
  * Default rule file templates
  */
 const DEFAULT_RULE_TEMPLATES = {
-  "default.mdc": `# Cursor Default Rule
+  "default.mdc": `---
+description: General guidelines for working in this project
+alwaysApply: true
+---
+# Cursor Default Rule
 
 You are an expert AI coding assistant for this project. Follow these general guidelines:
 
@@ -272,11 +290,14 @@ You are an expert AI coding assistant for this project. Follow these general gui
 5. Respect the existing code style and patterns in the project.
 6. Consider performance implications of your suggestions.
 7. When giving multiple options, explain the trade-offs.
-
-# File patterns: **/*.*
 `,
 
-  "code-style.mdc": `# Code Style Guidelines
+  "code-style.mdc": `---
+description: Code style guidelines for JavaScript and TypeScript files
+globs: **/*.js, **/*.ts, **/*.jsx, **/*.tsx
+alwaysApply: false
+---
+# Code Style Guidelines
 
 When working with code in this project, follow these style guidelines:
 
@@ -287,11 +308,14 @@ When working with code in this project, follow these style guidelines:
 5. Follow DRY (Don't Repeat Yourself) principles.
 6. Write unit tests for new functionality when applicable.
 7. Document public APIs and important functions.
-
-# File patterns: **/*.js, **/*.ts, **/*.jsx, **/*.tsx
 `,
 
-  "readme-template.mdc": `# Documentation Template Rule
+  "readme-template.mdc": `---
+description: Guidance for writing and updating documentation
+globs: **/*.md
+alwaysApply: false
+---
+# Documentation Template Rule
 
 This rule provides guidance for creating and updating documentation files:
 
@@ -306,8 +330,6 @@ This rule provides guidance for creating and updating documentation files:
 2. Documentation should be clear, concise, and helpful for both new and experienced users.
 3. Use proper Markdown formatting for headings, code blocks, lists, etc.
 4. Include screenshots or diagrams when they help explain concepts.
-
-# File patterns: **/*.md
 `,
 };
 
@@ -315,13 +337,15 @@ This rule provides guidance for creating and updating documentation files:
  * Create default rule files in the Cursor rules directory
  * @param {boolean} force - Whether to force creation even if files exist
  * @param {string} basePath - Optional base path for the cursor directory
- * @returns {Object} Result with success flag and messages
+ * @returns {Object} Result with success flag, messages, created files and
+ *   existing files that still use legacy "# File patterns:" comments
  */
 function createDefaultRuleFiles(force = false, basePath) {
   const results = {
     success: true,
     messages: [],
     created: [],
+    legacy: [],
   };
 
   // Define the rule files to create
@@ -349,6 +373,10 @@ function createDefaultRuleFiles(force = false, basePath) {
 
     if (result.created) {
       results.created.push(filePath);
+    } else if (
+      findLegacyFilePatterns(fs.readFileSync(filePath, "utf8")).length > 0
+    ) {
+      results.legacy.push(filePath);
     }
   }
 
@@ -369,6 +397,17 @@ function updateGitignoreForCursor(force = false) {
   return updateGitignore(GITIGNORE_PATTERNS, force);
 }
 
+/**
+ * Normalize a rule name by removing the .mdc extension
+ * @param {string} ruleName - Rule name, with or without the extension
+ * @returns {string} Rule name without the extension
+ */
+function normalizeRuleName(ruleName) {
+  return ruleName.endsWith(".mdc")
+    ? ruleName.slice(0, -".mdc".length)
+    : ruleName;
+}
+
 /**
  * Get the path for a rule file
  * @param {string} ruleName - Name of the rule
@@ -398,15 +437,74 @@ function getRuleFilePath(ruleName, options = {}) {
   };
 }
 
+/**
+ * Check if a rule file was edited since it was installed
+ * Symlinked rules are edited at their target, so they never count as edited
+ * @param {string} filePath - Path of the rule file
+ * @param {string} installedHash - Hash of the content the rule was installed with
+ * @returns {boolean} True if the file exists and no longer matches the hash
+ */
+function hasLocalChanges(filePath, installedHash) {
+  if (!installedHash || !fileExists(filePath) || isSymlink(filePath)) {
+    return false;
+  }
+  return hashContent(fs.readFileSync(filePath, "utf8")) !== installedHash;
+}
+
+/**
+ * Keep local edits to a rule file from being overwritten
+ * @param {string} filePath - Path of the existing rule file
+ * @param {string} content - Content that would replace it
+ * @param {Object} options - Save options (installedHash, discardChanges, keepBoth)
+ * @returns {Object|null} The result to report instead of overwriting,
+ *   or null if the file may be replaced
+ */
+function protectLocalChanges(filePath, content, options) {
+  if (
+    options.discardChanges ||
+    !hasLocalChanges(filePath, options.installedHash) ||
+    fs.readFileSync(filePath, "utf8") === content
+  ) {
+    return null;
+  }
+
+  if (options.keepBoth) {
+    const copyPath = `${filePath}${UPSTREAM_COPY_SUFFIX}`;
+    const result = writeFile(copyPath, content, true);
+    if (!result.success) {
+      return { success: false, message: result.message };
+    }
+    return {
+      success: true,
+      keptBoth: true,
+      message: `Kept local changes in ${filePath}; saved the new version to ${copyPath}`,
+      path: filePath,
+      copyPath,
+    };
+  }
+
+  return {
+    success: false,
+    modified: true,
+    message: `Rule file has local changes: ${filePath}. Use --discard-changes to overwrite them or --keep-both to save the new version next to it.`,
+  };
+}
+
 /**
  * Save a rule to a file
+ * A file edited since it was installed is only replaced when its changes are
+ * discarded; with keepBoth the new content is saved next to it instead
  * @param {string} ruleName - Name of the rule
  * @param {string} content - Content of the rule
  * @param {Object} options - Options for saving (force, local, basePath)
  * @param {boolean} options.force - Whether to overwrite existing files
  * @param {boolean} options.local - Whether to save to the local rules directory
  * @param {string} options.basePath - Optional base path for the cursor directory
- * @returns {Object} Result with success flag and messages
+ * @param {string} options.installedHash - Hash of the content the existing file was installed with
+ * @param {boolean} options.discardChanges - Whether to overwrite a file with local changes
+ * @param {boolean} options.keepBoth - Whether to save the new content next to a file with local changes
+ * @returns {Object} Result with success flag and messages; modified is set when
+ *   local changes blocked the save, keptBoth when the content went to copyPath
  */
 function saveRuleToFile(ruleName, content, options = {}) {
   // Get the target file path
@@ -434,6 +532,17 @@ function saveRuleToFile(ruleName, content, options = {}) {
     };
   }
 
+  const protectedResult =
+    exists && protectLocalChanges(filePath, content, options);
+  if (protectedResult) {
+    return protectedResult;
+  }
+
+  // Replace a symlinked rule rather than writing through the link into its target
+  if (exists && isSymlink(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+
   // Write the file
   const result = writeFile(filePath, content, options.force);
   return {
@@ -444,6 +553,80 @@ function saveRuleToFile(ruleName, content, options = {}) {
   };
 }
 
+/**
+ * Check if a path is a symbolic link
+ * @param {string} filePath - Path to check
+ * @returns {boolean} True if the path is a symlink, false otherwise
+ */
+function isSymlink(filePath) {
+  try {
+    return fs.lstatSync(filePath).isSymbolicLink();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Link a rule to a file elsewhere on disk instead of copying it
+ * The link is relative so it keeps working when the repository is moved
+ * @param {string} ruleName - Name of the rule
+ * @param {string} targetPath - Absolute path of the rule file to link to
+ * @param {Object} options - Options for linking (force, local, basePath)
+ * @param {boolean} options.force - Whether to replace an existing rule file
+ * @param {boolean} options.local - Whether to link into the local rules directory
+ * @param {string} options.basePath - Optional base path for the cursor directory
+ * @param {string} options.installedHash - Hash of the content the existing file was installed with
+ * @param {boolean} options.discardChanges - Whether to replace a file with local changes
+ * @param {boolean} options.keepBoth - Whether to save the linked content next to a file with local changes
+ * @returns {Object} Result with success flag and messages (see saveRuleToFile)
+ */
+function linkRuleFile(ruleName, targetPath, options = {}) {
+  const { path: filePath, baseDir } = getRuleFilePath(ruleName, options);
+  const exists = fileExists(filePath) || isSymlink(filePath);
+
+  const dirResult = createDirectory(baseDir);
+  if (!dirResult.success) {
+    return {
+      success: false,
+      message: dirResult.message,
+    };
+  }
+
+  if (exists && !options.force) {
+    return {
+      success: false,
+      message: `Rule file already exists: ${filePath}. Use --force to overwrite.`,
+      exists: true,
+    };
+  }
+
+  const protectedResult =
+    exists &&
+    protectLocalChanges(filePath, fs.readFileSync(targetPath, "utf8"), options);
+  if (protectedResult) {
+    return protectedResult;
+  }
+
+  try {
+    if (exists) {
+      fs.unlinkSync(filePath);
+    }
+    fs.symlinkSync(path.relative(baseDir, targetPath), filePath);
+    return {
+      success: true,
+      message: `Linked file: ${filePath} -> ${targetPath}`,
+      created: true,
+      path: filePath,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      message: `Failed to link file: ${filePath}. Error: ${error.message}`,
+      error,
+    };
+  }
+}
+
 /**
  * Check if the Cursor rules directory structure exists
  * @param {string} basePath - Optional base path for the cursor directory
@@ -457,6 +640,82 @@ function checkCursorRulesDirectoryExists(basePath) {
   return directoryExists(cursorsDir) && directoryExists(rulesDir);
 }
 
+/**
+ * Get the directories rules are installed to, by scope
+ * @param {string} basePath - Optional base path for the cursor directory
+ * @returns {Object[]} Scope and directory for project and local rules
+ */
+function getRuleDirectories(basePath) {
+  const cursorDir = path.join(basePath || process.cwd(), ".cursor");
+  return [
+    { scope: "project", dir: path.join(cursorDir, "rules") },
+    { scope: "local", dir: path.join(cursorDir, "local") },
+  ];
+}
+
+/**
+ * Find all .mdc files below a directory
+ * @param {string} dirPath - Directory to search
+ * @returns {string[]} Absolute paths of rule files, sorted
+ */
+function findRuleFiles(dirPath) {
+  if (!directoryExists(dirPath)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...findRuleFiles(entryPath));
+    } else if (entry.name.endsWith(".mdc")) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Compute the content hash used to identify a rule's exact content
+ * @param {string} content - Content to hash
+ * @returns {string} Hash in the form "sha256-<hex>"
+ */
+function hashContent(content) {
+  return `sha256-${crypto.createHash("sha256").update(content).digest("hex")}`;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size such as "812 B" or "3.4 KB"
+ */
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Get the user-level cache directory for rulez
+ * Honors RULEZ_CACHE_DIR, then the platform's conventional cache location
+ * @returns {string} Absolute path of the cache directory (may not exist yet)
+ */
+function getCacheDir() {
+  if (process.env.RULEZ_CACHE_DIR) {
+    return path.resolve(process.env.RULEZ_CACHE_DIR);
+  }
+
+  if (process.platform === "win32" && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, CACHE_DIR_NAME, "Cache");
+  }
+
+  if (process.platform === "darwin") {
+    return path.join(os.homedir(), "Library", "Caches", CACHE_DIR_NAME);
+  }
+
+  const baseDir =
+    process.env.XDG_CACHE_HOME || path.join(os.homedir(), ".cache");
+  return path.join(baseDir, CACHE_DIR_NAME);
+}
+
 module.exports = {
   directoryExists,
   fileExists,
@@ -467,9 +726,19 @@ module.exports = {
   updateGitignoreForCursor,
   createCursorDirectoryStructure,
   createDefaultRuleFiles,
+  normalizeRuleName,
   getRuleFilePath,
   saveRuleToFile,
+  hasLocalChanges,
+  isSymlink,
+  linkRuleFile,
   DEFAULT_RULE_TEMPLATES,
   GITIGNORE_PATTERNS,
+  UPSTREAM_COPY_SUFFIX,
   checkCursorRulesDirectoryExists,
+  getRuleDirectories,
+  findRuleFiles,
+  getCacheDir,
+  hashContent,
+  formatSize,
 };
@@ -0,0 +1,340 @@
+/**
+ * Git utility for fetching rules from arbitrary git remotes
+ *
+ * Each remote gets a bare repository in the user cache directory. Commits are
+ * fetched shallow and without file contents, so only the rule files that are
+ * actually read are downloaded. A commit that is already cached is never
+ * fetched again.
+ */
+const { execFileSync } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { getCacheDir } = require("./file-utils");
+const { isValidGitRef, isValidGitRemote } = require("./specifier");
+
+// Constants for the checkout cache
+const GIT_CACHE_DIR_NAME = "git";
+const COMMIT_SHA = /^[0-9a-f]{40}$/i;
+
+/**
+ * Where cache repositories keep the commit each fetched branch or tag was at,
+ * so the ref can be read again offline
+ */
+const CACHED_REFS = "refs/rulez/";
+
+/**
+ * Time a git command may take before it is stopped
+ */
+const GIT_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Run a git command and return its output
+ * @param {string[]} args - Arguments to pass to git
+ * @param {string} cwd - Directory to run git in
+ * @returns {string} - The command's standard output
+ * @throws {Error} If git is missing or the command fails
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      // Never wait for credentials on a terminal nobody is watching
+      env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+      timeout: GIT_TIMEOUT_MS,
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error("git is required to fetch rules from git remotes");
+    }
+    if (error.code === "ETIMEDOUT") {
+      throw new Error(
+        `git ${args[0]} timed out after ${GIT_TIMEOUT_MS / 1000} seconds`
+      );
+    }
+    const stderr = (error.stderr || "").toString().trim();
+    throw new Error(`git ${args[0]} failed: ${stderr || error.message}`);
+  }
+}
+
+/**
+ * Check if a remote is a path on this machine rather than a URL
+ * @param {string} remote - Remote URL or path
+ * @returns {boolean} - True for local paths
+ */
+function isLocalRemote(remote) {
+  // scp-like remotes (git@host:repo.git) and URLs name another machine
+  return !/^[\w+.-]+:\/\//.test(remote) && !/^[^/\\]+@[^/\\]+:/.test(remote);
+}
+
+/**
+ * Make a local remote path absolute so the cache is shared between projects
+ * @param {string} remote - Remote URL or path
+ * @param {string} basePath - Directory relative paths are resolved against (defaults to process.cwd())
+ * @returns {string} - The remote with any local path resolved
+ */
+function normalizeRemote(remote, basePath) {
+  return isLocalRemote(remote)
+    ? path.resolve(basePath || process.cwd(), remote)
+    : remote;
+}
+
+/**
+ * Get the path of the cache repository for a remote
+ * @param {string} remote - Normalized remote URL or path
+ * @param {string} cacheDir - Directory to keep the repository in (defaults to the user cache)
+ * @returns {string} - Absolute path of the bare cache repository (may not exist yet)
+ */
+function getGitCheckoutPath(remote, cacheDir) {
+  const key = crypto
+    .createHash("sha256")
+    .update(remote)
+    .digest("hex")
+    .slice(0, 16);
+  return path.join(
+    cacheDir || path.join(getCacheDir(), GIT_CACHE_DIR_NAME),
+    key
+  );
+}
+
+/**
+ * Get the cache repository for a remote, creating it if needed
+ * @param {string} remote - Normalized remote URL or path
+ * @param {string} cacheDir - Directory to keep the repository in (defaults to the user cache)
+ * @returns {string} - Absolute path of the bare cache repository
+ */
+function getGitCheckout(remote, cacheDir) {
+  const repoPath = getGitCheckoutPath(remote, cacheDir);
+
+  if (!fs.existsSync(path.join(repoPath, "HEAD"))) {
+    fs.mkdirSync(repoPath, { recursive: true });
+    runGit(["init", "--quiet", "--bare"], repoPath);
+    runGit(["remote", "add", "--end-of-options", "origin", remote], repoPath);
+  }
+
+  return repoPath;
+}
+
+/**
+ * Check if a commit is already in a cache repository
+ * @param {string} repoPath - Cache repository
+ * @param {string} commit - Commit SHA
+ * @returns {boolean} - True if the commit is cached
+ */
+function hasCommit(repoPath, commit) {
+  try {
+    runGit(["cat-file", "-e", `${commit}^{commit}`], repoPath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Ask a remote which commit a branch, tag or HEAD points at
+ * @param {string} repoPath - Cache repository whose origin is the remote
+ * @param {string} ref - Branch, tag or HEAD
+ * @returns {string|undefined} - The commit SHA, or undefined if the remote doesn't advertise the ref
+ */
+function lsRemote(repoPath, ref) {
+  const refs = {};
+  runGit(
+    ["ls-remote", "--end-of-options", "origin", ref, `${ref}^{}`],
+    repoPath
+  )
+    .split("\n")
+    .filter((line) => line)
+    .forEach((line) => {
+      const [sha, name] = line.split("\t");
+      refs[name] = sha;
+    });
+
+  // Annotated tags are peeled to the commit they point at
+  return (
+    refs[`refs/tags/${ref}^{}`] ||
+    refs[`refs/heads/${ref}`] ||
+    refs[`refs/tags/${ref}`] ||
+    refs[ref]
+  );
+}
+
+/**
+ * Resolve a ref to a commit that is already cached, without contacting the remote
+ * @param {string} remote - Remote URL or path, as given
+ * @param {string} ref - Branch, tag or commit
+ * @param {Object} options - Options for the lookup (basePath, cacheDir)
+ * @returns {Object} - The cache repository path and the commit SHA
+ * @throws {Error} If the ref wasn't fetched before
+ */
+function findCachedCommit(remote, ref, options = {}) {
+  const repoPath = getGitCheckoutPath(
+    normalizeRemote(remote, options.basePath),
+    options.cacheDir
+  );
+  const candidates = [`${CACHED_REFS}${ref}`];
+  if (/^[0-9a-f]{4,40}$/i.test(ref)) {
+    candidates.push(ref);
+  }
+
+  if (fs.existsSync(path.join(repoPath, "HEAD"))) {
+    for (const candidate of candidates) {
+      try {
+        const commit = runGit(
+          ["rev-parse", "--verify", "--quiet", `${candidate}^{commit}`],
+          repoPath
+        ).trim();
+        return { repoPath, commit };
+      } catch (error) {
+        // Not cached under this name
+      }
+    }
+  }
+  throw new Error(
+    `${remote}@${ref} isn't in the local git cache. Fetch it once without --offline to cache it`
+  );
+}
+
+/**
+ * Resolve a ref to a commit and make sure the commit is cached
+ * @param {string} remote - Remote URL or path
+ * @param {string} ref - Branch, tag or commit (defaults to HEAD)
+ * @param {Object} options - Options for the fetch
+ * @param {string} options.basePath - Directory local remotes are relative to
+ * @param {string} options.cacheDir - Directory to keep cache repositories in
+ *   instead of the user cache, e.g. a temporary directory
+ * @param {boolean} options.offline - Only use commits that are already cached
+ * @returns {Object} - The cache repository path and the commit SHA
+ * @throws {Error} If the remote or ref is invalid or can't be fetched
+ */
+function fetchGitCommit(remote, ref, options = {}) {
+  // Refs and remotes come from manifests that may not be trustworthy, and
+  // anything starting with "-" would reach git as an option
+  if (!isValidGitRemote(remote)) {
+    throw new Error(`Invalid git remote: '${remote}'`);
+  }
+  const target = ref || "HEAD";
+  if (!isValidGitRef(target)) {
+    throw new Error(`Invalid git ref: '${target}'`);
+  }
+  if (options.offline) {
+    return findCachedCommit(remote, target, options);
+  }
+  const repoPath = getGitCheckout(
+    normalizeRemote(remote, options.basePath),
+    options.cacheDir
+  );
+
+  let commit = COMMIT_SHA.test(target) ? target.toLowerCase() : undefined;
+  if (!commit) {
+    commit = lsRemote(repoPath, target);
+  }
+  if (!commit || !hasCommit(repoPath, commit)) {
+    // Abbreviated SHAs aren't advertised, so they are fetched as given
+    runGit(
+      [
+        "fetch",
+        "--quiet",
+        "--depth",
+        "1",
+        "--filter=blob:none",
+        "--end-of-options",
+        "origin",
+        commit || target,
+      ],
+      repoPath
+    );
+    commit = runGit(["rev-parse", "FETCH_HEAD^{commit}"], repoPath).trim();
+  }
+
+  if (!COMMIT_SHA.test(target)) {
+    runGit(["update-ref", `${CACHED_REFS}${target}`, commit], repoPath);
+  }
+  return { repoPath, commit };
+}
+
+/**
+ * Get the type of a path in a commit
+ * @param {string} repoPath - Cache repository
+ * @param {string} commit - Commit SHA
+ * @param {string} filePath - Path in the repository
+ * @returns {string|null} - "blob", "tree", or null if the path doesn't exist
+ */
+function getObjectType(repoPath, commit, filePath) {
+  try {
+    return runGit(["cat-file", "-t", `${commit}:${filePath}`], repoPath).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the rule files at a path in a git remote
+ * A file is returned on its own and a directory yields every .mdc file below it;
+ * the ".mdc" extension may be left off a file path
+ * @param {string} remote - Remote URL or path
+ * @param {string} ref - Branch, tag or commit (defaults to HEAD)
+ * @param {string} rulePath - File or directory in the repository ("" for the root)
+ * @param {Object} options - Options for the fetch (see fetchGitCommit)
+ * @returns {Object} - The commit, whether the path is a directory, and the file paths
+ * @throws {Error} If the path doesn't exist or holds no rules
+ */
+function listGitRuleFiles(remote, ref, rulePath, options = {}) {
+  const { repoPath, commit } = fetchGitCommit(remote, ref, options);
+  let filePath = rulePath.replace(/^\/+|\/+$/g, "");
+
+  let type = filePath ? getObjectType(repoPath, commit, filePath) : "tree";
+  if (!type && !filePath.endsWith(".mdc")) {
+    filePath += ".mdc";
+    type = getObjectType(repoPath, commit, filePath);
+  }
+  if (!type) {
+    throw new Error(
+      `Rule file not found: ${rulePath} in ${remote}@${ref || "HEAD"}`
+    );
+  }
+
+  if (type === "blob") {
+    return { commit, isDirectory: false, files: [filePath] };
+  }
+
+  const args = ["ls-tree", "-r", "--name-only", commit];
+  const files = runGit(filePath ? [...args, "--", filePath] : args, repoPath)
+    .split("\n")
+    .filter((file) => file.endsWith(".mdc"))
+    .sort();
+  if (files.length === 0) {
+    throw new Error(`No .mdc rule files found in ${rulePath || "/"}`);
+  }
+  return { commit, isDirectory: true, files };
+}
+
+/**
+ * Read a file from a git remote
+ * @param {string} remote - Remote URL or path
+ * @param {string} ref - Branch, tag or commit (defaults to HEAD)
+ * @param {string} filePath - Path of the file in the repository
+ * @param {Object} options - Options for the fetch (see fetchGitCommit)
+ * @returns {Object} - The file content and the commit it was read at
+ * @throws {Error} If the file can't be read
+ */
+function readGitFile(remote, ref, filePath, options = {}) {
+  const { repoPath, commit } = fetchGitCommit(remote, ref, options);
+  if (getObjectType(repoPath, commit, filePath) !== "blob") {
+    throw new Error(
+      `Rule file not found: ${filePath} in ${remote}@${ref || "HEAD"}`
+    );
+  }
+  return {
+    content: runGit(["show", `${commit}:${filePath}`], repoPath),
+    commit,
+  };
+}
+
+module.exports = {
+  fetchGitCommit,
+  listGitRuleFiles,
+  readGitFile,
+  normalizeRemote,
+};
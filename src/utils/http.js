@@ -0,0 +1,358 @@
+/**
+ * HTTP client shared by everything that fetches rules
+ *
+ * Requests time out, transient failures are retried with exponential backoff,
+ * and responses with an ETag or Last-Modified header are kept in the rule
+ * cache so later requests can be answered with 304 Not Modified. Proxies are
+ * read from HTTPS_PROXY, HTTP_PROXY and NO_PROXY, and extra CA certificates
+ * from the file named by RULEZ_CA_FILE, as corporate networks often require.
+ */
+const fs = require("fs");
+const tls = require("tls");
+const pkg = require("../../package.json");
+const { cacheResponse, getCachedResponse } = require("./rule-cache");
+
+/**
+ * User-Agent sent with every request
+ */
+const USER_AGENT = `cursing-rulez/${pkg.version} (+https://github.com/jonathanphilippou/cursing-rulez)`;
+
+/**
+ * How long a single attempt may take before it is abandoned
+ */
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * How many times a transient failure is retried, and the delay before the first retry
+ */
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * Longest Retry-After that is waited out; longer ones fail straight away
+ */
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+
+/**
+ * Statuses worth retrying: timeouts, throttling and server-side failures
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Dispatchers for proxies and CA bundles, created once per configuration
+ */
+const dispatchers = new Map();
+
+/**
+ * Read an environment variable in either case, as curl and npm do
+ * @param {Object} env - Environment variables
+ * @param {string} name - Upper-case name of the variable
+ * @returns {string|undefined} The value, if set
+ */
+function readEnv(env, name) {
+  return env[name] || env[name.toLowerCase()] || undefined;
+}
+
+/**
+ * Check whether a host is excluded from proxying by NO_PROXY
+ * @param {URL} url - URL being requested
+ * @param {string} noProxy - Comma-separated hosts, domain suffixes or "*"
+ * @returns {boolean} True if the URL should be fetched directly
+ */
+function isProxyBypassed(url, noProxy) {
+  const host = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === "https:" ? "443" : "80");
+
+  return noProxy
+    .split(/[\s,]+/)
+    .filter((entry) => entry)
+    .some((entry) => {
+      if (entry === "*") return true;
+      const [pattern, entryPort] = entry.toLowerCase().split(":");
+      if (entryPort && entryPort !== port) return false;
+      const domain = pattern.replace(/^\*?\./, "");
+      return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * Get the proxy a URL should be fetched through
+ * @param {string} url - URL being requested
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} URL of the proxy, or null to connect directly
+ */
+function getProxyForUrl(url, env = process.env) {
+  const parsed = new URL(url);
+  const proxy =
+    parsed.protocol === "https:"
+      ? readEnv(env, "HTTPS_PROXY") || readEnv(env, "HTTP_PROXY")
+      : readEnv(env, "HTTP_PROXY");
+  if (!proxy) {
+    return null;
+  }
+
+  const noProxy = readEnv(env, "NO_PROXY");
+  return noProxy && isProxyBypassed(parsed, noProxy) ? null : proxy;
+}
+
+/**
+ * Read the extra CA certificates to trust
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string|null} PEM certificates, or null if RULEZ_CA_FILE isn't set
+ * @throws {Error} If the file can't be read
+ */
+function readCaFile(env = process.env) {
+  const caFile = env.RULEZ_CA_FILE;
+  if (!caFile) {
+    return null;
+  }
+  try {
+    return fs.readFileSync(caFile, "utf8");
+  } catch (error) {
+    throw new Error(
+      `Could not read the CA certificates in RULEZ_CA_FILE (${caFile}): ${error.message}`
+    );
+  }
+}
+
+/**
+ * Get the fetch function and options that route a request through a proxy or
+ * trust extra CAs
+ * Node's built-in fetch bundles its own copy of undici, which can't be relied
+ * on to accept a dispatcher from the undici package, so requests that need one
+ * are sent with that package's fetch
+ * @param {string} url - URL being requested
+ * @returns {Object} The fetch function, and options to pass to it (empty for a
+ *   plain request)
+ */
+function getConnection(url) {
+  const proxy = getProxyForUrl(url);
+  const ca = readCaFile();
+  if (!proxy && !ca) {
+    return { fetch, options: {} };
+  }
+
+  // Bun's fetch takes these directly
+  if (process.versions.bun) {
+    return {
+      fetch,
+      options: { ...(proxy && { proxy }), ...(ca && { tls: { ca } }) },
+    };
+  }
+
+  const undici = require("undici");
+  const key = `${proxy || ""}\n${ca || ""}`;
+  if (!dispatchers.has(key)) {
+    const tlsOptions = ca ? { ca: [...tls.rootCertificates, ca] } : {};
+    dispatchers.set(
+      key,
+      proxy
+        ? new undici.ProxyAgent({
+            uri: proxy,
+            requestTls: tlsOptions,
+            proxyTls: tlsOptions,
+          })
+        : new undici.Agent({ connect: tlsOptions })
+    );
+  }
+  return { fetch: undici.fetch, options: { dispatcher: dispatchers.get(key) } };
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Seconds to wait, or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null if there is no usable value
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Describe a response that says the client is sending too many requests
+ * @param {string} url - URL that was requested
+ * @param {Object} response - Fetch response
+ * @returns {string|null} Error message, or null if the response isn't a rate limit
+ */
+function describeRateLimit(url, response) {
+  const remaining = response.headers.get("x-ratelimit-remaining");
+  if (
+    response.status !== 429 &&
+    !(response.status === 403 && remaining === "0")
+  ) {
+    return null;
+  }
+
+  const host = new URL(url).host;
+  const reset = response.headers.get("x-ratelimit-reset");
+  const waitMs = reset
+    ? Number(reset) * 1000 - Date.now()
+    : parseRetryAfter(response.headers.get("retry-after"));
+  if (waitMs === null || Number.isNaN(waitMs)) {
+    return `Rate limit exceeded for ${host} (HTTP ${response.status}); try again later`;
+  }
+
+  const resetAt = new Date(Date.now() + waitMs).toLocaleTimeString();
+  const minutes = Math.max(1, Math.ceil(waitMs / 60000));
+  return `Rate limit exceeded for ${host} (HTTP ${response.status}); try again after ${resetAt} (in about ${minutes} minute(s))`;
+}
+
+/**
+ * Describe a request that failed before a response arrived
+ * @param {string} url - URL that was requested
+ * @param {Error} error - Error thrown by fetch
+ * @param {number} timeoutMs - Timeout of the attempt
+ * @returns {string} Error message
+ */
+function describeNetworkError(url, error, timeoutMs) {
+  if (error.name === "TimeoutError" || error.name === "AbortError") {
+    return `Request to ${url} timed out after ${timeoutMs / 1000}s`;
+  }
+  const cause = error.cause && (error.cause.code || error.cause.message);
+  return `Could not connect to ${new URL(url).host}: ${cause || error.message}`;
+}
+
+/**
+ * Wait before retrying
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Discard the body of a response that won't be read
+ * Unread bodies keep their connection busy until they are garbage collected
+ * @param {Object} response - The fetch response
+ * @returns {Promise<void>}
+ */
+async function discardBody(response) {
+  if (response.body) {
+    await response.body.cancel();
+  }
+}
+
+/**
+ * Send a GET request, retrying transient failures
+ * @param {string} url - URL to request
+ * @param {Object} headers - Request headers
+ * @param {Object} options - Options for the request (see fetchText)
+ * @returns {Promise<Object>} The fetch response
+ * @throws {Error} If every attempt failed, or the response is a rate limit that can't be waited out
+ */
+async function request(url, headers, options) {
+  const timeoutMs = options.timeout || DEFAULT_TIMEOUT_MS;
+  const retries =
+    options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+  const retryDelay =
+    options.retryDelay === undefined
+      ? DEFAULT_RETRY_DELAY_MS
+      : options.retryDelay;
+  const connection = getConnection(url);
+
+  for (let attempt = 0; ; attempt++) {
+    const backoff = retryDelay * 2 ** attempt * (1 + Math.random() / 2);
+    let response;
+    try {
+      response = await connection.fetch(url, {
+        headers,
+        signal: AbortSignal.timeout(timeoutMs),
+        ...connection.options,
+      });
+    } catch (error) {
+      if (attempt >= retries) {
+        throw new Error(describeNetworkError(url, error, timeoutMs));
+      }
+      await sleep(backoff);
+      continue;
+    }
+
+    if (!RETRYABLE_STATUSES.includes(response.status)) {
+      const rateLimit = describeRateLimit(url, response);
+      if (rateLimit) {
+        await discardBody(response);
+        throw new Error(rateLimit);
+      }
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+    const waitOut = retryAfter === null || retryAfter <= MAX_RETRY_AFTER_MS;
+    if (attempt >= retries || !waitOut) {
+      const rateLimit = describeRateLimit(url, response);
+      if (rateLimit) {
+        await discardBody(response);
+        throw new Error(rateLimit);
+      }
+      return response;
+    }
+    await discardBody(response);
+    await sleep(retryAfter === null ? backoff : retryAfter);
+  }
+}
+
+/**
+ * Fetch the body of a URL as text
+ * A copy of the response kept from an earlier request is revalidated with
+ * If-None-Match and If-Modified-Since and reused if it is still current
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Options for the request
+ * @param {Object} options.headers - Extra request headers
+ * @param {number} options.timeout - Milliseconds each attempt may take (defaults to 30 seconds)
+ * @param {number} options.retries - Retries of transient failures (defaults to 2)
+ * @param {number} options.retryDelay - Milliseconds before the first retry, doubled for each
+ *   retry after it (defaults to 500)
+ * @param {boolean} options.noCache - Don't keep the response in the cache
+ * @returns {Promise<string>} The response body
+ * @throws {Error} If the request fails or the response isn't successful, with
+ *   the HTTP status in its status property for unsuccessful responses
+ */
+async function fetchText(url, options = {}) {
+  let cached = null;
+  try {
+    cached = getCachedResponse(url);
+  } catch (error) {
+    // A damaged cache only costs a full download
+  }
+
+  const headers = { "User-Agent": USER_AGENT, ...options.headers };
+  if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+  if (cached && cached.lastModified) {
+    headers["If-Modified-Since"] = cached.lastModified;
+  }
+
+  const response = await request(url, headers, options);
+  if (response.status === 304 && cached) {
+    return cached.body;
+  }
+  if (!response.ok) {
+    await discardBody(response);
+    const error = new Error(
+      `Failed to fetch content from ${url}: ${response.status} ${response.statusText}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const body = await response.text();
+  const etag = response.headers.get("etag");
+  const lastModified = response.headers.get("last-modified");
+  if ((etag || lastModified) && !options.noCache) {
+    try {
+      cacheResponse(url, body, { etag, lastModified });
+    } catch (error) {
+      // The response is still good if it can't be kept
+    }
+  }
+  return body;
+}
+
+module.exports = {
+  fetchText,
+  getProxyForUrl,
+  readCaFile,
+  USER_AGENT,
+};
@@ -0,0 +1,334 @@
+/**
+ * Lockfile utilities for recording where installed rules came from
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  fileExists,
+  getRuleFilePath,
+  hashContent,
+  normalizeRuleName,
+} = require("./file-utils");
+
+/**
+ * Name of the lockfile written next to the rules it describes
+ */
+const LOCKFILE_NAME = "rulez-lock.json";
+
+/**
+ * Current lockfile format version
+ */
+const LOCKFILE_VERSION = 1;
+
+/**
+ * Directory next to the lockfile holding the upstream content each rule was
+ * installed with, the common ancestor `rulez update --merge` merges against
+ */
+const BASE_DIR_NAME = "rulez-base";
+
+/**
+ * Get the path of the lockfile for project or local rules
+ * Project rules are locked in .cursor/, local overrides in .cursor/local/
+ * so that the local lockfile stays out of version control with them
+ * @param {Object} options - Options for locating the lockfile
+ * @param {string} options.basePath - Optional base path (defaults to process.cwd())
+ * @param {boolean} options.local - Whether to use the local overrides lockfile
+ * @returns {string} Absolute path of the lockfile
+ */
+function getLockfilePath(options = {}) {
+  const basePath = options.basePath || process.cwd();
+  const cursorDir = path.join(basePath, ".cursor");
+  const lockDir = options.local ? path.join(cursorDir, "local") : cursorDir;
+  return path.join(lockDir, LOCKFILE_NAME);
+}
+
+/**
+ * Get the path where the installed upstream content of a rule is kept
+ * The copy doesn't end in .mdc, so it is never mistaken for a rule itself
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {string} Absolute path of the stored copy
+ */
+function getBaseContentPath(ruleName, options = {}) {
+  return path.join(
+    path.dirname(getLockfilePath(options)),
+    BASE_DIR_NAME,
+    `${normalizeRuleName(ruleName)}.mdc.base`
+  );
+}
+
+/**
+ * Get the path where the upstream content of a merge with unresolved
+ * conflicts is kept until the conflicts are resolved
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {string} Absolute path of the stored copy
+ */
+function getPendingContentPath(ruleName, options = {}) {
+  return path.join(
+    path.dirname(getLockfilePath(options)),
+    BASE_DIR_NAME,
+    `${normalizeRuleName(ruleName)}.mdc.pending`
+  );
+}
+
+/**
+ * Read the upstream content a rule was installed with
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @param {boolean} options.pending - Read the upstream content of the rule's
+ *   pending merge instead
+ * @returns {string|null} The content, or null if it wasn't kept or doesn't
+ *   match the hash recorded in the lockfile
+ */
+function readBaseContent(ruleName, options = {}) {
+  const locked = getLockedRule(ruleName, options);
+  const entry = options.pending ? locked && locked.pending : locked;
+  const basePath = options.pending
+    ? getPendingContentPath(ruleName, options)
+    : getBaseContentPath(ruleName, options);
+  if (!entry || !entry.hash || !fileExists(basePath)) {
+    return null;
+  }
+
+  const content = fs.readFileSync(basePath, "utf8");
+  return hashContent(content) === entry.hash ? content : null;
+}
+
+/**
+ * Create an empty lockfile object
+ * @returns {Object} Lockfile with no rules
+ */
+function createEmptyLockfile() {
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    rules: {},
+  };
+}
+
+/**
+ * Read the lockfile, returning an empty one if it doesn't exist
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {Object} The parsed lockfile
+ * @throws {Error} If the lockfile exists but can't be parsed
+ */
+function readLockfile(options = {}) {
+  const lockfilePath = getLockfilePath(options);
+  if (!fs.existsSync(lockfilePath)) {
+    return createEmptyLockfile();
+  }
+
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(lockfilePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Failed to read lockfile: ${lockfilePath}. Error: ${error.message}`
+    );
+  }
+
+  return {
+    ...createEmptyLockfile(),
+    ...lock,
+    rules: lock.rules || {},
+  };
+}
+
+/**
+ * Write the lockfile with rules sorted by name for stable diffs
+ * @param {Object} lock - Lockfile object to write
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {string} Path of the written lockfile
+ */
+function writeLockfile(lock, options = {}) {
+  const lockfilePath = getLockfilePath(options);
+  const sortedRules = {};
+  Object.keys(lock.rules)
+    .sort()
+    .forEach((name) => {
+      sortedRules[name] = lock.rules[name];
+    });
+
+  fs.mkdirSync(path.dirname(lockfilePath), { recursive: true });
+  fs.writeFileSync(
+    lockfilePath,
+    JSON.stringify({ ...lock, rules: sortedRules }, null, 2) + "\n"
+  );
+  return lockfilePath;
+}
+
+/**
+ * Build a lock entry for a freshly fetched rule
+ * @param {string} source - What the rule was requested as (rule name or URL)
+ * @param {Object} fetchResult - Result returned by ruleFetcher.fetchRule
+ * @param {string} content - Content written to disk
+ * @returns {Object} Lock entry with source, the rule source it came from, resolved URL,
+ *   commit, fetch date and hash
+ */
+function createLockEntry(source, fetchResult, content) {
+  const entry = { source };
+  if (fetchResult.from) {
+    entry.from = fetchResult.from;
+  }
+  entry.resolved = fetchResult.source;
+  if (fetchResult.commit) {
+    entry.commit = fetchResult.commit;
+  }
+  entry.fetchedAt = new Date().toISOString();
+  entry.hash = hashContent(content);
+  return entry;
+}
+
+/**
+ * Record an installed rule in the lockfile
+ * @param {string} ruleName - Name of the installed rule
+ * @param {Object} entry - Lock entry (see createLockEntry)
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @param {string} options.content - Upstream content the rule was installed with,
+ *   kept as the base for later merges
+ * @returns {Object} The updated lockfile
+ */
+function recordRule(ruleName, entry, options = {}) {
+  const lock = readLockfile(options);
+  lock.rules[normalizeRuleName(ruleName)] = entry;
+  writeLockfile(lock, options);
+
+  const basePath = getBaseContentPath(ruleName, options);
+  if (options.content !== undefined) {
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+    fs.writeFileSync(basePath, options.content);
+  } else {
+    fs.rmSync(basePath, { force: true });
+  }
+  fs.rmSync(getPendingContentPath(ruleName, options), { force: true });
+  return lock;
+}
+
+/**
+ * Record the upstream version of a merge that left conflicts in a rule
+ * The rule keeps its current lock entry, so it isn't reported as up to date,
+ * until completePendingMerge makes the upstream version its new base
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} entry - Lock entry for the upstream version (see createLockEntry)
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @param {string} options.content - Upstream content that was merged
+ * @returns {Object} The updated lockfile
+ */
+function recordPendingMerge(ruleName, entry, options = {}) {
+  const lock = readLockfile(options);
+  const key = normalizeRuleName(ruleName);
+  lock.rules[key] = { ...lock.rules[key], pending: entry };
+  writeLockfile(lock, options);
+
+  const pendingPath = getPendingContentPath(ruleName, options);
+  fs.mkdirSync(path.dirname(pendingPath), { recursive: true });
+  fs.writeFileSync(pendingPath, options.content);
+  return lock;
+}
+
+/**
+ * Make the upstream version of a rule's pending merge its recorded version,
+ * once the conflicts the merge left are resolved
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {Object|null} The new lock entry, or null if the rule has no
+ *   pending merge whose upstream content was kept
+ */
+function completePendingMerge(ruleName, options = {}) {
+  const entry = getLockedRule(ruleName, options);
+  const content = readBaseContent(ruleName, { ...options, pending: true });
+  if (!entry || !entry.pending || content === null) {
+    return null;
+  }
+
+  recordRule(ruleName, entry.pending, { ...options, content });
+  return entry.pending;
+}
+
+/**
+ * Remove a rule from the lockfile
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {boolean} True if an entry was removed
+ */
+function removeLockedRule(ruleName, options = {}) {
+  const lock = readLockfile(options);
+  const key = normalizeRuleName(ruleName);
+  if (!lock.rules[key]) {
+    return false;
+  }
+
+  delete lock.rules[key];
+  writeLockfile(lock, options);
+  fs.rmSync(getBaseContentPath(key, options), { force: true });
+  fs.rmSync(getPendingContentPath(key, options), { force: true });
+  return true;
+}
+
+/**
+ * Get the lock entry for an installed rule
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {Object|undefined} The lock entry, if the rule is recorded
+ */
+function getLockedRule(ruleName, options = {}) {
+  return readLockfile(options).rules[normalizeRuleName(ruleName)];
+}
+
+/**
+ * Get the hash of the content an installed rule was written with
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the lockfile (basePath, local)
+ * @returns {string|undefined} The hash, if the rule is recorded with one
+ */
+function getInstalledHash(ruleName, options = {}) {
+  const entry = getLockedRule(ruleName, options);
+  return entry && entry.hash;
+}
+
+/**
+ * Compare an installed rule file against its lock entry
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for locating the rule and lockfile (basePath, local)
+ * @returns {Object} Result with a status of unmodified, modified, missing or untracked
+ */
+function getRuleStatus(ruleName, options = {}) {
+  const entry = getLockedRule(ruleName, options);
+  const { path: filePath } = getRuleFilePath(ruleName, options);
+
+  if (!entry) {
+    return { status: "untracked", path: filePath };
+  }
+
+  if (!fileExists(filePath)) {
+    return { status: "missing", path: filePath, entry };
+  }
+
+  const hash = hashContent(fs.readFileSync(filePath, "utf8"));
+  return {
+    status: entry.hash && hash !== entry.hash ? "modified" : "unmodified",
+    path: filePath,
+    entry,
+    hash,
+  };
+}
+
+module.exports = {
+  getLockfilePath,
+  readLockfile,
+  writeLockfile,
+  createLockEntry,
+  recordRule,
+  recordPendingMerge,
+  completePendingMerge,
+  removeLockedRule,
+  getLockedRule,
+  getInstalledHash,
+  getRuleStatus,
+  getBaseContentPath,
+  getPendingContentPath,
+  readBaseContent,
+  LOCKFILE_NAME,
+  BASE_DIR_NAME,
+  LOCKFILE_VERSION,
+};
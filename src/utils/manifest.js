@@ -0,0 +1,163 @@
+/**
+ * Manifest utilities for the rules a project declares in .cursor/rulez.json
+ */
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Name of the manifest file inside the .cursor directory
+ */
+const MANIFEST_NAME = "rulez.json";
+
+/**
+ * Scopes a manifest rule can be installed to
+ */
+const RULE_SCOPES = ["project", "local"];
+
+/**
+ * Get the path of the project manifest
+ * @param {string} basePath - Optional base path (defaults to process.cwd())
+ * @returns {string} Absolute path of the manifest
+ */
+function getManifestPath(basePath) {
+  return path.join(basePath || process.cwd(), ".cursor", MANIFEST_NAME);
+}
+
+/**
+ * Read the project manifest, returning an empty one if it doesn't exist
+ * @param {string} basePath - Optional base path (defaults to process.cwd())
+ * @returns {Object} The parsed manifest
+ * @throws {Error} If the manifest exists but can't be parsed
+ */
+function readManifest(basePath) {
+  const manifestPath = getManifestPath(basePath);
+  if (!fs.existsSync(manifestPath)) {
+    return { rules: {} };
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Failed to read manifest: ${manifestPath}. Error: ${error.message}`
+    );
+  }
+
+  return { ...manifest, rules: manifest.rules || {} };
+}
+
+/**
+ * Write the project manifest
+ * @param {Object} manifest - Manifest object to write
+ * @param {string} basePath - Optional base path (defaults to process.cwd())
+ * @returns {string} Path of the written manifest
+ */
+function writeManifest(manifest, basePath) {
+  const manifestPath = getManifestPath(basePath);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  return manifestPath;
+}
+
+/**
+ * Normalize the rules section of a manifest into a list of entries
+ * Each rule may be declared as a source string or as { source, scope, from, symlink },
+ * where "from" names the rule source to fetch it from and "symlink" links a
+ * local rule file instead of copying it
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Object[]} Entries with name, source, scope, from, symlink and an error if invalid
+ */
+function getManifestRules(manifest) {
+  return Object.entries(manifest.rules).map(([name, declaration]) => {
+    const spec =
+      typeof declaration === "string" ? { source: declaration } : declaration;
+
+    if (!spec || typeof spec !== "object") {
+      return { name, error: "declaration must be a string or an object" };
+    }
+
+    const source = spec.source || name;
+    const scope = spec.scope || "project";
+
+    if (!RULE_SCOPES.includes(scope)) {
+      return {
+        name,
+        source,
+        scope,
+        error: `invalid scope '${scope}' (expected ${RULE_SCOPES.join(
+          " or "
+        )})`,
+      };
+    }
+
+    const rule = { name, source, scope };
+    if (spec.from) rule.from = spec.from;
+    if (spec.symlink) rule.symlink = true;
+    return rule;
+  });
+}
+
+/**
+ * Declare a rule in the project manifest
+ * Rules in project scope without a rule source are written in the short string form
+ * @param {string} ruleName - Name of the rule
+ * @param {string} source - Rule name or URL the rule is fetched from
+ * @param {Object} options - Options for the declaration
+ * @param {string} options.scope - Target scope (defaults to project)
+ * @param {string} options.from - Name of the rule source to fetch the rule from
+ * @param {boolean} options.symlink - Whether the rule is a symlink to a local file
+ * @param {string} options.basePath - Optional base path (defaults to process.cwd())
+ * @returns {Object} The updated manifest
+ */
+function addManifestRule(ruleName, source, options = {}) {
+  const manifest = readManifest(options.basePath);
+  const scope = options.scope || "project";
+
+  const declaration = { source };
+  if (scope !== "project") declaration.scope = scope;
+  if (options.from) declaration.from = options.from;
+  if (options.symlink) declaration.symlink = true;
+
+  manifest.rules[ruleName] =
+    Object.keys(declaration).length === 1 ? source : declaration;
+
+  writeManifest(manifest, options.basePath);
+  return manifest;
+}
+
+/**
+ * Remove a rule declaration from the project manifest
+ * Only a declaration in the matching scope is removed
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for the removal
+ * @param {string} options.scope - Scope of the rule being removed (defaults to project)
+ * @param {string} options.basePath - Optional base path (defaults to process.cwd())
+ * @returns {boolean} True if a declaration was removed
+ */
+function removeManifestRule(ruleName, options = {}) {
+  const manifest = readManifest(options.basePath);
+  const scope = options.scope || "project";
+
+  const declared = getManifestRules(manifest).find(
+    (rule) => rule.name === ruleName && rule.scope === scope
+  );
+  if (!declared) {
+    return false;
+  }
+
+  delete manifest.rules[ruleName];
+  writeManifest(manifest, options.basePath);
+  return true;
+}
+
+module.exports = {
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  getManifestRules,
+  addManifestRule,
+  removeManifestRule,
+  MANIFEST_NAME,
+  RULE_SCOPES,
+};
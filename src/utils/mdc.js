@@ -0,0 +1,597 @@
+/**
+ * MDC utilities for reading and editing Cursor rule files
+ *
+ * An .mdc file is a Markdown body optionally preceded by a frontmatter block:
+ *
+ *   ---
+ *   description: React best practices
+ *   globs: *.tsx, *.jsx
+ *   alwaysApply: false
+ *   ---
+ *   Rule body...
+ *
+ * Cursor's frontmatter is YAML-like but not strict YAML (globs are written
+ * unquoted even though they start with "*"), so it is parsed line by line.
+ * Serializing a parsed document without changes reproduces the input exactly;
+ * only attributes that were changed, added or removed are rewritten.
+ */
+
+const FRONTMATTER_DELIMITER = "---";
+const BOM = "\uFEFF";
+
+/**
+ * Check if a line is a frontmatter delimiter
+ * @param {string} line - Line to check (without line ending)
+ * @returns {boolean} True if the line is "---", ignoring trailing whitespace
+ */
+function isDelimiter(line) {
+  return line.trimEnd() === FRONTMATTER_DELIMITER;
+}
+
+/**
+ * Split a flow sequence body ("a, 'b, c'") into items, respecting quotes
+ * @param {string} text - Text between the brackets
+ * @returns {string[]} The unquoted items
+ */
+function splitFlowSequence(text) {
+  const items = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ",") {
+      items.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim() || items.length > 0) {
+    items.push(current.trim());
+  }
+  return items;
+}
+
+/**
+ * Parse a scalar frontmatter value
+ * @param {string} text - Raw value text after the "key:" prefix
+ * @returns {string|boolean|string[]} The parsed value
+ */
+function parseValue(text) {
+  const value = text.trim();
+
+  if (value === "true" || value === "false") {
+    return value === "true";
+  }
+
+  if (value.startsWith("[") && value.endsWith("]")) {
+    return splitFlowSequence(value.slice(1, -1));
+  }
+
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+
+  if (value.length >= 2 && value.startsWith("'") && value.endsWith("'")) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  return value;
+}
+
+/**
+ * Format a value for writing back into frontmatter
+ * @param {*} value - Value to format
+ * @param {boolean} inSequence - Whether the value is an item of a flow sequence
+ * @returns {string} Text to write after "key: "
+ */
+function formatValue(value, inSequence = false) {
+  if (typeof value === "boolean") {
+    return String(value);
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) => formatValue(String(item), true));
+    return `[${items.join(", ")}]`;
+  }
+
+  const text = value === undefined || value === null ? "" : String(value);
+
+  // Quote only where an unquoted value would be read back differently
+  const needsQuotes =
+    /[\r\n]/.test(text) ||
+    text !== text.trim() ||
+    text === "true" ||
+    text === "false" ||
+    /^["'[]/.test(text) ||
+    (inSequence && /[,\]]/.test(text));
+
+  return needsQuotes ? JSON.stringify(text) : text;
+}
+
+/**
+ * Check if two attribute values are equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are structurally equal
+ */
+function valuesEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Pattern matching the header of a block scalar ("|", ">-", "|2+" ...)
+ */
+const BLOCK_SCALAR = /^([|>])([+-]?)([1-9]?)([+-]?)\s*(#.*)?$/;
+
+/**
+ * Check if a frontmatter line is indented content of the field above it
+ * @param {string} line - Line to check
+ * @returns {boolean} True for indented lines that aren't comments
+ */
+function isContinuation(line) {
+  return /^\s+\S/.test(line) && !/^\s*#/.test(line);
+}
+
+/**
+ * Fold the lines of a ">" block scalar: single line breaks become spaces,
+ * blank lines become line breaks and more-indented lines keep their breaks
+ * @param {string[]} lines - Lines with the block's indentation removed
+ * @returns {string} The folded text
+ */
+function foldLines(lines) {
+  let text = "";
+  lines.forEach((line, i) => {
+    const previous = lines[i - 1];
+    if (i === 0 || line === "" || previous === "") {
+      text += i === 0 ? line : line === "" ? "\n" : line;
+    } else {
+      const moreIndented = /^\s/.test(line) || /^\s/.test(previous);
+      text += (moreIndented ? "\n" : " ") + line;
+    }
+  });
+  return text;
+}
+
+/**
+ * Read a block scalar ("key: |" or "key: >") from frontmatter lines
+ * @param {string[]} lines - Lines between the delimiters
+ * @param {number} start - Index of the first line after the key
+ * @param {string[]} header - Match of BLOCK_SCALAR against the key's value
+ * @returns {Object} The value and the index of the first line after the block
+ */
+function readBlockScalar(lines, start, header) {
+  const [, style, chompBefore, indentIndicator, chompAfter] = header;
+  const chomping = chompBefore || chompAfter;
+
+  // The block ends at the first non-blank line indented less than its content
+  let indent = indentIndicator ? Number(indentIndicator) : 0;
+  let end = start;
+  let lastContent = start;
+  while (end < lines.length) {
+    const line = lines[end];
+    if (line.trim() === "") {
+      end++;
+      continue;
+    }
+    const lineIndent = line.match(/^ */)[0].length;
+    if (!indent) indent = lineIndent;
+    if (indent === 0 || lineIndent < indent) break;
+    end++;
+    lastContent = end;
+  }
+  // Trailing blank lines belong to the value only when it keeps them
+  if (chomping !== "+") end = lastContent;
+
+  const content = lines
+    .slice(start, end)
+    .map((line) => (line.trim() === "" ? "" : line.slice(indent)));
+  let trailing = 0;
+  while (content.length > 0 && content[content.length - 1] === "") {
+    content.pop();
+    trailing++;
+  }
+
+  let value = style === ">" ? foldLines(content) : content.join("\n");
+  if (value && chomping !== "-") {
+    value += "\n" + (chomping === "+" ? "\n".repeat(trailing) : "");
+  }
+  return { value, end };
+}
+
+/**
+ * Parse frontmatter lines into attributes and per-attribute line ranges
+ * Values may continue on indented lines, as block sequences ("- item"),
+ * block scalars ("|" or ">") or plain and quoted values wrapped over lines
+ * @param {string[]} lines - Lines between the delimiters
+ * @returns {Object} The attributes and the fields they were read from
+ */
+function parseFrontmatterLines(lines) {
+  const attributes = {};
+  const fields = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(/^([A-Za-z_][\w-]*)\s*:(.*)$/);
+    if (!match) continue;
+
+    const key = match[1];
+    const inline = match[2].trim();
+    const blockScalar = inline.match(BLOCK_SCALAR);
+    let end = i + 1;
+    let value;
+
+    // A key with no inline value may be followed by a block sequence
+    const listItems = [];
+    if (inline === "") {
+      while (end < lines.length && /^\s+-\s|^-\s/.test(lines[end])) {
+        listItems.push(parseValue(lines[end].replace(/^\s*-\s/, "")));
+        end++;
+      }
+    }
+
+    if (listItems.length > 0) {
+      value = listItems.map(String);
+    } else if (blockScalar) {
+      ({ value, end } = readBlockScalar(lines, end, blockScalar));
+    } else {
+      // Wrapped values continue on indented lines, joined with spaces
+      const parts = [inline];
+      while (end < lines.length && isContinuation(lines[end])) {
+        parts.push(lines[end].trim());
+        end++;
+      }
+      value = parseValue(parts.filter((part) => part).join(" "));
+    }
+
+    attributes[key] = value;
+    fields.push({ key, start: i, end, value });
+    i = end - 1;
+  }
+
+  return { attributes, fields };
+}
+
+/**
+ * Split text into lines, keeping each line's ending and end offset
+ * @param {string} text - Text to split
+ * @returns {Object[]} Lines with text, eol and end (offset after the line ending)
+ */
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+
+  for (;;) {
+    const newlineIndex = text.indexOf("\n", offset);
+    if (newlineIndex === -1) {
+      lines.push({ text: text.slice(offset), eol: "", end: text.length });
+      return lines;
+    }
+
+    const textEnd =
+      newlineIndex > offset && text[newlineIndex - 1] === "\r"
+        ? newlineIndex - 1
+        : newlineIndex;
+    lines.push({
+      text: text.slice(offset, textEnd),
+      eol: text.slice(textEnd, newlineIndex + 1),
+      end: newlineIndex + 1,
+    });
+    offset = newlineIndex + 1;
+  }
+}
+
+/**
+ * Parse an .mdc file into frontmatter attributes and body
+ * @param {string} content - Raw file content
+ * @returns {Object} Document with attributes, body and the original layout
+ */
+function parseMdc(content) {
+  const hasBom = content.startsWith(BOM);
+  const text = hasBom ? content.slice(BOM.length) : content;
+  const lines = splitLines(text);
+  const newline = lines[0].eol || "\n";
+
+  let closingIndex = -1;
+  if (lines.length > 1 && isDelimiter(lines[0].text)) {
+    closingIndex = lines.findIndex(
+      (line, i) => i > 0 && isDelimiter(line.text)
+    );
+  }
+
+  if (closingIndex === -1) {
+    return {
+      attributes: {},
+      body: text,
+      hasFrontmatter: false,
+      layout: { hasBom, newline, lines: [], fields: [], delimiters: null },
+    };
+  }
+
+  const frontmatterLines = lines.slice(1, closingIndex);
+  const { attributes, fields } = parseFrontmatterLines(
+    frontmatterLines.map((line) => line.text)
+  );
+  const closingLine = lines[closingIndex];
+
+  return {
+    attributes,
+    body: text.slice(closingLine.end),
+    hasFrontmatter: true,
+    layout: {
+      hasBom,
+      newline,
+      lines: frontmatterLines.map((line) => line.text),
+      // Each line keeps its own ending, so files mixing CRLF and LF round-trip
+      lineEndings: frontmatterLines.map((line) => line.eol),
+      fields,
+      delimiters: [lines[0].text, closingLine.text],
+      closingNewline: closingLine.eol,
+    },
+  };
+}
+
+/**
+ * Serialize a document back into .mdc content
+ * Unchanged attributes keep their original text, formatting and position
+ * @param {Object} doc - Document returned by parseMdc (attributes and body may be modified)
+ * @returns {string} The .mdc file content
+ */
+function serializeMdc(doc) {
+  const layout = doc.layout || {
+    hasBom: false,
+    newline: "\n",
+    lines: [],
+    fields: [],
+    delimiters: null,
+  };
+  const attributes = doc.attributes || {};
+  const body = doc.body || "";
+  const prefix = layout.hasBom ? BOM : "";
+  const { newline } = layout;
+
+  if (!layout.delimiters && Object.keys(attributes).length === 0) {
+    return prefix + body;
+  }
+
+  // Lines as [text, line ending]; rewritten and new lines end like the opening delimiter
+  const output = [];
+  const keep = (from, to) => {
+    for (let i = from; i < to; i++) {
+      output.push([layout.lines[i], (layout.lineEndings || [])[i] || newline]);
+    }
+  };
+  const written = new Set();
+  let lineIndex = 0;
+
+  for (const field of layout.fields) {
+    // Keep comments and blank lines that precede this field
+    keep(lineIndex, field.start);
+    lineIndex = field.end;
+
+    if (!(field.key in attributes)) {
+      continue;
+    }
+
+    written.add(field.key);
+    if (valuesEqual(attributes[field.key], field.value)) {
+      keep(field.start, field.end);
+    } else {
+      output.push([
+        `${field.key}: ${formatValue(attributes[field.key])}`,
+        newline,
+      ]);
+    }
+  }
+  keep(lineIndex, layout.lines.length);
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (!written.has(key)) {
+      output.push([`${key}: ${formatValue(value)}`, newline]);
+    }
+  }
+
+  const [open, close] = layout.delimiters || [
+    FRONTMATTER_DELIMITER,
+    FRONTMATTER_DELIMITER,
+  ];
+  // A file that ended at the closing delimiter needs a line break before a new body
+  const closingNewline = layout.delimiters
+    ? layout.closingNewline || (body ? newline : "")
+    : newline;
+
+  return (
+    prefix +
+    open +
+    newline +
+    output.map(([text, eol]) => text + eol).join("") +
+    close +
+    closingNewline +
+    body
+  );
+}
+
+/**
+ * Normalize a globs attribute into a list of patterns
+ * Cursor writes globs as a comma-separated string; arrays are also accepted
+ * @param {string|string[]} globs - The globs attribute value
+ * @returns {string[]} The individual glob patterns
+ */
+function splitGlobs(globs) {
+  if (Array.isArray(globs)) {
+    return globs.map((glob) => String(glob).trim()).filter((glob) => glob);
+  }
+
+  if (typeof globs !== "string") {
+    return [];
+  }
+
+  return globs
+    .split(",")
+    .map((glob) => glob.trim())
+    .filter((glob) => glob);
+}
+
+/**
+ * Update frontmatter attributes of .mdc content
+ * Attributes set to undefined are removed
+ * @param {string} content - Raw file content
+ * @param {Object} updates - Attributes to set
+ * @returns {string} The updated content
+ */
+function updateMdcAttributes(content, updates) {
+  const doc = parseMdc(content);
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) {
+      delete doc.attributes[key];
+    } else {
+      doc.attributes[key] = value;
+    }
+  }
+  return serializeMdc(doc);
+}
+
+/**
+ * Pattern matching the "# File patterns: ..." comment older rule files used
+ * in place of frontmatter
+ */
+const LEGACY_FILE_PATTERNS = /^#\s*File patterns:(.*)$/i;
+
+/**
+ * Globs in a legacy comment that mean the rule applies to every file
+ */
+const MATCH_ALL_GLOBS = ["*", "*.*", "**", "**/*", "**/*.*"];
+
+/**
+ * Split a legacy pattern list into globs
+ * Commas inside braces are alternatives rather than separators; since Cursor's
+ * globs attribute is itself comma-separated, brace alternatives are expanded
+ * @param {string} text - Patterns listed in the comment
+ * @returns {string[]} The individual glob patterns
+ */
+function splitLegacyPatterns(text) {
+  const patterns = [];
+  let current = "";
+  let depth = 0;
+
+  for (const char of text) {
+    if (char === "," && depth === 0) {
+      patterns.push(current);
+      current = "";
+      continue;
+    }
+    if (char === "{") depth++;
+    if (char === "}") depth = Math.max(0, depth - 1);
+    current += char;
+  }
+  patterns.push(current);
+
+  const expand = (pattern) => {
+    const brace = pattern.match(/^(.*?)\{([^{}]*)\}(.*)$/);
+    if (!brace) return [pattern];
+    return brace[2]
+      .split(",")
+      .flatMap((alternative) => expand(brace[1] + alternative + brace[3]));
+  };
+
+  return patterns
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern)
+    .flatMap(expand);
+}
+
+/**
+ * Find "# File patterns:" comments in a rule body, ignoring code blocks
+ * @param {string} body - Rule body
+ * @returns {Object[]} Matches with the line index and the globs listed
+ */
+function findLegacyFilePatterns(body) {
+  const matches = [];
+  let inFence = false;
+
+  body.split("\n").forEach((line, index) => {
+    const text = line.replace(/\r$/, "");
+    if (/^\s*(```|~~~)/.test(text)) {
+      inFence = !inFence;
+      return;
+    }
+
+    const match = !inFence && text.match(LEGACY_FILE_PATTERNS);
+    if (match) {
+      matches.push({ line: index, globs: splitLegacyPatterns(match[1]) });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Convert legacy "# File patterns:" comments into frontmatter
+ * Cursor ignores the comment, so such rules never apply as intended. The
+ * patterns become globs (or alwaysApply when they match every file), the first
+ * heading becomes the description, and the comment is removed from the body.
+ * Attributes already set in existing frontmatter are kept.
+ * @param {string} content - Raw file content
+ * @returns {Object} Result with changed flag, the new content and the attributes set
+ */
+function migrateLegacyFilePatterns(content) {
+  const doc = parseMdc(content);
+  const matches = findLegacyFilePatterns(doc.body);
+
+  if (matches.length === 0) {
+    return { changed: false, content };
+  }
+
+  const globs = [];
+  matches.forEach((match) =>
+    match.globs.forEach((glob) => {
+      if (!globs.includes(glob)) globs.push(glob);
+    })
+  );
+  const matchesAll = globs.some((glob) => MATCH_ALL_GLOBS.includes(glob));
+
+  // Remove the comments, along with blank lines left dangling at the end
+  const removed = new Set(matches.map((match) => match.line));
+  const lines = doc.body.split("\n").filter((line, i) => !removed.has(i));
+  const body = lines.join("\n").replace(/(\r?\n\s*)+$/, "");
+  doc.body = body ? body + doc.layout.newline : "";
+
+  const attributes = {};
+  const heading = doc.body.match(/^#\s+(.+?)\s*$/m);
+  if (!doc.attributes.description && heading) {
+    attributes.description = heading[1];
+  }
+  if (!matchesAll && splitGlobs(doc.attributes.globs).length === 0) {
+    attributes.globs = globs.join(", ");
+  }
+  if (typeof doc.attributes.alwaysApply !== "boolean") {
+    attributes.alwaysApply = matchesAll;
+  }
+
+  Object.assign(doc.attributes, attributes);
+  return { changed: true, content: serializeMdc(doc), attributes };
+}
+
+module.exports = {
+  parseMdc,
+  serializeMdc,
+  splitGlobs,
+  updateMdcAttributes,
+  findLegacyFilePatterns,
+  migrateLegacyFilePatterns,
+  // Export for testing
+  parseValue,
+  formatValue,
+};
@@ -0,0 +1,147 @@
+/**
+ * Three-way merges of rule files
+ *
+ * The installed version of a rule is the common ancestor of the local copy,
+ * which may have been edited since, and the latest upstream version. Lines
+ * changed on only one side are taken from that side; lines changed on both
+ * sides in different ways are kept with conflict markers, as `git merge` and
+ * `diff3 -m` do.
+ */
+const { diffLines, splitLines } = require("./diff");
+
+/**
+ * Length of the markers around a conflict
+ */
+const MARKER_SIZE = 7;
+
+/**
+ * Pattern matching a line that starts or ends an unresolved conflict
+ */
+const CONFLICT_MARKER_PATTERN = new RegExp(
+  `^(<{${MARKER_SIZE}}|>{${MARKER_SIZE}})( |$)`,
+  "m"
+);
+
+/**
+ * Map each base line to the line it matches in another version
+ * @param {string} baseText - Common ancestor
+ * @param {string} otherText - Version derived from it
+ * @returns {number[]} Index of the matching line for each base line, or -1 if it was removed
+ */
+function matchLines(baseText, otherText) {
+  const matches = new Array(splitLines(baseText).length).fill(-1);
+  diffLines(baseText, otherText)
+    .filter((op) => op.type === "equal")
+    .forEach((op) => {
+      matches[op.oldIndex] = op.newIndex;
+    });
+  return matches;
+}
+
+/**
+ * Check whether two lists of lines are the same
+ * @param {string[]} a - First list
+ * @param {string[]} b - Second list
+ * @returns {boolean} True if they hold the same lines in the same order
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Make sure a line ends with a newline so a marker can follow it
+ * @param {string} line - Line of a conflicting section
+ * @returns {string} The line, ending in a newline
+ */
+function terminate(line) {
+  return line.endsWith("\n") ? line : `${line}\n`;
+}
+
+/**
+ * Merge the changes made to a text in two versions derived from it
+ * @param {string} baseText - Common ancestor, the originally installed content
+ * @param {string} oursText - Local version
+ * @param {string} theirsText - Upstream version
+ * @param {Object} options - Options for the merge
+ * @param {string} options.oursLabel - Name shown after the opening marker (defaults to "local")
+ * @param {string} options.theirsLabel - Name shown after the closing marker (defaults to "upstream")
+ * @returns {Object} Result with the merged content and the number of conflicts in it
+ */
+function mergeThreeWay(baseText, oursText, theirsText, options = {}) {
+  const oursLabel = options.oursLabel || "local";
+  const theirsLabel = options.theirsLabel || "upstream";
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const toOurs = matchLines(baseText, oursText);
+  const toTheirs = matchLines(baseText, theirsText);
+
+  const merged = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  while (i < base.length || j < ours.length || k < theirs.length) {
+    // The next base line kept by both sides is where the versions line up again
+    let next = i;
+    while (
+      next < base.length &&
+      (toOurs[next] === -1 || toTheirs[next] === -1)
+    ) {
+      next++;
+    }
+    const oursEnd = next < base.length ? toOurs[next] : ours.length;
+    const theirsEnd = next < base.length ? toTheirs[next] : theirs.length;
+
+    if (next === i && oursEnd === j && theirsEnd === k) {
+      merged.push(base[i]);
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+
+    const baseChunk = base.slice(i, next);
+    const oursChunk = ours.slice(j, oursEnd);
+    const theirsChunk = theirs.slice(k, theirsEnd);
+
+    if (sameLines(oursChunk, baseChunk)) {
+      merged.push(...theirsChunk);
+    } else if (
+      sameLines(theirsChunk, baseChunk) ||
+      sameLines(oursChunk, theirsChunk)
+    ) {
+      merged.push(...oursChunk);
+    } else {
+      conflicts++;
+      merged.push(
+        `${"<".repeat(MARKER_SIZE)} ${oursLabel}\n`,
+        ...oursChunk.map(terminate),
+        `${"=".repeat(MARKER_SIZE)}\n`,
+        ...theirsChunk.map(terminate),
+        `${">".repeat(MARKER_SIZE)} ${theirsLabel}\n`
+      );
+    }
+
+    i = next;
+    j = oursEnd;
+    k = theirsEnd;
+  }
+
+  return { content: merged.join(""), conflicts };
+}
+
+/**
+ * Check whether a text still contains conflict markers from a merge
+ * @param {string} text - Text to check
+ * @returns {boolean} True if a line starts or ends an unresolved conflict
+ */
+function hasConflictMarkers(text) {
+  return CONFLICT_MARKER_PATTERN.test(text);
+}
+
+module.exports = {
+  mergeThreeWay,
+  hasConflictMarkers,
+};
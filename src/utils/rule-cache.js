@@ -0,0 +1,355 @@
+/**
+ * Local cache of fetched rules
+ *
+ * Each fetched rule's content is stored once under its content hash, and an
+ * index maps what was asked for (a rule name, URL or specifier) to that
+ * content and where it came from. `--offline` serves rules from here.
+ * Rule names are looked up in a project's sources, so they are kept per set
+ * of sources: a rule one project fetched from a private source isn't served
+ * to a project that doesn't use it.
+ * The index also keeps the ETag and Last-Modified of HTTP responses, so the
+ * HTTP client can revalidate them instead of downloading them again.
+ */
+const fs = require("fs");
+const path = require("path");
+const { getCacheDir, fileExists, hashContent } = require("./file-utils");
+
+/**
+ * Directory of the rule cache inside the user's cache directory
+ */
+const RULE_CACHE_DIR_NAME = "rules";
+
+/**
+ * Directory holding the cached content, one file per content hash
+ */
+const OBJECTS_DIR_NAME = "objects";
+
+/**
+ * Name and format version of the cache index
+ */
+const CACHE_INDEX_FILE_NAME = "index.json";
+const CACHE_INDEX_VERSION = 1;
+
+/**
+ * Get the directory of the rule cache
+ * @returns {string} Absolute path of the directory (may not exist yet)
+ */
+function getRuleCacheDir() {
+  return path.join(getCacheDir(), RULE_CACHE_DIR_NAME);
+}
+
+/**
+ * Get the path of the cached content with a given hash
+ * @param {string} hash - Content hash in the form "sha256-<hex>"
+ * @returns {string} Absolute path of the cached content
+ */
+function getObjectPath(hash) {
+  return path.join(
+    getRuleCacheDir(),
+    OBJECTS_DIR_NAME,
+    hash.replace(/^sha256-/, "")
+  );
+}
+
+/**
+ * Read the cache index, returning an empty one if it doesn't exist
+ * @returns {Object} Index with the cached rules keyed by what was requested
+ * @throws {Error} If the index exists but can't be parsed
+ */
+function readCacheIndex() {
+  const indexPath = path.join(getRuleCacheDir(), CACHE_INDEX_FILE_NAME);
+  if (!fileExists(indexPath)) {
+    return { version: CACHE_INDEX_VERSION, rules: {}, responses: {} };
+  }
+
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    return {
+      version: CACHE_INDEX_VERSION,
+      rules: index.rules || {},
+      responses: index.responses || {},
+    };
+  } catch (error) {
+    throw new Error(
+      `Failed to read the rule cache index: ${indexPath}. Run 'rulez cache clean' to reset it. Error: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Write the cache index
+ * @param {Object} index - Index to write
+ */
+function writeCacheIndex(index) {
+  const indexPath = path.join(getRuleCacheDir(), CACHE_INDEX_FILE_NAME);
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + "\n");
+}
+
+/**
+ * Store content under its hash unless it is already there
+ * @param {string} content - Content to store
+ * @returns {string} Hash of the content
+ */
+function storeObject(content) {
+  const hash = hashContent(content);
+  const objectPath = getObjectPath(hash);
+  if (!fileExists(objectPath)) {
+    fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+    fs.writeFileSync(objectPath, content);
+  }
+  return hash;
+}
+
+/**
+ * Read stored content, checking it against its hash
+ * @param {string} hash - Hash of the content
+ * @returns {string|null} The content, or null if it is missing or damaged
+ */
+function readObject(hash) {
+  const objectPath = getObjectPath(hash);
+  if (!fileExists(objectPath)) {
+    return null;
+  }
+  const content = fs.readFileSync(objectPath, "utf8");
+  return hashContent(content) === hash ? content : null;
+}
+
+/**
+ * Get the index key of a requested rule
+ * @param {string} request - What the rule was requested as
+ * @param {string} scope - Id of the sources a rule name was looked up in, if any
+ * @returns {string} The key
+ */
+function getRuleKey(request, scope) {
+  return scope ? `${request}#${scope}` : request;
+}
+
+/**
+ * Get what the rule of an index record was requested as
+ * @param {Object} index - Cache index
+ * @param {string} key - Key of the record
+ * @returns {string} The request
+ */
+function getRecordRequest(index, key) {
+  return index.rules[key].request || key;
+}
+
+/**
+ * Store a fetched rule in the cache
+ * @param {string} request - What the rule was requested as (rule name, URL or specifier)
+ * @param {Object} result - Successful result of ruleFetcher.fetchRule
+ * @param {Object} options - Options for storing the rule
+ * @param {string} options.scope - Id of the sources a rule name was looked up in
+ *   (see sources.getSourceSetId)
+ * @returns {Object} The index record of the rule
+ */
+function cacheRule(request, result, options = {}) {
+  const hash = storeObject(result.content);
+
+  const record = { request, name: result.name, source: result.source };
+  if (options.scope) record.scope = options.scope;
+  if (result.from) record.from = result.from;
+  if (result.commit) record.commit = result.commit;
+  record.hash = hash;
+  record.fetchedAt = new Date().toISOString();
+
+  const index = readCacheIndex();
+  index.rules[getRuleKey(request, options.scope)] = record;
+  writeCacheIndex(index);
+  return record;
+}
+
+/**
+ * Look a rule up in the cache
+ * @param {string} request - What the rule is requested as (rule name, URL or specifier)
+ * @param {Object} options - Options for the lookup
+ * @param {string} options.source - Only accept a rule found in the rule source with this name
+ * @param {string} options.scope - Id of the sources a rule name is looked up in
+ * @returns {Object|null} The index record with the content, or null if the rule
+ *   isn't cached or its content is damaged
+ */
+function getCachedRule(request, options = {}) {
+  const record = readCacheIndex().rules[getRuleKey(request, options.scope)];
+  if (!record || (options.source && record.from !== options.source)) {
+    return null;
+  }
+
+  const content = readObject(record.hash);
+  return content === null ? null : { ...record, content };
+}
+
+/**
+ * Keep an HTTP response body with the validators it can be revalidated with
+ * @param {string} url - URL the body was fetched from
+ * @param {string} body - Response body
+ * @param {Object} validators - The response's etag and lastModified headers
+ */
+function cacheResponse(url, body, validators) {
+  const record = { hash: storeObject(body) };
+  if (validators.etag) record.etag = validators.etag;
+  if (validators.lastModified) record.lastModified = validators.lastModified;
+
+  const index = readCacheIndex();
+  index.responses[url] = record;
+  writeCacheIndex(index);
+}
+
+/**
+ * Look up a cached HTTP response
+ * @param {string} url - URL of the response
+ * @returns {Object|null} The body with its etag and lastModified validators,
+ *   or null if the response isn't cached or its body is damaged
+ */
+function getCachedResponse(url) {
+  const record = readCacheIndex().responses[url];
+  const body = record ? readObject(record.hash) : null;
+  return body === null ? null : { ...record, body };
+}
+
+/**
+ * List the cached rules
+ * @returns {Object[]} Index records sorted by request, each with the request and content size
+ */
+function listCachedRules() {
+  const index = readCacheIndex();
+  return Object.keys(index.rules)
+    .sort()
+    .map((key) => {
+      const objectPath = getObjectPath(index.rules[key].hash);
+      return {
+        ...index.rules[key],
+        request: getRecordRequest(index, key),
+        size: fileExists(objectPath) ? fs.statSync(objectPath).size : 0,
+      };
+    });
+}
+
+/**
+ * List the content files in the cache
+ * @returns {string[]} Hashes of the stored content, in the form "sha256-<hex>"
+ */
+function listObjects() {
+  const objectsDir = path.join(getRuleCacheDir(), OBJECTS_DIR_NAME);
+  if (!fs.existsSync(objectsDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(objectsDir)
+    .sort()
+    .map((file) => `sha256-${file}`);
+}
+
+/**
+ * Delete content no index record points to
+ * @param {Object} index - Current cache index
+ * @returns {Object} Number of files removed and the bytes they took up
+ */
+function pruneObjects(index) {
+  const referenced = new Set(
+    [...Object.values(index.rules), ...Object.values(index.responses)].map(
+      (record) => record.hash
+    )
+  );
+  let removed = 0;
+  let bytes = 0;
+  listObjects()
+    .filter((hash) => !referenced.has(hash))
+    .forEach((hash) => {
+      const objectPath = getObjectPath(hash);
+      bytes += fs.statSync(objectPath).size;
+      fs.rmSync(objectPath, { force: true });
+      removed++;
+    });
+  return { removed, bytes };
+}
+
+/**
+ * Remove rules from the cache
+ * @param {string[]} requests - Requests to forget (the whole cache if empty)
+ * @returns {Object} Result with the removed requests, requests that weren't
+ *   cached, and the bytes freed
+ */
+function cleanCache(requests = []) {
+  if (requests.length === 0) {
+    const index = readCacheIndex();
+    const removed = [
+      ...new Set(
+        Object.keys(index.rules).map((key) => getRecordRequest(index, key))
+      ),
+    ];
+    const bytes = listObjects().reduce(
+      (total, hash) => total + fs.statSync(getObjectPath(hash)).size,
+      0
+    );
+    fs.rmSync(getRuleCacheDir(), { recursive: true, force: true });
+    return { removed, missing: [], bytes };
+  }
+
+  // A rule name may be cached for several sets of sources
+  const index = readCacheIndex();
+  const keys = Object.keys(index.rules).filter((key) =>
+    requests.includes(getRecordRequest(index, key))
+  );
+  const cached = new Set(keys.map((key) => getRecordRequest(index, key)));
+  const removed = requests.filter((request) => cached.has(request));
+  const missing = requests.filter((request) => !cached.has(request));
+  keys.forEach((key) => {
+    delete index.rules[key];
+  });
+  writeCacheIndex(index);
+  return { removed, missing, bytes: pruneObjects(index).bytes };
+}
+
+/**
+ * Check the cached content against its hashes and repair the cache
+ * Damaged content, records pointing to missing content and content nothing
+ * points to are removed
+ * @returns {Object} Result with the number of files checked, the hashes of
+ *   damaged content, the requests whose records were dropped, and the number
+ *   of unreferenced files removed
+ */
+function verifyCache() {
+  const objects = listObjects();
+  const corrupt = objects.filter(
+    (hash) => hashContent(fs.readFileSync(getObjectPath(hash), "utf8")) !== hash
+  );
+  corrupt.forEach((hash) => fs.rmSync(getObjectPath(hash), { force: true }));
+
+  const index = readCacheIndex();
+  const droppedKeys = Object.keys(index.rules).filter(
+    (key) => !fileExists(getObjectPath(index.rules[key].hash))
+  );
+  const dropped = droppedKeys.map((key) => getRecordRequest(index, key));
+  droppedKeys.forEach((key) => {
+    delete index.rules[key];
+  });
+  // Responses only save downloads, so they are dropped without being reported
+  const staleResponses = Object.keys(index.responses).filter(
+    (url) => !fileExists(getObjectPath(index.responses[url].hash))
+  );
+  staleResponses.forEach((url) => {
+    delete index.responses[url];
+  });
+  if (dropped.length + staleResponses.length > 0) {
+    writeCacheIndex(index);
+  }
+
+  return {
+    checked: objects.length,
+    corrupt,
+    dropped,
+    pruned: pruneObjects(index).removed,
+  };
+}
+
+module.exports = {
+  getRuleCacheDir,
+  cacheRule,
+  getCachedRule,
+  listCachedRules,
+  cacheResponse,
+  getCachedResponse,
+  cleanCache,
+  verifyCache,
+};
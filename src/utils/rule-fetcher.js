@@ -3,79 +3,301 @@
  */
 const https = require("https");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { getCacheDir, fileExists } = require("./file-utils");
+const { parseMdc, splitGlobs } = require("./mdc");
+const { searchRules, extractSearchFields } = require("./rule-search");
+const {
+  getSources,
+  getSourceSetId,
+  DEFAULT_SOURCE,
+  CURSOR_DIRECTORY_REPO,
+  CURSOR_DIRECTORY_BRANCH,
+  RULES_PATH,
+} = require("./sources");
+const { listGitRuleFiles, readGitFile } = require("./git");
+const { cacheRule, getCachedRule, getRuleCacheDir } = require("./rule-cache");
+const { fetchText } = require("./http");
+const { extractCursorDirectoryRule } = require("./cursor-directory");
+const {
+  getCredential,
+  getAuthHeaders,
+  explainAuthFailure,
+  AUTH_REQUIRED,
+} = require("./auth");
+const {
+  parseRuleSpecifier,
+  parseGitSpecifier,
+  formatGitSpecifier,
+  isLocalSpecifier,
+  resolveLocalSpecifier,
+  toLocalSpecifier,
+  parseGitHubRawUrl,
+  GITHUB_RAW_URL,
+} = require("./specifier");
 
 // Constants for remote sources
-const GITHUB_RAW_URL = "https://raw.githubusercontent.com";
-const CURSOR_DIRECTORY_REPO = "ivangrynenko/cursorrules";
-const CURSOR_DIRECTORY_BRANCH = "main";
-const RULES_PATH = ".cursor/rules";
+const GITHUB_API_URL = "https://api.github.com";
+
+// Constants for the cached rule index
+const INDEX_FILE_NAME = "rule-index.json";
+const INDEX_VERSION = 2;
+const INDEX_TTL_MS = 24 * 60 * 60 * 1000;
+const INDEX_FETCH_CONCURRENCY = 8;
+
+// Number of "Did you mean" suggestions offered when a rule isn't found
+const MAX_SUGGESTIONS = 5;
+
+// Source recorded for content generated by the --allow-fallback path
+const SYNTHETIC_SOURCE = "synthetic-content";
 
 /**
- * Fetches content from a remote URL
+ * Fetches content from a remote URL, sending a token if one applies to it
  * @param {string} url - URL to fetch content from
+ * @param {Object} options - Options for the fetch
+ * @param {Object} options.source - Rule source the content is fetched for
+ * @param {boolean} options.noCache - Don't keep the response in the cache
  * @returns {Promise<string>} - A promise that resolves to the content
+ * @throws {Error} If the fetch fails; failures a token would fix have the AUTH_REQUIRED code
  */
-function fetchContent(url) {
-  // Use native fetch API which is supported in both modern Node.js and Bun
-  return fetch(url).then((response) => {
-    if (!response.ok) {
-      throw new Error(
-        `Failed to fetch content from ${url}: ${response.status} ${response.statusText}`
-      );
+async function fetchContent(url, options = {}) {
+  const credential = getCredential(url, { source: options.source });
+  const { noCache } = options;
+  try {
+    return await fetchText(url, {
+      headers: getAuthHeaders(credential),
+      noCache,
+    });
+  } catch (error) {
+    throw (
+      (await explainAuthFailure(url, error, credential, { noCache })) || error
+    );
+  }
+}
+
+/**
+ * Parse the frontmatter fields of a rule file that matter for the index
+ * @param {string} content - Raw .mdc content
+ * @returns {Object} - The description, globs and alwaysApply values
+ */
+function parseRuleFrontmatter(content) {
+  const { attributes } = parseMdc(content);
+  return {
+    description:
+      typeof attributes.description === "string" ? attributes.description : "",
+    globs: splitGlobs(attributes.globs).join(", "),
+    alwaysApply: attributes.alwaysApply === true,
+  };
+}
+
+/**
+ * Run an async mapper over items with a bounded number of concurrent calls
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls in flight
+ * @param {Function} mapper - Async function called for each item
+ * @returns {Promise<Array>} - Results in the same order as the input
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Get the path of the cached rule index file
+ * @returns {string} - Absolute path of the index cache file
+ */
+function getRuleIndexPath() {
+  return path.join(getCacheDir(), INDEX_FILE_NAME);
+}
+
+/**
+ * Read the cached rule index if one exists
+ * @returns {Object|null} - The cached index, or null if missing or unreadable
+ */
+function readCachedRuleIndex() {
+  try {
+    const index = JSON.parse(fs.readFileSync(getRuleIndexPath(), "utf8"));
+    if (index.version !== INDEX_VERSION || !Array.isArray(index.rules)) {
+      return null;
+    }
+    return index;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write the rule index to the cache
+ * @param {Object} index - Index to cache
+ */
+function writeCachedRuleIndex(index) {
+  const indexPath = getRuleIndexPath();
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2) + "\n");
+}
+
+/**
+ * Build the rule index from the source repository's rules tree
+ * @param {Object} options - Options for the requests (noCache, see fetchContent)
+ * @returns {Promise<Object>} - A promise that resolves to the freshly built index
+ */
+async function buildRuleIndex(options = {}) {
+  const requestOptions = { noCache: options.noCache };
+  const treeUrl = `${GITHUB_API_URL}/repos/${CURSOR_DIRECTORY_REPO}/git/trees/${CURSOR_DIRECTORY_BRANCH}?recursive=1`;
+  const tree = JSON.parse(await fetchContent(treeUrl, requestOptions));
+
+  const ruleFiles = (tree.tree || []).filter(
+    (entry) =>
+      entry.type === "blob" &&
+      entry.path.startsWith(`${RULES_PATH}/`) &&
+      entry.path.endsWith(".mdc")
+  );
+
+  const rules = await mapWithConcurrency(
+    ruleFiles,
+    INDEX_FETCH_CONCURRENCY,
+    async (entry) => {
+      const name = entry.path.slice(RULES_PATH.length + 1, -".mdc".length);
+      const url = getGitHubRawUrl(name);
+
+      let fields = { description: "", globs: "", alwaysApply: false };
+      let searchFields = { tags: [], body: "" };
+      try {
+        const content = await fetchContent(url, requestOptions);
+        fields = parseRuleFrontmatter(content);
+        searchFields = extractSearchFields(content);
+      } catch (error) {
+        // Keep the rule in the index even if its metadata can't be read
+      }
+
+      // Directories of nested rules, like "frontend" in frontend/react, act as tags
+      const directories = name.split("/").slice(0, -1);
+
+      return {
+        name,
+        description: fields.description,
+        globs: fields.globs,
+        alwaysApply: fields.alwaysApply,
+        tags: [...new Set([...directories, ...searchFields.tags])],
+        body: searchFields.body,
+        url,
+        sha: entry.sha,
+      };
+    }
+  );
+
+  rules.sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    version: INDEX_VERSION,
+    source: `${CURSOR_DIRECTORY_REPO}@${CURSOR_DIRECTORY_BRANCH}`,
+    generatedAt: new Date().toISOString(),
+    truncated: Boolean(tree.truncated),
+    rules,
+  };
+}
+
+/**
+ * Load the rule index, using the local cache while it is fresh
+ * @param {Object} options - Options for loading the index
+ * @param {boolean} options.refresh - Ignore the cache and rebuild the index
+ * @param {boolean} options.noCache - Don't write a rebuilt index to the cache
+ * @returns {Promise<Object>} - A promise that resolves to the rule index
+ */
+async function loadRuleIndex(options = {}) {
+  const cached = readCachedRuleIndex();
+  const isFresh =
+    cached && Date.now() - Date.parse(cached.generatedAt) < INDEX_TTL_MS;
+
+  if (cached && isFresh && !options.refresh) {
+    return cached;
+  }
+
+  try {
+    const index = await buildRuleIndex(options);
+    if (!options.noCache) {
+      writeCachedRuleIndex(index);
     }
-    return response.text();
-  });
+    return index;
+  } catch (error) {
+    // A stale index is better than none when the remote can't be reached
+    if (cached) {
+      return { ...cached, stale: true };
+    }
+    throw error;
+  }
 }
 
 /**
  * Get a list of available rules from the remote source
- * @param {Object} options - Options for the rule listing
+ * @param {Object} options - Options for the rule listing (see loadRuleIndex)
  * @returns {Promise<Object[]>} - A promise that resolves to an array of rule objects
  */
 async function listAvailableRules(options = {}) {
-  // For a full implementation, we would fetch a list of all available rules
-  // This could be from an API or by parsing a repository's file structure
-
-  // For this initial implementation, we'll just return some hardcoded examples
-  return [
-    {
-      name: "default",
-      displayName: "Default Cursor Rules",
-      description: "Basic rules for any project",
-    },
-    {
-      name: "react",
-      displayName: "React Best Practices",
-      description: "Rules for React projects",
-    },
-    {
-      name: "nextjs",
-      displayName: "Next.js Framework Rules",
-      description: "Rules for Next.js projects",
-    },
-    {
-      name: "python",
-      displayName: "Python Coding Standards",
-      description: "Rules for Python projects",
-    },
-    {
-      name: "typescript",
-      displayName: "TypeScript Best Practices",
-      description: "Rules for TypeScript projects",
-    },
-  ];
+  const index = await loadRuleIndex(options);
+  return index.rules;
 }
 
 /**
  * Generate the GitHub raw content URL for a rule
  * @param {string} ruleName - Name of the rule
+ * @param {Object} source - GitHub source to use (defaults to the community repository)
  * @returns {string} - The GitHub raw URL
  */
-function getGitHubRawUrl(ruleName) {
+function getGitHubRawUrl(ruleName, source = DEFAULT_SOURCE) {
   // Format the rule name for the URL
   const fileName = `${ruleName}.mdc`;
-  return `${GITHUB_RAW_URL}/${CURSOR_DIRECTORY_REPO}/${CURSOR_DIRECTORY_BRANCH}/${RULES_PATH}/${fileName}`;
+  const rulesPath = source.path ? `${source.path}/` : "";
+  return `${GITHUB_RAW_URL}/${source.repo}/${source.branch}/${rulesPath}${fileName}`;
+}
+
+/**
+ * Resolve the commit SHA a GitHub raw content URL currently points at
+ * @param {string} url - GitHub raw content URL
+ * @param {Object} options - Options for the request (source, see fetchContent)
+ * @returns {Promise<string|undefined>} - The commit SHA, or undefined if it can't be resolved
+ */
+async function resolveGitHubCommit(url, options = {}) {
+  const parsed = parseGitHubRawUrl(url);
+  if (!parsed) {
+    return undefined;
+  }
+
+  // A pinned URL already names its commit
+  if (/^[0-9a-f]{40}$/i.test(parsed.ref)) {
+    return parsed.ref;
+  }
+
+  try {
+    const commit = JSON.parse(
+      await fetchContent(
+        `${GITHUB_API_URL}/repos/${parsed.owner}/${
+          parsed.repo
+        }/commits/${encodeURIComponent(parsed.ref)}`,
+        options
+      )
+    );
+    return commit.sha;
+  } catch (error) {
+    // The commit is informational; the fetch date is recorded regardless
+    return undefined;
+  }
 }
 
 /**
@@ -109,378 +331,558 @@ function extractRuleNameFromUrl(url) {
 }
 
 /**
- * Decode HTML entities in text
- * @param {string} html - Text with HTML entities
- * @returns {string} - Decoded text
+ * Scrape a cursor.directory page to extract rule content
+ * @param {string} url - URL of the cursor.directory page
+ * @param {Object} options - Options for the request (noCache, see fetchContent)
+ * @returns {Promise<Object>} - A promise that resolves to the extraction (see
+ *   cursor-directory.js) with the rule name
+ * @throws {Error} If the page can't be fetched
  */
-function decodeHtmlEntities(html) {
-  const entities = {
-    "&amp;": "&",
-    "&lt;": "<",
-    "&gt;": ">",
-    "&quot;": '"',
-    "&#x27;": "'",
-    "&#39;": "'",
-    "&#x2F;": "/",
-    "&#x2f;": "/",
-    "&#47;": "/",
+async function scrapeCursorDirectoryPage(url, options = {}) {
+  const html = await fetchContent(url, options);
+  return {
+    ...extractCursorDirectoryRule(html, url),
+    name: extractRuleNameFromUrl(url),
   };
+}
 
-  // Replace all known entities
-  let decoded = html;
-  for (const [entity, replacement] of Object.entries(entities)) {
-    decoded = decoded.replace(new RegExp(entity, "g"), replacement);
-  }
+/**
+ * Create synthetic rule content for composite technology names
+ * @param {string[]} technologies - List of technologies from the rule name
+ * @param {string} ruleName - The full rule name
+ * @returns {string} - Generated synthetic rule content
+ */
+function createSyntheticRuleContent(technologies, ruleName) {
+  const techList = technologies
+    .map((t) => t.charAt(0).toUpperCase() + t.slice(1))
+    .join(", ");
 
-  // Replace numeric entities (like &#xxxx;)
-  decoded = decoded.replace(/&#(\d+);/g, (match, dec) => {
-    return String.fromCharCode(dec);
-  });
+  return `---
+description: ${techList} development guidelines
+globs: **/*.ts, **/*.tsx, **/*.js, **/*.jsx
+alwaysApply: false
+---
+# ${techList} Cursor Rule
 
-  // Replace hex entities (like &#x...;)
-  decoded = decoded.replace(/&#x([0-9a-f]+);/gi, (match, hex) => {
-    return String.fromCharCode(parseInt(hex, 16));
-  });
+You are a specialized AI assistant for ${techList} development. When helping with this project, follow these guidelines:
 
-  return decoded;
+1. Use TypeScript for all code examples and solutions where applicable
+2. Follow ${techList} best practices and current standards
+3. Focus on writing clean, maintainable code with appropriate type definitions
+4. Provide helpful explanations that consider the relationships between the technologies
+5. Ensure code examples work well together within the tech stack
+`;
 }
 
 /**
- * Scrape a cursor.directory page to extract rule content
+ * Fetch the rule on a cursor.directory page
+ * If the page doesn't yield a rule, a composite name such as
+ * "nextjs-react-typescript" can fall back to the community rule for one of
+ * its technologies, or failing that to generated placeholder content, but
+ * only with allowFallback; results from a fallback say so in their fallback field
  * @param {string} url - URL of the cursor.directory page
- * @returns {Promise<Object>} - A promise that resolves to the rule content
+ * @param {Object} options - Options for the fetch
+ * @param {boolean} options.allowFallback - Fall back instead of failing
+ * @param {boolean} options.noCache - Don't keep responses in the cache
+ * @returns {Promise<Object>} - A promise that resolves to the rule content,
+ *   every source that was tried and warnings for the caller to show
+ * @throws {Error} If no rule was found, with the sources tried in its attempts property
  */
-async function scrapeCursorDirectoryPage(url) {
-  const html = await fetchContent(url);
-
-  // Extract the rule name from the URL
-  const ruleName = extractRuleNameFromUrl(url);
-
-  // Try multiple approaches to extract the content
-  let content = "";
+async function fetchCursorDirectoryRule(url, options = {}) {
+  const requestOptions = { noCache: options.noCache };
+  const attempts = [];
+  try {
+    const page = await scrapeCursorDirectoryPage(url, requestOptions);
+    if (page.success) {
+      const warnings = [];
+      if (page.confidence === "low") {
+        warnings.push(
+          `${url} has no rule data; its only code block was taken as the rule, so check it before relying on it`
+        );
+      }
 
-  // PRIORITY APPROACH: Look for the specific element identified by the user
-  // <code class="text-sm block pr-3"> contains the actual rule content
-  const specificCodeMatch = html.match(
-    /<code class="text-sm block pr-3">([\s\S]*?)<\/code>/i
-  );
-  if (specificCodeMatch && specificCodeMatch[1]) {
-    content = specificCodeMatch[1].trim();
-    // Decode HTML entities and remove any tags
-    content = decodeHtmlEntities(content);
-    content = content.replace(/<[^>]*>/g, "");
-    return {
-      content,
-      name: ruleName,
-    };
+      const metadata = { tags: page.tags };
+      if (page.title) metadata.title = page.title;
+      if (page.description) metadata.description = page.description;
+      if (page.author) metadata.author = page.author;
+      return {
+        success: true,
+        content: page.content,
+        name: page.name,
+        source: url,
+        metadata,
+        confidence: page.confidence,
+        warnings,
+      };
+    }
+    attempts.push({ source: url, error: page.reason });
+  } catch (error) {
+    attempts.push({ source: url, error: error.message });
   }
 
-  // Approach 1: Look for content in a div with class "rule-content" containing a pre tag
-  const contentMatch = html.match(
-    /<div class="rule-content">.*?<pre>(.*?)<\/pre>/s
-  );
-  if (contentMatch && contentMatch[1]) {
-    content = contentMatch[1].trim();
-  }
-  // Approach 2: Look for any pre tag with content
-  else {
-    const preMatch = html.match(/<pre.*?>(.*?)<\/pre>/s);
-    if (preMatch && preMatch[1]) {
-      content = preMatch[1].trim();
-    }
+  const ruleName = extractRuleNameFromUrl(url);
+  const technologies = ruleName.includes("-")
+    ? ruleName
+        .split("-")
+        .filter((t) => t && t !== "cursor" && t !== "rules" && t !== "rule")
+    : [];
+
+  if (!options.allowFallback || technologies.length === 0) {
+    const hint =
+      technologies.length > 0
+        ? `. Use --allow-fallback to fall back to the community rule for ${technologies.join(
+            ", "
+          )} or to generated placeholder content`
+        : "";
+    const error = new Error(
+      `Could not get a rule from ${url}: ${attempts[0].error}${hint}`
+    );
+    error.attempts = attempts;
+    throw error;
   }
 
-  // Approach 3: Look for content in a markdown or code block section
-  if (!content) {
-    const markdownMatch = html.match(/```(?:markdown|md)?\s*([\s\S]*?)```/);
-    if (markdownMatch && markdownMatch[1]) {
-      content = markdownMatch[1].trim();
+  const warnings = [attempts[0].error];
+
+  // The community rule for one of the technologies is the closest real rule
+  for (const tech of technologies) {
+    const techUrl = getGitHubRawUrl(tech);
+    try {
+      const content = await fetchContent(techUrl, requestOptions);
+      return {
+        success: true,
+        content,
+        name: ruleName, // Keep the original composite name
+        source: techUrl,
+        fallback: { type: "related-rule", rule: tech },
+        attempts,
+        warnings,
+      };
+    } catch (error) {
+      attempts.push({ source: techUrl, error: error.message });
     }
   }
 
-  // Approach 4: Look for any code elements that might contain the rule
-  if (!content) {
-    const codeElements = html.match(/<code[^>]*>([\s\S]*?)<\/code>/gi);
-    if (codeElements && codeElements.length > 0) {
-      // Find the longest code block as it's likely the rule content
-      let longestCode = "";
-      for (const codeEl of codeElements) {
-        const codeContent = codeEl.replace(
-          /<code[^>]*>([\s\S]*?)<\/code>/i,
-          "$1"
-        );
-        if (codeContent.length > longestCode.length) {
-          longestCode = codeContent;
-        }
-      }
+  return {
+    success: true,
+    content: createSyntheticRuleContent(technologies, ruleName),
+    name: ruleName,
+    source: SYNTHETIC_SOURCE,
+    fallback: { type: "generated" },
+    attempts,
+    warnings,
+  };
+}
 
-      if (longestCode) {
-        content = longestCode.trim();
-        // Decode HTML entities
-        content = decodeHtmlEntities(content);
-        content = content.replace(/<[^>]*>/g, "");
-      }
+/**
+ * Fetch a rule by name from a single source
+ * @param {Object} source - Source declaration (see sources.js)
+ * @param {string} ruleName - Name of the rule
+ * @param {string} basePath - Project root that local source paths are relative to
+ * @param {Object} options - Options for the fetch
+ * @param {boolean} options.noCache - Don't keep responses in the cache
+ * @param {string} options.gitCacheDir - Directory for git cache repositories (see git.js)
+ * @returns {Promise<Object>} - A promise that resolves to the content, resolved location and commit
+ */
+async function fetchFromSource(source, ruleName, basePath, options = {}) {
+  const requestOptions = { source, noCache: options.noCache };
+  if (source.type === "local") {
+    const filePath = path.resolve(basePath, source.path, `${ruleName}.mdc`);
+    if (!fileExists(filePath)) {
+      throw new Error(`Rule file not found: ${filePath}`);
     }
+    return {
+      content: fs.readFileSync(filePath, "utf8"),
+      source: path.relative(basePath, filePath),
+    };
   }
 
-  // If content was found, decode any HTML entities
-  if (content) {
-    content = decodeHtmlEntities(content);
+  if (source.type === "git") {
+    const filePath = [source.path, `${ruleName}.mdc`]
+      .filter((part) => part)
+      .join("/");
+    const { content, commit } = readGitFile(
+      source.url,
+      source.branch,
+      filePath,
+      { basePath, cacheDir: options.gitCacheDir }
+    );
+    return {
+      content,
+      source: formatGitSpecifier(source.url, commit, filePath),
+      commit,
+    };
   }
 
-  // Approach 5: Look for content in elements with common content-related classes
-  if (!content) {
-    const contentClassMatch = html.match(
-      /<div class="(?:content|markdown|rule|prompt|code).*?">([\s\S]*?)<\/div>/i
-    );
-    if (contentClassMatch && contentClassMatch[1]) {
-      content = contentClassMatch[1].trim();
-      // Remove any HTML tags from the content
-      content = content.replace(/<[^>]*>/g, "");
-    }
+  if (source.type === "http") {
+    // Nested rules like frontend/react live in subdirectories of the source
+    const rulePath = ruleName.split("/").map(encodeURIComponent).join("/");
+    const url = `${source.url}/${rulePath}.mdc`;
+    return { content: await fetchContent(url, requestOptions), source: url };
   }
 
-  // If content is still not found, try a simpler approach - get text from body
-  if (!content) {
-    const bodyMatch = html.match(/<body.*?>([\s\S]*?)<\/body>/i);
-    if (bodyMatch && bodyMatch[1]) {
-      // Extract what seems like rule content (paragraphs between important markers)
-      let bodyContent = bodyMatch[1];
-
-      // Remove navigation, header, footer sections with common class names
-      bodyContent = bodyContent.replace(
-        /<(?:nav|header|footer).*?>[\s\S]*?<\/(?:nav|header|footer)>/gi,
-        ""
-      );
-      bodyContent = bodyContent.replace(
-        /<div class="(?:nav|header|footer|sidebar|menu).*?>[\s\S]*?<\/div>/gi,
-        ""
-      );
+  const url = getGitHubRawUrl(ruleName, source);
+  const content = await fetchContent(url, requestOptions);
+  return {
+    content,
+    source: url,
+    commit: await resolveGitHubCommit(url, requestOptions),
+  };
+}
 
-      // Extract paragraphs that might contain useful content
-      const paragraphs = bodyContent.match(/<p.*?>([\s\S]*?)<\/p>/gi);
-      if (paragraphs && paragraphs.length > 0) {
-        // Join paragraphs with newlines and clean HTML tags
-        content = paragraphs.join("\n\n").replace(/<[^>]*>/g, "");
-        content = decodeHtmlEntities(content);
-      }
+/**
+ * Fetch a rule by name from the configured sources, trying each in order
+ * @param {string} ruleName - Name of the rule
+ * @param {Object} options - Options for the fetch
+ * @param {string} options.source - Only look in the source with this name
+ * @param {string} options.basePath - Project root (defaults to process.cwd())
+ * @param {boolean} options.noCache - Don't keep responses in the cache
+ * @param {string} options.gitCacheDir - Directory for git cache repositories (see git.js)
+ * @returns {Promise<Object>} - A promise that resolves to the fetch result
+ * @throws {Error} If the source is unknown or no source provides the rule
+ */
+async function fetchFromSources(ruleName, options = {}) {
+  const basePath = options.basePath || process.cwd();
+  let sources = getSources(basePath);
+
+  if (options.source) {
+    sources = sources.filter((source) => source.name === options.source);
+    if (sources.length === 0) {
+      throw new Error(
+        `Unknown rule source '${options.source}'. Run 'rulez source list' to see the configured sources`
+      );
     }
   }
 
-  // If still no content found
-  if (!content) {
-    // For URLs with composite names (like nextjs-react-typescript), try creating synthetic content
-    if (ruleName.includes("-")) {
-      const technologies = ruleName
-        .split("-")
-        .filter((t) => t !== "cursor" && t !== "rules");
-      content = createSyntheticRuleContent(technologies, ruleName);
-    } else {
-      throw new Error(`Could not extract rule content from ${url}`);
+  const failures = [];
+  for (const source of sources) {
+    try {
+      const result = await fetchFromSource(source, ruleName, basePath, options);
+      return { success: true, name: ruleName, ...result, from: source.name };
+    } catch (error) {
+      failures.push({ source, error });
     }
   }
 
-  return {
-    content,
-    name: ruleName,
-  };
+  const attempts = failures.map((failure) => ({
+    source: failure.source.name,
+    error: failure.error.message,
+  }));
+
+  // With a single source its own error is the most useful message
+  if (failures.length === 1) {
+    failures[0].error.attempts = attempts;
+    throw failures[0].error;
+  }
+  const error = new Error(
+    `Rule '${ruleName}' was not found in any source: ` +
+      failures
+        .map((failure) => `${failure.source.name} (${failure.error.message})`)
+        .join(", ")
+  );
+  // A private source may be where the rule is, so the missing token is what to fix
+  if (failures.some((failure) => failure.error.code === AUTH_REQUIRED)) {
+    error.code = AUTH_REQUIRED;
+  }
+  error.attempts = attempts;
+  throw error;
 }
 
 /**
- * Create synthetic rule content for composite technology names
- * @param {string[]} technologies - List of technologies from the rule name
- * @param {string} ruleName - The full rule name
- * @returns {string} - Generated synthetic rule content
+ * Get the name a requested rule would be saved under
+ * @param {string} ruleNameOrUrl - Rule name, URL, specifier or path
+ * @param {Object} options - Options for the fetch (isUrl)
+ * @returns {string} The rule name
  */
-function createSyntheticRuleContent(technologies, ruleName) {
-  const techList = technologies
-    .map((t) => t.charAt(0).toUpperCase() + t.slice(1))
-    .join(", ");
+function getRequestedRuleName(ruleNameOrUrl, options = {}) {
+  if (options.isUrl) {
+    return extractRuleNameFromUrl(ruleNameOrUrl);
+  }
+  if (isLocalSpecifier(ruleNameOrUrl)) {
+    return path.basename(ruleNameOrUrl, path.extname(ruleNameOrUrl));
+  }
+  const specifier =
+    parseRuleSpecifier(ruleNameOrUrl) || parseGitSpecifier(ruleNameOrUrl);
+  return specifier ? specifier.name : ruleNameOrUrl;
+}
 
-  return `# ${techList} Cursor Rule
+/**
+ * Get the id of the sources a request is looked up in, if it is looked up in
+ * them at all: URLs, specifiers and paths name where the rule is themselves
+ * @param {string} ruleNameOrUrl - Rule name, URL, specifier or path
+ * @param {Object} options - Options for the fetch (isUrl, basePath)
+ * @returns {string|undefined} The id (see sources.getSourceSetId)
+ */
+function getCacheScope(ruleNameOrUrl, options = {}) {
+  if (
+    options.isUrl ||
+    isLocalSpecifier(ruleNameOrUrl) ||
+    parseGitSpecifier(ruleNameOrUrl) ||
+    parseRuleSpecifier(ruleNameOrUrl)
+  ) {
+    return undefined;
+  }
+  return getSourceSetId(options.basePath);
+}
 
-You are a specialized AI assistant for ${techList} development. When helping with this project, follow these guidelines:
+/**
+ * Serve a rule from the local cache without touching the network
+ * Rule names are only served if they were fetched with the same sources
+ * @param {string} ruleNameOrUrl - Name of the rule, URL or specifier, as it was fetched before
+ * @param {Object} options - Options for the fetch (isUrl, source, basePath)
+ * @returns {Object} - The cached rule, or a failure if it isn't cached
+ */
+function fetchCachedRule(ruleNameOrUrl, options = {}) {
+  let cached;
+  try {
+    cached = getCachedRule(ruleNameOrUrl, {
+      source: options.source,
+      scope: getCacheScope(ruleNameOrUrl, options),
+    });
+  } catch (error) {
+    cached = null;
+  }
 
-1. Use TypeScript for all code examples and solutions where applicable
-2. Follow ${techList} best practices and current standards
-3. Focus on writing clean, maintainable code with appropriate type definitions
-4. Provide helpful explanations that consider the relationships between the technologies
-5. Ensure code examples work well together within the tech stack
+  if (!cached) {
+    const from = options.source ? ` from source '${options.source}'` : "";
+    return {
+      success: false,
+      error:
+        `'${ruleNameOrUrl}'${from} isn't in the local rule cache (${getRuleCacheDir()}). ` +
+        "Add it once without --offline to cache it, or run 'rulez cache ls' to see what's cached",
+      name: getRequestedRuleName(ruleNameOrUrl, options),
+    };
+  }
 
-# File patterns: **/*.{ts,tsx,js,jsx}
-`;
+  const { content, name, source, from, commit } = cached;
+  const result = { success: true, content, name, source, cached: true };
+  if (from) result.from = from;
+  if (commit) result.commit = commit;
+  return result;
 }
 
 /**
- * Fetch a rule from the Cursor Directory
+ * Fetch a rule and keep a copy in the local cache
+ * With offlineMode, rules are served from the cache instead; local files are
+ * always read from disk
  * @param {string} ruleNameOrUrl - Name of the rule to fetch or URL
  * @param {Object} options - Options for the fetch
+ * @param {boolean} options.isUrl - Whether ruleNameOrUrl is a URL
+ * @param {string} options.source - Only look in the rule source with this name
+ * @param {boolean} options.offlineMode - Serve the rule from the cache
+ * @param {boolean} options.allowFallback - Fall back to related or generated content
+ *   when a cursor.directory page yields no rule (see fetchCursorDirectoryRule)
+ * @param {boolean} options.noCache - Leave every cache as it is: nothing fetched
+ *   is kept, and git remotes are fetched into a temporary directory that is removed
  * @returns {Promise<Object>} - A promise that resolves to the rule content
  */
 async function fetchRule(ruleNameOrUrl, options = {}) {
-  try {
-    // Handle offline mode first
-    if (options.offlineMode) {
-      let ruleName = ruleNameOrUrl;
-      if (options.isUrl) {
-        ruleName = extractRuleNameFromUrl(ruleNameOrUrl);
-      }
-      return {
-        success: true,
-        content: generateSimulatedContent(ruleName),
-        name: ruleName,
-        source: "offline-mode",
-      };
+  const isLocal = !options.isUrl && isLocalSpecifier(ruleNameOrUrl);
+  if (options.offlineMode && !isLocal) {
+    return fetchCachedRule(ruleNameOrUrl, options);
+  }
+
+  if (options.noCache) {
+    const gitCacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "rulez-git-"));
+    try {
+      return await resolveRule(ruleNameOrUrl, { ...options, gitCacheDir });
+    } finally {
+      fs.rmSync(gitCacheDir, { recursive: true, force: true });
+    }
+  }
+
+  const result = await resolveRule(ruleNameOrUrl, options);
+  if (result.success && !isLocal && !result.fallback) {
+    try {
+      cacheRule(ruleNameOrUrl, result, {
+        scope: getCacheScope(ruleNameOrUrl, options),
+      });
+    } catch (error) {
+      // The cache is a convenience; the fetched rule is still good
     }
+  }
+  return result;
+}
 
+/**
+ * Fetch a rule from wherever it was requested from
+ * @param {string} ruleNameOrUrl - Name of the rule to fetch or URL
+ * @param {Object} options - Options for the fetch (see fetchRule)
+ * @returns {Promise<Object>} - A promise that resolves to the rule content
+ */
+async function resolveRule(ruleNameOrUrl, options = {}) {
+  const requestOptions = { noCache: options.noCache };
+  try {
     // Handle URL input
     if (options.isUrl) {
       // Special handling for cursor.directory URLs
       if (isCursorDirectoryUrl(ruleNameOrUrl)) {
-        try {
-          const { content, name } = await scrapeCursorDirectoryPage(
-            ruleNameOrUrl
-          );
-          return {
-            success: true,
-            content,
-            name,
-            source: ruleNameOrUrl,
-          };
-        } catch (error) {
-          console.log(
-            `Warning: Error scraping cursor.directory page: ${error.message}`
-          );
-          console.log("Trying fallback approaches...");
-
-          // Fallback: Try to extract rule name and fetch it directly
-          const ruleName = extractRuleNameFromUrl(ruleNameOrUrl);
-
-          // If the name contains multiple technologies, try each one
-          if (ruleName.includes("-")) {
-            const technologies = ruleName
-              .split("-")
-              .filter((t) => t !== "cursor" && t !== "rules" && t !== "rule");
-
-            // Try each technology name as a possible rule
-            for (const tech of technologies) {
-              try {
-                const url = getGitHubRawUrl(tech);
-                const content = await fetchContent(url);
-                return {
-                  success: true,
-                  content,
-                  name: ruleName, // Keep the original composite name
-                  source: url,
-                };
-              } catch (e) {
-                // Continue to next technology
-                continue;
-              }
-            }
-
-            // If we get here, none of the individual technologies worked
-            // Create synthetic content instead
-            return {
-              success: true,
-              content: createSyntheticRuleContent(technologies, ruleName),
-              name: ruleName,
-              source: "synthetic-content",
-            };
-          }
-
-          // If not a composite name, continue with normal error handling
-          throw error;
-        }
+        return await fetchCursorDirectoryRule(ruleNameOrUrl, options);
       }
 
       // For other URLs, just fetch the content directly
-      const content = await fetchContent(ruleNameOrUrl);
+      const content = await fetchContent(ruleNameOrUrl, requestOptions);
       return {
         success: true,
         content,
         name: extractRuleNameFromUrl(ruleNameOrUrl),
         source: ruleNameOrUrl,
+        commit: await resolveGitHubCommit(ruleNameOrUrl, requestOptions),
       };
     }
 
-    // Handle rule name input (original behavior)
-    const url = getGitHubRawUrl(ruleNameOrUrl);
-    const content = await fetchContent(url);
+    // Handle local rule files, given as paths or file:// URLs
+    if (!options.isUrl && isLocalSpecifier(ruleNameOrUrl)) {
+      const basePath = options.basePath || process.cwd();
+      const filePath = resolveLocalSpecifier(ruleNameOrUrl, basePath);
+      if (!fileExists(filePath)) {
+        throw new Error(`Rule file not found: ${filePath}`);
+      }
+      return {
+        success: true,
+        content: fs.readFileSync(filePath, "utf8"),
+        name: path.basename(filePath, path.extname(filePath)),
+        source: toLocalSpecifier(filePath, basePath),
+      };
+    }
 
-    return {
-      success: true,
-      content,
-      name: ruleNameOrUrl,
-      source: url,
-    };
-  } catch (error) {
-    if (options.offlineMode) {
-      // In offline mode, return simulated content
-      let ruleName = ruleNameOrUrl;
-      if (options.isUrl) {
-        ruleName = extractRuleNameFromUrl(ruleNameOrUrl);
+    // Handle rule files in git remotes, given as git+<remote>#ref:path
+    const gitSpecifier = parseGitSpecifier(ruleNameOrUrl);
+    if (gitSpecifier) {
+      const { remote, ref } = gitSpecifier;
+      const gitOptions = {
+        basePath: options.basePath,
+        cacheDir: options.gitCacheDir,
+      };
+      const listing = listGitRuleFiles(
+        remote,
+        ref,
+        gitSpecifier.path,
+        gitOptions
+      );
+      if (listing.isDirectory) {
+        throw new Error(
+          `'${
+            gitSpecifier.path || "/"
+          }' is a directory; name a single rule file`
+        );
       }
+      const filePath = listing.files[0];
+      const { content } = readGitFile(
+        remote,
+        listing.commit,
+        filePath,
+        gitOptions
+      );
+      return {
+        success: true,
+        content,
+        name: path.posix.basename(filePath, ".mdc"),
+        source: formatGitSpecifier(remote, listing.commit, filePath),
+        commit: listing.commit,
+      };
+    }
+
+    // Handle specifiers such as github:owner/repo/rule.mdc@ref
+    const specifier = parseRuleSpecifier(ruleNameOrUrl);
+    if (specifier) {
+      const content = await fetchContent(specifier.url, requestOptions);
       return {
         success: true,
-        content: generateSimulatedContent(ruleName),
-        name: ruleName,
-        source: "offline-mode",
+        content,
+        name: specifier.name,
+        source: specifier.url,
+        commit: await resolveGitHubCommit(specifier.url, requestOptions),
+      };
+    }
+
+    // Handle rule name input by trying each configured source
+    return await fetchFromSources(ruleNameOrUrl, options);
+  } catch (error) {
+    // Every failure lists what was tried, even if only one thing was
+    const attempts = error.attempts || [
+      { source: ruleNameOrUrl, error: error.message },
+    ];
+
+    if (error.code === AUTH_REQUIRED) {
+      return {
+        success: false,
+        error: error.message,
+        name: getRequestedRuleName(ruleNameOrUrl, options),
+        authRequired: true,
+        attempts,
+      };
+    }
+
+    // Specifiers and paths name an exact file, so community suggestions don't apply
+    if (!options.isUrl && isLocalSpecifier(ruleNameOrUrl)) {
+      return {
+        success: false,
+        error: error.message,
+        name: path.basename(ruleNameOrUrl, path.extname(ruleNameOrUrl)),
+        attempts,
+      };
+    }
+    const specifier =
+      !options.isUrl &&
+      (parseRuleSpecifier(ruleNameOrUrl) || parseGitSpecifier(ruleNameOrUrl));
+    if (specifier) {
+      return {
+        success: false,
+        error: error.message,
+        name: specifier.name,
+        attempts,
       };
     }
 
-    // Try to find rules with similar names
-    const availableRules = await listAvailableRules();
+    // Try to find rules with similar names in the (possibly cached) index
+    let availableRules = [];
+    try {
+      availableRules = await listAvailableRules(requestOptions);
+    } catch (indexError) {
+      // Suggestions are best effort; the original error is what matters
+    }
     const ruleName = options.isUrl
       ? extractRuleNameFromUrl(ruleNameOrUrl)
       : ruleNameOrUrl;
-    const suggestions = availableRules
-      .filter(
-        (rule) => rule.name.includes(ruleName) || ruleName.includes(rule.name)
-      )
-      .map((rule) => rule.name);
+    // Body-only matches are too loose to suggest as the rule that was meant
+    const suggestions = searchRules(availableRules, ruleName, {
+      limit: MAX_SUGGESTIONS,
+      minScore: 0.5,
+    }).map((result) => result.rule.name);
 
     return {
       success: false,
       error: error.message,
       name: ruleName,
       suggestions: suggestions.length > 0 ? suggestions : undefined,
+      attempts,
     };
   }
 }
 
-/**
- * Generate simulated rule content for offline mode or testing
- * @param {string} ruleName - Name of the rule
- * @returns {string} - Simulated rule content
- */
-function generateSimulatedContent(ruleName) {
-  return `# ${ruleName} (Simulated Offline Mode)
-
-When working with ${ruleName}, follow these guidelines:
-
-1. This is a simulated rule created in offline mode
-2. The actual rule would contain specific guidance for ${ruleName}
-3. To get real rules, please connect to the internet
-
-# File patterns: **/*.${ruleName.toLowerCase()}
-`;
-}
-
 module.exports = {
   fetchRule,
   listAvailableRules,
+  loadRuleIndex,
+  buildRuleIndex,
+  mapWithConcurrency,
   // Export these for testing purposes
+  parseRuleFrontmatter,
+  getRuleIndexPath,
   fetchContent,
   getGitHubRawUrl,
-  generateSimulatedContent,
+  parseGitHubRawUrl,
+  resolveGitHubCommit,
+  fetchFromSource,
   isCursorDirectoryUrl,
   extractRuleNameFromUrl,
   scrapeCursorDirectoryPage,
   createSyntheticRuleContent,
-  decodeHtmlEntities,
+  fetchCursorDirectoryRule,
   // Constants
+  SYNTHETIC_SOURCE,
   GITHUB_RAW_URL,
+  GITHUB_API_URL,
   CURSOR_DIRECTORY_REPO,
   CURSOR_DIRECTORY_BRANCH,
   RULES_PATH,
@@ -0,0 +1,482 @@
+/**
+ * Rule linter for validating .mdc rule files
+ */
+const fs = require("fs");
+const path = require("path");
+const { getRuleDirectories, findRuleFiles } = require("./file-utils");
+const { parseMdc, splitGlobs, findLegacyFilePatterns } = require("./mdc");
+
+/**
+ * Frontmatter keys Cursor understands
+ */
+const KNOWN_FRONTMATTER_KEYS = ["description", "globs", "alwaysApply"];
+
+/**
+ * Size limits beyond which a rule is flagged as excessive
+ */
+const MAX_RULE_LINES = 500;
+const MAX_RULE_BYTES = 32 * 1024;
+
+/**
+ * HTML tag names that indicate markup left over from scraping a web page
+ */
+const HTML_TAG_NAMES = [
+  "a",
+  "b",
+  "br",
+  "code",
+  "div",
+  "em",
+  "h1",
+  "h2",
+  "h3",
+  "h4",
+  "h5",
+  "h6",
+  "hr",
+  "i",
+  "img",
+  "li",
+  "ol",
+  "p",
+  "pre",
+  "section",
+  "span",
+  "strong",
+  "table",
+  "td",
+  "th",
+  "tr",
+  "ul",
+];
+
+const HTML_TAG_PATTERN = new RegExp(
+  `</?(?:${HTML_TAG_NAMES.join("|")})(?:\\s[^<>]*)?/?>`,
+  "i"
+);
+const HTML_ENTITY_PATTERN = /&(?:[a-z][a-z0-9]{1,31}|#\d+|#x[0-9a-f]+);/i;
+
+/**
+ * Create a lint problem
+ * @param {string} rule - Identifier of the check that failed
+ * @param {string} severity - "error" or "warning"
+ * @param {string} message - Human-readable description
+ * @param {number} line - 1-based line number, if known
+ * @returns {Object} The problem
+ */
+function problem(rule, severity, message, line) {
+  return line ? { rule, severity, message, line } : { rule, severity, message };
+}
+
+/**
+ * Check a glob pattern for syntax mistakes
+ * @param {string} glob - Glob pattern to check
+ * @returns {Object|null} Severity and message for the first issue found, or null
+ */
+function validateGlob(glob) {
+  let braces = 0;
+  let brackets = 0;
+  for (const char of glob) {
+    if (char === "{") braces++;
+    if (char === "}") braces--;
+    if (char === "[") brackets++;
+    if (char === "]") brackets--;
+    if (braces < 0 || brackets < 0) break;
+  }
+
+  if (braces !== 0) {
+    return { severity: "error", message: "unbalanced braces" };
+  }
+  if (brackets !== 0) {
+    return { severity: "error", message: "unbalanced brackets" };
+  }
+  if (/\{\s*\}/.test(glob)) {
+    return { severity: "error", message: "empty brace expansion" };
+  }
+  if (/\*{3,}/.test(glob)) {
+    return { severity: "error", message: "more than two consecutive '*'" };
+  }
+  if (glob.includes("\\")) {
+    return {
+      severity: "warning",
+      message: "contains a backslash; use '/' as the path separator",
+    };
+  }
+  if (glob.startsWith("/") || glob.startsWith("./")) {
+    return {
+      severity: "warning",
+      message: "globs are matched against project-relative paths",
+    };
+  }
+  if (/\s/.test(glob)) {
+    return { severity: "warning", message: "contains whitespace" };
+  }
+
+  return null;
+}
+
+/**
+ * Check a raw frontmatter value for a quoted string that is never closed
+ * Quotes only open a string at the start of the value or of a flow sequence item
+ * @param {string} text - Raw value text after the "key:" prefix
+ * @returns {boolean} True if a quote is left open
+ */
+function hasUnterminatedQuote(text) {
+  const value = text.trim();
+  const inFlow = value.startsWith("[");
+  let quote = null;
+  let atItemStart = true;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (quote === '"' && char === "\\") {
+        i++;
+      } else if (quote === "'" && char === "'" && value[i + 1] === "'") {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if ((char === '"' || char === "'") && atItemStart) {
+      quote = char;
+    } else if (inFlow && (char === "[" || char === ",")) {
+      atItemStart = true;
+    } else if (!/\s/.test(char)) {
+      atItemStart = false;
+    }
+  }
+
+  return quote !== null;
+}
+
+/**
+ * Get the raw value texts of a frontmatter field
+ * @param {Object} field - Field from the parsed layout
+ * @param {string[]} lines - Frontmatter lines
+ * @returns {string[]} The inline value wrapped over its lines, or each block sequence item
+ */
+function rawFieldValues(field, lines) {
+  const inline = lines[field.start].replace(/^[^:]*:/, "");
+  const rest = lines.slice(field.start + 1, field.end);
+  if (/^\s*[|>]/.test(inline)) {
+    return [];
+  }
+  if (!inline.trim() && rest.some((line) => /^\s*-\s/.test(line))) {
+    return rest.map((line) => line.replace(/^\s*-\s/, ""));
+  }
+  return [[inline, ...rest.map((line) => line.trim())].join(" ")];
+}
+
+/**
+ * Lint the frontmatter of a parsed rule
+ * @param {Object} doc - Document returned by parseMdc
+ * @returns {Object[]} Problems found
+ */
+function lintFrontmatter(doc) {
+  const problems = [];
+  const { attributes, layout } = doc;
+  const lineOf = (index) => index + 2;
+
+  // Lines that are neither attributes, comments nor blank are malformed
+  const attributeLines = new Set();
+  layout.fields.forEach((field) => {
+    for (let i = field.start; i < field.end; i++) attributeLines.add(i);
+  });
+  layout.lines.forEach((text, index) => {
+    const trimmed = text.trim();
+    if (!attributeLines.has(index) && trimmed && !trimmed.startsWith("#")) {
+      problems.push(
+        problem(
+          "frontmatter-syntax",
+          "error",
+          `Malformed frontmatter line: '${trimmed}'`,
+          lineOf(index)
+        )
+      );
+    }
+  });
+
+  layout.fields.forEach((field) => {
+    if (
+      rawFieldValues(field, layout.lines).some((text) =>
+        hasUnterminatedQuote(text)
+      )
+    ) {
+      problems.push(
+        problem(
+          "frontmatter-syntax",
+          "error",
+          `Unterminated quote in the value of '${field.key}'`,
+          lineOf(field.start)
+        )
+      );
+    }
+    if (!KNOWN_FRONTMATTER_KEYS.includes(field.key)) {
+      problems.push(
+        problem(
+          "frontmatter-unknown-key",
+          "warning",
+          `Unknown frontmatter key '${field.key}'`,
+          lineOf(field.start)
+        )
+      );
+    }
+  });
+
+  const fieldLine = (key) => {
+    const field = layout.fields.find((f) => f.key === key);
+    return field ? lineOf(field.start) : undefined;
+  };
+
+  if (
+    "alwaysApply" in attributes &&
+    typeof attributes.alwaysApply !== "boolean"
+  ) {
+    problems.push(
+      problem(
+        "frontmatter-type",
+        "error",
+        "alwaysApply must be true or false",
+        fieldLine("alwaysApply")
+      )
+    );
+  }
+
+  if (
+    "description" in attributes &&
+    typeof attributes.description !== "string"
+  ) {
+    problems.push(
+      problem(
+        "frontmatter-type",
+        "error",
+        "description must be a string",
+        fieldLine("description")
+      )
+    );
+  }
+
+  const globs = splitGlobs(attributes.globs);
+  globs.forEach((glob) => {
+    const issue = validateGlob(glob);
+    if (issue) {
+      problems.push(
+        problem(
+          "glob-syntax",
+          issue.severity,
+          `Invalid glob '${glob}': ${issue.message}`,
+          fieldLine("globs")
+        )
+      );
+    }
+  });
+
+  // Without globs, a description or alwaysApply, Cursor never applies the rule
+  const unreachable =
+    globs.length === 0 &&
+    attributes.alwaysApply !== true &&
+    !attributes.description;
+  if ("globs" in attributes && globs.length === 0) {
+    problems.push(
+      unreachable
+        ? problem(
+            "empty-globs",
+            "error",
+            "globs is empty and there is no description or alwaysApply, so Cursor will never apply the rule",
+            fieldLine("globs")
+          )
+        : problem(
+            "empty-globs",
+            "warning",
+            "globs is empty; list the files the rule applies to or remove the key",
+            fieldLine("globs")
+          )
+    );
+  } else if (unreachable) {
+    problems.push(
+      problem(
+        "unreachable-rule",
+        "error",
+        "Rule has no globs, description or alwaysApply, so Cursor will never apply it"
+      )
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Lint the body of a rule for leftover HTML markup
+ * Fenced code blocks and inline code are ignored, since examples may contain markup
+ * @param {string} body - Rule body
+ * @param {number} firstLine - 1-based line number the body starts at
+ * @returns {Object[]} Problems found
+ */
+function lintBody(body, firstLine) {
+  const problems = [];
+  let inFence = false;
+
+  body.split(/\r?\n/).forEach((text, index) => {
+    if (/^\s*(```|~~~)/.test(text)) {
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) return;
+
+    const prose = text.replace(/`[^`]*`/g, "");
+    const tag = prose.match(HTML_TAG_PATTERN);
+    if (tag) {
+      problems.push(
+        problem(
+          "html-tag",
+          "error",
+          `Leftover HTML tag '${tag[0]}'`,
+          firstLine + index
+        )
+      );
+    }
+
+    const entity = prose.match(HTML_ENTITY_PATTERN);
+    if (entity) {
+      problems.push(
+        problem(
+          "html-entity",
+          "error",
+          `Undecoded HTML entity '${entity[0]}'`,
+          firstLine + index
+        )
+      );
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Lint the content of a single rule file
+ * @param {string} content - Raw .mdc content
+ * @returns {Object[]} Problems found, each with rule, severity, message and line
+ */
+function lintRuleContent(content) {
+  const problems = [];
+  const doc = parseMdc(content);
+
+  if (!doc.hasFrontmatter) {
+    if (/^\uFEFF?---[ \t]*\r?\n/.test(content)) {
+      problems.push(
+        problem(
+          "frontmatter-syntax",
+          "error",
+          "Frontmatter block is not closed with '---'",
+          1
+        )
+      );
+    } else {
+      problems.push(
+        problem(
+          "frontmatter-missing",
+          "warning",
+          "No frontmatter; add description, globs and alwaysApply so Cursor knows when to apply the rule",
+          1
+        )
+      );
+    }
+  } else {
+    problems.push(...lintFrontmatter(doc));
+  }
+
+  const bodyStartLine = doc.hasFrontmatter ? doc.layout.lines.length + 3 : 1;
+  problems.push(...lintBody(doc.body, bodyStartLine));
+
+  findLegacyFilePatterns(doc.body).forEach((match) => {
+    problems.push(
+      problem(
+        "legacy-file-patterns",
+        "warning",
+        "Cursor ignores '# File patterns:' comments; run 'rulez migrate' to convert them to frontmatter globs",
+        bodyStartLine + match.line
+      )
+    );
+  });
+
+  if (!doc.body.trim()) {
+    problems.push(problem("empty-body", "error", "Rule body is empty"));
+  }
+
+  const lineCount = content.split(/\r?\n/).length;
+  const byteCount = Buffer.byteLength(content, "utf8");
+  if (lineCount > MAX_RULE_LINES || byteCount > MAX_RULE_BYTES) {
+    problems.push(
+      problem(
+        "rule-size",
+        "warning",
+        `Rule is ${lineCount} lines / ${byteCount} bytes; keep rules under ${MAX_RULE_LINES} lines and ${MAX_RULE_BYTES} bytes`
+      )
+    );
+  }
+
+  return problems.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Lint every rule in the project and local rule directories
+ * @param {string} basePath - Optional base path (defaults to process.cwd())
+ * @returns {Object[]} Results with file, scope, name and problems for each rule
+ */
+function lintRules(basePath) {
+  const root = basePath || process.cwd();
+  const results = [];
+  for (const { scope, dir } of getRuleDirectories(basePath)) {
+    for (const file of findRuleFiles(dir)) {
+      results.push({
+        file,
+        scope,
+        name: path.basename(file, ".mdc"),
+        problems: lintRuleContent(fs.readFileSync(file, "utf8")),
+      });
+    }
+  }
+
+  // Rule names must be unique within a scope; Cursor can't tell them apart otherwise
+  for (const result of results) {
+    const sameName = results.filter(
+      (other) => other.name.toLowerCase() === result.name.toLowerCase()
+    );
+    const duplicates = sameName.filter(
+      (other) => other !== result && other.scope === result.scope
+    );
+    const shadowed = sameName.filter((other) => other.scope !== result.scope);
+
+    if (duplicates.length > 0) {
+      result.problems.push(
+        problem(
+          "duplicate-name",
+          "error",
+          `Rule name '${result.name}' is also used by ${duplicates
+            .map((other) => path.relative(root, other.file))
+            .join(", ")}`
+        )
+      );
+    }
+    if (result.scope === "local" && shadowed.length > 0) {
+      result.problems.push(
+        problem(
+          "duplicate-name",
+          "warning",
+          `Local rule '${result.name}' has the same name as a project rule`
+        )
+      );
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  lintRuleContent,
+  lintRules,
+  validateGlob,
+  KNOWN_FRONTMATTER_KEYS,
+  MAX_RULE_LINES,
+  MAX_RULE_BYTES,
+};
@@ -0,0 +1,267 @@
+/**
+ * Fuzzy search over the rule index
+ *
+ * A query is split into words, and each word is matched against the words of a
+ * rule's name, tags, description and body, in that order of importance. A word
+ * can match exactly, as a prefix, as part of a longer word, or with a typo or
+ * two. Looser matches and less important fields score lower.
+ */
+const { parseMdc } = require("./mdc");
+
+/**
+ * How much a match in each field counts towards a rule's score
+ */
+const FIELD_WEIGHTS = {
+  name: 1,
+  tags: 0.8,
+  description: 0.6,
+  body: 0.3,
+};
+
+/**
+ * Shortest query word that may match with typos
+ */
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Longest body excerpt kept in the index for searching
+ */
+const MAX_INDEXED_BODY_LENGTH = 2000;
+
+/**
+ * Split text into lowercase words
+ * @param {string} text - Text to split
+ * @returns {string[]} The words, in order
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word);
+}
+
+/**
+ * Count the edits (insertions, deletions, substitutions and swaps of adjacent
+ * characters) that turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} The distance, or max + 1 if it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let twoRowsBack = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], twoRowsBack[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    // Every later row is at least as far apart as this one
+    if (rowMin > max) {
+      return max + 1;
+    }
+    twoRowsBack = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Score how well a query word matches the best of a list of words
+ * @param {string} queryWord - Word from the query
+ * @param {string[]} words - Words of a rule field
+ * @returns {number} 1 for an exact match down to 0 for no match
+ */
+function matchWord(queryWord, words) {
+  const maxTypos = queryWord.length >= 8 ? 2 : 1;
+  let best = 0;
+
+  for (const word of words) {
+    if (word === queryWord) {
+      return 1;
+    }
+    if (word.startsWith(queryWord)) {
+      best = Math.max(best, 0.9);
+    } else if (queryWord.length >= 3 && word.includes(queryWord)) {
+      best = Math.max(best, 0.7);
+    } else if (queryWord.length >= MIN_FUZZY_LENGTH && best < 0.6) {
+      const distance = editDistance(queryWord, word, maxTypos);
+      if (distance <= maxTypos) {
+        best = Math.max(best, distance === 1 ? 0.6 : 0.45);
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Score how closely a query resembles a rule's whole name
+ * Catches queries that join words differently, like "nextjs" for "next-js"
+ * @param {string} query - The full query
+ * @param {string} name - Rule name
+ * @returns {number} Bonus added to the rule's score
+ */
+function nameBonus(query, name) {
+  const compact = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const q = compact(query);
+  const n = compact(name);
+
+  if (!q || !n) return 0;
+  if (q === n) return 1;
+  if (Math.min(q.length, n.length) >= 3 && (n.includes(q) || q.includes(n))) {
+    return 0.5;
+  }
+  if (q.length >= MIN_FUZZY_LENGTH && editDistance(q, n, 2) <= 2) {
+    return 0.4;
+  }
+  return 0;
+}
+
+/**
+ * Get the words of each searchable field of an indexed rule
+ * @param {Object} rule - Rule from the index
+ * @returns {Object} Word lists keyed by field name
+ */
+function getSearchFields(rule) {
+  const tags = Array.isArray(rule.tags) ? rule.tags.join(" ") : rule.tags;
+  return {
+    name: tokenize(rule.name),
+    tags: tokenize(tags),
+    description: tokenize(rule.description),
+    body: [...new Set(tokenize(rule.body))],
+  };
+}
+
+/**
+ * Score a rule against a query
+ * @param {Object} rule - Rule from the index
+ * @param {string} query - The full query
+ * @param {string[]} queryWords - Words of the query
+ * @returns {Object} The score and the fields that matched
+ */
+function scoreRule(rule, query, queryWords) {
+  const fields = getSearchFields(rule);
+  const matches = new Set();
+  let total = 0;
+
+  for (const queryWord of queryWords) {
+    let best = 0;
+    let bestField;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const score = matchWord(queryWord, fields[field]) * weight;
+      if (score > best) {
+        best = score;
+        bestField = field;
+      }
+    }
+    total += best;
+    if (bestField) matches.add(bestField);
+  }
+
+  const bonus = nameBonus(query, rule.name);
+  if (bonus > 0) matches.add("name");
+
+  return {
+    score: total / queryWords.length + bonus,
+    matches: Object.keys(FIELD_WEIGHTS).filter((field) => matches.has(field)),
+  };
+}
+
+/**
+ * Rank rules by how well they match a query
+ * @param {Object[]} rules - Rules from the index
+ * @param {string} query - Words to search for
+ * @param {Object} options - Options for the search
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.minScore - Lowest score to include (defaults to 0.1)
+ * @returns {Object[]} Results with the rule, its score and the fields that matched,
+ *   best first
+ */
+function searchRules(rules, query, options = {}) {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) {
+    return [];
+  }
+
+  const minScore = options.minScore === undefined ? 0.1 : options.minScore;
+  const results = rules
+    .map((rule) => ({ rule, ...scoreRule(rule, query, queryWords) }))
+    .filter((result) => result.score >= minScore)
+    .sort(
+      (a, b) => b.score - a.score || a.rule.name.localeCompare(b.rule.name)
+    );
+
+  return options.limit ? results.slice(0, options.limit) : results;
+}
+
+/**
+ * Find a short excerpt of text around the first query word it contains
+ * @param {string} text - Text to search
+ * @param {string} query - Words to look for
+ * @param {number} width - Approximate length of the excerpt
+ * @returns {string|null} The excerpt, or null if no query word appears in the text
+ */
+function getSnippet(text, query, width = 80) {
+  const lower = String(text || "").toLowerCase();
+  const positions = tokenize(query)
+    .map((word) => lower.indexOf(word))
+    .filter((index) => index >= 0);
+  if (positions.length === 0) {
+    return null;
+  }
+
+  const start = Math.max(0, Math.min(...positions) - Math.floor(width / 3));
+  const end = Math.min(text.length, start + width);
+  return (
+    (start > 0 ? "..." : "") +
+    text.slice(start, end).trim() +
+    (end < text.length ? "..." : "")
+  );
+}
+
+/**
+ * Extract the fields of a rule file that are indexed for searching
+ * @param {string} content - Raw .mdc content
+ * @returns {Object} Tags from the frontmatter and a whitespace-collapsed body excerpt
+ */
+function extractSearchFields(content) {
+  const { attributes, body } = parseMdc(content);
+
+  let tags = [];
+  if (Array.isArray(attributes.tags)) {
+    tags = attributes.tags.map(String);
+  } else if (typeof attributes.tags === "string") {
+    tags = attributes.tags.split(",");
+  }
+
+  return {
+    tags: tags.map((tag) => tag.trim()).filter((tag) => tag),
+    body: body.replace(/\s+/g, " ").trim().slice(0, MAX_INDEXED_BODY_LENGTH),
+  };
+}
+
+module.exports = {
+  searchRules,
+  getSnippet,
+  extractSearchFields,
+  editDistance,
+  tokenize,
+  FIELD_WEIGHTS,
+  MAX_INDEXED_BODY_LENGTH,
+};
@@ -0,0 +1,338 @@
+/**
+ * Rule source registry for the places rules can be fetched from
+ *
+ * Sources are declared in the "sources" list of .cursor/rulez.json and are
+ * tried in order, followed by the built-in community repository:
+ *
+ *   { "name": "company", "type": "github", "repo": "acme/rules", "branch": "main", "path": "rules" }
+ *   { "name": "internal", "type": "git", "url": "git@git.acme.dev:ai/rules.git", "branch": "main", "path": "rules" }
+ *   { "name": "mirror", "type": "http", "url": "https://rules.example.com/cursor" }
+ *   { "name": "shared", "type": "local", "path": "../shared-rules" }
+ *
+ * GitHub and http sources may name the environment variable holding a token
+ * for a private repository, e.g. "tokenEnv": "RULEZ_ACME_TOKEN" (see auth.js).
+ */
+const path = require("path");
+const { hashContent } = require("./file-utils");
+const { readManifest, writeManifest } = require("./manifest");
+const { DEFAULT_REF, isValidGitRef, isValidGitRemote } = require("./specifier");
+
+// Constants for the built-in community source
+const CURSOR_DIRECTORY_REPO = "ivangrynenko/cursorrules";
+const CURSOR_DIRECTORY_BRANCH = "main";
+const RULES_PATH = ".cursor/rules";
+
+/**
+ * Source used when no other source provides a rule
+ */
+const DEFAULT_SOURCE = {
+  name: "cursor-directory",
+  type: "github",
+  repo: CURSOR_DIRECTORY_REPO,
+  branch: CURSOR_DIRECTORY_BRANCH,
+  path: RULES_PATH,
+};
+
+/**
+ * Kinds of source rules can be fetched from
+ */
+const SOURCE_TYPES = ["github", "git", "http", "local"];
+
+/**
+ * Kinds of source that can be given a token with "tokenEnv"; git sources use
+ * git's own credentials
+ */
+const TOKEN_SOURCE_TYPES = ["github", "http"];
+
+/**
+ * Names of the environment variables a source may read its token from
+ * The manifest is committed, so without this it could name any secret in the
+ * environment, such as AWS_SECRET_ACCESS_KEY, and have it sent to its server
+ */
+const TOKEN_ENV_PATTERN = /^RULEZ_[A-Z0-9_]+_TOKEN$/;
+
+/**
+ * Check if a source may read its token from an environment variable
+ * @param {string} name - Name of the environment variable
+ * @returns {boolean} True for names of the form RULEZ_<NAME>_TOKEN
+ */
+function isValidTokenEnv(name) {
+  return typeof name === "string" && TOKEN_ENV_PATTERN.test(name);
+}
+
+/**
+ * Check a source declaration for missing or invalid fields
+ * @param {Object} source - Source declaration
+ * @returns {string|null} Description of the problem, or null if the source is valid
+ */
+function validateSource(source) {
+  if (!source || typeof source !== "object") {
+    return "source must be an object";
+  }
+  if (!source.name || !/^[a-zA-Z0-9][a-zA-Z0-9_\-]*$/.test(source.name)) {
+    return "name must only contain letters, numbers, dashes, and underscores";
+  }
+  if (!SOURCE_TYPES.includes(source.type)) {
+    return `type must be one of ${SOURCE_TYPES.join(", ")}`;
+  }
+
+  if (source.type === "github" && !/^[\w.-]+\/[\w.-]+$/.test(source.repo)) {
+    return "github sources need a repo in the form 'owner/name'";
+  }
+  if (source.type === "git" && !isValidGitRemote(source.url)) {
+    return "git sources need the url of a git remote";
+  }
+  if (
+    source.type === "git" &&
+    source.branch !== undefined &&
+    !isValidGitRef(source.branch)
+  ) {
+    return "branch must be a valid git branch, tag or commit";
+  }
+  if (source.type === "http") {
+    try {
+      const url = new URL(source.url);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        return "http sources need an http or https url";
+      }
+    } catch (err) {
+      return "http sources need a valid url";
+    }
+  }
+  if (source.type === "local" && !source.path) {
+    return "local sources need a path";
+  }
+  if (source.tokenEnv !== undefined) {
+    if (!TOKEN_SOURCE_TYPES.includes(source.type)) {
+      return "tokenEnv only applies to github and http sources";
+    }
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(source.tokenEnv)) {
+      return "tokenEnv must be the name of an environment variable, not a token";
+    }
+    if (!isValidTokenEnv(source.tokenEnv)) {
+      return "tokenEnv must name an environment variable of the form RULEZ_<NAME>_TOKEN, e.g. RULEZ_ACME_TOKEN";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fill in defaults for optional source fields
+ * @param {Object} source - Valid source declaration
+ * @returns {Object} The source with defaults applied
+ */
+function normalizeSource(source) {
+  if (source.type === "github") {
+    return {
+      ...source,
+      branch: source.branch || CURSOR_DIRECTORY_BRANCH,
+      path: source.path === undefined ? RULES_PATH : source.path,
+    };
+  }
+  if (source.type === "git") {
+    return {
+      ...source,
+      branch: source.branch || DEFAULT_REF,
+      path: source.path === undefined ? RULES_PATH : source.path,
+    };
+  }
+  if (source.type === "http") {
+    return { ...source, url: source.url.replace(/\/+$/, "") };
+  }
+  return source;
+}
+
+/**
+ * Get the sources declared in a manifest
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Object[]} The declared sources, in order
+ * @throws {Error} If a declaration is invalid
+ */
+function getConfiguredSources(manifest) {
+  const sources = manifest.sources || [];
+  if (!Array.isArray(sources)) {
+    throw new Error("Invalid manifest: 'sources' must be a list");
+  }
+
+  return sources.map((source, index) => {
+    const problem = validateSource(source);
+    if (problem) {
+      const label = (source && source.name) || `#${index + 1}`;
+      throw new Error(`Invalid rule source '${label}': ${problem}`);
+    }
+    return normalizeSource(source);
+  });
+}
+
+/**
+ * Get every source rules are looked up in, in lookup order
+ * The built-in source comes last unless a declared source replaces it by name
+ * @param {string} basePath - Optional base path (defaults to process.cwd())
+ * @returns {Object[]} The sources to try
+ */
+function getSources(basePath) {
+  const sources = getConfiguredSources(readManifest(basePath));
+  if (!sources.some((source) => source.name === DEFAULT_SOURCE.name)) {
+    sources.push(DEFAULT_SOURCE);
+  }
+  return sources;
+}
+
+/**
+ * Identify the set of sources rules are looked up in
+ * Projects with the same sources, in the same order, get the same id; local
+ * source directories count with their absolute path
+ * @param {string} basePath - Optional base path (defaults to process.cwd())
+ * @returns {string} Short hash of the sources
+ */
+function getSourceSetId(basePath) {
+  const root = basePath || process.cwd();
+  const sources = getSources(root).map((source) =>
+    source.type === "local"
+      ? { ...source, path: path.resolve(root, source.path) }
+      : source
+  );
+  return hashContent(JSON.stringify(sources))
+    .replace(/^sha256-/, "")
+    .slice(0, 12);
+}
+
+/**
+ * Build a source declaration from a location given on the command line
+ * GitHub repositories can be given as "github:owner/repo" or a github.com URL;
+ * "git+" URLs, scp-style remotes and anything ending in ".git" are git remotes,
+ * other http(s) URLs become http sources and anything else a local directory
+ * @param {string} name - Name for the source
+ * @param {string} location - Repository, URL or directory
+ * @param {Object} options - Extra fields (branch and path for GitHub sources)
+ * @returns {Object} The source declaration
+ */
+function parseSourceLocation(name, location, options = {}) {
+  const shorthand = location.match(/^github:([\w.-]+\/[\w.-]+)$/);
+  if (shorthand) {
+    return { name, type: "github", repo: shorthand[1], ...options };
+  }
+  if (location.startsWith("git+") || /^[^/\\]+@[^/\\]+:/.test(location)) {
+    return {
+      name,
+      type: "git",
+      url: location.replace(/^git\+/, ""),
+      ...options,
+    };
+  }
+
+  let url;
+  try {
+    url = new URL(location);
+  } catch (err) {
+    if (/\.git\/?$/.test(location)) {
+      return { name, type: "git", url: location, ...options };
+    }
+    return { name, type: "local", path: location };
+  }
+
+  if (url.hostname === "github.com") {
+    // https://github.com/owner/repo/tree/branch/path/to/rules
+    const [owner, repo, tree, branch, ...rest] = url.pathname
+      .split("/")
+      .filter((part) => part);
+    const source = {
+      name,
+      type: "github",
+      repo: `${owner}/${(repo || "").replace(/\.git$/, "")}`,
+    };
+    if (tree === "tree" && branch) {
+      source.branch = branch;
+      if (rest.length > 0) source.path = rest.join("/");
+    }
+    return { ...source, ...options };
+  }
+
+  if (/\.git\/?$/.test(url.pathname)) {
+    return { name, type: "git", url: location, ...options };
+  }
+  return { name, type: "http", url: location };
+}
+
+/**
+ * Describe where a source fetches rules from
+ * @param {Object} source - Source declaration
+ * @returns {string} Human-readable location
+ */
+function describeSource(source) {
+  if (source.type === "github") {
+    const rulesPath = source.path ? `/${source.path}` : "";
+    return `github:${source.repo}@${source.branch}${rulesPath}`;
+  }
+  if (source.type === "git") {
+    return `git+${source.url}#${source.branch}:${source.path}`;
+  }
+  return source.type === "http" ? source.url : source.path;
+}
+
+/**
+ * Declare a rule source in the project manifest
+ * @param {Object} source - Source declaration
+ * @param {Object} options - Options for the declaration
+ * @param {string} options.basePath - Optional base path (defaults to process.cwd())
+ * @returns {Object} The declared source
+ * @throws {Error} If the source is invalid or its name is taken
+ */
+function addSource(source, options = {}) {
+  const problem = validateSource(source);
+  if (problem) {
+    throw new Error(`Invalid rule source '${source.name}': ${problem}`);
+  }
+
+  const manifest = readManifest(options.basePath);
+  const sources = getConfiguredSources(manifest);
+  if (sources.some((existing) => existing.name === source.name)) {
+    throw new Error(`A rule source named '${source.name}' already exists`);
+  }
+
+  manifest.sources = [...(manifest.sources || []), source];
+  writeManifest(manifest, options.basePath);
+  return normalizeSource(source);
+}
+
+/**
+ * Remove a rule source from the project manifest
+ * @param {string} name - Name of the source
+ * @param {Object} options - Options for the removal
+ * @param {string} options.basePath - Optional base path (defaults to process.cwd())
+ * @returns {boolean} True if a source was removed
+ */
+function removeSource(name, options = {}) {
+  const manifest = readManifest(options.basePath);
+  const sources = manifest.sources || [];
+  const remaining = sources.filter((source) => source.name !== name);
+  if (remaining.length === sources.length) {
+    return false;
+  }
+
+  manifest.sources = remaining;
+  if (remaining.length === 0) {
+    delete manifest.sources;
+  }
+  writeManifest(manifest, options.basePath);
+  return true;
+}
+
+module.exports = {
+  validateSource,
+  isValidTokenEnv,
+  getConfiguredSources,
+  getSources,
+  getSourceSetId,
+  parseSourceLocation,
+  describeSource,
+  addSource,
+  removeSource,
+  DEFAULT_SOURCE,
+  SOURCE_TYPES,
+  TOKEN_SOURCE_TYPES,
+  CURSOR_DIRECTORY_REPO,
+  CURSOR_DIRECTORY_BRANCH,
+  RULES_PATH,
+};
@@ -0,0 +1,273 @@
+/**
+ * Rule specifier parsing for shorthand references to rules in GitHub repositories
+ *
+ * Two npm-style forms are understood:
+ *
+ *   github:owner/repo/path/to/rule.mdc@ref
+ *   owner/repo#ref:path/to/rule.mdc   (the "github:" prefix is optional here)
+ *
+ * The ref may be a branch, tag or commit and defaults to the repository's
+ * default branch. The ".mdc" extension may be left off the path.
+ *
+ * Rules in other git repositories use the npm git form, where the path may
+ * name a single rule or a directory of rules:
+ *
+ *   git+<remote>#ref:path/to/rules
+ *
+ * Local files and directories are given as relative ("./", "../"), absolute
+ * or home-relative ("~/") paths, or as file:// URLs.
+ */
+const os = require("os");
+const path = require("path");
+const { fileURLToPath } = require("url");
+
+const GITHUB_RAW_URL = "https://raw.githubusercontent.com";
+
+/**
+ * Ref used when a specifier doesn't name one
+ */
+const DEFAULT_REF = "HEAD";
+
+const OWNER_REPO = "([\\w.-]+)\\/([\\w.-]+)";
+const PATH_AT_REF = new RegExp(
+  `^github:${OWNER_REPO}\\/([^@#]+?)(?:@([^@\\s]+))?$`
+);
+const HASH_REF_PATH = new RegExp(
+  `^(?:github:)?${OWNER_REPO}#([^:\\s]*):([^@#]+)$`
+);
+const GIT_REMOTE_REF_PATH = /^git\+([^#\s]+)#([^:\s]*):([^#\s]*)$/;
+
+/**
+ * Check if a branch, tag or commit name is safe to pass to git
+ * Follows the rules of git check-ref-format, and rejects names starting with
+ * "-" that git would read as options
+ * @param {string} ref - Ref to check
+ * @returns {boolean} True if the ref is well-formed
+ */
+function isValidGitRef(ref) {
+  return (
+    typeof ref === "string" &&
+    ref !== "" &&
+    ref !== "@" &&
+    !ref.startsWith("-") &&
+    !/[\x00-\x20\x7f~^:?*[\\]|\.\.|@\{|\/\/|(^|\/)\.|\.lock(\/|$)|[/.]$/.test(
+      ref
+    )
+  );
+}
+
+/**
+ * Check if a git remote is safe to pass to git
+ * @param {string} remote - Remote URL or path
+ * @returns {boolean} True unless the remote is empty or would be read as an option
+ */
+function isValidGitRemote(remote) {
+  return typeof remote === "string" && remote !== "" && !remote.startsWith("-");
+}
+
+/**
+ * Split a GitHub raw content URL into its repository parts
+ * @param {string} url - URL to parse
+ * @returns {Object|null} - The owner, repo, ref and file path, or null for other URLs
+ */
+function parseGitHubRawUrl(url) {
+  try {
+    const urlObj = new URL(url);
+    if (urlObj.origin !== GITHUB_RAW_URL) {
+      return null;
+    }
+
+    const [owner, repo, ref, ...rest] = urlObj.pathname
+      .split("/")
+      .filter((part) => part);
+    if (!owner || !repo || !ref || rest.length === 0) {
+      return null;
+    }
+
+    return { owner, repo, ref, path: rest.join("/") };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check if a string is an http(s) URL
+ * @param {string} str - String to check
+ * @returns {boolean} True for http and https URLs
+ */
+function isHttpUrl(str) {
+  try {
+    const url = new URL(str);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Check if a string uses specifier syntax, whether or not it is well-formed
+ * @param {string} str - String to check
+ * @returns {boolean} True if the string looks like a specifier
+ */
+function looksLikeSpecifier(str) {
+  return (
+    str.startsWith("github:") ||
+    str.startsWith("git+") ||
+    /^[\w.-]+\/[\w.-]+#/.test(str)
+  );
+}
+
+/**
+ * Parse a rule specifier into the GitHub file it refers to
+ * @param {string} specifier - Specifier such as github:acme/rules/react.mdc@v2.1
+ * @returns {Object|null} The owner, repo, ref, path, rule name and raw content URL,
+ *   or null if the string isn't a well-formed specifier
+ */
+function parseRuleSpecifier(specifier) {
+  if (typeof specifier !== "string") {
+    return null;
+  }
+
+  let owner, repo, filePath, ref;
+  const pathAtRef = specifier.match(PATH_AT_REF);
+  const hashRefPath = specifier.match(HASH_REF_PATH);
+  if (pathAtRef) {
+    [, owner, repo, filePath, ref] = pathAtRef;
+  } else if (hashRefPath) {
+    [, owner, repo, ref, filePath] = hashRefPath;
+  } else {
+    return null;
+  }
+
+  filePath = filePath.replace(/^\/+|\/+$/g, "");
+  const segments = filePath.split("/");
+  if (!filePath || segments.some((part) => !part || part === "..")) {
+    return null;
+  }
+  if (!filePath.endsWith(".mdc")) {
+    filePath += ".mdc";
+  }
+
+  ref = ref || DEFAULT_REF;
+  const name = segments[segments.length - 1].replace(/\.mdc$/, "");
+
+  return {
+    owner,
+    repo,
+    ref,
+    path: filePath,
+    name,
+    url: `${GITHUB_RAW_URL}/${owner}/${repo}/${ref}/${filePath}`,
+  };
+}
+
+/**
+ * Parse a git specifier into the remote, ref and path it refers to
+ * @param {string} specifier - Specifier such as git+ssh://git@git.acme.dev/rules.git#v2:react.mdc
+ * @returns {Object|null} The remote, ref (HEAD if omitted), path and rule name,
+ *   or null if the string isn't a well-formed git specifier
+ */
+function parseGitSpecifier(specifier) {
+  const match =
+    typeof specifier === "string" && specifier.match(GIT_REMOTE_REF_PATH);
+  if (!match) {
+    return null;
+  }
+
+  const [, remote, ref, rawPath] = match;
+  const filePath = rawPath.replace(/^\/+|\/+$/g, "");
+  if (
+    filePath.split("/").some((part) => part === "..") ||
+    !isValidGitRemote(remote) ||
+    (ref && !isValidGitRef(ref))
+  ) {
+    return null;
+  }
+
+  const name = filePath
+    ? filePath
+        .split("/")
+        .pop()
+        .replace(/\.mdc$/, "")
+    : path.basename(remote.replace(/\/+$/, ""), ".git");
+
+  return { remote, ref: ref || DEFAULT_REF, path: filePath, name };
+}
+
+/**
+ * Build the git specifier for a file in a git remote
+ * @param {string} remote - Remote URL or path
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} filePath - Path of the file in the repository
+ * @returns {string} Specifier such as git+file:///srv/rules.git#main:react.mdc
+ */
+function formatGitSpecifier(remote, ref, filePath) {
+  return `git+${remote}#${ref}:${filePath}`;
+}
+
+/**
+ * Check if a string refers to a local file or directory
+ * @param {string} str - String to check
+ * @returns {boolean} True for relative, absolute and home paths and file:// URLs
+ */
+function isLocalSpecifier(str) {
+  if (typeof str !== "string") {
+    return false;
+  }
+  return (
+    str.startsWith("file://") ||
+    /^\.{1,2}([\\/]|$)/.test(str) ||
+    /^~[\\/]/.test(str) ||
+    path.isAbsolute(str)
+  );
+}
+
+/**
+ * Resolve a local specifier to an absolute path
+ * @param {string} specifier - Local path or file:// URL
+ * @param {string} basePath - Directory relative paths are resolved against (defaults to process.cwd())
+ * @returns {string} The absolute path
+ */
+function resolveLocalSpecifier(specifier, basePath) {
+  if (specifier.startsWith("file://")) {
+    return fileURLToPath(specifier);
+  }
+  if (/^~[\\/]/.test(specifier)) {
+    return path.join(os.homedir(), specifier.slice(2));
+  }
+  return path.resolve(basePath || process.cwd(), specifier);
+}
+
+/**
+ * Express a local path as a specifier relative to the project root
+ * Relative specifiers keep manifests and lockfiles portable between checkouts
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} basePath - Project root (defaults to process.cwd())
+ * @returns {string} Specifier such as "./shared/rule.mdc" or "../rules/rule.mdc"
+ */
+function toLocalSpecifier(filePath, basePath) {
+  const relative = path
+    .relative(basePath || process.cwd(), filePath)
+    .split(path.sep)
+    .join("/");
+  if (path.isAbsolute(relative)) {
+    return relative;
+  }
+  return relative.startsWith("../") ? relative : `./${relative}`;
+}
+
+module.exports = {
+  isHttpUrl,
+  parseGitHubRawUrl,
+  looksLikeSpecifier,
+  parseRuleSpecifier,
+  parseGitSpecifier,
+  formatGitSpecifier,
+  isLocalSpecifier,
+  resolveLocalSpecifier,
+  toLocalSpecifier,
+  isValidGitRef,
+  isValidGitRemote,
+  GITHUB_RAW_URL,
+  DEFAULT_REF,
+};
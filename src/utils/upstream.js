@@ -0,0 +1,86 @@
+/**
+ * Upstream lookups for installed rules
+ *
+ * The lockfile records where each installed rule came from. These helpers
+ * decide whether that source can be fetched again and fetch the current
+ * upstream content, for commands that refresh or compare installed rules.
+ */
+const ruleFetcher = require("./rule-fetcher");
+const {
+  isHttpUrl,
+  isLocalSpecifier,
+  parseGitSpecifier,
+  formatGitSpecifier,
+  parseGitHubRawUrl,
+  GITHUB_RAW_URL,
+} = require("./specifier");
+
+/**
+ * Explain why an installed rule has no upstream to fetch
+ * @param {Object} entry - Lock entry for the rule
+ * @returns {string|null} The reason, or null if the rule can be fetched again
+ */
+function getUnrefreshableReason(entry) {
+  if (!entry || !entry.source) {
+    return "no recorded source; re-add it with 'rulez add' to track it";
+  }
+
+  // Entries written before the lockfile recorded resolved URLs only have a source;
+  // rules from a named rule source are looked up there again, local files re-read
+  // and git rules fetched at the ref they were added with
+  const resolved = entry.resolved || entry.source;
+  const refreshable =
+    entry.from ||
+    isLocalSpecifier(entry.source) ||
+    parseGitSpecifier(entry.source) ||
+    isHttpUrl(resolved);
+  return refreshable ? null : `source '${resolved}' can't be refreshed`;
+}
+
+/**
+ * Fetch the current upstream content of an installed rule
+ * @param {Object} entry - Lock entry for the rule
+ * @returns {Promise<Object>} The fetchRule result, or { success: false, skipped: true, error }
+ *   if the rule has no upstream to fetch
+ */
+async function fetchUpstreamRule(entry) {
+  const reason = getUnrefreshableReason(entry);
+  if (reason) {
+    return { success: false, skipped: true, error: reason };
+  }
+
+  return ruleFetcher.fetchRule(entry.source, {
+    isUrl: isHttpUrl(entry.source),
+    source: entry.from,
+  });
+}
+
+/**
+ * Get where the exact version recorded in a lock entry can be fetched from
+ * Rules from git remotes and GitHub are pinned to the commit they were
+ * installed at; other sources can only be checked against the recorded hash
+ * @param {Object} entry - Lock entry for the rule
+ * @returns {string|null} Git specifier or GitHub raw URL at the locked commit,
+ *   or null if the entry can't be pinned
+ */
+function getLockedSource(entry) {
+  if (!entry || !entry.commit || !entry.resolved) {
+    return null;
+  }
+
+  const git = parseGitSpecifier(entry.resolved);
+  if (git) {
+    return formatGitSpecifier(git.remote, entry.commit, git.path);
+  }
+  const raw = parseGitHubRawUrl(entry.resolved);
+  if (raw) {
+    return `${GITHUB_RAW_URL}/${raw.owner}/${raw.repo}/${entry.commit}/${raw.path}`;
+  }
+  return null;
+}
+
+module.exports = {
+  getLockedSource,
+  getUnrefreshableReason,
+  fetchUpstreamRule,
+};
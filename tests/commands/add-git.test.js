@@ -0,0 +1,117 @@
+/**
+ * Tests for adding rules from git remotes
+ */
+const fs = require("fs");
+const path = require("path");
+const addCommand = require("../../src/commands/add");
+const { getLockedRule } = require("../../src/utils/lockfile");
+const { readManifest } = require("../../src/utils/manifest");
+const { createGitRemote } = require("../helpers/git-repo");
+
+// Use a temp directory for the project, the remote and the checkout cache
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-add-git");
+const APP_DIR = path.join(TEST_DIR, "app");
+const RULES_DIR = path.join(APP_DIR, ".cursor", "rules");
+
+describe("Add Command with git remotes", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+  const originalCacheDir = process.env.RULEZ_CACHE_DIR;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  let repo;
+  let commit;
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    fs.mkdirSync(path.join(APP_DIR, ".cursor", "local"), { recursive: true });
+    process.env.RULEZ_CACHE_DIR = path.join(TEST_DIR, "cache");
+    jest.spyOn(process, "cwd").mockReturnValue(APP_DIR);
+
+    repo = createGitRemote(path.join(TEST_DIR, "origin"));
+    commit = repo.commit({
+      "rules/react.mdc": "# React",
+      "rules/nested/style.mdc": "# Style",
+    });
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    process.cwd.mockRestore();
+    if (originalCacheDir === undefined) {
+      delete process.env.RULEZ_CACHE_DIR;
+    } else {
+      process.env.RULEZ_CACHE_DIR = originalCacheDir;
+    }
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test("adds every rule in a directory at the given ref", async () => {
+    await addCommand.execute("git+../origin/remote.git#main:rules/");
+
+    expect(fs.readFileSync(path.join(RULES_DIR, "react.mdc"), "utf8")).toBe(
+      "# React"
+    );
+    expect(fs.readFileSync(path.join(RULES_DIR, "style.mdc"), "utf8")).toBe(
+      "# Style"
+    );
+    expect(readManifest(APP_DIR).rules).toEqual({
+      react: "git+../origin/remote.git#main:rules/react.mdc",
+      style: "git+../origin/remote.git#main:rules/nested/style.mdc",
+    });
+    expect(getLockedRule("style", { basePath: APP_DIR })).toMatchObject({
+      source: "git+../origin/remote.git#main:rules/nested/style.mdc",
+      resolved: `git+../origin/remote.git#${commit}:rules/nested/style.mdc`,
+      commit,
+    });
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("adds a single rule file", async () => {
+    await addCommand.execute(`git+file://${repo.remote}#:rules/react`, {
+      local: true,
+    });
+
+    expect(
+      fs.existsSync(path.join(APP_DIR, ".cursor", "local", "react.mdc"))
+    ).toBe(true);
+    expect(fs.existsSync(path.join(RULES_DIR, "style.mdc"))).toBe(false);
+    expect(readManifest(APP_DIR).rules).toEqual({});
+  });
+
+  test("fails for paths that don't exist in the remote", async () => {
+    await addCommand.execute("git+../origin/remote.git#main:rules/vue.mdc");
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("Rule file not found"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("only reads commits already in the git cache with --offline", async () => {
+    const specifier = "git+../origin/remote.git#main:rules/react";
+    await addCommand.execute(specifier, { offline: true });
+    expect(
+      consoleOutput.some((msg) => msg.includes("isn't in the local git cache"))
+    ).toBe(true);
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(false);
+
+    await addCommand.execute(specifier);
+    fs.rmSync(path.join(RULES_DIR, "react.mdc"));
+    fs.rmSync(repo.remote, { recursive: true, force: true });
+    await addCommand.execute(specifier, { offline: true });
+
+    expect(fs.readFileSync(path.join(RULES_DIR, "react.mdc"), "utf8")).toBe(
+      "# React"
+    );
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for adding rules from local files and directories
+ */
+const fs = require("fs");
+const path = require("path");
+const addCommand = require("../../src/commands/add");
+const { getLockedRule } = require("../../src/utils/lockfile");
+const { readManifest } = require("../../src/utils/manifest");
+
+// Use a temp monorepo for testing: an app project and a shared rules directory
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-add-local");
+const APP_DIR = path.join(TEST_DIR, "app");
+const RULES_DIR = path.join(APP_DIR, ".cursor", "rules");
+const SHARED_DIR = path.join(TEST_DIR, "shared");
+
+describe("Add Command with local paths", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    fs.mkdirSync(path.join(SHARED_DIR, "nested"), { recursive: true });
+    fs.writeFileSync(path.join(SHARED_DIR, "security.mdc"), "# Security");
+    fs.writeFileSync(path.join(SHARED_DIR, "nested", "style.mdc"), "# Style");
+    jest.spyOn(process, "cwd").mockReturnValue(APP_DIR);
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    process.cwd.mockRestore();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test("copies a single rule file and records its relative path", async () => {
+    await addCommand.execute("../shared/security.mdc");
+
+    const rulePath = path.join(RULES_DIR, "security.mdc");
+    expect(fs.lstatSync(rulePath).isSymbolicLink()).toBe(false);
+    expect(fs.readFileSync(rulePath, "utf8")).toBe("# Security");
+    expect(getLockedRule("security", { basePath: APP_DIR })).toMatchObject({
+      source: "../shared/security.mdc",
+      resolved: "../shared/security.mdc",
+    });
+    expect(readManifest(APP_DIR).rules).toEqual({
+      security: "../shared/security.mdc",
+    });
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("adds every rule in a directory", async () => {
+    await addCommand.execute("../shared/");
+
+    expect(fs.readdirSync(RULES_DIR).sort()).toEqual([
+      "security.mdc",
+      "style.mdc",
+    ]);
+    expect(readManifest(APP_DIR).rules).toEqual({
+      security: "../shared/security.mdc",
+      style: "../shared/nested/style.mdc",
+    });
+  });
+
+  test("symlinks rules with --symlink", async () => {
+    await addCommand.execute(
+      `file://${path.join(SHARED_DIR, "security.mdc")}`,
+      { symlink: true }
+    );
+
+    const rulePath = path.join(RULES_DIR, "security.mdc");
+    expect(fs.lstatSync(rulePath).isSymbolicLink()).toBe(true);
+    expect(readManifest(APP_DIR).rules.security).toEqual({
+      source: "../shared/security.mdc",
+      symlink: true,
+    });
+  });
+
+  test("keeps local overrides out of the manifest", async () => {
+    await addCommand.execute("../shared/security.mdc", { local: true });
+
+    expect(
+      fs.existsSync(path.join(APP_DIR, ".cursor", "local", "security.mdc"))
+    ).toBe(true);
+    expect(readManifest(APP_DIR).rules).toEqual({});
+  });
+
+  test("fails for existing rules without --force", async () => {
+    fs.writeFileSync(path.join(RULES_DIR, "security.mdc"), "# Mine");
+
+    await addCommand.execute("../shared/security.mdc");
+
+    expect(fs.readFileSync(path.join(RULES_DIR, "security.mdc"), "utf8")).toBe(
+      "# Mine"
+    );
+    expect(consoleOutput.some((msg) => msg.includes("--force"))).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("won't overwrite a rule edited since it was added unless told to", async () => {
+    await addCommand.execute("../shared/security.mdc");
+    const rulePath = path.join(RULES_DIR, "security.mdc");
+    fs.writeFileSync(rulePath, "# Security, edited");
+
+    await addCommand.execute("../shared/security.mdc", { force: true });
+    expect(fs.readFileSync(rulePath, "utf8")).toBe("# Security, edited");
+    expect(consoleOutput.some((msg) => msg.includes("--discard-changes"))).toBe(
+      true
+    );
+    expect(mockExit).toHaveBeenCalledWith(1);
+
+    await addCommand.execute("../shared/security.mdc", {
+      force: true,
+      discardChanges: true,
+    });
+    expect(fs.readFileSync(rulePath, "utf8")).toBe("# Security");
+  });
+
+  test("fails for missing paths and directories without rules", async () => {
+    await addCommand.execute("./missing.mdc");
+    expect(mockExit).toHaveBeenCalledWith(1);
+
+    mockExit.mockClear();
+    fs.mkdirSync(path.join(TEST_DIR, "empty"));
+    await addCommand.execute("../empty");
+    expect(
+      consoleOutput.some((msg) => msg.includes("No .mdc rule files found"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+});
@@ -3,10 +3,17 @@
  */
 const fs = require("fs");
 const path = require("path");
+const chalk = require("chalk");
+const inquirer = require("inquirer").default;
 const addCommand = require("../../src/commands/add");
 const ruleFetcher = require("../../src/utils/rule-fetcher");
 const fileUtils = require("../../src/utils/file-utils");
 
+// Mock inquirer so the interactive picker can be answered in tests
+jest.mock("inquirer", () => ({
+  default: { prompt: jest.fn() },
+}));
+
 // Mock fs module
 jest.mock("fs", () => ({
   existsSync: jest.fn(),
@@ -15,6 +22,9 @@ jest.mock("fs", () => ({
 // Mock rule-fetcher module
 jest.mock("../../src/utils/rule-fetcher", () => ({
   fetchRule: jest.fn(),
+  listAvailableRules: jest.fn(),
+  mapWithConcurrency: jest.requireActual("../../src/utils/rule-fetcher")
+    .mapWithConcurrency,
 }));
 
 // Mock file-utils module
@@ -22,8 +32,28 @@ jest.mock("../../src/utils/file-utils", () => ({
   fileExists: jest.fn(),
   getRuleFilePath: jest.fn(),
   saveRuleToFile: jest.fn(),
+  checkCursorRulesDirectoryExists: jest.fn(),
+  hashContent: jest.requireActual("../../src/utils/file-utils").hashContent,
+  normalizeRuleName: jest.requireActual("../../src/utils/file-utils")
+    .normalizeRuleName,
+}));
+
+// Mock lockfile module
+jest.mock("../../src/utils/lockfile", () => ({
+  createLockEntry: jest.requireActual("../../src/utils/lockfile")
+    .createLockEntry,
+  recordRule: jest.fn(),
+  getInstalledHash: jest.fn(),
+}));
+
+// Mock manifest module
+jest.mock("../../src/utils/manifest", () => ({
+  addManifestRule: jest.fn(),
 }));
 
+const lockfile = require("../../src/utils/lockfile");
+const manifest = require("../../src/utils/manifest");
+
 describe("Add Command", () => {
   // Mock console.log to capture output
   let consoleOutput = [];
@@ -32,8 +62,11 @@ describe("Add Command", () => {
 
   // Mock process.exit to prevent test termination
   const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+  const originalIsTTY = process.stdin.isTTY;
 
   beforeEach(() => {
+    process.stdin.isTTY = false;
+
     // Setup spy on console.log
     console.log = mockedLog;
     consoleOutput = [];
@@ -51,6 +84,9 @@ describe("Add Command", () => {
 
     // Setup default fileUtils mocks
     fileUtils.fileExists.mockReturnValue(false);
+    fileUtils.checkCursorRulesDirectoryExists.mockImplementation(() =>
+      fs.existsSync()
+    );
 
     fileUtils.getRuleFilePath.mockImplementation((ruleName, options) => {
       const isLocal = options && options.local;
@@ -101,6 +137,11 @@ describe("Add Command", () => {
     fileUtils.fileExists.mockClear();
     fileUtils.getRuleFilePath.mockClear();
     fileUtils.saveRuleToFile.mockClear();
+    lockfile.recordRule.mockClear();
+    lockfile.getInstalledHash.mockReset();
+    manifest.addManifestRule.mockClear();
+    inquirer.prompt.mockReset();
+    process.stdin.isTTY = originalIsTTY;
   });
 
   test("exports correct command structure", () => {
@@ -137,7 +178,13 @@ describe("Add Command", () => {
     expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
       ruleName,
       expect.any(String),
-      { force: undefined, local: undefined }
+      {
+        force: undefined,
+        local: undefined,
+        basePath: process.cwd(),
+        discardChanges: undefined,
+        keepBoth: undefined,
+      }
     );
   });
 
@@ -157,7 +204,13 @@ describe("Add Command", () => {
     expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
       ruleName,
       expect.any(String),
-      { force: undefined, local: true }
+      {
+        force: undefined,
+        local: true,
+        basePath: process.cwd(),
+        discardChanges: undefined,
+        keepBoth: undefined,
+      }
     );
   });
 
@@ -175,12 +228,19 @@ describe("Add Command", () => {
     expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
       ruleName,
       expect.any(String),
-      { force: undefined, local: undefined }
+      {
+        force: undefined,
+        local: undefined,
+        basePath: process.cwd(),
+        discardChanges: undefined,
+        keepBoth: undefined,
+      }
     );
   });
 
   test("saves rule with --force flag", async () => {
     const ruleName = "test-rule";
+    lockfile.getInstalledHash.mockReturnValue("installed-hash");
     await addCommand.execute(ruleName, { force: true });
 
     // Check that force message is logged
@@ -190,7 +250,14 @@ describe("Add Command", () => {
     expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
       ruleName,
       expect.any(String),
-      { force: true, local: undefined }
+      {
+        force: true,
+        local: undefined,
+        basePath: process.cwd(),
+        discardChanges: undefined,
+        keepBoth: undefined,
+        installedHash: "installed-hash",
+      }
     );
   });
 
@@ -288,6 +355,27 @@ describe("Add Command", () => {
     expect(fileUtils.saveRuleToFile).not.toHaveBeenCalled();
   });
 
+  test("reports rules that need a token separately from missing rules", async () => {
+    ruleFetcher.fetchRule.mockResolvedValueOnce({
+      success: false,
+      error: "Authentication required for raw.githubusercontent.com (HTTP 401)",
+      name: "api",
+      authRequired: true,
+    });
+
+    await addCommand.execute("github:acme/private/rules/api.mdc");
+
+    expect(
+      consoleOutput.some((msg) =>
+        msg.includes("Error: Authentication required to fetch rule")
+      )
+    ).toBe(true);
+    expect(
+      consoleOutput.some((msg) => msg.includes("Error: Could not find rule"))
+    ).toBe(false);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
   test("handles unexpected errors during fetching", async () => {
     // Mock fetchRule to throw an error
     ruleFetcher.fetchRule.mockRejectedValueOnce(new Error("Unexpected error"));
@@ -304,6 +392,165 @@ describe("Add Command", () => {
     expect(fileUtils.saveRuleToFile).not.toHaveBeenCalled();
   });
 
+  test("shows what a cursor.directory page says about its rule", async () => {
+    ruleFetcher.fetchRule.mockResolvedValueOnce({
+      success: true,
+      content: "# Next.js rule",
+      name: "nextjs-typescript",
+      source: "https://cursor.directory/nextjs-typescript",
+      metadata: {
+        title: "Next.js TypeScript",
+        tags: ["Next.js", "TypeScript"],
+        author: { name: "Jane Doe" },
+      },
+      confidence: "high",
+    });
+
+    await addCommand.execute("https://cursor.directory/nextjs-typescript");
+
+    expect(consoleOutput).toContainEqual(
+      expect.stringContaining("Next.js TypeScript by Jane Doe")
+    );
+    expect(consoleOutput).toContainEqual(
+      expect.stringContaining("Tags: Next.js, TypeScript")
+    );
+  });
+
+  test("labels fallback content in the saved rule", async () => {
+    ruleFetcher.fetchRule.mockResolvedValueOnce({
+      success: true,
+      content:
+        "---\ndescription: Nextjs guidelines\n---\n# Nextjs Cursor Rule\n",
+      name: "nextjs-app",
+      source: "synthetic-content",
+      fallback: { type: "generated" },
+      attempts: [
+        { source: "https://cursor.directory/nextjs-app", error: "No rule" },
+        { source: "https://raw.example/nextjs.mdc", error: "404" },
+      ],
+      warnings: [
+        "No rule content found on https://cursor.directory/nextjs-app",
+      ],
+    });
+
+    await addCommand.execute("https://cursor.directory/nextjs-app", {
+      allowFallback: true,
+    });
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      "https://cursor.directory/nextjs-app",
+      expect.objectContaining({ allowFallback: true })
+    );
+    expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
+      "nextjs-app",
+      "---\ndescription: Nextjs guidelines\n---\n" +
+        "> **Generated placeholder:** No published rule was found for 'nextjs-app', " +
+        "so generic placeholder content was generated (--allow-fallback). " +
+        "Replace it with a real rule.\n\n# Nextjs Cursor Rule\n",
+      expect.any(Object)
+    );
+    expect(consoleOutput).toContain(
+      chalk.yellow(
+        "Warning: No rule content found on https://cursor.directory/nextjs-app"
+      )
+    );
+    expect(consoleOutput).toContainEqual(
+      expect.stringContaining("- https://raw.example/nextjs.mdc: 404")
+    );
+    expect(
+      consoleOutput.some((msg) => msg.includes("Successfully fetched rule"))
+    ).toBe(false);
+    // install and update couldn't fetch it again, so it isn't tracked
+    expect(lockfile.recordRule).not.toHaveBeenCalled();
+    expect(manifest.addManifestRule).not.toHaveBeenCalled();
+  });
+
+  test("records the rule source in the lockfile", async () => {
+    await addCommand.execute("test-rule", { local: true });
+
+    expect(lockfile.recordRule).toHaveBeenCalledWith(
+      "test-rule",
+      {
+        source: "test-rule",
+        resolved: "https://example.com/test-rule",
+        fetchedAt: expect.any(String),
+        hash: expect.stringMatching(/^sha256-[0-9a-f]{64}$/),
+      },
+      expect.objectContaining({ local: true })
+    );
+  });
+
+  test("declares project rules in the manifest", async () => {
+    const url = "https://cursor.directory/front-end-cursor-rules";
+    ruleFetcher.fetchRule.mockResolvedValueOnce({
+      success: true,
+      content: "# URL-based rule content",
+      name: "front-end-cursor-rules",
+      source: url,
+    });
+
+    await addCommand.execute(url);
+
+    expect(manifest.addManifestRule).toHaveBeenCalledWith(
+      "front-end-cursor-rules",
+      url,
+      expect.any(Object)
+    );
+  });
+
+  test("fetches from and declares the rule source given with --source", async () => {
+    await addCommand.execute("test-rule", { source: "acme" });
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      "test-rule",
+      expect.objectContaining({ source: "acme" })
+    );
+    expect(
+      consoleOutput.some((msg) => msg.includes("from source 'acme'"))
+    ).toBe(true);
+    expect(manifest.addManifestRule).toHaveBeenCalledWith(
+      "test-rule",
+      "test-rule",
+      expect.objectContaining({ from: "acme" })
+    );
+  });
+
+  test("adds a rule from a GitHub specifier", async () => {
+    const specifier = "github:acme/ai-rules/rules/react.mdc@v2.1";
+    await addCommand.execute(specifier);
+
+    expect(
+      consoleOutput.some((msg) =>
+        msg.includes("Fetching rule 'react' from acme/ai-rules@v2.1")
+      )
+    ).toBe(true);
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      specifier,
+      expect.objectContaining({ isUrl: false })
+    );
+    expect(manifest.addManifestRule).toHaveBeenCalledWith(
+      "test-rule",
+      specifier,
+      expect.any(Object)
+    );
+  });
+
+  test("explains the syntax of malformed specifiers", async () => {
+    await addCommand.execute("github:acme");
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("github:owner/repo/path"))
+    ).toBe(true);
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("does not declare local rules in the manifest", async () => {
+    await addCommand.execute("test-rule", { local: true });
+
+    expect(manifest.addManifestRule).not.toHaveBeenCalled();
+  });
+
   test("exits if rule name is not provided", async () => {
     await addCommand.execute();
 
@@ -554,4 +801,231 @@ describe("Add Command", () => {
       consoleOutput.some((msg) => msg.includes("Fetching rule from URL"))
     ).toBe(true);
   });
+
+  describe("with several rules", () => {
+    beforeEach(() => {
+      ruleFetcher.fetchRule.mockImplementation(async (name) =>
+        name === "missing"
+          ? { success: false, error: "Not found", suggestions: ["mission"] }
+          : { success: true, content: `# ${name}`, name, source: name }
+      );
+    });
+
+    test("adds every rule and prints a summary table", async () => {
+      await addCommand.execute(["react", "vue", "nextjs"]);
+
+      expect(ruleFetcher.fetchRule).toHaveBeenCalledTimes(3);
+      expect(
+        fileUtils.saveRuleToFile.mock.calls.map((call) => call[0])
+      ).toEqual(expect.arrayContaining(["react", "vue", "nextjs"]));
+      expect(consoleOutput).toContain(chalk.blue("\n3 added, 0 failed"));
+      expect(
+        consoleOutput.some((msg) => msg.includes("Rule content preview"))
+      ).toBe(false);
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    test("reports failures in the summary and exits non-zero", async () => {
+      await addCommand.execute(["react", "missing", "bad@name"]);
+
+      const rows = consoleOutput.filter(
+        (msg) =>
+          typeof msg === "string" && /^(react|missing|bad@name) /.test(msg)
+      );
+      expect(rows).toHaveLength(3);
+      expect(rows[1]).toContain("Not found (did you mean mission?)");
+      expect(rows[2]).toContain("not a valid rule name");
+      expect(consoleOutput).toContain(chalk.blue("\n1 added, 2 failed"));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test("stops after the first failure with --fail-fast", async () => {
+      await addCommand.execute(["react", "missing", "vue", "nextjs"], {
+        failFast: true,
+      });
+
+      expect(ruleFetcher.fetchRule.mock.calls.map((call) => call[0])).toEqual([
+        "react",
+        "missing",
+      ]);
+      expect(
+        consoleOutput.filter((msg) => msg.includes("--fail-fast"))
+      ).toHaveLength(2);
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test("expands patterns against the community rule names", async () => {
+      ruleFetcher.listAvailableRules.mockResolvedValue([
+        { name: "react" },
+        { name: "react-native" },
+        { name: "vue" },
+      ]);
+
+      await addCommand.execute(["react*", "vue", "svelte-*"]);
+
+      expect(
+        ruleFetcher.fetchRule.mock.calls.map((call) => call[0]).sort()
+      ).toEqual(["react", "react-native", "vue"]);
+      expect(
+        consoleOutput.some((msg) =>
+          msg.includes("no community rules match this pattern")
+        )
+      ).toBe(true);
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test("adds nested rules by name and by pattern", async () => {
+      ruleFetcher.listAvailableRules.mockResolvedValue([
+        { name: "frontend/react" },
+        { name: "frontend/vue" },
+        { name: "backend/go" },
+      ]);
+
+      await addCommand.execute(["frontend/*", "backend/go"]);
+
+      expect(
+        ruleFetcher.fetchRule.mock.calls.map((call) => call[0]).sort()
+      ).toEqual(["backend/go", "frontend/react", "frontend/vue"]);
+      expect(
+        fileUtils.saveRuleToFile.mock.calls.map((call) => call[0]).sort()
+      ).toEqual(["go", "react", "vue"]);
+      expect(consoleOutput).toContain(chalk.blue("\n3 added, 0 failed"));
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    test("rejects nested names with empty or parent segments", async () => {
+      await addCommand.execute(["frontend//react", "frontend/", "a/../b"]);
+
+      expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+      expect(consoleOutput).toContain(chalk.blue("\n0 added, 3 failed"));
+    });
+
+    test("matches patterns within path segments", () => {
+      expect(addCommand.patternToRegExp("react-*").test("react-hooks")).toBe(
+        true
+      );
+      expect(addCommand.patternToRegExp("*").test("frontend/react")).toBe(
+        false
+      );
+      expect(addCommand.patternToRegExp("**").test("frontend/react")).toBe(
+        true
+      );
+      expect(addCommand.patternToRegExp("v?e").test("vue")).toBe(true);
+    });
+  });
+
+  describe("interactive picker", () => {
+    beforeEach(() => {
+      process.stdin.isTTY = true;
+      ruleFetcher.listAvailableRules.mockResolvedValue([
+        { name: "react", description: "React components and hooks" },
+        { name: "vue", description: "Vue single file components" },
+      ]);
+      ruleFetcher.fetchRule.mockImplementation(async (name) => ({
+        success: true,
+        content: `# ${name} rule`,
+        name,
+        source: name,
+      }));
+    });
+
+    test("previews the picked rules and saves them to the chosen scope", async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ selected: ["react"] })
+        .mockResolvedValueOnce({ scope: "local" });
+
+      await addCommand.execute(["hooks"], { interactive: true });
+
+      const checkbox = inquirer.prompt.mock.calls[0][0][0];
+      expect(checkbox.type).toBe("checkbox");
+      expect(checkbox.choices).toEqual([
+        {
+          name: "react",
+          value: "react",
+          description: "React components and hooks",
+        },
+      ]);
+      expect(consoleOutput).toContain(chalk.gray("> # react rule"));
+      expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
+        "react",
+        "# react rule",
+        expect.objectContaining({ local: true })
+      );
+      expect(manifest.addManifestRule).not.toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    test("saves nested picks under their last segment and rejects invalid ones", async () => {
+      ruleFetcher.listAvailableRules.mockResolvedValue([
+        { name: "frontend/react" },
+        { name: "../escape" },
+      ]);
+      inquirer.prompt
+        .mockResolvedValueOnce({ search: "" })
+        .mockResolvedValueOnce({ selected: ["frontend/react", "../escape"] })
+        .mockResolvedValueOnce({ scope: "project" });
+
+      await addCommand.execute([], { interactive: true });
+
+      expect(ruleFetcher.fetchRule).toHaveBeenCalledTimes(1);
+      expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+        "frontend/react",
+        expect.anything()
+      );
+      expect(consoleOutput).toContain(
+        chalk.red("Failed: ../escape - not a valid rule name")
+      );
+      expect(fileUtils.saveRuleToFile).toHaveBeenCalledTimes(1);
+      expect(fileUtils.saveRuleToFile).toHaveBeenCalledWith(
+        "react",
+        "# frontend/react rule",
+        expect.anything()
+      );
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test("opens for a bare add on a terminal and searches again when nothing matches", async () => {
+      inquirer.prompt
+        .mockResolvedValueOnce({ search: "svelte" })
+        .mockResolvedValueOnce({ search: "" })
+        .mockResolvedValueOnce({ selected: ["react", "vue"] })
+        .mockResolvedValueOnce({ scope: "cancel" });
+
+      await addCommand.execute([]);
+
+      expect(consoleOutput).toContain(chalk.yellow("No rules match 'svelte'"));
+      expect(ruleFetcher.fetchRule).toHaveBeenCalledTimes(2);
+      expect(
+        consoleOutput.some((msg) => msg.includes("Aborted. Nothing was added"))
+      ).toBe(true);
+      expect(fileUtils.saveRuleToFile).not.toHaveBeenCalled();
+    });
+
+    test("exits quietly when a prompt is closed with Ctrl-C", async () => {
+      process.stdin.isTTY = true;
+      ruleFetcher.listAvailableRules.mockResolvedValue([{ name: "react" }]);
+      inquirer.prompt.mockRejectedValueOnce(
+        Object.assign(new Error("User force closed the prompt"), {
+          name: "ExitPromptError",
+        })
+      );
+
+      await addCommand.execute([], { interactive: true });
+
+      expect(mockExit).toHaveBeenCalledWith(130);
+      expect(
+        consoleOutput.some((msg) => msg.includes("Aborted. Nothing was added"))
+      ).toBe(true);
+      expect(fileUtils.saveRuleToFile).not.toHaveBeenCalled();
+    });
+
+    test("requires a terminal", async () => {
+      process.stdin.isTTY = false;
+
+      await addCommand.execute([], { interactive: true });
+
+      expect(inquirer.prompt).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+  });
 });
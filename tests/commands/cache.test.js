@@ -0,0 +1,145 @@
+/**
+ * Tests for the cache command
+ */
+const fs = require("fs");
+const path = require("path");
+const cacheCommand = require("../../src/commands/cache");
+const {
+  cacheRule,
+  getCachedRule,
+  getRuleCacheDir,
+} = require("../../src/utils/rule-cache");
+const { hashContent } = require("../../src/utils/file-utils");
+
+// Keep the cache out of the user's real cache directory
+const CACHE_DIR = path.join(process.cwd(), "tests", "temp-cache");
+
+describe("Cache Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+  const originalCacheDir = process.env.RULEZ_CACHE_DIR;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  const cacheSampleRules = () => {
+    cacheRule("react", {
+      content: "# React",
+      name: "react",
+      source: "https://example.com/react.mdc",
+      from: "cursor-directory",
+    });
+    cacheRule("github:acme/rules/vue.mdc", {
+      content: "# Vue",
+      name: "vue",
+      source: "https://raw.githubusercontent.com/acme/rules/main/vue.mdc",
+    });
+  };
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+    process.env.RULEZ_CACHE_DIR = CACHE_DIR;
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+    if (originalCacheDir === undefined) {
+      delete process.env.RULEZ_CACHE_DIR;
+    } else {
+      process.env.RULEZ_CACHE_DIR = originalCacheDir;
+    }
+  });
+
+  test("exports correct command structure", () => {
+    expect(cacheCommand).toHaveProperty("command", "cache <action> [args...]");
+    expect(cacheCommand).toHaveProperty("description");
+    expect(typeof cacheCommand.execute).toBe("function");
+  });
+
+  test("ls lists cached rules with their source and size", () => {
+    cacheSampleRules();
+
+    cacheCommand.execute("ls");
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain(
+      "https://example.com/react.mdc (cursor-directory)"
+    );
+    expect(output).toContain("github:acme/rules/vue.mdc");
+    expect(output).toContain("2 cached rule(s), 12 B");
+  });
+
+  test("ls --json outputs the cached rules", () => {
+    cacheSampleRules();
+
+    cacheCommand.execute("ls", [], { json: true });
+
+    expect(JSON.parse(consoleOutput[0])).toEqual([
+      expect.objectContaining({
+        request: "github:acme/rules/vue.mdc",
+        size: 5,
+      }),
+      expect.objectContaining({ request: "react", from: "cursor-directory" }),
+    ]);
+  });
+
+  test("ls reports an empty cache", () => {
+    cacheCommand.execute("ls");
+
+    expect(consoleOutput[0]).toContain("The rule cache is empty.");
+  });
+
+  test("clean removes named rules, or everything", () => {
+    cacheSampleRules();
+
+    cacheCommand.execute("clean", ["react"]);
+    expect(getCachedRule("react")).toBeNull();
+    expect(getCachedRule("github:acme/rules/vue.mdc")).not.toBeNull();
+    expect(consoleOutput).toContainEqual(
+      expect.stringContaining("Removed 1 cached rule(s), freeing 7 B")
+    );
+
+    cacheCommand.execute("clean");
+    expect(fs.existsSync(getRuleCacheDir())).toBe(false);
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("clean fails for rules that aren't cached", () => {
+    cacheCommand.execute("clean", ["svelte"]);
+
+    expect(consoleOutput).toContainEqual(
+      expect.stringContaining("Not cached: svelte")
+    );
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("verify removes damaged rules and reports them", () => {
+    cacheSampleRules();
+    const hash = hashContent("# React");
+    fs.writeFileSync(
+      path.join(getRuleCacheDir(), "objects", hash.replace(/^sha256-/, "")),
+      "# Tampered"
+    );
+
+    cacheCommand.execute("verify");
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain(`Removed damaged content: ${hash}`);
+    expect(output).toContain("Dropped react");
+    expect(output).toContain("Verified 2 cached file(s): 1 damaged");
+    expect(getCachedRule("github:acme/rules/vue.mdc")).not.toBeNull();
+  });
+
+  test("fails for unknown actions", () => {
+    cacheCommand.execute("purge");
+
+    expect(consoleOutput[0]).toContain("Unknown action 'purge'");
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+});
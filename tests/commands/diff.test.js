@@ -0,0 +1,165 @@
+/**
+ * Tests for the diff command
+ */
+const fs = require("fs");
+const path = require("path");
+const diffCommand = require("../../src/commands/diff");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+const { recordRule } = require("../../src/utils/lockfile");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  fetchRule: jest.fn(),
+}));
+
+// Use a temp project directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-diff");
+const RULES_DIR = path.join(TEST_DIR, ".cursor", "rules");
+
+describe("Diff Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+  const mockCwd = jest.spyOn(process, "cwd");
+
+  const upstream = {
+    "https://example.com/react.mdc": "# React\nUse hooks.\nAvoid classes.\n",
+    "https://example.com/vue.mdc": "# Vue\n",
+  };
+
+  const installRule = (name, content, source) => {
+    fs.writeFileSync(path.join(RULES_DIR, `${name}.mdc`), content);
+    if (source) {
+      recordRule(name, { source }, { basePath: TEST_DIR });
+    }
+  };
+
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    mockCwd.mockReturnValue(TEST_DIR);
+
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    ruleFetcher.fetchRule.mockImplementation(async (source) =>
+      upstream[source]
+        ? { success: true, content: upstream[source], source }
+        : { success: false, error: "Not found" }
+    );
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    mockCwd.mockReset();
+    ruleFetcher.fetchRule.mockReset();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    mockCwd.mockRestore();
+  });
+
+  test("exports correct command structure", () => {
+    expect(diffCommand).toHaveProperty("command", "diff [rule-names...]");
+    expect(diffCommand).toHaveProperty("description");
+    expect(typeof diffCommand.execute).toBe("function");
+
+    const flags = diffCommand.options.map((option) => option.flags);
+    expect(flags).toEqual(expect.arrayContaining(["--stat", "--local"]));
+  });
+
+  test("prints a unified diff and exits 1 when rules drifted", async () => {
+    installRule(
+      "react",
+      "# React\nUse hooks.\n",
+      "https://example.com/react.mdc"
+    );
+    installRule("vue", "# Vue\n", "https://example.com/vue.mdc");
+
+    await diffCommand.execute([]);
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("--- a/.cursor/rules/react.mdc");
+    expect(output).toContain("+++ b/.cursor/rules/react.mdc");
+    expect(output).toContain("@@ -1,2 +1,3 @@");
+    expect(output).toContain("+Avoid classes.");
+    expect(output).not.toContain("vue.mdc");
+    expect(output).toContain("1 changed, 1 up to date, 0 skipped, 0 failed");
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("never writes to installed rules", async () => {
+    installRule("react", "# React\n", "https://example.com/react.mdc");
+
+    await diffCommand.execute(["react"]);
+
+    expect(fs.readFileSync(path.join(RULES_DIR, "react.mdc"), "utf8")).toBe(
+      "# React\n"
+    );
+  });
+
+  test("exits 0 when every rule matches upstream", async () => {
+    installRule("vue", "# Vue\n", "https://example.com/vue.mdc");
+
+    await diffCommand.execute([]);
+
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("summarizes changes with --stat", async () => {
+    installRule("react", "# React\nOld.\n", "https://example.com/react.mdc");
+    installRule("vue", "# Vue\n", "https://example.com/vue.mdc");
+
+    await diffCommand.execute([], { stat: true });
+
+    const output = consoleOutput.join("\n");
+    expect(output).toMatch(/ react \| 3 \+\+-/);
+    expect(output).toContain(
+      "1 rule(s) changed, 2 insertion(s)(+), 1 deletion(s)(-)"
+    );
+    expect(output).not.toContain("@@");
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("shows rules missing on disk as new files", async () => {
+    recordRule(
+      "vue",
+      { source: "https://example.com/vue.mdc" },
+      { basePath: TEST_DIR }
+    );
+
+    await diffCommand.execute(["vue"]);
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("--- /dev/null");
+    expect(output).toContain("+# Vue");
+  });
+
+  test("exits 2 when a rule can't be compared", async () => {
+    installRule("react", "# React\n", "https://example.com/react.mdc");
+    installRule("gone", "# Gone\n", "https://example.com/gone.mdc");
+    installRule("offline", "# Offline\n", "offline-mode");
+
+    await diffCommand.execute([]);
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("Failed: gone - Not found");
+    expect(output).toContain("Skipped: offline");
+    expect(mockExit).toHaveBeenCalledWith(2);
+  });
+
+  test("fails for rules missing from the lockfile", async () => {
+    await diffCommand.execute(["unknown"]);
+
+    expect(consoleOutput.join("\n")).toContain(
+      "Failed: unknown - not recorded in the lockfile"
+    );
+    expect(mockExit).toHaveBeenCalledWith(2);
+  });
+});
@@ -188,6 +188,37 @@ describe("Init Command", () => {
     expect(mockExit).not.toHaveBeenCalled();
   });
 
+  test("execute function suggests migrating legacy rule files", () => {
+    fileUtils.createCursorDirectoryStructure.mockReturnValue({
+      success: true,
+      messages: [],
+      created: [],
+    });
+    fileUtils.createDefaultRuleFiles.mockReturnValue({
+      success: true,
+      messages: [],
+      created: [],
+      legacy: ["/path/to/.cursor/rules/default.mdc"],
+    });
+    fileUtils.updateGitignoreForCursor.mockReturnValue({
+      success: true,
+      messages: [],
+      added: [],
+    });
+
+    initCommand.execute();
+
+    expect(
+      consoleOutput.some((msg) =>
+        msg.includes("/path/to/.cursor/rules/default.mdc")
+      )
+    ).toBe(true);
+    expect(consoleOutput.some((msg) => msg.includes("rulez migrate"))).toBe(
+      true
+    );
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
   test("execute function passes force flag to all operations", () => {
     // Mock successful operations
     fileUtils.createCursorDirectoryStructure.mockReturnValue({
@@ -0,0 +1,258 @@
+/**
+ * Tests for the install command
+ */
+const fs = require("fs");
+const path = require("path");
+const installCommand = require("../../src/commands/install");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+const { getLockedRule, recordRule } = require("../../src/utils/lockfile");
+const { hashContent } = require("../../src/utils/file-utils");
+const { writeManifest } = require("../../src/utils/manifest");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  fetchRule: jest.fn(),
+}));
+
+// Use a temp project directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-install");
+const RULES_DIR = path.join(TEST_DIR, ".cursor", "rules");
+const LOCAL_DIR = path.join(TEST_DIR, ".cursor", "local");
+
+describe("Install Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+  const mockCwd = jest.spyOn(process, "cwd");
+
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    mockCwd.mockReturnValue(TEST_DIR);
+
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    ruleFetcher.fetchRule.mockImplementation(async (source) => ({
+      success: true,
+      content: `content of ${source}`,
+      name: source,
+      source: `https://example.com/${source}.mdc`,
+    }));
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    mockCwd.mockReset();
+    ruleFetcher.fetchRule.mockReset();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    mockCwd.mockRestore();
+  });
+
+  test("exports correct command structure", () => {
+    expect(installCommand).toHaveProperty("command", "install");
+    expect(installCommand).toHaveProperty("description");
+    expect(typeof installCommand.execute).toBe("function");
+  });
+
+  test("installs every declared rule into its scope", async () => {
+    writeManifest(
+      {
+        rules: {
+          react: "react",
+          mine: { source: "python", scope: "local" },
+        },
+      },
+      TEST_DIR
+    );
+
+    await installCommand.execute();
+
+    expect(fs.readFileSync(path.join(RULES_DIR, "react.mdc"), "utf8")).toBe(
+      "content of react"
+    );
+    expect(fs.readFileSync(path.join(LOCAL_DIR, "mine.mdc"), "utf8")).toBe(
+      "content of python"
+    );
+    expect(getLockedRule("react", { basePath: TEST_DIR })).toMatchObject({
+      source: "react",
+      resolved: "https://example.com/react.mdc",
+    });
+    expect(
+      getLockedRule("mine", { basePath: TEST_DIR, local: true })
+    ).toBeDefined();
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("passes URL sources through as URLs", async () => {
+    writeManifest(
+      { rules: { remote: "https://cursor.directory/remote-rule" } },
+      TEST_DIR
+    );
+
+    await installCommand.execute();
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      "https://cursor.directory/remote-rule",
+      { isUrl: true }
+    );
+  });
+
+  test("fetches rules from the rule source they declare", async () => {
+    writeManifest(
+      { rules: { team: { source: "team", from: "acme" } } },
+      TEST_DIR
+    );
+
+    await installCommand.execute();
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith("team", {
+      isUrl: false,
+      source: "acme",
+    });
+  });
+
+  test("symlinks local rules declared with symlink", async () => {
+    const sharedFile = path.join(TEST_DIR, "shared", "security.mdc");
+    fs.mkdirSync(path.dirname(sharedFile), { recursive: true });
+    fs.writeFileSync(sharedFile, "# Shared");
+    writeManifest(
+      {
+        rules: {
+          security: { source: "./shared/security.mdc", symlink: true },
+        },
+      },
+      TEST_DIR
+    );
+
+    await installCommand.execute();
+
+    const rulePath = path.join(RULES_DIR, "security.mdc");
+    expect(fs.lstatSync(rulePath).isSymbolicLink()).toBe(true);
+    expect(fs.readFileSync(rulePath, "utf8")).toBe("# Shared");
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+    expect(getLockedRule("security", { basePath: TEST_DIR })).toMatchObject({
+      source: "./shared/security.mdc",
+    });
+  });
+
+  test("skips rules that are already installed unless forced", async () => {
+    writeManifest({ rules: { react: "react" } }, TEST_DIR);
+    fs.writeFileSync(path.join(RULES_DIR, "react.mdc"), "existing");
+
+    await installCommand.execute();
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+    expect(
+      consoleOutput.some((msg) => msg.includes("Already installed: react"))
+    ).toBe(true);
+
+    await installCommand.execute({ force: true });
+    expect(fs.readFileSync(path.join(RULES_DIR, "react.mdc"), "utf8")).toBe(
+      "content of react"
+    );
+  });
+
+  test("keeps rules edited since they were installed when forced", async () => {
+    writeManifest({ rules: { react: "react" } }, TEST_DIR);
+    await installCommand.execute();
+    const filePath = path.join(RULES_DIR, "react.mdc");
+    fs.writeFileSync(filePath, "my edits");
+
+    await installCommand.execute({ force: true });
+    expect(fs.readFileSync(filePath, "utf8")).toBe("my edits");
+    expect(
+      consoleOutput.some((msg) => msg.includes("Kept local changes"))
+    ).toBe(true);
+    expect(mockExit).not.toHaveBeenCalled();
+
+    await installCommand.execute({ force: true, discardChanges: true });
+    expect(fs.readFileSync(filePath, "utf8")).toBe("content of react");
+  });
+
+  test("fetches rules at the commit recorded in the lockfile", async () => {
+    const commit = "a".repeat(40);
+    const pinned = `https://raw.githubusercontent.com/acme/rules/${commit}/react.mdc`;
+    writeManifest(
+      { rules: { react: "github:acme/rules/react.mdc" } },
+      TEST_DIR
+    );
+    const entry = {
+      source: "github:acme/rules/react.mdc",
+      resolved: "https://raw.githubusercontent.com/acme/rules/main/react.mdc",
+      commit,
+      fetchedAt: "2026-01-01T00:00:00.000Z",
+      hash: hashContent(`content of ${pinned}`),
+    };
+    recordRule("react", entry, { basePath: TEST_DIR });
+
+    await installCommand.execute();
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(pinned, { isUrl: true });
+    expect(fs.readFileSync(path.join(RULES_DIR, "react.mdc"), "utf8")).toBe(
+      `content of ${pinned}`
+    );
+    expect(getLockedRule("react", { basePath: TEST_DIR })).toEqual(entry);
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("fails for rules whose content doesn't match the lockfile", async () => {
+    writeManifest({ rules: { react: "react" } }, TEST_DIR);
+    recordRule(
+      "react",
+      { source: "react", resolved: "https://example.com/react.mdc", hash: "x" },
+      { basePath: TEST_DIR }
+    );
+
+    await installCommand.execute();
+
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(false);
+    expect(
+      consoleOutput.some(
+        (msg) =>
+          msg.includes("Failed: react") &&
+          msg.includes("changed since it was locked")
+      )
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("installs what it can and fails with a summary", async () => {
+    writeManifest(
+      { rules: { react: "react", missing: "missing", bad: { scope: "x" } } },
+      TEST_DIR
+    );
+    ruleFetcher.fetchRule.mockImplementation(async (source) =>
+      source === "missing"
+        ? { success: false, error: "Not found" }
+        : { success: true, content: "ok", name: source, source }
+    );
+
+    await installCommand.execute();
+
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(true);
+    expect(
+      consoleOutput.some((msg) => msg.includes("Could not resolve 2 rule(s)"))
+    ).toBe(true);
+    expect(
+      consoleOutput.some((msg) => msg.includes("- missing: Not found"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("reports when the manifest declares no rules", async () => {
+    await installCommand.execute();
+
+    expect(consoleOutput.some((msg) => msg.includes("No rules declared"))).toBe(
+      true
+    );
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the lint command
+ */
+const lintCommand = require("../../src/commands/lint");
+const ruleLinter = require("../../src/utils/rule-linter");
+
+// Mock rule-linter module
+jest.mock("../../src/utils/rule-linter", () => ({
+  lintRules: jest.fn(),
+}));
+
+describe("Lint Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  const resultWith = (...problems) => ({
+    file: `${process.cwd()}/.cursor/rules/react.mdc`,
+    scope: "project",
+    name: "react",
+    problems,
+  });
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    ruleLinter.lintRules.mockReset();
+  });
+
+  test("exports correct command structure", () => {
+    expect(lintCommand).toHaveProperty("command", "lint");
+    expect(lintCommand).toHaveProperty("description");
+    expect(typeof lintCommand.execute).toBe("function");
+
+    const flags = lintCommand.options.map((option) => option.flags);
+    expect(flags).toEqual(expect.arrayContaining(["--json", "--strict"]));
+  });
+
+  test("prints problems and exits non-zero on errors", () => {
+    ruleLinter.lintRules.mockReturnValue([
+      resultWith({
+        rule: "html-tag",
+        severity: "error",
+        message: "Leftover HTML tag '<div>'",
+        line: 4,
+      }),
+    ]);
+
+    lintCommand.execute();
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain(".cursor/rules/react.mdc");
+    expect(output).toContain("Leftover HTML tag '<div>'");
+    expect(output).toContain("1 error(s), 0 warning(s)");
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("passes with only warnings unless --strict is set", () => {
+    ruleLinter.lintRules.mockReturnValue([
+      resultWith({
+        rule: "rule-size",
+        severity: "warning",
+        message: "Rule is large",
+      }),
+    ]);
+
+    lintCommand.execute();
+    expect(mockExit).not.toHaveBeenCalled();
+
+    lintCommand.execute({ strict: true });
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("outputs machine-readable JSON with relative paths", () => {
+    ruleLinter.lintRules.mockReturnValue([
+      resultWith({ rule: "empty-body", severity: "error", message: "Empty" }),
+    ]);
+
+    lintCommand.execute({ json: true });
+
+    const report = JSON.parse(consoleOutput.join("\n"));
+    expect(report).toMatchObject({
+      errorCount: 1,
+      warningCount: 0,
+      results: [
+        {
+          file: ".cursor/rules/react.mdc",
+          scope: "project",
+          problems: [{ rule: "empty-body" }],
+        },
+      ],
+    });
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("reports when there are no rule files", () => {
+    ruleLinter.lintRules.mockReturnValue([]);
+
+    lintCommand.execute();
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("No rule files found"))
+    ).toBe(true);
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the list command
+ */
+const listCommand = require("../../src/commands/list");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  loadRuleIndex: jest.fn(),
+}));
+
+describe("List Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  const index = {
+    source: "ivangrynenko/cursorrules@main",
+    generatedAt: "2024-01-01T00:00:00.000Z",
+    rules: [
+      {
+        name: "react",
+        description: "React best practices",
+        globs: "**/*.tsx",
+        alwaysApply: false,
+      },
+      {
+        name: "general",
+        description: "General guidance",
+        globs: "",
+        alwaysApply: true,
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+    ruleFetcher.loadRuleIndex.mockResolvedValue(index);
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    ruleFetcher.loadRuleIndex.mockReset();
+  });
+
+  test("exports correct command structure", () => {
+    expect(listCommand).toHaveProperty("command", "list");
+    expect(listCommand).toHaveProperty("description");
+    expect(typeof listCommand.execute).toBe("function");
+    expect(
+      listCommand.options.some((option) => option.flags.includes("--json"))
+    ).toBe(true);
+  });
+
+  test("prints rule names, descriptions and globs", async () => {
+    await listCommand.execute();
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("Available rules in ivangrynenko/cursorrules");
+    expect(output).toContain("react");
+    expect(output).toContain("React best practices");
+    expect(output).toContain("Globs: **/*.tsx");
+    expect(output).toContain("Always applied");
+  });
+
+  test("prints JSON with --json", async () => {
+    await listCommand.execute({ json: true });
+
+    expect(JSON.parse(consoleOutput.join("\n"))).toEqual(index.rules);
+  });
+
+  test("passes --refresh through to the index loader", async () => {
+    await listCommand.execute({ refresh: true });
+
+    expect(ruleFetcher.loadRuleIndex).toHaveBeenCalledWith({ refresh: true });
+  });
+
+  test("warns when showing a stale index", async () => {
+    ruleFetcher.loadRuleIndex.mockResolvedValueOnce({ ...index, stale: true });
+    await listCommand.execute();
+
+    expect(consoleOutput.some((msg) => msg.includes("Could not refresh"))).toBe(
+      true
+    );
+  });
+
+  test("exits when the index cannot be loaded", async () => {
+    ruleFetcher.loadRuleIndex.mockRejectedValueOnce(new Error("offline"));
+    await listCommand.execute();
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("Error loading rule index"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+});
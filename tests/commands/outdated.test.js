@@ -0,0 +1,198 @@
+/**
+ * Tests for the outdated command
+ */
+const fs = require("fs");
+const path = require("path");
+const outdatedCommand = require("../../src/commands/outdated");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+const { recordRule, createLockEntry } = require("../../src/utils/lockfile");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  fetchRule: jest.fn(),
+}));
+
+// Use a temp project directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-outdated");
+const RULES_DIR = path.join(TEST_DIR, ".cursor", "rules");
+const LOCAL_DIR = path.join(TEST_DIR, ".cursor", "local");
+
+describe("Outdated Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+  const mockCwd = jest.spyOn(process, "cwd");
+
+  let upstream;
+
+  // Install a rule as 'rulez add' would, recording the content it was fetched with
+  const installRule = (name, content, options = {}) => {
+    const source = `https://example.com/${name}.mdc`;
+    const dir = options.local ? LOCAL_DIR : RULES_DIR;
+    fs.writeFileSync(path.join(dir, `${name}.mdc`), content);
+    recordRule(
+      name,
+      createLockEntry(source, { source, commit: options.commit }, content),
+      { basePath: TEST_DIR, local: options.local }
+    );
+  };
+
+  const report = () => JSON.parse(consoleOutput.join("\n"));
+
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    fs.mkdirSync(LOCAL_DIR, { recursive: true });
+    mockCwd.mockReturnValue(TEST_DIR);
+
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    upstream = {};
+    ruleFetcher.fetchRule.mockImplementation(async (source) =>
+      upstream[source]
+        ? { success: true, source, ...upstream[source] }
+        : { success: false, error: "Not found" }
+    );
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    mockCwd.mockReset();
+    ruleFetcher.fetchRule.mockReset();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    mockCwd.mockRestore();
+  });
+
+  test("exports correct command structure", () => {
+    expect(outdatedCommand).toHaveProperty(
+      "command",
+      "outdated [rule-names...]"
+    );
+    expect(outdatedCommand).toHaveProperty("description");
+    expect(typeof outdatedCommand.execute).toBe("function");
+  });
+
+  test("reports current and outdated rules as JSON", async () => {
+    installRule("react", "# React v1\n", { commit: "a".repeat(40) });
+    installRule("vue", "# Vue\n");
+    upstream["https://example.com/react.mdc"] = {
+      content: "# React v2\n",
+      commit: "b".repeat(40),
+    };
+    upstream["https://example.com/vue.mdc"] = { content: "# Vue\n" };
+
+    await outdatedCommand.execute([], { json: true });
+
+    const [react, vue] = report();
+    expect(react).toMatchObject({
+      name: "react",
+      scope: "project",
+      source: "https://example.com/react.mdc",
+      installed: { commit: "a".repeat(40) },
+      latest: { commit: "b".repeat(40) },
+      modified: false,
+      status: "outdated",
+      action: "rulez update react",
+    });
+    expect(vue).toMatchObject({ status: "current", action: "none" });
+    expect(vue.installed.hash).toBe(vue.latest.hash);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("flags local edits and suggests reviewing before updating", async () => {
+    installRule("react", "# React v1\n");
+    fs.appendFileSync(path.join(RULES_DIR, "react.mdc"), "My edit\n");
+    upstream["https://example.com/react.mdc"] = { content: "# React v2\n" };
+
+    await outdatedCommand.execute([], { json: true });
+
+    expect(report()[0]).toMatchObject({
+      modified: true,
+      status: "outdated",
+      action:
+        "review with 'rulez diff react', then 'rulez update react --merge'",
+    });
+  });
+
+  test("compares against the fetched content, not local edits", async () => {
+    installRule("react", "# React\n");
+    fs.appendFileSync(path.join(RULES_DIR, "react.mdc"), "My edit\n");
+    upstream["https://example.com/react.mdc"] = { content: "# React\n" };
+
+    await outdatedCommand.execute([], { json: true });
+
+    expect(report()[0]).toMatchObject({
+      modified: true,
+      status: "current",
+    });
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("covers local overrides, missing files and unreachable sources", async () => {
+    installRule("mine", "# Mine v1\n", { local: true });
+    installRule("gone", "# Gone\n");
+    installRule("deleted", "# Deleted\n");
+    fs.unlinkSync(path.join(RULES_DIR, "deleted.mdc"));
+    upstream["https://example.com/mine.mdc"] = { content: "# Mine v2\n" };
+    upstream["https://example.com/deleted.mdc"] = { content: "# Deleted\n" };
+
+    await outdatedCommand.execute([], { json: true });
+
+    const statuses = Object.fromEntries(
+      report().map((rule) => [rule.name, [rule.status, rule.action]])
+    );
+    expect(statuses).toEqual({
+      deleted: ["missing", "rulez update deleted"],
+      gone: ["error", "check that the rule's source is reachable"],
+      mine: ["outdated", "rulez update mine --local"],
+    });
+  });
+
+  test("prints a table", async () => {
+    installRule("react", "# React v1\n", { commit: "abcdef1234567890" });
+    upstream["https://example.com/react.mdc"] = {
+      content: "# React v2\n",
+      commit: "1234567abcdef",
+    };
+
+    await outdatedCommand.execute([]);
+
+    expect(consoleOutput[0]).toMatch(
+      /Rule\s+Scope\s+Installed\s+Latest\s+Modified\s+Status\s+Action/
+    );
+    expect(consoleOutput[1]).toMatch(
+      /react\s+project\s+abcdef1\s+1234567\s+no\s+outdated\s+rulez update react/
+    );
+  });
+
+  test("checks only the named rules", async () => {
+    installRule("react", "# React\n");
+    installRule("vue", "# Vue\n");
+    upstream["https://example.com/vue.mdc"] = { content: "# Vue\n" };
+
+    await outdatedCommand.execute(["vue", "angular"]);
+
+    const output = consoleOutput.join("\n");
+    expect(output).not.toContain("react");
+    expect(output).toContain("No installed rule named 'angular' found");
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("says so when nothing is installed", async () => {
+    await outdatedCommand.execute([]);
+
+    expect(consoleOutput.join("\n")).toContain(
+      "No installed rules recorded in the lockfile"
+    );
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Tests for the remove command
+ */
+const fs = require("fs");
+const path = require("path");
+const inquirer = require("inquirer").default;
+const removeCommand = require("../../src/commands/remove");
+const { recordRule, getLockedRule } = require("../../src/utils/lockfile");
+const { addManifestRule, readManifest } = require("../../src/utils/manifest");
+
+// Mock inquirer so confirmation prompts can be answered in tests
+jest.mock("inquirer", () => ({
+  default: { prompt: jest.fn() },
+}));
+
+// Use a temp project directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-remove");
+const RULES_DIR = path.join(TEST_DIR, ".cursor", "rules");
+const LOCAL_DIR = path.join(TEST_DIR, ".cursor", "local");
+
+describe("Remove Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+  const originalIsTTY = process.stdin.isTTY;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+  const mockCwd = jest.spyOn(process, "cwd");
+
+  const installRule = (name, options = {}) => {
+    const dir = options.local ? LOCAL_DIR : RULES_DIR;
+    fs.writeFileSync(path.join(dir, `${name}.mdc`), "content");
+    recordRule(name, { source: name }, { ...options, basePath: TEST_DIR });
+    addManifestRule(name, name, {
+      scope: options.local ? "local" : "project",
+      basePath: TEST_DIR,
+    });
+  };
+
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    fs.mkdirSync(LOCAL_DIR, { recursive: true });
+    mockCwd.mockReturnValue(TEST_DIR);
+    process.stdin.isTTY = true;
+
+    console.log = mockedLog;
+    consoleOutput = [];
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    process.stdin.isTTY = originalIsTTY;
+    mockExit.mockClear();
+    mockCwd.mockReset();
+    inquirer.prompt.mockReset();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    mockCwd.mockRestore();
+  });
+
+  test("exports correct command structure", () => {
+    expect(removeCommand).toHaveProperty("command");
+    expect(removeCommand).toHaveProperty("description");
+    expect(typeof removeCommand.execute).toBe("function");
+
+    const flags = removeCommand.options.map((option) => option.flags);
+    expect(flags).toEqual(expect.arrayContaining(["--local", "-y, --yes"]));
+  });
+
+  test("removes the file, lock entry and manifest declaration with --yes", async () => {
+    installRule("react");
+
+    await removeCommand.execute("react", { yes: true });
+
+    expect(inquirer.prompt).not.toHaveBeenCalled();
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(false);
+    expect(getLockedRule("react", { basePath: TEST_DIR })).toBeUndefined();
+    expect(readManifest(TEST_DIR).rules).toEqual({});
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("asks for confirmation and removes when confirmed", async () => {
+    installRule("react");
+    inquirer.prompt.mockResolvedValueOnce({ confirmed: true });
+
+    await removeCommand.execute("react");
+
+    expect(inquirer.prompt).toHaveBeenCalled();
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(false);
+  });
+
+  test("keeps everything when confirmation is declined", async () => {
+    installRule("react");
+    inquirer.prompt.mockResolvedValueOnce({ confirmed: false });
+
+    await removeCommand.execute("react");
+
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(true);
+    expect(getLockedRule("react", { basePath: TEST_DIR })).toBeDefined();
+    expect(consoleOutput.some((msg) => msg.includes("Aborted"))).toBe(true);
+  });
+
+  test("keeps everything when the prompt is closed with Ctrl-C", async () => {
+    installRule("react");
+    inquirer.prompt.mockRejectedValueOnce(
+      Object.assign(new Error("User force closed the prompt"), {
+        name: "ExitPromptError",
+      })
+    );
+
+    await removeCommand.execute("react");
+
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(130);
+  });
+
+  test("requires --yes when not running interactively", async () => {
+    installRule("react");
+    process.stdin.isTTY = false;
+
+    await removeCommand.execute("react");
+
+    expect(inquirer.prompt).not.toHaveBeenCalled();
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("removes local rules with --local and leaves project rules alone", async () => {
+    installRule("react");
+    installRule("react", { local: true });
+
+    await removeCommand.execute("react", { local: true, yes: true });
+
+    expect(fs.existsSync(path.join(LOCAL_DIR, "react.mdc"))).toBe(false);
+    expect(fs.existsSync(path.join(RULES_DIR, "react.mdc"))).toBe(true);
+    expect(
+      getLockedRule("react", { basePath: TEST_DIR, local: true })
+    ).toBeUndefined();
+    expect(getLockedRule("react", { basePath: TEST_DIR })).toBeDefined();
+  });
+
+  test("cleans up metadata when the file is already gone", async () => {
+    installRule("react");
+    fs.unlinkSync(path.join(RULES_DIR, "react.mdc"));
+
+    await removeCommand.execute("react.mdc", { yes: true });
+
+    expect(getLockedRule("react", { basePath: TEST_DIR })).toBeUndefined();
+    expect(consoleOutput.some((msg) => msg.includes("already missing"))).toBe(
+      true
+    );
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("exits when the rule doesn't exist", async () => {
+    await removeCommand.execute("nope", { yes: true });
+
+    expect(
+      consoleOutput.some((msg) =>
+        msg.includes("No project rule named 'nope' found")
+      )
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the search command
+ */
+const searchCommand = require("../../src/commands/search");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  loadRuleIndex: jest.fn(),
+}));
+
+describe("Search Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  const index = {
+    source: "ivangrynenko/cursorrules@main",
+    generatedAt: "2024-01-01T00:00:00.000Z",
+    rules: [
+      {
+        name: "react",
+        description: "React best practices",
+        globs: "**/*.tsx",
+        alwaysApply: false,
+        tags: ["frontend"],
+        body: "Prefer function components and hooks over classes.",
+      },
+      {
+        name: "python",
+        description: "Python coding standards",
+        globs: "**/*.py",
+        alwaysApply: false,
+        tags: ["backend"],
+        body: "Follow PEP 8.",
+      },
+    ],
+  };
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+    ruleFetcher.loadRuleIndex.mockResolvedValue(index);
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    ruleFetcher.loadRuleIndex.mockReset();
+  });
+
+  test("exports correct command structure", () => {
+    expect(searchCommand).toHaveProperty("command", "search <query...>");
+    expect(searchCommand).toHaveProperty("description");
+    expect(typeof searchCommand.execute).toBe("function");
+    expect(
+      searchCommand.options.some((option) => option.flags.includes("--limit"))
+    ).toBe(true);
+  });
+
+  test("prints matching rules with the fields that matched", async () => {
+    await searchCommand.execute(["pyhton"]);
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("Rules matching 'pyhton' (1)");
+    expect(output).toContain("python");
+    expect(output).toContain("(name)");
+    expect(output).toContain("Python coding standards");
+    expect(output).not.toContain("React best practices");
+  });
+
+  test("shows a snippet for body matches", async () => {
+    await searchCommand.execute(["hooks"]);
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("(body)");
+    expect(output).toContain("function components and hooks");
+  });
+
+  test("prints JSON without the indexed body", async () => {
+    await searchCommand.execute(["react"], { json: true });
+
+    const results = JSON.parse(consoleOutput.join("\n"));
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      name: "react",
+      description: "React best practices",
+      matches: ["name"],
+    });
+    expect(results[0]).not.toHaveProperty("body");
+    expect(typeof results[0].score).toBe("number");
+  });
+
+  test("limits the number of results", async () => {
+    await searchCommand.execute(["coding", "practices"], {
+      json: true,
+      limit: "1",
+    });
+
+    expect(JSON.parse(consoleOutput.join("\n"))).toHaveLength(1);
+  });
+
+  test("rejects an invalid limit", async () => {
+    await searchCommand.execute(["react"], { limit: "zero" });
+
+    expect(consoleOutput.some((msg) => msg.includes("--limit"))).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("reports when nothing matches", async () => {
+    await searchCommand.execute(["kubernetes"]);
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("No rules match 'kubernetes'"))
+    ).toBe(true);
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("passes --refresh through and warns about a stale index", async () => {
+    ruleFetcher.loadRuleIndex.mockResolvedValueOnce({ ...index, stale: true });
+    await searchCommand.execute(["react"], { refresh: true });
+
+    expect(ruleFetcher.loadRuleIndex).toHaveBeenCalledWith({ refresh: true });
+    expect(consoleOutput.some((msg) => msg.includes("Could not refresh"))).toBe(
+      true
+    );
+  });
+
+  test("exits when the index cannot be loaded", async () => {
+    ruleFetcher.loadRuleIndex.mockRejectedValueOnce(new Error("offline"));
+    await searchCommand.execute(["react"]);
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("Error loading rule index"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+});
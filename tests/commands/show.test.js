@@ -0,0 +1,214 @@
+/**
+ * Tests for the show command
+ */
+const fs = require("fs");
+const path = require("path");
+const showCommand = require("../../src/commands/show");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+const { recordRule, createLockEntry } = require("../../src/utils/lockfile");
+const { addManifestRule } = require("../../src/utils/manifest");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  fetchRule: jest.fn(),
+}));
+
+// Use a temp project for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-show");
+const RULES_DIR = path.join(TEST_DIR, ".cursor", "rules");
+const LOCAL_DIR = path.join(TEST_DIR, ".cursor", "local");
+
+const RULE_CONTENT = `---
+description: React best practices
+globs: **/*.tsx, **/*.jsx
+alwaysApply: false
+---
+# React
+
+Prefer function components.
+`;
+
+describe("Show Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  const installRule = () => {
+    fs.writeFileSync(path.join(RULES_DIR, "react.mdc"), RULE_CONTENT);
+    recordRule(
+      "react",
+      createLockEntry(
+        "react",
+        { source: "https://example.com/react.mdc", commit: "abc123" },
+        RULE_CONTENT
+      ),
+      { basePath: TEST_DIR }
+    );
+    addManifestRule("react", "react", { basePath: TEST_DIR });
+  };
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    fs.mkdirSync(LOCAL_DIR, { recursive: true });
+    jest.spyOn(process, "cwd").mockReturnValue(TEST_DIR);
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    ruleFetcher.fetchRule.mockReset();
+    process.cwd.mockRestore();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test("exports correct command structure", () => {
+    expect(showCommand).toHaveProperty("command", "show <rule>");
+    expect(showCommand).toHaveProperty("description");
+    expect(typeof showCommand.execute).toBe("function");
+  });
+
+  test("shows an installed rule with its frontmatter, lock and size", async () => {
+    installRule();
+    await showCommand.execute("react");
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("(project rule)");
+    expect(output).toContain(path.join(".cursor", "rules", "react.mdc"));
+    expect(output).toContain("Auto Attached");
+    expect(output).toContain("React best practices");
+    expect(output).toContain("**/*.tsx, **/*.jsx");
+    expect(output).toContain("https://example.com/react.mdc");
+    expect(output).toContain("abc123");
+    expect(output).toContain("matches the lockfile");
+    expect(output).toContain("declared as react");
+    expect(output).toMatch(/\d+ B, \d+ lines, ~\d+ tokens/);
+    expect(output).toContain("Prefer function components.");
+    expect(output).not.toContain("globs: **/*.tsx");
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+  });
+
+  test("reports edits and local overrides that shadow the rule", async () => {
+    installRule();
+    fs.appendFileSync(path.join(RULES_DIR, "react.mdc"), "Edited.\n");
+    fs.writeFileSync(path.join(LOCAL_DIR, "react.mdc"), "# Mine\n");
+    await showCommand.execute("react");
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("modified since it was fetched");
+    expect(output).toContain(
+      `Shadowed by local override ${path.join(".cursor", "local", "react.mdc")}`
+    );
+  });
+
+  test("shows the local override with --local or by its file path", async () => {
+    installRule();
+    fs.writeFileSync(path.join(LOCAL_DIR, "react.mdc"), "# Mine\n");
+
+    await showCommand.execute("react", { local: true });
+    expect(consoleOutput.join("\n")).toContain("(local rule)");
+
+    consoleOutput = [];
+    await showCommand.execute(".cursor/local/react.mdc");
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("(local rule)");
+    expect(output).toContain("not in the lockfile");
+    expect(output).toContain("Overrides project rule");
+  });
+
+  test("fetches rules that aren't installed without writing anything", async () => {
+    ruleFetcher.fetchRule.mockResolvedValue({
+      success: true,
+      name: "vue",
+      content: "---\nalwaysApply: true\n---\n# Vue\n",
+      source: "https://example.com/vue.mdc",
+      from: "company",
+    });
+    await showCommand.execute("vue", { source: "company" });
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith("vue", {
+      isUrl: false,
+      source: "company",
+      basePath: TEST_DIR,
+      noCache: true,
+    });
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("(not installed)");
+    expect(output).toContain("Always");
+    expect(output).toContain("https://example.com/vue.mdc (from company)");
+    expect(fs.readdirSync(RULES_DIR)).toEqual([]);
+    expect(fs.existsSync(path.join(TEST_DIR, ".cursor", "rulez.json"))).toBe(
+      false
+    );
+  });
+
+  test("compares the upstream copy with the installed one with --remote", async () => {
+    installRule();
+    ruleFetcher.fetchRule.mockResolvedValue({
+      success: true,
+      name: "react",
+      content: RULE_CONTENT,
+      source: "https://example.com/react.mdc",
+    });
+    await showCommand.execute("react", { remote: true });
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalled();
+    expect(consoleOutput.join("\n")).toContain(
+      `${path.join(".cursor", "rules", "react.mdc")} (project, identical)`
+    );
+  });
+
+  test("prints JSON and raw content", async () => {
+    installRule();
+
+    await showCommand.execute("react", { json: true });
+    const details = JSON.parse(consoleOutput.join("\n"));
+    expect(details).toMatchObject({
+      name: "react",
+      scope: "project",
+      path: path.join(".cursor", "rules", "react.mdc"),
+      lockStatus: "unmodified",
+      type: "Auto Attached",
+      attributes: { description: "React best practices" },
+    });
+    expect(details.size.tokens).toBeGreaterThan(0);
+    expect(details).not.toHaveProperty("content");
+
+    const write = jest
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+    await showCommand.execute("react", { raw: true });
+    expect(write).toHaveBeenCalledWith(RULE_CONTENT);
+    write.mockRestore();
+  });
+
+  test("shows suggestions when a rule can't be found", async () => {
+    ruleFetcher.fetchRule.mockResolvedValue({
+      success: false,
+      error: "Not found",
+      suggestions: ["react"],
+    });
+    await showCommand.execute("raect");
+
+    const output = consoleOutput.join("\n");
+    expect(output).toContain("Could not find rule 'raect'");
+    expect(output).toContain("Did you mean: react?");
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("fails with --local when there is no local override", async () => {
+    installRule();
+    await showCommand.execute("react", { local: true });
+
+    expect(consoleOutput.join("\n")).toContain("No local rule named 'react'");
+    expect(mockExit).toHaveBeenCalledWith(1);
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+  });
+});
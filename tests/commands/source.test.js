@@ -0,0 +1,153 @@
+/**
+ * Tests for the source command
+ */
+const fs = require("fs");
+const path = require("path");
+const sourceCommand = require("../../src/commands/source");
+const { readManifest } = require("../../src/utils/manifest");
+
+// Use a temp directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-source");
+
+describe("Source Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+
+  beforeEach(() => {
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+    jest.spyOn(process, "cwd").mockReturnValue(TEST_DIR);
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    process.cwd.mockRestore();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test("exports correct command structure", () => {
+    expect(sourceCommand).toHaveProperty(
+      "command",
+      "source <action> [args...]"
+    );
+    expect(sourceCommand).toHaveProperty("description");
+    expect(typeof sourceCommand.execute).toBe("function");
+
+    const flags = sourceCommand.options.map((option) => option.flags);
+    expect(flags).toEqual([
+      "--branch <branch>",
+      "--path <path>",
+      "--token-env <var>",
+    ]);
+  });
+
+  test("adds a GitHub source with branch and path", () => {
+    sourceCommand.execute("add", ["acme", "github:acme/rules"], {
+      branch: "dev",
+      path: "rules",
+    });
+
+    expect(readManifest(TEST_DIR).sources).toEqual([
+      {
+        name: "acme",
+        type: "github",
+        repo: "acme/rules",
+        branch: "dev",
+        path: "rules",
+      },
+    ]);
+    expect(
+      consoleOutput.some((msg) => msg.includes("Added github source 'acme'"))
+    ).toBe(true);
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("rejects --branch for non-GitHub sources", () => {
+    sourceCommand.execute("add", ["shared", "../rules"], { branch: "dev" });
+
+    expect(mockExit).toHaveBeenCalledWith(1);
+    expect(readManifest(TEST_DIR)).not.toHaveProperty("sources");
+  });
+
+  test("names the environment variable holding a source's token", () => {
+    sourceCommand.execute("add", ["private", "github:acme/private"], {
+      tokenEnv: "RULEZ_ACME_TOKEN",
+    });
+
+    expect(readManifest(TEST_DIR).sources).toEqual([
+      {
+        name: "private",
+        type: "github",
+        repo: "acme/private",
+        tokenEnv: "RULEZ_ACME_TOKEN",
+      },
+    ]);
+
+    consoleOutput = [];
+    sourceCommand.execute("list");
+    expect(
+      consoleOutput.some((msg) =>
+        msg.includes("token from RULEZ_ACME_TOKEN, which isn't set")
+      )
+    ).toBe(true);
+  });
+
+  test("rejects --token-env for local sources", () => {
+    sourceCommand.execute("add", ["shared", "../rules"], { tokenEnv: "TOKEN" });
+
+    expect(mockExit).toHaveBeenCalledWith(1);
+    expect(readManifest(TEST_DIR)).not.toHaveProperty("sources");
+  });
+
+  test("lists configured sources before the built-in source", () => {
+    sourceCommand.execute("add", ["shared", "../rules"]);
+    consoleOutput = [];
+
+    sourceCommand.execute("list");
+
+    const output = consoleOutput.join("\n");
+    expect(output.indexOf("shared")).toBeLessThan(
+      output.indexOf("cursor-directory")
+    );
+    expect(output).toContain("(built-in)");
+  });
+
+  test("removes a source and fails for unknown names", () => {
+    sourceCommand.execute("add", ["shared", "../rules"]);
+
+    sourceCommand.execute("remove", ["shared"]);
+    expect(readManifest(TEST_DIR)).not.toHaveProperty("sources");
+    expect(mockExit).not.toHaveBeenCalled();
+
+    sourceCommand.execute("remove", ["shared"]);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("reports errors from the registry", () => {
+    sourceCommand.execute("add", ["shared", "../rules"]);
+    sourceCommand.execute("add", ["shared", "../other"]);
+
+    expect(consoleOutput.some((msg) => msg.includes("already exists"))).toBe(
+      true
+    );
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("fails for unknown actions", () => {
+    sourceCommand.execute("rename", []);
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("Unknown action 'rename'"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+});
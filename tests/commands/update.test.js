@@ -0,0 +1,451 @@
+/**
+ * Tests for the update command
+ */
+const fs = require("fs");
+const path = require("path");
+const updateCommand = require("../../src/commands/update");
+const ruleFetcher = require("../../src/utils/rule-fetcher");
+const {
+  recordRule,
+  getLockedRule,
+  createLockEntry,
+} = require("../../src/utils/lockfile");
+const { hashContent } = require("../../src/utils/file-utils");
+
+// Mock rule-fetcher module
+jest.mock("../../src/utils/rule-fetcher", () => ({
+  fetchRule: jest.fn(),
+}));
+
+// Use a temp project directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-update");
+const RULES_DIR = path.join(TEST_DIR, ".cursor", "rules");
+
+describe("Update Command", () => {
+  // Mock console.log to capture output
+  let consoleOutput = [];
+  const mockedLog = (output) => consoleOutput.push(output);
+  const originalLog = console.log;
+
+  // Mock process.exit to prevent test termination
+  const mockExit = jest.spyOn(process, "exit").mockImplementation(() => {});
+  const mockCwd = jest.spyOn(process, "cwd");
+
+  const installRule = (name, content, source) => {
+    fs.writeFileSync(path.join(RULES_DIR, `${name}.mdc`), content);
+    if (source) {
+      recordRule(name, { source }, { basePath: TEST_DIR });
+    }
+  };
+
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(RULES_DIR, { recursive: true });
+    mockCwd.mockReturnValue(TEST_DIR);
+
+    console.log = mockedLog;
+    consoleOutput = [];
+
+    ruleFetcher.fetchRule.mockImplementation(async (source) => ({
+      success: true,
+      content: `new content from ${source}`,
+      name: path.basename(source, ".mdc"),
+      source,
+    }));
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    mockExit.mockClear();
+    mockCwd.mockReset();
+    ruleFetcher.fetchRule.mockReset();
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    mockCwd.mockRestore();
+  });
+
+  test("exports correct command structure", () => {
+    expect(updateCommand).toHaveProperty("command");
+    expect(updateCommand).toHaveProperty("description");
+    expect(typeof updateCommand.execute).toBe("function");
+
+    const flags = updateCommand.options.map((option) => option.flags);
+    expect(flags).toEqual(expect.arrayContaining(["--dry-run", "--local"]));
+  });
+
+  test("rewrites only rules whose upstream content differs", async () => {
+    installRule("changed", "old content", "https://example.com/changed.mdc");
+    installRule(
+      "same",
+      "new content from https://example.com/same.mdc",
+      "https://example.com/same.mdc"
+    );
+
+    await updateCommand.execute([]);
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      "https://example.com/changed.mdc",
+      { isUrl: true }
+    );
+    expect(fs.readFileSync(path.join(RULES_DIR, "changed.mdc"), "utf8")).toBe(
+      "new content from https://example.com/changed.mdc"
+    );
+    expect(consoleOutput.some((msg) => msg.includes("Updated: changed"))).toBe(
+      true
+    );
+    expect(consoleOutput.some((msg) => msg.includes("Up to date: same"))).toBe(
+      true
+    );
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("refreshes the lock entry of updated rules", async () => {
+    installRule("changed", "old content");
+    recordRule(
+      "changed",
+      { source: "changed", resolved: "https://example.com/changed.mdc" },
+      { basePath: TEST_DIR }
+    );
+    ruleFetcher.fetchRule.mockResolvedValueOnce({
+      success: true,
+      content: "fresh",
+      name: "changed",
+      source: "https://example.com/changed.mdc",
+      commit: "abc123",
+    });
+
+    await updateCommand.execute(["changed"]);
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith("changed", {
+      isUrl: false,
+    });
+    expect(getLockedRule("changed", { basePath: TEST_DIR })).toMatchObject({
+      source: "changed",
+      resolved: "https://example.com/changed.mdc",
+      commit: "abc123",
+      hash: expect.stringMatching(/^sha256-/),
+    });
+  });
+
+  test("looks rules from a named rule source up in that source again", async () => {
+    installRule("team", "old content");
+    recordRule(
+      "team",
+      { source: "team", from: "shared", resolved: "shared/team.mdc" },
+      { basePath: TEST_DIR }
+    );
+
+    await updateCommand.execute(["team"]);
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith("team", {
+      isUrl: false,
+      source: "shared",
+    });
+    expect(consoleOutput.some((msg) => msg.includes("Updated: team"))).toBe(
+      true
+    );
+  });
+
+  test("re-reads rules added from local files", async () => {
+    installRule("security", "old content", "./shared/security.mdc");
+
+    await updateCommand.execute(["security"]);
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      "./shared/security.mdc",
+      { isUrl: false }
+    );
+    expect(consoleOutput.some((msg) => msg.includes("Updated: security"))).toBe(
+      true
+    );
+  });
+
+  test("refreshes git rules at the ref they were added with", async () => {
+    installRule("react", "old content", "git+../rules.git#main:react.mdc");
+
+    await updateCommand.execute(["react"]);
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledWith(
+      "git+../rules.git#main:react.mdc",
+      { isUrl: false }
+    );
+    expect(consoleOutput.some((msg) => msg.includes("Updated: react"))).toBe(
+      true
+    );
+  });
+
+  test("keeps rules edited since they were added", async () => {
+    installRule("edited", "my edits");
+    recordRule(
+      "edited",
+      {
+        source: "https://example.com/edited.mdc",
+        hash: hashContent("original content"),
+      },
+      { basePath: TEST_DIR }
+    );
+    const filePath = path.join(RULES_DIR, "edited.mdc");
+
+    await updateCommand.execute([]);
+    expect(fs.readFileSync(filePath, "utf8")).toBe("my edits");
+    expect(
+      consoleOutput.some(
+        (msg) =>
+          msg.includes("Skipped: edited") && msg.includes("has local changes")
+      )
+    ).toBe(true);
+    expect(mockExit).not.toHaveBeenCalled();
+
+    await updateCommand.execute([], { keepBoth: true });
+    expect(fs.readFileSync(filePath, "utf8")).toBe("my edits");
+    expect(fs.readFileSync(`${filePath}.upstream`, "utf8")).toBe(
+      "new content from https://example.com/edited.mdc"
+    );
+
+    await updateCommand.execute([], { discardChanges: true });
+    expect(fs.readFileSync(filePath, "utf8")).toBe(
+      "new content from https://example.com/edited.mdc"
+    );
+  });
+
+  describe("with --merge", () => {
+    const filePath = path.join(RULES_DIR, "style.mdc");
+    const base = "# Style\n\n- one\n- two\n- three\n";
+
+    beforeEach(() => {
+      fs.writeFileSync(filePath, base);
+      recordRule(
+        "style",
+        createLockEntry(
+          "https://example.com/style.mdc",
+          { source: "https://example.com/style.mdc" },
+          base
+        ),
+        { basePath: TEST_DIR, content: base }
+      );
+    });
+
+    const upstream = (content) =>
+      ruleFetcher.fetchRule.mockResolvedValue({
+        success: true,
+        content,
+        name: "style",
+        source: "https://example.com/style.mdc",
+      });
+
+    test("merges upstream changes into local edits", async () => {
+      fs.writeFileSync(filePath, base.replace("- one", "- one (ours)"));
+      upstream(base + "- four\n");
+
+      await updateCommand.execute([], { merge: true });
+
+      expect(fs.readFileSync(filePath, "utf8")).toBe(
+        "# Style\n\n- one (ours)\n- two\n- three\n- four\n"
+      );
+      expect(consoleOutput.some((msg) => msg.includes("Merged: style"))).toBe(
+        true
+      );
+      expect(mockExit).not.toHaveBeenCalled();
+
+      // Upstream becomes the new base, so running again changes nothing
+      consoleOutput = [];
+      await updateCommand.execute([], { merge: true });
+      expect(
+        consoleOutput.some((msg) => msg.includes("Up to date: style"))
+      ).toBe(true);
+    });
+
+    test("writes conflict markers and reports the rules to resolve", async () => {
+      fs.writeFileSync(filePath, base.replace("- two", "- two (ours)"));
+      upstream(base.replace("- two", "- two (theirs)"));
+
+      await updateCommand.execute([], { merge: true });
+
+      const content = fs.readFileSync(filePath, "utf8");
+      expect(content).toContain("<<<<<<< local\n- two (ours)\n=======\n");
+      expect(content).toContain(
+        "- two (theirs)\n>>>>>>> upstream (https://example.com/style.mdc)\n"
+      );
+      expect(
+        consoleOutput.some((msg) =>
+          msg.includes("Conflict: style - 1 conflict")
+        )
+      ).toBe(true);
+      expect(
+        consoleOutput.some((msg) => msg.includes(`- style: ${filePath}`))
+      ).toBe(true);
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test("keeps reporting rules as conflicted until the markers are removed", async () => {
+      fs.writeFileSync(filePath, base.replace("- two", "- two (ours)"));
+      const theirs = base.replace("- two", "- two (theirs)");
+      upstream(theirs);
+
+      await updateCommand.execute([], { merge: true });
+      const installed = getLockedRule("style", { basePath: TEST_DIR });
+      expect(installed.hash).toBe(hashContent(base));
+      expect(installed.pending.hash).toBe(hashContent(theirs));
+
+      consoleOutput = [];
+      mockExit.mockClear();
+      await updateCommand.execute([], { merge: true });
+      expect(
+        consoleOutput.some((msg) =>
+          msg.includes("Conflict: style - unresolved conflict markers")
+        )
+      ).toBe(true);
+      expect(
+        consoleOutput.some((msg) => msg.includes("Up to date: style"))
+      ).toBe(false);
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+
+    test("merges against the upstream version once conflicts are resolved", async () => {
+      fs.writeFileSync(filePath, base.replace("- two", "- two (ours)"));
+      const theirs = base.replace("- two", "- two (theirs)");
+      upstream(theirs);
+      await updateCommand.execute([], { merge: true });
+
+      const resolved = base.replace("- two", "- two (resolved)");
+      fs.writeFileSync(filePath, resolved);
+      consoleOutput = [];
+      mockExit.mockClear();
+      await updateCommand.execute([], { merge: true });
+
+      expect(fs.readFileSync(filePath, "utf8")).toBe(resolved);
+      expect(
+        consoleOutput.some((msg) => msg.includes("Up to date: style"))
+      ).toBe(true);
+      expect(mockExit).not.toHaveBeenCalled();
+      const entry = getLockedRule("style", { basePath: TEST_DIR });
+      expect(entry.hash).toBe(hashContent(theirs));
+      expect(entry.pending).toBeUndefined();
+    });
+
+    test("doesn't write anything with --dry-run", async () => {
+      const edited = base.replace("- two", "- two (ours)");
+      fs.writeFileSync(filePath, edited);
+      upstream(base.replace("- two", "- two (theirs)"));
+
+      await updateCommand.execute([], { merge: true, dryRun: true });
+
+      expect(fs.readFileSync(filePath, "utf8")).toBe(edited);
+      expect(
+        consoleOutput.some((msg) => msg.includes("Would conflict: style"))
+      ).toBe(true);
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+
+    test("skips edited rules whose installed version wasn't kept", async () => {
+      const edited = base.replace("- one", "- one (ours)");
+      fs.writeFileSync(filePath, edited);
+      fs.rmSync(path.join(TEST_DIR, ".cursor", "rulez-base"), {
+        recursive: true,
+      });
+      upstream(base + "- four\n");
+
+      await updateCommand.execute([], { merge: true });
+
+      expect(fs.readFileSync(filePath, "utf8")).toBe(edited);
+      expect(
+        consoleOutput.some(
+          (msg) => msg.includes("Skipped: style") && msg.includes("--keep-both")
+        )
+      ).toBe(true);
+    });
+  });
+
+  test("does not write files with --dry-run", async () => {
+    installRule("changed", "old content", "https://example.com/changed.mdc");
+
+    await updateCommand.execute([], { dryRun: true });
+
+    expect(fs.readFileSync(path.join(RULES_DIR, "changed.mdc"), "utf8")).toBe(
+      "old content"
+    );
+    expect(
+      consoleOutput.some((msg) => msg.includes("Would update: changed"))
+    ).toBe(true);
+  });
+
+  test("only updates the named rules", async () => {
+    installRule("one", "old", "https://example.com/one.mdc");
+    installRule("two", "old", "https://example.com/two.mdc");
+
+    await updateCommand.execute(["two"]);
+
+    expect(ruleFetcher.fetchRule).toHaveBeenCalledTimes(1);
+    expect(fs.readFileSync(path.join(RULES_DIR, "one.mdc"), "utf8")).toBe(
+      "old"
+    );
+  });
+
+  test("updates local rules with --local", async () => {
+    const localDir = path.join(TEST_DIR, ".cursor", "local");
+    fs.mkdirSync(localDir, { recursive: true });
+    fs.writeFileSync(path.join(localDir, "mine.mdc"), "old");
+    recordRule(
+      "mine",
+      { source: "https://example.com/mine.mdc" },
+      { basePath: TEST_DIR, local: true }
+    );
+
+    await updateCommand.execute([], { local: true });
+
+    expect(fs.readFileSync(path.join(localDir, "mine.mdc"), "utf8")).toBe(
+      "new content from https://example.com/mine.mdc"
+    );
+  });
+
+  test("skips rules without a fetchable source", async () => {
+    installRule("offline", "content", "offline-mode");
+
+    fs.writeFileSync(path.join(RULES_DIR, "untracked.mdc"), "mine");
+
+    await updateCommand.execute(["offline", "untracked"]);
+
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+    expect(consoleOutput.filter((msg) => msg.includes("Skipped:")).length).toBe(
+      2
+    );
+    expect(mockExit).not.toHaveBeenCalled();
+  });
+
+  test("fails for rules that aren't installed", async () => {
+    await updateCommand.execute(["typo"]);
+
+    expect(ruleFetcher.fetchRule).not.toHaveBeenCalled();
+    expect(
+      consoleOutput.some(
+        (msg) => msg.includes("Failed: typo") && msg.includes("not installed")
+      )
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("exits non-zero when a rule fails to update", async () => {
+    installRule("broken", "old", "https://example.com/broken.mdc");
+    ruleFetcher.fetchRule.mockResolvedValueOnce({
+      success: false,
+      error: "Not found",
+    });
+
+    await updateCommand.execute([]);
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("Failed: broken - Not found"))
+    ).toBe(true);
+    expect(mockExit).toHaveBeenCalledWith(1);
+  });
+
+  test("reports when there is nothing to update", async () => {
+    await updateCommand.execute([]);
+
+    expect(
+      consoleOutput.some((msg) => msg.includes("No installed project rules"))
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Helper for creating git remotes to fetch rules from in tests
+ */
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Run git with a fixed identity so commits work on any machine
+ * @param {string[]} args - The arguments to pass to git
+ * @param {string} cwd - Directory to run git in
+ * @returns {string} The command's output
+ */
+function git(args, cwd) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd, encoding: "utf8", stdio: "pipe" }
+  );
+}
+
+/**
+ * Create a bare repository with a working copy to commit files from
+ * @param {string} dir - Directory to create the repositories in
+ * @returns {Object} The remote path and a commit(files, tag) function that
+ *   writes the files, pushes them and returns the new commit SHA
+ */
+function createGitRemote(dir) {
+  const remote = path.join(dir, "remote.git");
+  const work = path.join(dir, "work");
+  fs.mkdirSync(dir, { recursive: true });
+  git(["init", "--quiet", "--bare", "--initial-branch=main", remote], dir);
+  git(["init", "--quiet", "--initial-branch=main", work], dir);
+
+  const commit = (files, tag) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(work, file)), { recursive: true });
+      fs.writeFileSync(path.join(work, file), content);
+    }
+    git(["add", "--all"], work);
+    git(["commit", "--quiet", "--message", "Update rules"], work);
+    if (tag) {
+      git(["tag", "--annotate", "--message", tag, tag], work);
+    }
+    git(["push", "--quiet", "--tags", remote, "main"], work);
+    return git(["rev-parse", "HEAD"], work).trim();
+  };
+
+  return { remote, commit };
+}
+
+module.exports = {
+  createGitRemote,
+};
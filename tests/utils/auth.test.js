@@ -0,0 +1,226 @@
+/**
+ * Tests for the credentials sent to private repositories
+ */
+const http = require("http");
+const path = require("path");
+const {
+  getCredential,
+  getAuthHeaders,
+  explainAuthFailure,
+  AUTH_REQUIRED,
+} = require("../../src/utils/auth");
+const { fetchText } = require("../../src/utils/http");
+
+// Keep cached responses out of the user's real cache directory
+const CACHE_DIR = path.join(process.cwd(), "tests", "temp-auth-cache");
+
+describe("Authentication", () => {
+  const env = { GITHUB_TOKEN: "gh-secret", GITLAB_TOKEN: "gl-secret" };
+  const githubSource = {
+    name: "private",
+    type: "github",
+    repo: "acme/private",
+    branch: "main",
+    path: "rules",
+    tokenEnv: "RULEZ_ACME_TOKEN",
+  };
+
+  describe("getCredential", () => {
+    test.each([
+      [
+        "https://raw.githubusercontent.com/acme/rules/main/a.mdc",
+        "GITHUB_TOKEN",
+      ],
+      ["https://api.github.com/repos/acme/rules/commits/main", "GITHUB_TOKEN"],
+      ["https://gitlab.com/acme/rules/-/raw/main/a.mdc", "GITLAB_TOKEN"],
+      ["https://rules.example.com/a.mdc", null],
+      ["http://raw.githubusercontent.com/acme/rules/main/a.mdc", null],
+    ])("picks the token for %s", (url, envName) => {
+      const credential = getCredential(url, { env });
+      expect(credential ? credential.envName : null).toBe(envName);
+    });
+
+    test("falls back to GH_TOKEN", () => {
+      expect(
+        getCredential("https://api.github.com/repos/acme/rules", {
+          env: { GH_TOKEN: "gh" },
+        })
+      ).toEqual({ token: "gh", envName: "GH_TOKEN" });
+    });
+
+    test("sends a source's token only with that source's requests", () => {
+      const sourceEnv = { ...env, RULEZ_ACME_TOKEN: "acme-secret" };
+      const own = getCredential(
+        "https://raw.githubusercontent.com/acme/private/main/rules/a.mdc",
+        { source: githubSource, env: sourceEnv }
+      );
+      expect(own).toMatchObject({
+        token: "acme-secret",
+        envName: "RULEZ_ACME_TOKEN",
+      });
+
+      const other = getCredential(
+        "https://raw.githubusercontent.com/acme/public/main/rules/a.mdc",
+        { source: githubSource, env: sourceEnv }
+      );
+      expect(other.envName).toBe("GITHUB_TOKEN");
+
+      const httpSource = {
+        name: "gitlab",
+        type: "http",
+        url: "https://git.acme.dev/ai/rules/-/raw/main/rules",
+        tokenEnv: "RULEZ_ACME_TOKEN",
+      };
+      expect(
+        getCredential(`${httpSource.url}/a.mdc`, {
+          source: httpSource,
+          env: sourceEnv,
+        })
+      ).toEqual({
+        token: "acme-secret",
+        envName: "RULEZ_ACME_TOKEN",
+      });
+      expect(
+        getCredential("https://git.acme.dev/other/a.mdc", {
+          source: httpSource,
+          env: sourceEnv,
+        })
+      ).toBeNull();
+    });
+
+    test("sends nothing when a source's variable isn't set", () => {
+      expect(
+        getCredential(
+          "https://raw.githubusercontent.com/acme/private/main/rules/a.mdc",
+          { source: githubSource, env }
+        )
+      ).toBeNull();
+    });
+
+    test("never reads a variable outside the RULEZ_*_TOKEN names", () => {
+      const httpSource = {
+        name: "mirror",
+        type: "http",
+        url: "https://rules.example.com",
+        tokenEnv: "AWS_SECRET_ACCESS_KEY",
+      };
+      expect(
+        getCredential("https://rules.example.com/a.mdc", {
+          source: httpSource,
+          env: { AWS_SECRET_ACCESS_KEY: "aws-secret" },
+        })
+      ).toBeNull();
+    });
+  });
+
+  test("getAuthHeaders sends tokens as bearer tokens", () => {
+    expect(getAuthHeaders(null)).toEqual({});
+    expect(getAuthHeaders({ token: "t", envName: "GITLAB_TOKEN" })).toEqual({
+      Authorization: "Bearer t",
+    });
+  });
+
+  test("doesn't send tokens along redirects to another origin", async () => {
+    const received = {};
+    // 127.0.0.1 and localhost are different origins on the same machine
+    const listen = (host, handler) =>
+      new Promise((resolve) => {
+        const server = http.createServer(handler);
+        server.listen(0, host, () => resolve(server));
+      });
+    const other = await listen("localhost", (req, res) => {
+      received.other = req.headers.authorization;
+      res.end("# Rule");
+    });
+    const origin = await listen("127.0.0.1", (req, res) => {
+      received.origin = req.headers.authorization;
+      res.writeHead(302, {
+        Location: `http://localhost:${other.address().port}/a.mdc`,
+      });
+      res.end();
+    });
+
+    try {
+      const body = await fetchText(
+        `http://127.0.0.1:${origin.address().port}/a.mdc`,
+        {
+          headers: getAuthHeaders({ token: "gl-secret" }),
+          noCache: true,
+        }
+      );
+      expect(body).toBe("# Rule");
+      expect(received.origin).toBe("Bearer gl-secret");
+      expect(received.other).toBeUndefined();
+    } finally {
+      origin.close();
+      other.close();
+    }
+  });
+
+  describe("explainAuthFailure", () => {
+    const originalFetch = global.fetch;
+    const originalCacheDir = process.env.RULEZ_CACHE_DIR;
+    const url = "https://raw.githubusercontent.com/acme/private/main/a.mdc";
+    const failure = (status) => Object.assign(new Error("failed"), { status });
+
+    beforeEach(() => {
+      process.env.RULEZ_CACHE_DIR = CACHE_DIR;
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      if (originalCacheDir === undefined) {
+        delete process.env.RULEZ_CACHE_DIR;
+      } else {
+        process.env.RULEZ_CACHE_DIR = originalCacheDir;
+      }
+    });
+
+    const mockProbe = (status) => {
+      global.fetch = jest.fn(async () => ({
+        ok: status === 200,
+        status,
+        statusText: "",
+        headers: new Headers(),
+        text: async () => "{}",
+      }));
+    };
+
+    test("explains rejected tokens", async () => {
+      const error = await explainAuthFailure(url, failure(401), {
+        envName: "GITHUB_TOKEN",
+      });
+      expect(error.code).toBe(AUTH_REQUIRED);
+      expect(error.message).toContain("token in GITHUB_TOKEN was rejected");
+    });
+
+    test("asks for a token when the repository is hidden", async () => {
+      mockProbe(404);
+      const error = await explainAuthFailure(url, failure(404), null);
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://api.github.com/repos/acme/private",
+        expect.any(Object)
+      );
+      expect(error.code).toBe(AUTH_REQUIRED);
+      expect(error.message).toContain("Set GITHUB_TOKEN");
+    });
+
+    test("leaves missing files in visible repositories alone", async () => {
+      mockProbe(200);
+      expect(await explainAuthFailure(url, failure(404), null)).toBeNull();
+      expect(await explainAuthFailure(url, failure(500), null)).toBeNull();
+    });
+
+    test("doesn't probe the public community repository", async () => {
+      mockProbe(404);
+      const communityUrl =
+        "https://raw.githubusercontent.com/ivangrynenko/cursorrules/main/.cursor/rules/x.mdc";
+
+      expect(
+        await explainAuthFailure(communityUrl, failure(404), null)
+      ).toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
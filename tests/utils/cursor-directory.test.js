@@ -0,0 +1,162 @@
+/**
+ * Tests for extracting rules from cursor.directory pages
+ */
+const {
+  extractCursorDirectoryRule,
+  parseFlightRows,
+  getPageSlug,
+} = require("../../src/utils/cursor-directory");
+
+describe("cursor.directory Extraction", () => {
+  const url = "https://cursor.directory/nextjs-typescript";
+  const rule = {
+    title: "Next.js TypeScript",
+    slug: "nextjs-typescript",
+    tags: ["Next.js", "TypeScript"],
+    content: "You are an expert in Next.js.\n\n- Use the App Router <Link>.",
+    author: { name: "Jane Doe", url: "https://x.com/jane", avatar: "a.png" },
+  };
+  const related = {
+    title: "React",
+    slug: "react",
+    tags: ["React"],
+    content: "You are an expert in React.",
+  };
+
+  // Wrap a payload chunk the way the app router streams it into a page
+  const flightScript = (chunk) =>
+    `<script>self.__next_f.push(${JSON.stringify([1, chunk])})</script>`;
+  const page = ({ head = "", body = "" }) =>
+    `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+
+  test("getPageSlug takes the last path segment", () => {
+    expect(getPageSlug("https://cursor.directory/rules/react-hooks/")).toBe(
+      "react-hooks"
+    );
+    expect(getPageSlug("not a url")).toBe("");
+  });
+
+  test("reads the rule from __NEXT_DATA__", () => {
+    const data = { props: { pageProps: { rule, related: [related] } } };
+    const html = page({
+      body: `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(
+        data
+      )}</script>`,
+    });
+
+    expect(extractCursorDirectoryRule(html, url)).toEqual({
+      success: true,
+      content: rule.content,
+      title: "Next.js TypeScript",
+      description: undefined,
+      tags: ["Next.js", "TypeScript"],
+      author: { name: "Jane Doe", url: "https://x.com/jane" },
+      confidence: "high",
+      method: "next-data",
+    });
+  });
+
+  test("reads the rule from the app router payload, following text rows", () => {
+    const content =
+      "Prefer server components — they're faster.\nUse <Suspense>.";
+    const bytes = Buffer.byteLength(content, "utf8").toString(16);
+    const element = [
+      "$",
+      "div",
+      null,
+      { rule: { ...rule, content: "$5" }, rules: [related] },
+    ];
+    const html = page({
+      head: '<meta name="description" content="Rules for Next.js &amp; TypeScript">',
+      body:
+        flightScript('1:HL["/_next/static/css/app.css","style"]\n') +
+        flightScript(`5:T${bytes},${content}`) +
+        flightScript(`4:${JSON.stringify(element)}\n`),
+    });
+
+    const result = extractCursorDirectoryRule(html, url);
+    expect(result).toMatchObject({
+      success: true,
+      content,
+      title: "Next.js TypeScript",
+      description: "Rules for Next.js & TypeScript",
+      confidence: "high",
+      method: "flight-data",
+    });
+  });
+
+  test("parseFlightRows keeps rows after a multi-byte text row", () => {
+    const text = "naïve ✓";
+    const rows = parseFlightRows(
+      `a:T${Buffer.byteLength(text).toString(16)},${text}b:{"x":1}\n`
+    );
+
+    expect(rows.get("a")).toBe(text);
+    expect(rows.get("b")).toEqual({ x: 1 });
+  });
+
+  test("falls back to the site's rule block with page metadata", () => {
+    const html = page({
+      head:
+        '<meta property="og:title" content="Next.js TypeScript">' +
+        '<meta name="keywords" content="Next.js, TypeScript">' +
+        '<meta name="author" content="Jane Doe">',
+      body:
+        "<nav><p>Sign in to save rules</p></nav>" +
+        '<pre><code class="text-sm block pr-3">Use &lt;Link&gt; for <span>navigation</span>.</code></pre>',
+    });
+
+    expect(extractCursorDirectoryRule(html, url)).toEqual({
+      success: true,
+      content: "Use <Link> for navigation.",
+      title: "Next.js TypeScript",
+      description: undefined,
+      tags: ["Next.js", "TypeScript"],
+      author: { name: "Jane Doe" },
+      confidence: "medium",
+      method: "rule-block",
+    });
+  });
+
+  test("takes a lone code block with low confidence", () => {
+    const html = page({ body: "<h1>React</h1><pre># React rule</pre>" });
+
+    expect(extractCursorDirectoryRule(html, url)).toMatchObject({
+      success: true,
+      content: "# React rule",
+      title: "React",
+      confidence: "low",
+      method: "code-block",
+    });
+  });
+
+  test("explains why nothing was extracted instead of guessing", () => {
+    const empty = extractCursorDirectoryRule(
+      page({ body: "<p>Popular rules</p><p>Sign in</p>" }),
+      url
+    );
+    expect(empty).toEqual({
+      success: false,
+      reason: expect.stringContaining("No rule content found"),
+    });
+
+    const blocks = extractCursorDirectoryRule(
+      page({ body: "<pre>npm install</pre><pre>npm test</pre>" }),
+      url
+    );
+    expect(blocks.reason).toContain("Found 2 code blocks");
+
+    const ambiguous = extractCursorDirectoryRule(
+      page({
+        body: `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify(
+          { props: { rules: [related, { ...related, title: "Vue" }] } }
+        )}</script>`,
+      }),
+      url
+    );
+    expect(ambiguous.success).toBe(false);
+    expect(ambiguous.reason).toContain(
+      "Found 2 rules in the data of https://cursor.directory/nextjs-typescript"
+    );
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the line diff utility
+ */
+const {
+  diffLines,
+  createUnifiedDiff,
+  diffStat,
+  splitLines,
+  NO_NEWLINE_MARKER,
+} = require("../../src/utils/diff");
+
+describe("Diff Utility", () => {
+  const lines = (count) =>
+    Array.from({ length: count }, (_, i) => `line ${i + 1}\n`).join("");
+
+  test("splitLines keeps line endings", () => {
+    expect(splitLines("a\nb")).toEqual(["a\n", "b"]);
+    expect(splitLines("a\n\n")).toEqual(["a\n", "\n"]);
+    expect(splitLines("")).toEqual([]);
+  });
+
+  test("diffLines finds the shortest edit", () => {
+    const ops = diffLines("a\nb\nc\n", "a\nc\nd\n");
+
+    expect(ops.map((op) => op.type)).toEqual([
+      "equal",
+      "delete",
+      "equal",
+      "insert",
+    ]);
+    expect(ops[1].line).toBe("b\n");
+    expect(ops[3].line).toBe("d\n");
+  });
+
+  test("createUnifiedDiff returns nothing for equal texts", () => {
+    expect(createUnifiedDiff("a\n", "a\n")).toEqual([]);
+  });
+
+  test("createUnifiedDiff renders hunks with context", () => {
+    const oldText = lines(20);
+    const newText = oldText
+      .replace("line 2\n", "line two\n")
+      .replace("line 18\n", "");
+
+    expect(
+      createUnifiedDiff(oldText, newText, {
+        oldLabel: "a/react.mdc",
+        newLabel: "b/react.mdc",
+      })
+    ).toEqual([
+      "--- a/react.mdc",
+      "+++ b/react.mdc",
+      "@@ -1,5 +1,5 @@",
+      " line 1",
+      "-line 2",
+      "+line two",
+      " line 3",
+      " line 4",
+      " line 5",
+      "@@ -15,6 +15,5 @@",
+      " line 15",
+      " line 16",
+      " line 17",
+      "-line 18",
+      " line 19",
+      " line 20",
+    ]);
+  });
+
+  test("createUnifiedDiff merges nearby changes into one hunk", () => {
+    const oldText = lines(10);
+    const newText = oldText
+      .replace("line 2\n", "")
+      .replace("line 8\n", "line eight\n");
+
+    const diff = createUnifiedDiff(oldText, newText);
+    expect(diff.filter((line) => line.startsWith("@@"))).toEqual([
+      "@@ -1,10 +1,9 @@",
+    ]);
+    expect(
+      createUnifiedDiff(oldText, newText, { context: 1 }).filter((line) =>
+        line.startsWith("@@")
+      )
+    ).toEqual(["@@ -1,3 +1,2 @@", "@@ -7,3 +6,3 @@"]);
+  });
+
+  test("createUnifiedDiff marks a missing final newline", () => {
+    expect(createUnifiedDiff("a\n", "a")).toEqual([
+      "--- a",
+      "+++ b",
+      "@@ -1 +1 @@",
+      "-a",
+      "+a",
+      NO_NEWLINE_MARKER,
+    ]);
+  });
+
+  test("createUnifiedDiff handles empty texts", () => {
+    expect(createUnifiedDiff("", "x\n").slice(2)).toEqual([
+      "@@ -0,0 +1 @@",
+      "+x",
+    ]);
+    expect(createUnifiedDiff("x\ny\n", "").slice(2)).toEqual([
+      "@@ -1,2 +0,0 @@",
+      "-x",
+      "-y",
+    ]);
+  });
+
+  test("diffStat counts inserted and deleted lines", () => {
+    expect(diffStat("a\nb\nc\n", "a\nB\nc\nd\n")).toEqual({
+      insertions: 2,
+      deletions: 1,
+    });
+  });
+});
@@ -15,6 +15,8 @@ const {
   createDefaultRuleFiles,
   getRuleFilePath,
   saveRuleToFile,
+  linkRuleFile,
+  hashContent,
   DEFAULT_RULE_TEMPLATES,
   GITIGNORE_PATTERNS,
 } = require("../../src/utils/file-utils");
@@ -420,6 +422,29 @@ build/
       }
     });
 
+    test("default templates declare their globs in frontmatter", () => {
+      for (const content of Object.values(DEFAULT_RULE_TEMPLATES)) {
+        expect(content.startsWith("---\ndescription: ")).toBe(true);
+        expect(content).toMatch(/^alwaysApply: (true|false)$/m);
+        expect(content).not.toContain("# File patterns:");
+      }
+    });
+
+    test("reports existing rule files that use legacy File patterns comments", () => {
+      const existingFile = path.join(
+        TEST_DIR,
+        ".cursor",
+        "rules",
+        "code-style.mdc"
+      );
+      fs.writeFileSync(existingFile, "# Style\n\n# File patterns: **/*.js\n");
+
+      const result = createDefaultRuleFiles();
+
+      expect(result.success).toBe(true);
+      expect(result.legacy).toEqual([existingFile]);
+    });
+
     test("doesn't overwrite existing rule files without force flag", () => {
       // Create a file that exists in the templates
       const existingFile = path.join(
@@ -622,6 +647,71 @@ build/
       expect(fs.readFileSync(filePath, "utf8")).toBe(newContent);
     });
 
+    describe("with the hash of the installed version", () => {
+      const filePath = path.join(TEST_DIR, ".cursor", "rules", "edited.mdc");
+      const installedHash = hashContent("Installed content");
+
+      beforeEach(() => {
+        fs.writeFileSync(filePath, "Installed content\nMy edit");
+      });
+
+      test("refuses to overwrite a file edited since it was installed", () => {
+        const result = saveRuleToFile("edited", "Upstream content", {
+          force: true,
+          installedHash,
+        });
+
+        expect(result).toMatchObject({ success: false, modified: true });
+        expect(result.message).toContain("--discard-changes");
+        expect(fs.readFileSync(filePath, "utf8")).toBe(
+          "Installed content\nMy edit"
+        );
+      });
+
+      test("overwrites unedited files", () => {
+        fs.writeFileSync(filePath, "Installed content");
+
+        const result = saveRuleToFile("edited", "Upstream content", {
+          force: true,
+          installedHash,
+        });
+
+        expect(result.success).toBe(true);
+        expect(fs.readFileSync(filePath, "utf8")).toBe("Upstream content");
+      });
+
+      test("overwrites edits with discardChanges", () => {
+        const result = saveRuleToFile("edited", "Upstream content", {
+          force: true,
+          installedHash,
+          discardChanges: true,
+        });
+
+        expect(result.success).toBe(true);
+        expect(fs.readFileSync(filePath, "utf8")).toBe("Upstream content");
+      });
+
+      test("saves the new version next to the edited file with keepBoth", () => {
+        const result = saveRuleToFile("edited", "Upstream content", {
+          force: true,
+          installedHash,
+          keepBoth: true,
+        });
+
+        expect(result).toMatchObject({
+          success: true,
+          keptBoth: true,
+          copyPath: `${filePath}.upstream`,
+        });
+        expect(fs.readFileSync(filePath, "utf8")).toBe(
+          "Installed content\nMy edit"
+        );
+        expect(fs.readFileSync(`${filePath}.upstream`, "utf8")).toBe(
+          "Upstream content"
+        );
+      });
+    });
+
     test("returns error if directory creation fails", () => {
       // Mock createDirectory to fail
       const originalCreateDirectory = createDirectory;
@@ -639,4 +729,73 @@ build/
       global.createDirectory = originalCreateDirectory;
     });
   });
+
+  describe("linkRuleFile", () => {
+    const rulesDir = path.join(TEST_DIR, ".cursor", "rules");
+    const sharedFile = path.join(TEST_DIR, "shared", "security.mdc");
+
+    beforeEach(() => {
+      fs.mkdirSync(rulesDir, { recursive: true });
+      fs.mkdirSync(path.dirname(sharedFile), { recursive: true });
+      fs.writeFileSync(sharedFile, "# Shared");
+    });
+
+    test("creates a relative symlink to the rule file", () => {
+      const result = linkRuleFile("security", sharedFile, {
+        basePath: TEST_DIR,
+      });
+      const linkPath = path.join(rulesDir, "security.mdc");
+
+      expect(result).toMatchObject({ success: true, path: linkPath });
+      expect(fs.lstatSync(linkPath).isSymbolicLink()).toBe(true);
+      expect(fs.readlinkSync(linkPath)).toBe(
+        path.join("..", "..", "shared", "security.mdc")
+      );
+      expect(fs.readFileSync(linkPath, "utf8")).toBe("# Shared");
+    });
+
+    test("doesn't replace an existing rule without force", () => {
+      fs.writeFileSync(path.join(rulesDir, "security.mdc"), "# Mine");
+
+      const result = linkRuleFile("security", sharedFile, {
+        basePath: TEST_DIR,
+      });
+
+      expect(result).toMatchObject({ success: false, exists: true });
+      expect(fs.readFileSync(path.join(rulesDir, "security.mdc"), "utf8")).toBe(
+        "# Mine"
+      );
+    });
+
+    test("saveRuleToFile replaces a symlink instead of writing through it", () => {
+      linkRuleFile("security", sharedFile, { basePath: TEST_DIR });
+
+      const result = saveRuleToFile("security", "# Copy", {
+        basePath: TEST_DIR,
+        force: true,
+      });
+      const rulePath = path.join(rulesDir, "security.mdc");
+
+      expect(result.success).toBe(true);
+      expect(fs.lstatSync(rulePath).isSymbolicLink()).toBe(false);
+      expect(fs.readFileSync(rulePath, "utf8")).toBe("# Copy");
+      expect(fs.readFileSync(sharedFile, "utf8")).toBe("# Shared");
+    });
+
+    test("doesn't treat edits to a symlinked file as local changes", () => {
+      linkRuleFile("security", sharedFile, { basePath: TEST_DIR });
+      fs.writeFileSync(sharedFile, "# Shared, edited");
+
+      const result = saveRuleToFile("security", "# Copy", {
+        basePath: TEST_DIR,
+        force: true,
+        installedHash: hashContent("# Shared"),
+      });
+
+      expect(result.success).toBe(true);
+      expect(fs.readFileSync(path.join(rulesDir, "security.mdc"), "utf8")).toBe(
+        "# Copy"
+      );
+    });
+  });
 });
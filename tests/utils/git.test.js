@@ -0,0 +1,119 @@
+/**
+ * Tests for the git utility
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  fetchGitCommit,
+  listGitRuleFiles,
+  readGitFile,
+} = require("../../src/utils/git");
+const { createGitRemote } = require("../helpers/git-repo");
+
+// Use a temporary directory for the remote and the checkout cache
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-git");
+
+describe("Git Utility", () => {
+  const originalCacheDir = process.env.RULEZ_CACHE_DIR;
+  let repo;
+  let first;
+
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    process.env.RULEZ_CACHE_DIR = path.join(TEST_DIR, "cache");
+    repo = createGitRemote(path.join(TEST_DIR, "origin"));
+    first = repo.commit(
+      {
+        "rules/react.mdc": "# React v1",
+        "rules/nested/style.mdc": "# Style",
+        "rules/README.md": "Not a rule",
+      },
+      "v1"
+    );
+  });
+
+  afterEach(() => {
+    if (originalCacheDir === undefined) {
+      delete process.env.RULEZ_CACHE_DIR;
+    } else {
+      process.env.RULEZ_CACHE_DIR = originalCacheDir;
+    }
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test("reads a file at a branch, tag or commit", () => {
+    const second = repo.commit({ "rules/react.mdc": "# React v2" });
+
+    expect(readGitFile(repo.remote, "main", "rules/react.mdc")).toEqual({
+      content: "# React v2",
+      commit: second,
+    });
+    expect(readGitFile(repo.remote, "v1", "rules/react.mdc")).toEqual({
+      content: "# React v1",
+      commit: first,
+    });
+    expect(readGitFile(repo.remote, first, "rules/react.mdc").commit).toBe(
+      first
+    );
+    expect(
+      readGitFile(`file://${repo.remote}`, "HEAD", "rules/react.mdc")
+    ).toEqual({ content: "# React v2", commit: second });
+  });
+
+  test("lists the rules in a directory or a single file", () => {
+    expect(listGitRuleFiles(repo.remote, "main", "rules/")).toEqual({
+      commit: first,
+      isDirectory: true,
+      files: ["rules/nested/style.mdc", "rules/react.mdc"],
+    });
+    expect(listGitRuleFiles(repo.remote, "main", "rules/react")).toEqual({
+      commit: first,
+      isDirectory: false,
+      files: ["rules/react.mdc"],
+    });
+  });
+
+  test("reuses cached commits without contacting the remote", () => {
+    fetchGitCommit(repo.remote, first);
+    fs.rmSync(repo.remote, { recursive: true, force: true });
+
+    expect(readGitFile(repo.remote, first, "rules/react.mdc").content).toBe(
+      "# React v1"
+    );
+  });
+
+  test("reads branches and tags fetched before offline", () => {
+    listGitRuleFiles(repo.remote, "main", "rules/");
+    fs.rmSync(repo.remote, { recursive: true, force: true });
+
+    expect(
+      readGitFile(repo.remote, "main", "rules/react.mdc", { offline: true })
+    ).toEqual({ content: "# React v1", commit: first });
+    expect(() =>
+      readGitFile(repo.remote, "v1", "rules/react.mdc", { offline: true })
+    ).toThrow("isn't in the local git cache");
+  });
+
+  test("reports missing refs and files", () => {
+    expect(() => readGitFile(repo.remote, "main", "rules/vue.mdc")).toThrow(
+      "Rule file not found: rules/vue.mdc"
+    );
+    expect(() => listGitRuleFiles(repo.remote, "nope", "rules")).toThrow(
+      "git fetch failed"
+    );
+  });
+
+  test("never passes refs or remotes to git as options", () => {
+    const marker = path.join(TEST_DIR, "ran");
+    const script = path.join(TEST_DIR, "upload-pack.sh");
+    fs.writeFileSync(script, `#!/bin/sh\ntouch ${marker}\n`, { mode: 0o755 });
+
+    expect(() =>
+      readGitFile(repo.remote, `--upload-pack=${script}`, "rules/react.mdc")
+    ).toThrow("Invalid git ref");
+    expect(() =>
+      readGitFile(`--upload-pack=${script}`, "main", "rules/react.mdc")
+    ).toThrow("Invalid git remote");
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+});
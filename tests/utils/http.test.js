@@ -0,0 +1,274 @@
+/**
+ * Tests for the shared HTTP client
+ */
+const fs = require("fs");
+const path = require("path");
+const undici = require("undici");
+const {
+  fetchText,
+  getProxyForUrl,
+  readCaFile,
+  USER_AGENT,
+} = require("../../src/utils/http");
+
+// Keep cached responses out of the user's real cache directory
+const CACHE_DIR = path.join(process.cwd(), "tests", "temp-http-cache");
+
+describe("HTTP Client", () => {
+  const originalFetch = global.fetch;
+  const originalEnv = { ...process.env };
+  const url = "https://example.com/rules/react.mdc";
+  const noRetryDelay = { retryDelay: 0 };
+
+  // Mock the global fetch API with a queue of responses
+  let cancelledBodies;
+  const mockResponses = (...responses) => {
+    cancelledBodies = 0;
+    global.fetch = jest.fn(async () => {
+      const next = responses.length > 1 ? responses.shift() : responses[0];
+      if (next instanceof Error) throw next;
+      return {
+        ok: next.status >= 200 && next.status < 300,
+        status: next.status,
+        statusText: next.statusText || "",
+        headers: new Headers(next.headers || {}),
+        body: { cancel: async () => cancelledBodies++ },
+        text: async () => next.body || "",
+      };
+    });
+  };
+
+  const sentHeaders = (call) => global.fetch.mock.calls[call][1].headers;
+
+  beforeEach(() => {
+    process.env.RULEZ_CACHE_DIR = CACHE_DIR;
+    delete process.env.HTTPS_PROXY;
+    delete process.env.https_proxy;
+    delete process.env.HTTP_PROXY;
+    delete process.env.http_proxy;
+    delete process.env.NO_PROXY;
+    delete process.env.no_proxy;
+    delete process.env.RULEZ_CA_FILE;
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    process.env = { ...originalEnv };
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  });
+
+  test("fetches text with a User-Agent and a timeout", async () => {
+    mockResponses({ status: 200, body: "# React" });
+
+    await expect(fetchText(url)).resolves.toBe("# React");
+    expect(sentHeaders(0)).toMatchObject({ "User-Agent": USER_AGENT });
+    expect(global.fetch.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+  });
+
+  test("retries transient failures", async () => {
+    mockResponses(
+      new TypeError("fetch failed"),
+      { status: 503 },
+      { status: 200, body: "# React" }
+    );
+
+    await expect(fetchText(url, noRetryDelay)).resolves.toBe("# React");
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("gives up after the last retry", async () => {
+    mockResponses({ status: 502, statusText: "Bad Gateway" });
+
+    await expect(fetchText(url, { retries: 1, retryDelay: 0 })).rejects.toThrow(
+      `Failed to fetch content from ${url}: 502 Bad Gateway`
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test("discards the bodies of responses it doesn't read", async () => {
+    mockResponses({ status: 503 }, { status: 200, body: "# React" });
+    await fetchText(url, noRetryDelay);
+    expect(cancelledBodies).toBe(1);
+
+    mockResponses({ status: 502, statusText: "Bad Gateway" });
+    await expect(fetchText(url, { retries: 1, retryDelay: 0 })).rejects.toThrow(
+      "502 Bad Gateway"
+    );
+    expect(cancelledBodies).toBe(2);
+  });
+
+  test("doesn't retry client errors", async () => {
+    mockResponses({ status: 404, statusText: "Not Found" });
+
+    await expect(fetchText(url, noRetryDelay)).rejects.toMatchObject({
+      message: expect.stringContaining("404 Not Found"),
+      status: 404,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("explains connection failures and timeouts", async () => {
+    const refused = new TypeError("fetch failed");
+    refused.cause = { code: "ECONNREFUSED" };
+    mockResponses(refused);
+    await expect(fetchText(url, { retries: 0 })).rejects.toThrow(
+      "Could not connect to example.com: ECONNREFUSED"
+    );
+
+    const timeout = new Error("The operation was aborted due to timeout");
+    timeout.name = "TimeoutError";
+    mockResponses(timeout);
+    await expect(fetchText(url, { retries: 0, timeout: 5000 })).rejects.toThrow(
+      `Request to ${url} timed out after 5s`
+    );
+  });
+
+  test("reports GitHub rate limits with the time they reset", async () => {
+    mockResponses({
+      status: 403,
+      headers: {
+        "x-ratelimit-remaining": "0",
+        "x-ratelimit-reset": String(Math.floor(Date.now() / 1000) + 600),
+      },
+    });
+
+    await expect(
+      fetchText("https://api.github.com/repos/a/b", noRetryDelay)
+    ).rejects.toThrow(
+      /Rate limit exceeded for api\.github\.com \(HTTP 403\); try again after .+ \(in about 10 minute\(s\)\)/
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("waits out short Retry-After delays but not long ones", async () => {
+    mockResponses(
+      { status: 429, headers: { "retry-after": "0" } },
+      { status: 200, body: "# React" }
+    );
+    await expect(fetchText(url, noRetryDelay)).resolves.toBe("# React");
+
+    mockResponses({ status: 429, headers: { "retry-after": "3600" } });
+    await expect(fetchText(url, noRetryDelay)).rejects.toThrow(
+      "Rate limit exceeded for example.com (HTTP 429); try again after"
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("revalidates cached responses", async () => {
+    mockResponses(
+      {
+        status: 200,
+        body: "# React",
+        headers: {
+          etag: '"abc"',
+          "last-modified": "Wed, 01 Jan 2025 00:00:00 GMT",
+        },
+      },
+      { status: 304 }
+    );
+
+    await fetchText(url);
+    await expect(fetchText(url)).resolves.toBe("# React");
+
+    expect(sentHeaders(0)).not.toHaveProperty("If-None-Match");
+    expect(sentHeaders(1)).toMatchObject({
+      "If-None-Match": '"abc"',
+      "If-Modified-Since": "Wed, 01 Jan 2025 00:00:00 GMT",
+    });
+  });
+
+  test("doesn't keep responses with noCache", async () => {
+    mockResponses(
+      { status: 200, body: "# React", headers: { etag: '"abc"' } },
+      { status: 200, body: "# React" }
+    );
+
+    await fetchText(url, { noCache: true });
+    await fetchText(url);
+
+    expect(sentHeaders(1)).not.toHaveProperty("If-None-Match");
+  });
+
+  test("sends requests through the configured proxy with undici's fetch", async () => {
+    process.env.HTTPS_PROXY = "http://proxy.example.com:8080";
+    mockResponses({ status: 200, body: "# Direct" });
+    const undiciFetch = jest
+      .spyOn(undici, "fetch")
+      .mockImplementation(async () => ({
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        headers: new Headers(),
+        text: async () => "# React",
+      }));
+
+    try {
+      expect(await fetchText(url)).toBe("# React");
+      expect(undiciFetch.mock.calls[0][1].dispatcher).toBeInstanceOf(
+        undici.ProxyAgent
+      );
+      expect(global.fetch).not.toHaveBeenCalled();
+    } finally {
+      undiciFetch.mockRestore();
+    }
+  });
+
+  describe("getProxyForUrl", () => {
+    test("uses HTTPS_PROXY for https and HTTP_PROXY for http", () => {
+      const env = {
+        HTTPS_PROXY: "http://secure-proxy:8080",
+        http_proxy: "http://proxy:8080",
+      };
+
+      expect(getProxyForUrl("https://github.com", env)).toBe(
+        "http://secure-proxy:8080"
+      );
+      expect(getProxyForUrl("http://github.com", env)).toBe(
+        "http://proxy:8080"
+      );
+      expect(getProxyForUrl("https://github.com", {})).toBeNull();
+    });
+
+    test("skips hosts listed in NO_PROXY", () => {
+      const env = {
+        HTTPS_PROXY: "http://proxy:8080",
+        NO_PROXY: "localhost, .internal.example.com,git.acme.dev:8443",
+      };
+
+      expect(getProxyForUrl("https://localhost/x", env)).toBeNull();
+      expect(getProxyForUrl("https://rules.internal.example.com", env)).toBe(
+        null
+      );
+      expect(getProxyForUrl("https://git.acme.dev:8443/x", env)).toBeNull();
+      expect(getProxyForUrl("https://git.acme.dev/x", env)).toBe(
+        "http://proxy:8080"
+      );
+      expect(getProxyForUrl("https://github.com", env)).toBe(
+        "http://proxy:8080"
+      );
+      expect(
+        getProxyForUrl("https://github.com", { ...env, NO_PROXY: "*" })
+      ).toBeNull();
+    });
+  });
+
+  describe("readCaFile", () => {
+    test("reads the certificates named by RULEZ_CA_FILE", () => {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      const caFile = path.join(CACHE_DIR, "ca.pem");
+      fs.writeFileSync(caFile, "-----BEGIN CERTIFICATE-----");
+
+      expect(readCaFile({ RULEZ_CA_FILE: caFile })).toBe(
+        "-----BEGIN CERTIFICATE-----"
+      );
+      expect(readCaFile({})).toBeNull();
+    });
+
+    test("fails clearly when the file can't be read", () => {
+      expect(() =>
+        readCaFile({ RULEZ_CA_FILE: path.join(CACHE_DIR, "missing.pem") })
+      ).toThrow("Could not read the CA certificates in RULEZ_CA_FILE");
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for the lockfile utility
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  getLockfilePath,
+  readLockfile,
+  writeLockfile,
+  createLockEntry,
+  recordRule,
+  removeLockedRule,
+  getLockedRule,
+  getRuleStatus,
+  getBaseContentPath,
+  readBaseContent,
+  LOCKFILE_VERSION,
+} = require("../../src/utils/lockfile");
+
+// Use a temp directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-lockfile");
+
+describe("Lockfile Utils", () => {
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe("getLockfilePath", () => {
+    test("returns the project lockfile path in .cursor", () => {
+      expect(getLockfilePath({ basePath: TEST_DIR })).toBe(
+        path.join(TEST_DIR, ".cursor", "rulez-lock.json")
+      );
+    });
+
+    test("returns the local lockfile path in .cursor/local", () => {
+      expect(getLockfilePath({ basePath: TEST_DIR, local: true })).toBe(
+        path.join(TEST_DIR, ".cursor", "local", "rulez-lock.json")
+      );
+    });
+  });
+
+  describe("readLockfile", () => {
+    test("returns an empty lockfile if none exists", () => {
+      expect(readLockfile({ basePath: TEST_DIR })).toEqual({
+        lockfileVersion: LOCKFILE_VERSION,
+        rules: {},
+      });
+    });
+
+    test("throws a descriptive error for a malformed lockfile", () => {
+      const lockfilePath = getLockfilePath({ basePath: TEST_DIR });
+      fs.mkdirSync(path.dirname(lockfilePath), { recursive: true });
+      fs.writeFileSync(lockfilePath, "{ not json");
+
+      expect(() => readLockfile({ basePath: TEST_DIR })).toThrow(
+        "Failed to read lockfile"
+      );
+    });
+  });
+
+  describe("recordRule", () => {
+    test("stores rule names without the .mdc extension", () => {
+      recordRule("react.mdc", { source: "a" }, { basePath: TEST_DIR });
+      expect(readLockfile({ basePath: TEST_DIR }).rules).toHaveProperty(
+        "react"
+      );
+      expect(getLockedRule("react.mdc", { basePath: TEST_DIR })).toEqual({
+        source: "a",
+      });
+    });
+
+    test("records and reads back a rule entry", () => {
+      recordRule(
+        "react",
+        { source: "https://example.com/react.mdc" },
+        { basePath: TEST_DIR }
+      );
+
+      expect(getLockedRule("react", { basePath: TEST_DIR })).toEqual({
+        source: "https://example.com/react.mdc",
+      });
+    });
+
+    test("keeps project and local entries separate", () => {
+      recordRule("react", { source: "a" }, { basePath: TEST_DIR });
+      recordRule("react", { source: "b" }, { basePath: TEST_DIR, local: true });
+
+      expect(getLockedRule("react", { basePath: TEST_DIR }).source).toBe("a");
+      expect(
+        getLockedRule("react", { basePath: TEST_DIR, local: true }).source
+      ).toBe("b");
+    });
+  });
+
+  describe("readBaseContent", () => {
+    const options = { basePath: TEST_DIR };
+    const record = (content) =>
+      recordRule(
+        "react",
+        createLockEntry("react", { source: "https://x" }, content),
+        { ...options, content }
+      );
+
+    test("keeps the content a rule was installed with next to the lockfile", () => {
+      record("# React");
+
+      expect(getBaseContentPath("react.mdc", options)).toBe(
+        path.join(TEST_DIR, ".cursor", "rulez-base", "react.mdc.base")
+      );
+      expect(readBaseContent("react", options)).toBe("# React");
+    });
+
+    test("ignores a copy that doesn't match the recorded hash", () => {
+      record("# React");
+      fs.writeFileSync(getBaseContentPath("react", options), "# Edited");
+
+      expect(readBaseContent("react", options)).toBeNull();
+    });
+
+    test("drops the copy when the rule is recorded without content or removed", () => {
+      record("# React");
+      recordRule("react", { source: "./react.mdc" }, options);
+      expect(fs.existsSync(getBaseContentPath("react", options))).toBe(false);
+
+      record("# React");
+      removeLockedRule("react", options);
+      expect(fs.existsSync(getBaseContentPath("react", options))).toBe(false);
+      expect(readBaseContent("react", options)).toBeNull();
+    });
+  });
+
+  describe("removeLockedRule", () => {
+    test("removes an existing entry", () => {
+      recordRule("react", { source: "a" }, { basePath: TEST_DIR });
+
+      expect(removeLockedRule("react", { basePath: TEST_DIR })).toBe(true);
+      expect(getLockedRule("react", { basePath: TEST_DIR })).toBeUndefined();
+    });
+
+    test("returns false when the rule isn't recorded", () => {
+      expect(removeLockedRule("react", { basePath: TEST_DIR })).toBe(false);
+    });
+  });
+
+  describe("createLockEntry", () => {
+    test("records source, resolved URL, commit, fetch date and hash", () => {
+      const entry = createLockEntry(
+        "react",
+        { source: "https://example.com/react.mdc", commit: "abc123" },
+        "content"
+      );
+
+      expect(entry).toEqual({
+        source: "react",
+        resolved: "https://example.com/react.mdc",
+        commit: "abc123",
+        fetchedAt: expect.any(String),
+        hash: "sha256-ed7002b439e9ac845f22357d822bac1444730fbdb6016d3ec9432297b9ec9f73",
+      });
+    });
+
+    test("records the rule source the rule came from", () => {
+      const entry = createLockEntry(
+        "team",
+        { source: "shared/team.mdc", from: "shared" },
+        "content"
+      );
+      expect(entry).toMatchObject({
+        source: "team",
+        from: "shared",
+        resolved: "shared/team.mdc",
+      });
+    });
+
+    test("omits the commit when it is unknown", () => {
+      const entry = createLockEntry("react", { source: "x" }, "content");
+      expect(entry).not.toHaveProperty("commit");
+    });
+  });
+
+  describe("getRuleStatus", () => {
+    const rulesDir = path.join(TEST_DIR, ".cursor", "rules");
+
+    const install = (content) => {
+      fs.mkdirSync(rulesDir, { recursive: true });
+      fs.writeFileSync(path.join(rulesDir, "react.mdc"), content);
+      recordRule(
+        "react",
+        createLockEntry("react", { source: "x" }, "original"),
+        { basePath: TEST_DIR }
+      );
+    };
+
+    test("reports unmodified rules", () => {
+      install("original");
+      expect(getRuleStatus("react", { basePath: TEST_DIR }).status).toBe(
+        "unmodified"
+      );
+    });
+
+    test("reports hand-edited rules as modified", () => {
+      install("edited");
+      expect(getRuleStatus("react", { basePath: TEST_DIR }).status).toBe(
+        "modified"
+      );
+    });
+
+    test("reports missing and untracked rules", () => {
+      install("original");
+      fs.unlinkSync(path.join(rulesDir, "react.mdc"));
+      expect(getRuleStatus("react", { basePath: TEST_DIR }).status).toBe(
+        "missing"
+      );
+      expect(getRuleStatus("vue", { basePath: TEST_DIR }).status).toBe(
+        "untracked"
+      );
+    });
+  });
+
+  describe("writeLockfile", () => {
+    test("writes rules sorted by name", () => {
+      writeLockfile(
+        { lockfileVersion: LOCKFILE_VERSION, rules: { b: {}, a: {} } },
+        { basePath: TEST_DIR }
+      );
+
+      const written = JSON.parse(
+        fs.readFileSync(getLockfilePath({ basePath: TEST_DIR }), "utf8")
+      );
+      expect(Object.keys(written.rules)).toEqual(["a", "b"]);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for the manifest utility
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  getManifestRules,
+  addManifestRule,
+  removeManifestRule,
+} = require("../../src/utils/manifest");
+
+// Use a temp directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-manifest");
+
+describe("Manifest Utils", () => {
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  test("getManifestPath points at .cursor/rulez.json", () => {
+    expect(getManifestPath(TEST_DIR)).toBe(
+      path.join(TEST_DIR, ".cursor", "rulez.json")
+    );
+  });
+
+  describe("readManifest", () => {
+    test("returns an empty manifest if none exists", () => {
+      expect(readManifest(TEST_DIR)).toEqual({ rules: {} });
+    });
+
+    test("preserves other sections of the manifest", () => {
+      writeManifest({ rules: { react: "react" }, other: true }, TEST_DIR);
+      expect(readManifest(TEST_DIR)).toEqual({
+        rules: { react: "react" },
+        other: true,
+      });
+    });
+
+    test("throws a descriptive error for malformed JSON", () => {
+      fs.mkdirSync(path.join(TEST_DIR, ".cursor"));
+      fs.writeFileSync(getManifestPath(TEST_DIR), "{ nope");
+      expect(() => readManifest(TEST_DIR)).toThrow("Failed to read manifest");
+    });
+  });
+
+  describe("getManifestRules", () => {
+    test("normalizes string and object declarations", () => {
+      const rules = getManifestRules({
+        rules: {
+          react: "react",
+          "front-end": {
+            source: "https://cursor.directory/front-end-cursor-rules",
+            scope: "local",
+          },
+          python: {},
+        },
+      });
+
+      expect(rules).toEqual([
+        { name: "react", source: "react", scope: "project" },
+        {
+          name: "front-end",
+          source: "https://cursor.directory/front-end-cursor-rules",
+          scope: "local",
+        },
+        { name: "python", source: "python", scope: "project" },
+      ]);
+    });
+
+    test("flags invalid declarations", () => {
+      const rules = getManifestRules({
+        rules: { bad: 42, wrong: { scope: "global" } },
+      });
+
+      expect(rules[0].error).toContain("must be a string or an object");
+      expect(rules[1].error).toContain("invalid scope 'global'");
+    });
+  });
+
+  describe("addManifestRule", () => {
+    test("writes project rules in short form and local rules as objects", () => {
+      addManifestRule("react", "react", { basePath: TEST_DIR });
+      addManifestRule("mine", "https://example.com/mine.mdc", {
+        basePath: TEST_DIR,
+        scope: "local",
+      });
+
+      expect(readManifest(TEST_DIR).rules).toEqual({
+        react: "react",
+        mine: { source: "https://example.com/mine.mdc", scope: "local" },
+      });
+    });
+
+    test("records the rule source a rule is fetched from", () => {
+      addManifestRule("team", "team", { basePath: TEST_DIR, from: "acme" });
+
+      const manifest = readManifest(TEST_DIR);
+      expect(manifest.rules.team).toEqual({ source: "team", from: "acme" });
+      expect(getManifestRules(manifest)).toEqual([
+        { name: "team", source: "team", scope: "project", from: "acme" },
+      ]);
+    });
+  });
+
+  describe("removeManifestRule", () => {
+    test("removes a declaration in the matching scope only", () => {
+      addManifestRule("react", "react", { basePath: TEST_DIR });
+
+      expect(
+        removeManifestRule("react", { basePath: TEST_DIR, scope: "local" })
+      ).toBe(false);
+      expect(removeManifestRule("react", { basePath: TEST_DIR })).toBe(true);
+      expect(readManifest(TEST_DIR).rules).toEqual({});
+    });
+  });
+});
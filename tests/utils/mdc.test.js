@@ -0,0 +1,268 @@
+/**
+ * Tests for the MDC parser and serializer
+ */
+const {
+  parseMdc,
+  serializeMdc,
+  splitGlobs,
+  updateMdcAttributes,
+  findLegacyFilePatterns,
+  migrateLegacyFilePatterns,
+  parseValue,
+  formatValue,
+} = require("../../src/utils/mdc");
+
+describe("MDC Utils", () => {
+  describe("parseMdc", () => {
+    test("parses Cursor frontmatter and body", () => {
+      const doc = parseMdc(
+        "---\ndescription: React rules\nglobs: **/*.tsx, **/*.jsx\nalwaysApply: false\n---\n# Body\n"
+      );
+
+      expect(doc.hasFrontmatter).toBe(true);
+      expect(doc.attributes).toEqual({
+        description: "React rules",
+        globs: "**/*.tsx, **/*.jsx",
+        alwaysApply: false,
+      });
+      expect(doc.body).toBe("# Body\n");
+    });
+
+    test("parses empty values as empty strings", () => {
+      const doc = parseMdc("---\ndescription: \nglobs:\n---\nBody");
+      expect(doc.attributes).toEqual({ description: "", globs: "" });
+    });
+
+    test("parses block and flow sequences", () => {
+      const doc = parseMdc(
+        "---\ntags:\n  - react\n  - 'web, ui'\nglobs: [\"*.ts\", *.js]\n---\n"
+      );
+      expect(doc.attributes).toEqual({
+        tags: ["react", "web, ui"],
+        globs: ["*.ts", "*.js"],
+      });
+    });
+
+    test("parses block scalars and wrapped values", () => {
+      const doc = parseMdc(
+        "---\ndescription: >\n  Rules for\n  React apps\n\n  and hooks\nnotes: |-\n  line one\n    indented\nsummary: Wrapped\n  over lines\nglobs: *.tsx\n---\n"
+      );
+      expect(doc.attributes).toEqual({
+        description: "Rules for React apps\nand hooks\n",
+        notes: "line one\n  indented",
+        summary: "Wrapped over lines",
+        globs: "*.tsx",
+      });
+    });
+
+    test("treats content without frontmatter as body only", () => {
+      const doc = parseMdc("# Title\n\n---\n\nMore");
+      expect(doc.hasFrontmatter).toBe(false);
+      expect(doc.attributes).toEqual({});
+      expect(doc.body).toBe("# Title\n\n---\n\nMore");
+    });
+
+    test("treats an unterminated frontmatter block as body", () => {
+      const doc = parseMdc("---\ndescription: x\n");
+      expect(doc.hasFrontmatter).toBe(false);
+    });
+  });
+
+  describe("serializeMdc", () => {
+    test.each([
+      [
+        "Cursor frontmatter",
+        "---\ndescription: \nglobs: \n---\nYou are an expert.",
+      ],
+      [
+        "CRLF line endings",
+        "---\r\ndescription: x\r\nglobs: *.ts\r\n---\r\nBody\r\n",
+      ],
+      [
+        "comments and spacing",
+        "---\n# comment\n\ndescription:   spaced  \n---\n",
+      ],
+      ["quoted values", "---\ndescription: 'It''s'\nname: \"a\\tb\"\n---\n"],
+      [
+        "mixed line endings",
+        "---\r\ndescription: x\nglobs: *.ts\r\nalwaysApply: false\n---\r\nBody\n",
+      ],
+      ["block sequences", "---\ntags:\n  - a\n  - b\n---\nBody"],
+      [
+        "block scalars",
+        "---\ndescription: >\n  Folded\n  text\nglobs: *.ts\n---\nBody",
+      ],
+      ["empty frontmatter", "---\n---\n"],
+      ["no trailing newline", "---\nalwaysApply: true\n---"],
+      ["a byte order mark", "\uFEFF---\ndescription: x\n---\nBody"],
+      ["no frontmatter", "# Just a body\n"],
+      ["an empty file", ""],
+    ])("round-trips %s losslessly", (label, content) => {
+      expect(serializeMdc(parseMdc(content))).toBe(content);
+    });
+
+    test("rewrites only changed attributes in place", () => {
+      const doc = parseMdc(
+        "---\n# keep me\ndescription:   old  \nglobs: *.ts\n---\nBody"
+      );
+      doc.attributes.globs = "*.ts, *.tsx";
+
+      expect(serializeMdc(doc)).toBe(
+        "---\n# keep me\ndescription:   old  \nglobs: *.ts, *.tsx\n---\nBody"
+      );
+    });
+
+    test("appends new attributes and drops removed ones", () => {
+      const doc = parseMdc("---\ntags:\n  - a\ndescription: x\n---\nBody");
+      delete doc.attributes.tags;
+      doc.attributes.alwaysApply = true;
+
+      expect(serializeMdc(doc)).toBe(
+        "---\ndescription: x\nalwaysApply: true\n---\nBody"
+      );
+    });
+
+    test("adds a frontmatter block to content without one", () => {
+      const doc = parseMdc("# Body\n");
+      doc.attributes.description = "New";
+
+      expect(serializeMdc(doc)).toBe("---\ndescription: New\n---\n# Body\n");
+    });
+
+    test("serializes a document built from scratch", () => {
+      expect(
+        serializeMdc({
+          attributes: { description: "d", globs: "*.md", alwaysApply: false },
+          body: "Body\n",
+        })
+      ).toBe(
+        "---\ndescription: d\nglobs: *.md\nalwaysApply: false\n---\nBody\n"
+      );
+    });
+
+    test("round-trips changed values through parse again", () => {
+      const doc = parseMdc("---\n---\n");
+      doc.attributes = {
+        description: "true",
+        note: " padded ",
+        multi: "a\nb",
+        list: ["x", "y, z"],
+      };
+
+      expect(parseMdc(serializeMdc(doc)).attributes).toEqual(doc.attributes);
+    });
+  });
+
+  describe("splitGlobs", () => {
+    test("splits comma-separated globs", () => {
+      expect(splitGlobs("**/*.ts, **/*.tsx,,")).toEqual([
+        "**/*.ts",
+        "**/*.tsx",
+      ]);
+    });
+
+    test("accepts arrays and ignores other types", () => {
+      expect(splitGlobs([" *.md ", ""])).toEqual(["*.md"]);
+      expect(splitGlobs(undefined)).toEqual([]);
+      expect(splitGlobs(true)).toEqual([]);
+    });
+  });
+
+  describe("updateMdcAttributes", () => {
+    test("sets and removes attributes", () => {
+      expect(
+        updateMdcAttributes("---\nglobs: *.js\nold: x\n---\nBody", {
+          globs: "*.ts",
+          old: undefined,
+        })
+      ).toBe("---\nglobs: *.ts\n---\nBody");
+    });
+
+    test("keeps each line's ending when another line changes", () => {
+      expect(
+        updateMdcAttributes(
+          "---\r\ndescription: x\nglobs: *.js\r\nalwaysApply: false\n---\r\nBody",
+          { globs: "*.ts" }
+        )
+      ).toBe(
+        "---\r\ndescription: x\nglobs: *.ts\r\nalwaysApply: false\n---\r\nBody"
+      );
+    });
+
+    test("replaces every line of a multi-line value", () => {
+      expect(
+        updateMdcAttributes(
+          "---\ndescription: >\n  Old\n  text\nglobs: *.ts\n---\nBody",
+          { description: "New" }
+        )
+      ).toBe("---\ndescription: New\nglobs: *.ts\n---\nBody");
+    });
+  });
+
+  describe("migrateLegacyFilePatterns", () => {
+    test("converts a File patterns comment into frontmatter", () => {
+      const result = migrateLegacyFilePatterns(
+        "# Code Style\n\nUse 2 spaces.\n\n# File patterns: **/*.js, **/*.ts\n"
+      );
+
+      expect(result.changed).toBe(true);
+      expect(result.content).toBe(
+        "---\ndescription: Code Style\nglobs: **/*.js, **/*.ts\nalwaysApply: false\n---\n# Code Style\n\nUse 2 spaces.\n"
+      );
+    });
+
+    test("uses alwaysApply for patterns matching every file", () => {
+      const result = migrateLegacyFilePatterns(
+        "# Default\n\nBody\n\n# File patterns: **/*.*\n"
+      );
+
+      expect(parseMdc(result.content).attributes).toEqual({
+        description: "Default",
+        alwaysApply: true,
+      });
+    });
+
+    test("expands brace alternatives into separate globs", () => {
+      const result = migrateLegacyFilePatterns(
+        "Body\n# File patterns: src/**/*.{ts,tsx}, *.md\n"
+      );
+
+      expect(result.attributes.globs).toBe("src/**/*.ts, src/**/*.tsx, *.md");
+    });
+
+    test("keeps attributes already set in frontmatter and line endings", () => {
+      const result = migrateLegacyFilePatterns(
+        "---\r\ndescription: Mine\r\nglobs: \r\nalwaysApply: false\r\n---\r\n# Title\r\nBody\r\n# File patterns: *.md\r\n"
+      );
+
+      expect(result.content).toBe(
+        "---\r\ndescription: Mine\r\nglobs: *.md\r\nalwaysApply: false\r\n---\r\n# Title\r\nBody\r\n"
+      );
+    });
+
+    test("ignores comments inside code blocks and leaves other files alone", () => {
+      const content = "Body\n```\n# File patterns: *.js\n```\n";
+
+      expect(findLegacyFilePatterns(content)).toEqual([]);
+      expect(migrateLegacyFilePatterns(content)).toEqual({
+        changed: false,
+        content,
+      });
+    });
+  });
+
+  describe("value helpers", () => {
+    test("parseValue handles booleans, quotes and plain text", () => {
+      expect(parseValue(" true ")).toBe(true);
+      expect(parseValue('"quoted"')).toBe("quoted");
+      expect(parseValue("**/*.js")).toBe("**/*.js");
+    });
+
+    test("formatValue quotes only when needed", () => {
+      expect(formatValue("**/*.js")).toBe("**/*.js");
+      expect(formatValue("false")).toBe('"false"');
+      expect(formatValue(false)).toBe("false");
+      expect(formatValue(["a", "b"])).toBe("[a, b]");
+    });
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for the three-way merge utility
+ */
+const { mergeThreeWay, hasConflictMarkers } = require("../../src/utils/merge");
+
+describe("Merge Utility", () => {
+  const base = "# Rule\n\n- one\n- two\n- three\n- four\n";
+
+  test("takes changes made on only one side", () => {
+    const ours = "# Rule\n\n- one (ours)\n- two\n- three\n- four\n";
+    const theirs = "# Rule\n\n- one\n- two\n- three\n- four\n- five\n";
+
+    expect(mergeThreeWay(base, ours, theirs)).toEqual({
+      content: "# Rule\n\n- one (ours)\n- two\n- three\n- four\n- five\n",
+      conflicts: 0,
+    });
+    expect(mergeThreeWay(base, base, theirs).content).toBe(theirs);
+    expect(mergeThreeWay(base, ours, base).content).toBe(ours);
+  });
+
+  test("takes the same change made on both sides once", () => {
+    const changed = base.replace("- two", "- 2");
+
+    expect(mergeThreeWay(base, changed, changed)).toEqual({
+      content: changed,
+      conflicts: 0,
+    });
+  });
+
+  test("merges deletions and insertions at the start and end", () => {
+    const ours = "Intro\n" + base;
+    const theirs = base.replace("- four\n", "");
+
+    expect(mergeThreeWay(base, ours, theirs).content).toBe(
+      "Intro\n# Rule\n\n- one\n- two\n- three\n"
+    );
+  });
+
+  test("marks lines changed differently on both sides", () => {
+    const ours = base.replace("- two", "- two (ours)");
+    const theirs = base
+      .replace("- two", "- two (theirs)")
+      .replace("- four", "- 4");
+
+    const result = mergeThreeWay(base, ours, theirs, {
+      oursLabel: "mine",
+      theirsLabel: "upstream (example)",
+    });
+
+    expect(result.conflicts).toBe(1);
+    expect(result.content).toBe(
+      "# Rule\n\n- one\n" +
+        "<<<<<<< mine\n- two (ours)\n=======\n- two (theirs)\n" +
+        ">>>>>>> upstream (example)\n" +
+        "- three\n- 4\n"
+    );
+    expect(hasConflictMarkers(result.content)).toBe(true);
+  });
+
+  test("ends conflicting lines that lack a trailing newline", () => {
+    const result = mergeThreeWay("a\nb", "a\nmine", "a\ntheirs");
+
+    expect(result).toEqual({
+      content: "a\n<<<<<<< local\nmine\n=======\ntheirs\n>>>>>>> upstream\n",
+      conflicts: 1,
+    });
+  });
+
+  test("hasConflictMarkers ignores markers that aren't at the start of a line", () => {
+    expect(hasConflictMarkers(base)).toBe(false);
+    expect(hasConflictMarkers("Use <<<<<<< in examples\n")).toBe(false);
+    expect(hasConflictMarkers(">>>>>>> upstream\n")).toBe(true);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Tests for the rule cache
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  getRuleCacheDir,
+  cacheRule,
+  getCachedRule,
+  listCachedRules,
+  cleanCache,
+  verifyCache,
+  cacheResponse,
+  getCachedResponse,
+} = require("../../src/utils/rule-cache");
+const { hashContent } = require("../../src/utils/file-utils");
+
+// Keep the cache out of the user's real cache directory
+const CACHE_DIR = path.join(process.cwd(), "tests", "temp-rule-cache");
+
+describe("Rule Cache", () => {
+  const originalCacheDir = process.env.RULEZ_CACHE_DIR;
+  const objectPath = (content) =>
+    path.join(
+      getRuleCacheDir(),
+      "objects",
+      hashContent(content).replace(/^sha256-/, "")
+    );
+
+  const cacheReact = () =>
+    cacheRule("react", {
+      content: "# React",
+      name: "react",
+      source: "https://example.com/react.mdc",
+      from: "cursor-directory",
+      commit: "abc123",
+    });
+
+  beforeEach(() => {
+    process.env.RULEZ_CACHE_DIR = CACHE_DIR;
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+    if (originalCacheDir === undefined) {
+      delete process.env.RULEZ_CACHE_DIR;
+    } else {
+      process.env.RULEZ_CACHE_DIR = originalCacheDir;
+    }
+  });
+
+  test("stores content under its hash in the user's cache directory", () => {
+    cacheReact();
+
+    expect(getRuleCacheDir()).toBe(path.join(CACHE_DIR, "rules"));
+    expect(fs.readFileSync(objectPath("# React"), "utf8")).toBe("# React");
+  });
+
+  test("looks rules up by what they were requested as", () => {
+    cacheReact();
+
+    expect(getCachedRule("react")).toMatchObject({
+      content: "# React",
+      name: "react",
+      source: "https://example.com/react.mdc",
+      from: "cursor-directory",
+      commit: "abc123",
+      hash: hashContent("# React"),
+    });
+    expect(getCachedRule("vue")).toBeNull();
+    expect(getCachedRule("react", { source: "acme" })).toBeNull();
+  });
+
+  test("keeps rule names looked up in different sources apart", () => {
+    cacheRule(
+      "react",
+      { content: "# Private", name: "react", source: "x", from: "acme" },
+      { scope: "one" }
+    );
+
+    expect(getCachedRule("react", { scope: "one" })).toMatchObject({
+      content: "# Private",
+    });
+    expect(getCachedRule("react", { scope: "two" })).toBeNull();
+    expect(getCachedRule("react")).toBeNull();
+    expect(listCachedRules().map((rule) => rule.request)).toEqual(["react"]);
+    expect(cleanCache(["react"]).removed).toEqual(["react"]);
+  });
+
+  test("stores identical content once", () => {
+    cacheReact();
+    cacheRule("https://example.com/react.mdc", {
+      content: "# React",
+      name: "react",
+      source: "https://example.com/react.mdc",
+    });
+
+    expect(listCachedRules().map((rule) => rule.request)).toEqual([
+      "https://example.com/react.mdc",
+      "react",
+    ]);
+    expect(fs.readdirSync(path.join(getRuleCacheDir(), "objects"))).toEqual([
+      hashContent("# React").replace(/^sha256-/, ""),
+    ]);
+  });
+
+  test("doesn't serve damaged content", () => {
+    cacheReact();
+    fs.writeFileSync(objectPath("# React"), "# Tampered");
+
+    expect(getCachedRule("react")).toBeNull();
+  });
+
+  test("lists cached rules with their size", () => {
+    cacheReact();
+
+    expect(listCachedRules()).toEqual([
+      expect.objectContaining({ request: "react", name: "react", size: 7 }),
+    ]);
+  });
+
+  test("cleans named rules and the content only they used", () => {
+    cacheReact();
+    cacheRule("vue", { content: "# Vue", name: "vue", source: "x" });
+
+    expect(cleanCache(["react", "svelte"])).toEqual({
+      removed: ["react"],
+      missing: ["svelte"],
+      bytes: 7,
+    });
+    expect(fs.existsSync(objectPath("# React"))).toBe(false);
+    expect(getCachedRule("vue")).not.toBeNull();
+
+    expect(cleanCache()).toEqual({ removed: ["vue"], missing: [], bytes: 5 });
+    expect(fs.existsSync(getRuleCacheDir())).toBe(false);
+  });
+
+  test("verify removes damaged content, dangling records and unused files", () => {
+    cacheReact();
+    cacheRule("vue", { content: "# Vue", name: "vue", source: "x" });
+    fs.writeFileSync(objectPath("# React"), "# Tampered");
+    fs.writeFileSync(path.join(getRuleCacheDir(), "objects", "unused"), "x");
+
+    const result = verifyCache();
+
+    expect(result).toEqual({
+      checked: 3,
+      corrupt: [hashContent("# React"), "sha256-unused"],
+      dropped: ["react"],
+      pruned: 0,
+    });
+    expect(listCachedRules().map((rule) => rule.request)).toEqual(["vue"]);
+    expect(verifyCache()).toEqual({
+      checked: 1,
+      corrupt: [],
+      dropped: [],
+      pruned: 0,
+    });
+  });
+
+  test("keeps HTTP responses with their validators", () => {
+    const url = "https://example.com/react.mdc";
+    cacheResponse(url, "# React", { etag: '"abc"', lastModified: null });
+
+    expect(getCachedResponse(url)).toEqual({
+      body: "# React",
+      etag: '"abc"',
+      hash: hashContent("# React"),
+    });
+    expect(getCachedResponse("https://example.com/vue.mdc")).toBeNull();
+  });
+
+  test("keeps content a cached response still uses", () => {
+    cacheReact();
+    cacheResponse("https://example.com/react.mdc", "# React", {
+      etag: '"abc"',
+    });
+
+    cleanCache(["react"]);
+    expect(verifyCache()).toMatchObject({ checked: 1, pruned: 0 });
+    expect(getCachedResponse("https://example.com/react.mdc")).not.toBeNull();
+  });
+
+  test("reports a damaged index", () => {
+    fs.mkdirSync(getRuleCacheDir(), { recursive: true });
+    fs.writeFileSync(path.join(getRuleCacheDir(), "index.json"), "{");
+
+    expect(() => listCachedRules()).toThrow("rulez cache clean");
+  });
+});
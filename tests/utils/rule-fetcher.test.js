@@ -1,67 +1,73 @@
 /**
  * Tests for the rule-fetcher utility
  */
-const https = require("https");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const ruleFetcher = require("../../src/utils/rule-fetcher");
+const { createGitRemote } = require("../helpers/git-repo");
 
-// Mock https module
-jest.mock("https", () => ({
-  get: jest.fn(),
-}));
+// Keep the rule index cache out of the user's real cache directory
+const CACHE_DIR = path.join(process.cwd(), "tests", "temp-rule-fetcher-cache");
 
 describe("Rule Fetcher Utility", () => {
-  // Mock https.get implementation for tests
-  const mockHttpsGet = (statusCode, data, errorEvent) => {
-    const mockResponse = {
-      statusCode,
-      on: jest.fn((event, callback) => {
-        if (event === "data" && data) {
-          callback(data);
-        }
-        if (event === "end" && !errorEvent) {
-          callback();
-        }
-        return mockResponse;
-      }),
-      statusMessage: statusCode !== 200 ? "Error" : "OK",
-    };
-
-    const mockRequest = {
-      on: jest.fn((event, callback) => {
-        if (event === "error" && errorEvent) {
-          callback(new Error(errorEvent));
-        }
-        return mockRequest;
-      }),
-    };
-
-    https.get.mockImplementation((url, callback) => {
-      if (callback) callback(mockResponse);
-      return mockRequest;
+  // Mock the global fetch API with responses keyed by URL
+  const mockFetchResponses = (responses) => {
+    global.fetch = jest.fn(async (url) => {
+      const body = responses[url];
+      if (body === undefined) {
+        return {
+          ok: false,
+          status: 404,
+          statusText: "Not Found",
+          headers: new Headers(),
+        };
+      }
+      return {
+        ok: true,
+        status: 200,
+        statusText: "OK",
+        headers: new Headers(),
+        text: async () =>
+          typeof body === "string" ? body : JSON.stringify(body),
+      };
     });
-
-    return { mockResponse, mockRequest };
   };
 
+  const originalFetch = global.fetch;
+  const originalCacheDir = process.env.RULEZ_CACHE_DIR;
+
   beforeEach(() => {
     jest.clearAllMocks();
+    process.env.RULEZ_CACHE_DIR = CACHE_DIR;
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+    if (originalCacheDir === undefined) {
+      delete process.env.RULEZ_CACHE_DIR;
+    } else {
+      process.env.RULEZ_CACHE_DIR = originalCacheDir;
+    }
   });
 
   describe("fetchContent", () => {
     test("fetches content successfully", async () => {
       const testData = "test content";
-      mockHttpsGet(200, testData);
+      mockFetchResponses({ "https://example.com": testData });
 
       const result = await ruleFetcher.fetchContent("https://example.com");
       expect(result).toBe(testData);
-      expect(https.get).toHaveBeenCalledWith(
+      expect(global.fetch).toHaveBeenCalledWith(
         "https://example.com",
-        expect.any(Function)
+        expect.any(Object)
       );
     });
 
     test("handles non-200 status codes", async () => {
-      mockHttpsGet(404);
+      mockFetchResponses({});
 
       await expect(
         ruleFetcher.fetchContent("https://example.com")
@@ -69,11 +75,13 @@ describe("Rule Fetcher Utility", () => {
     });
 
     test("handles network errors", async () => {
-      mockHttpsGet(200, null, "Network error");
+      global.fetch = jest.fn(async () => {
+        throw new TypeError("Network error");
+      });
 
       await expect(
         ruleFetcher.fetchContent("https://example.com")
-      ).rejects.toThrow("Failed to fetch content");
+      ).rejects.toThrow("Could not connect to example.com: Network error");
     });
   });
 
@@ -85,27 +93,187 @@ describe("Rule Fetcher Utility", () => {
     });
   });
 
+  describe("parseGitHubRawUrl", () => {
+    test("splits a raw URL into owner, repo, ref and path", () => {
+      expect(
+        ruleFetcher.parseGitHubRawUrl(
+          "https://raw.githubusercontent.com/acme/rules/main/.cursor/rules/a.mdc"
+        )
+      ).toEqual({
+        owner: "acme",
+        repo: "rules",
+        ref: "main",
+        path: ".cursor/rules/a.mdc",
+      });
+    });
+
+    test("returns null for other URLs", () => {
+      expect(
+        ruleFetcher.parseGitHubRawUrl("https://example.com/a/b/c/d.mdc")
+      ).toBeNull();
+    });
+  });
+
+  describe("resolveGitHubCommit", () => {
+    const rawUrl =
+      "https://raw.githubusercontent.com/acme/rules/main/.cursor/rules/a.mdc";
+
+    test("looks up the commit a branch points at", async () => {
+      mockFetchResponses({
+        "https://api.github.com/repos/acme/rules/commits/main": {
+          sha: "0123456789abcdef0123456789abcdef01234567",
+        },
+      });
+
+      await expect(ruleFetcher.resolveGitHubCommit(rawUrl)).resolves.toBe(
+        "0123456789abcdef0123456789abcdef01234567"
+      );
+    });
+
+    test("returns a pinned commit without a lookup", async () => {
+      mockFetchResponses({});
+      const sha = "0123456789abcdef0123456789abcdef01234567";
+
+      await expect(
+        ruleFetcher.resolveGitHubCommit(
+          `https://raw.githubusercontent.com/acme/rules/${sha}/a.mdc`
+        )
+      ).resolves.toBe(sha);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test("returns undefined when the lookup fails", async () => {
+      mockFetchResponses({});
+      await expect(
+        ruleFetcher.resolveGitHubCommit(rawUrl)
+      ).resolves.toBeUndefined();
+    });
+  });
+
   describe("listAvailableRules", () => {
-    test("returns a list of available rules", async () => {
+    const treeUrl = `${ruleFetcher.GITHUB_API_URL}/repos/${ruleFetcher.CURSOR_DIRECTORY_REPO}/git/trees/${ruleFetcher.CURSOR_DIRECTORY_BRANCH}?recursive=1`;
+    const tree = {
+      tree: [
+        { path: "README.md", type: "blob", sha: "a1" },
+        { path: ".cursor/rules", type: "tree", sha: "a2" },
+        { path: ".cursor/rules/react.mdc", type: "blob", sha: "a3" },
+        { path: ".cursor/rules/python.mdc", type: "blob", sha: "a4" },
+      ],
+    };
+
+    test("builds the list from the remote rules tree", async () => {
+      mockFetchResponses({
+        [treeUrl]: tree,
+        [ruleFetcher.getGitHubRawUrl("react")]:
+          "---\ndescription: React rules\nglobs: **/*.tsx\n---\nBody",
+        [ruleFetcher.getGitHubRawUrl("python")]:
+          "---\ndescription: Python rules\nalwaysApply: true\n---\nBody",
+      });
+
       const rules = await ruleFetcher.listAvailableRules();
-      expect(Array.isArray(rules)).toBe(true);
-      expect(rules.length).toBeGreaterThan(0);
-      expect(rules[0]).toHaveProperty("name");
+      expect(rules.map((rule) => rule.name)).toEqual(["python", "react"]);
+      expect(rules[1]).toMatchObject({
+        description: "React rules",
+        globs: "**/*.tsx",
+        alwaysApply: false,
+        sha: "a3",
+      });
+      expect(rules[0].alwaysApply).toBe(true);
+    });
+
+    test("indexes tags and a body excerpt for searching", async () => {
+      mockFetchResponses({
+        [treeUrl]: {
+          tree: [
+            {
+              path: ".cursor/rules/frontend/vue.mdc",
+              type: "blob",
+              sha: "b1",
+            },
+          ],
+        },
+        [ruleFetcher.getGitHubRawUrl("frontend/vue")]:
+          "---\ndescription: Vue rules\ntags: [spa]\n---\nUse the\n\nComposition API.",
+      });
+
+      const [rule] = await ruleFetcher.listAvailableRules();
+      expect(rule).toMatchObject({
+        name: "frontend/vue",
+        tags: ["frontend", "spa"],
+        body: "Use the Composition API.",
+      });
+    });
+
+    test("serves the cached index without refetching", async () => {
+      mockFetchResponses({ [treeUrl]: { tree: tree.tree.slice(0, 3) } });
+      await ruleFetcher.listAvailableRules();
+      expect(fs.existsSync(ruleFetcher.getRuleIndexPath())).toBe(true);
+
+      mockFetchResponses({});
+      const rules = await ruleFetcher.listAvailableRules();
+      expect(rules.map((rule) => rule.name)).toEqual(["react"]);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test("falls back to a stale cache when the remote is unreachable", async () => {
+      mockFetchResponses({ [treeUrl]: { tree: tree.tree.slice(0, 3) } });
+      await ruleFetcher.listAvailableRules();
+
+      mockFetchResponses({});
+      const index = await ruleFetcher.loadRuleIndex({ refresh: true });
+      expect(index.stale).toBe(true);
+      expect(index.rules).toHaveLength(1);
+    });
+
+    test("throws when there is no index and the remote is unreachable", async () => {
+      mockFetchResponses({});
+      await expect(ruleFetcher.listAvailableRules()).rejects.toThrow(
+        "Failed to fetch content"
+      );
+    });
+  });
+
+  describe("parseRuleFrontmatter", () => {
+    test("reads description, globs and alwaysApply", () => {
+      const result = ruleFetcher.parseRuleFrontmatter(
+        '---\ndescription: "Quoted"\nglobs: *.js, *.ts\nalwaysApply: true\n---\n'
+      );
+      expect(result).toEqual({
+        description: "Quoted",
+        globs: "*.js, *.ts",
+        alwaysApply: true,
+      });
+    });
+
+    test("returns empty fields for content without frontmatter", () => {
+      expect(ruleFetcher.parseRuleFrontmatter("# Just a body")).toEqual({
+        description: "",
+        globs: "",
+        alwaysApply: false,
+      });
     });
   });
 
-  describe("generateSimulatedContent", () => {
-    test("generates content for a rule", () => {
-      const result = ruleFetcher.generateSimulatedContent("test-rule");
-      expect(result).toContain("test-rule");
-      expect(result).toContain("Simulated Offline Mode");
+  describe("createSyntheticRuleContent", () => {
+    test("generates frontmatter with globs for the tech stack", () => {
+      const result = ruleFetcher.createSyntheticRuleContent(
+        ["react", "typescript"],
+        "react-typescript"
+      );
+      const frontmatter = ruleFetcher.parseRuleFrontmatter(result);
+
+      expect(frontmatter.description).toContain("React, Typescript");
+      expect(frontmatter.globs).toBe("**/*.ts, **/*.tsx, **/*.js, **/*.jsx");
+      expect(result).not.toContain("# File patterns:");
     });
   });
 
   describe("fetchRule", () => {
     test("fetches rule content successfully", async () => {
       const testContent = "# Test Rule\n\nThis is a test rule.";
-      mockHttpsGet(200, testContent);
+      mockFetchResponses({
+        [ruleFetcher.getGitHubRawUrl("test-rule")]: testContent,
+      });
 
       const result = await ruleFetcher.fetchRule("test-rule");
       expect(result.success).toBe(true);
@@ -113,17 +281,449 @@ describe("Rule Fetcher Utility", () => {
       expect(result.name).toBe("test-rule");
     });
 
-    test("returns simulated content in offline mode", async () => {
-      const result = await ruleFetcher.fetchRule("test-rule", {
-        offlineMode: true,
+    describe("with the local cache", () => {
+      const url = "https://example.com/rules/react.mdc";
+
+      test("serves rules fetched before in offline mode", async () => {
+        mockFetchResponses({ [url]: "# React" });
+        await ruleFetcher.fetchRule(url, { isUrl: true });
+        global.fetch.mockClear();
+
+        const result = await ruleFetcher.fetchRule(url, {
+          isUrl: true,
+          offlineMode: true,
+        });
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(result).toMatchObject({
+          success: true,
+          content: "# React",
+          source: url,
+          cached: true,
+        });
       });
-      expect(result.success).toBe(true);
-      expect(result.content).toContain("Simulated Offline Mode");
-      expect(result.source).toBe("offline-mode");
+
+      test("leaves every cache as it is with noCache", async () => {
+        const repo = createGitRemote(path.join(CACHE_DIR, "origin"));
+        repo.commit({ "rules/react.mdc": "# React" }, "v1");
+        global.fetch = jest.fn(async () => ({
+          ok: true,
+          status: 200,
+          statusText: "OK",
+          headers: new Headers({ etag: '"abc"' }),
+          text: async () => "# React",
+        }));
+        const tempDirs = () =>
+          fs
+            .readdirSync(os.tmpdir())
+            .filter((name) => name.startsWith("rulez-git-"));
+        const before = tempDirs();
+
+        const fromUrl = await ruleFetcher.fetchRule(url, {
+          isUrl: true,
+          noCache: true,
+        });
+        const fromGit = await ruleFetcher.fetchRule(
+          `git+${repo.remote}#v1:rules/react`,
+          { noCache: true }
+        );
+
+        expect(fromUrl).toMatchObject({ success: true, content: "# React" });
+        expect(fromGit).toMatchObject({ success: true, content: "# React" });
+        expect(fs.readdirSync(CACHE_DIR)).toEqual(["origin"]);
+        expect(tempDirs()).toEqual(before);
+      });
+
+      test("fails clearly for rules that were never fetched", async () => {
+        mockFetchResponses({});
+
+        const result = await ruleFetcher.fetchRule("react", {
+          offlineMode: true,
+        });
+
+        expect(global.fetch).not.toHaveBeenCalled();
+        expect(result.success).toBe(false);
+        expect(result.name).toBe("react");
+        expect(result.error).toContain("isn't in the local rule cache");
+      });
+
+      test("only serves rules found in the requested source", async () => {
+        mockFetchResponses({
+          [ruleFetcher.getGitHubRawUrl("react")]: "# React",
+        });
+        await ruleFetcher.fetchRule("react");
+
+        const fromDefault = await ruleFetcher.fetchRule("react", {
+          offlineMode: true,
+          source: "cursor-directory",
+        });
+        const fromOther = await ruleFetcher.fetchRule("react", {
+          offlineMode: true,
+          source: "acme",
+        });
+
+        expect(fromDefault).toMatchObject({
+          success: true,
+          from: "cursor-directory",
+        });
+        expect(fromOther.success).toBe(false);
+        expect(fromOther.error).toContain("from source 'acme'");
+      });
+
+      test("doesn't cache failed fetches", async () => {
+        mockFetchResponses({});
+        await ruleFetcher.fetchRule(url, { isUrl: true });
+
+        const result = await ruleFetcher.fetchRule(url, {
+          isUrl: true,
+          offlineMode: true,
+        });
+        expect(result.success).toBe(false);
+      });
+    });
+
+    describe("with configured sources", () => {
+      const PROJECT_DIR = path.join(CACHE_DIR, "project");
+      const writeSources = (sources) => {
+        fs.mkdirSync(path.join(PROJECT_DIR, ".cursor"), { recursive: true });
+        fs.writeFileSync(
+          path.join(PROJECT_DIR, ".cursor", "rulez.json"),
+          JSON.stringify({ rules: {}, sources })
+        );
+      };
+
+      test("tries sources in order before the built-in source", async () => {
+        writeSources([
+          { name: "mirror", type: "http", url: "https://rules.example.com/" },
+          { name: "acme", type: "github", repo: "acme/rules", path: "" },
+        ]);
+        mockFetchResponses({
+          "https://raw.githubusercontent.com/acme/rules/main/team.mdc":
+            "# Team",
+        });
+
+        const result = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+        });
+
+        expect(result).toMatchObject({
+          success: true,
+          content: "# Team",
+          name: "team",
+          from: "acme",
+          source: "https://raw.githubusercontent.com/acme/rules/main/team.mdc",
+        });
+        expect(global.fetch).toHaveBeenCalledWith(
+          "https://rules.example.com/team.mdc",
+          expect.any(Object)
+        );
+      });
+
+      test("only serves cached rules to projects with the same sources", async () => {
+        writeSources([
+          { name: "acme", type: "github", repo: "acme/rules", path: "" },
+        ]);
+        mockFetchResponses({
+          "https://raw.githubusercontent.com/acme/rules/main/team.mdc":
+            "# Team",
+        });
+        await ruleFetcher.fetchRule("team", { basePath: PROJECT_DIR });
+        const otherProject = path.join(CACHE_DIR, "other");
+        fs.mkdirSync(otherProject, { recursive: true });
+
+        const sameSources = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+          offlineMode: true,
+        });
+        const otherSources = await ruleFetcher.fetchRule("team", {
+          basePath: otherProject,
+          offlineMode: true,
+        });
+
+        expect(sameSources).toMatchObject({ success: true, from: "acme" });
+        expect(otherSources.success).toBe(false);
+        expect(otherSources.error).toContain("isn't in the local rule cache");
+      });
+
+      test("keeps the directories of nested rules in http source URLs", async () => {
+        writeSources([
+          { name: "mirror", type: "http", url: "https://rules.example.com" },
+        ]);
+        mockFetchResponses({
+          "https://rules.example.com/frontend/react%20hooks.mdc": "# Hooks",
+        });
+
+        const result = await ruleFetcher.fetchRule("frontend/react hooks", {
+          basePath: PROJECT_DIR,
+          source: "mirror",
+        });
+
+        expect(result).toMatchObject({
+          success: true,
+          content: "# Hooks",
+          source: "https://rules.example.com/frontend/react%20hooks.mdc",
+        });
+      });
+
+      test("reads rules from a local directory source", async () => {
+        writeSources([{ name: "shared", type: "local", path: "shared" }]);
+        fs.mkdirSync(path.join(PROJECT_DIR, "shared"), { recursive: true });
+        fs.writeFileSync(path.join(PROJECT_DIR, "shared", "team.mdc"), "Local");
+
+        const result = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+        });
+
+        expect(result).toMatchObject({
+          success: true,
+          content: "Local",
+          from: "shared",
+          source: path.join("shared", "team.mdc"),
+        });
+      });
+
+      test("reads rules from a git source", async () => {
+        const repo = createGitRemote(path.join(CACHE_DIR, "origin"));
+        const commit = repo.commit({ "rules/team.mdc": "# Git" });
+        writeSources([
+          { name: "internal", type: "git", url: repo.remote, path: "rules" },
+        ]);
+
+        const result = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+        });
+
+        expect(result).toMatchObject({
+          success: true,
+          content: "# Git",
+          from: "internal",
+          source: `git+${repo.remote}#${commit}:rules/team.mdc`,
+          commit,
+        });
+      });
+
+      test("only looks in the requested source", async () => {
+        writeSources([{ name: "shared", type: "local", path: "shared" }]);
+        mockFetchResponses({
+          [ruleFetcher.getGitHubRawUrl("team")]: "# Community",
+        });
+
+        const result = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+          source: "shared",
+        });
+        expect(result.success).toBe(false);
+        expect(result.error).toContain("Rule file not found");
+
+        const unknown = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+          source: "missing",
+        });
+        expect(unknown.error).toContain("Unknown rule source 'missing'");
+      });
+
+      test("reports every source that was tried", async () => {
+        writeSources([{ name: "shared", type: "local", path: "shared" }]);
+        mockFetchResponses({});
+
+        const result = await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain("not found in any source");
+        expect(result.error).toContain("shared (Rule file not found");
+        expect(result.error).toContain("cursor-directory (");
+      });
+    });
+
+    describe("from private repositories", () => {
+      const PROJECT_DIR = path.join(CACHE_DIR, "project");
+      const url =
+        "https://raw.githubusercontent.com/acme/private/main/rules/api.mdc";
+      const originalEnv = { ...process.env };
+      const sentHeaders = (requestUrl) =>
+        global.fetch.mock.calls.find((call) => call[0] === requestUrl)[1]
+          .headers;
+
+      beforeEach(() => {
+        delete process.env.GITHUB_TOKEN;
+        delete process.env.GH_TOKEN;
+        delete process.env.GITLAB_TOKEN;
+      });
+
+      afterEach(() => {
+        process.env = { ...originalEnv, RULEZ_CACHE_DIR: CACHE_DIR };
+      });
+
+      test("sends GITHUB_TOKEN to GitHub only", async () => {
+        process.env.GITHUB_TOKEN = "gh-secret";
+        fs.mkdirSync(path.join(PROJECT_DIR, ".cursor"), { recursive: true });
+        fs.writeFileSync(
+          path.join(PROJECT_DIR, ".cursor", "rulez.json"),
+          JSON.stringify({
+            rules: {},
+            sources: [
+              {
+                name: "mirror",
+                type: "http",
+                url: "https://rules.example.com",
+              },
+            ],
+          })
+        );
+        mockFetchResponses({ [url]: "# API" });
+
+        const result = await ruleFetcher.fetchRule(
+          "github:acme/private/rules/api.mdc@main"
+        );
+        expect(result).toMatchObject({ success: true, content: "# API" });
+        expect(sentHeaders(url).Authorization).toBe("Bearer gh-secret");
+
+        await ruleFetcher.fetchRule("team", {
+          basePath: PROJECT_DIR,
+          source: "mirror",
+        });
+        expect(
+          sentHeaders("https://rules.example.com/team.mdc")
+        ).not.toHaveProperty("Authorization");
+      });
+
+      test("sends a source's own token with that source's requests", async () => {
+        process.env.GITHUB_TOKEN = "gh-secret";
+        process.env.RULEZ_ACME_TOKEN = "acme-secret";
+        const source = {
+          name: "private",
+          type: "github",
+          repo: "acme/private",
+          branch: "main",
+          path: "rules",
+          tokenEnv: "RULEZ_ACME_TOKEN",
+        };
+        mockFetchResponses({ [url]: "# API" });
+
+        await ruleFetcher.fetchFromSource(source, "api", PROJECT_DIR);
+
+        expect(sentHeaders(url).Authorization).toBe("Bearer acme-secret");
+        expect(
+          sentHeaders("https://api.github.com/repos/acme/private/commits/main")
+            .Authorization
+        ).toBe("Bearer acme-secret");
+      });
+
+      test("reports a hidden repository as needing authentication", async () => {
+        mockFetchResponses({});
+
+        const result = await ruleFetcher.fetchRule(
+          "github:acme/private/rules/api.mdc@main"
+        );
+
+        expect(result).toMatchObject({
+          success: false,
+          name: "api",
+          authRequired: true,
+        });
+        expect(result.error).toContain("Authentication required");
+        expect(result.error).toContain("GITHUB_TOKEN");
+      });
+
+      test("reports a missing rule in a public repository as missing", async () => {
+        mockFetchResponses({
+          "https://api.github.com/repos/acme/private": { private: false },
+        });
+
+        const result = await ruleFetcher.fetchRule(
+          "github:acme/private/rules/api.mdc@main"
+        );
+
+        expect(result.success).toBe(false);
+        expect(result.authRequired).toBeUndefined();
+        expect(result.error).toContain("404 Not Found");
+      });
+    });
+
+    test("fetches a rule from a specifier at its pinned ref", async () => {
+      const url =
+        "https://raw.githubusercontent.com/acme/ai-rules/v2.1/rules/react.mdc";
+      mockFetchResponses({
+        [url]: "# Pinned",
+        "https://api.github.com/repos/acme/ai-rules/commits/v2.1": {
+          sha: "f".repeat(40),
+        },
+      });
+
+      const result = await ruleFetcher.fetchRule(
+        "acme/ai-rules#v2.1:rules/react.mdc"
+      );
+
+      expect(result).toEqual({
+        success: true,
+        content: "# Pinned",
+        name: "react",
+        source: url,
+        commit: "f".repeat(40),
+      });
+    });
+
+    test("does not suggest community rules for a missing specifier", async () => {
+      mockFetchResponses({});
+
+      const result = await ruleFetcher.fetchRule(
+        "github:acme/ai-rules/react.mdc@v2.1"
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.name).toBe("react");
+      expect(result.suggestions).toBeUndefined();
+    });
+
+    test("reads a rule from a git specifier", async () => {
+      const repo = createGitRemote(path.join(CACHE_DIR, "origin"));
+      const commit = repo.commit({ "rules/react.mdc": "# React" }, "v1");
+
+      const result = await ruleFetcher.fetchRule(
+        `git+${repo.remote}#v1:rules/react`
+      );
+      expect(result).toEqual({
+        success: true,
+        content: "# React",
+        name: "react",
+        source: `git+${repo.remote}#${commit}:rules/react.mdc`,
+        commit,
+      });
+
+      const directory = await ruleFetcher.fetchRule(
+        `git+${repo.remote}#v1:rules`
+      );
+      expect(directory).toMatchObject({ success: false, name: "rules" });
+      expect(directory.error).toContain("is a directory");
+      expect(directory.suggestions).toBeUndefined();
+    });
+
+    test("reads a rule from a local file", async () => {
+      const projectDir = path.join(CACHE_DIR, "project");
+      fs.mkdirSync(path.join(projectDir, "shared"), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, "shared", "team.mdc"), "Local");
+
+      const result = await ruleFetcher.fetchRule("./shared/team.mdc", {
+        basePath: projectDir,
+      });
+      expect(result).toEqual({
+        success: true,
+        content: "Local",
+        name: "team",
+        source: "./shared/team.mdc",
+      });
+
+      const missing = await ruleFetcher.fetchRule("./shared/missing.mdc", {
+        basePath: projectDir,
+      });
+      expect(missing.success).toBe(false);
+      expect(missing.error).toContain("Rule file not found");
     });
 
     test("handles case where rule is not found", async () => {
-      mockHttpsGet(404);
+      mockFetchResponses({});
 
       const result = await ruleFetcher.fetchRule("nonexistent-rule");
       expect(result.success).toBe(false);
@@ -131,6 +731,27 @@ describe("Rule Fetcher Utility", () => {
       expect(result).toHaveProperty("suggestions");
     });
 
+    test("suggests the closest rule names when a rule is not found", async () => {
+      mockFetchResponses({});
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+      fs.writeFileSync(
+        ruleFetcher.getRuleIndexPath(),
+        JSON.stringify({
+          version: 2,
+          generatedAt: new Date().toISOString(),
+          rules: [
+            { name: "react", description: "React", tags: [], body: "" },
+            { name: "python", description: "Python", tags: [], body: "" },
+            { name: "vue", description: "Vue", tags: [], body: "raect" },
+          ],
+        })
+      );
+
+      const result = await ruleFetcher.fetchRule("raect");
+      expect(result.success).toBe(false);
+      expect(result.suggestions).toEqual(["react"]);
+    });
+
     test("fetches content from cursor.directory URL", async () => {
       // We need to properly mock all the needed functions
 
@@ -191,7 +812,7 @@ describe("Rule Fetcher Utility", () => {
 
     test("handles non-cursor.directory URLs", async () => {
       const url = "https://example.com/some-rule";
-      mockHttpsGet(200, "# External Rule Content");
+      mockFetchResponses({ [url]: "# External Rule Content" });
 
       const result = await ruleFetcher.fetchRule(url, { isUrl: true });
 
@@ -202,7 +823,7 @@ describe("Rule Fetcher Utility", () => {
 
     test("handles errors when fetching from URLs", async () => {
       const url = "https://example.com/error-rule";
-      mockHttpsGet(500);
+      mockFetchResponses({});
 
       const result = await ruleFetcher.fetchRule(url, { isUrl: true });
 
@@ -211,9 +832,122 @@ describe("Rule Fetcher Utility", () => {
     });
   });
 
+  describe("fetchCursorDirectoryRule", () => {
+    const url = "https://cursor.directory/nextjs-react-typescript";
+    const emptyPage = "<html><body><p>Popular rules</p></body></html>";
+    test("fails without --allow-fallback instead of inventing a rule", async () => {
+      mockFetchResponses({
+        [url]: emptyPage,
+        [ruleFetcher.getGitHubRawUrl("react")]: "# React",
+      });
+
+      const result = await ruleFetcher.fetchRule(url, { isUrl: true });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("No rule content found");
+      expect(result.error).toContain("--allow-fallback");
+      expect(result.attempts).toEqual([
+        { source: url, error: expect.stringContaining("No rule content") },
+      ]);
+      expect(global.fetch).not.toHaveBeenCalledWith(
+        ruleFetcher.getGitHubRawUrl("react"),
+        expect.any(Object)
+      );
+    });
+
+    test("falls back to a related community rule when allowed", async () => {
+      mockFetchResponses({
+        [url]: emptyPage,
+        [ruleFetcher.getGitHubRawUrl("react")]: "# React",
+      });
+
+      const result = await ruleFetcher.fetchRule(url, {
+        isUrl: true,
+        allowFallback: true,
+      });
+
+      expect(result).toMatchObject({
+        success: true,
+        content: "# React",
+        name: "nextjs-react-typescript",
+        source: ruleFetcher.getGitHubRawUrl("react"),
+        fallback: { type: "related-rule", rule: "react" },
+      });
+      expect(result.attempts.map((attempt) => attempt.source)).toEqual([
+        url,
+        ruleFetcher.getGitHubRawUrl("nextjs"),
+      ]);
+      expect(result.warnings).toEqual([
+        expect.stringContaining("No rule content found"),
+      ]);
+    });
+
+    test("warns about rules taken from a lone code block without printing", async () => {
+      const logSpy = jest.spyOn(console, "log");
+      mockFetchResponses({
+        [url]: "<html><body><pre># Guessed</pre></body></html>",
+      });
+
+      const result = await ruleFetcher.fetchRule(url, { isUrl: true });
+
+      expect(result).toMatchObject({
+        success: true,
+        content: "# Guessed",
+        confidence: "low",
+        warnings: [expect.stringContaining("check it before relying on it")],
+      });
+      expect(logSpy).not.toHaveBeenCalled();
+      logSpy.mockRestore();
+    });
+
+    test("generates placeholder content as the last resort and doesn't cache it", async () => {
+      mockFetchResponses({ [url]: emptyPage });
+
+      const result = await ruleFetcher.fetchRule(url, {
+        isUrl: true,
+        allowFallback: true,
+      });
+
+      expect(result).toMatchObject({
+        success: true,
+        source: ruleFetcher.SYNTHETIC_SOURCE,
+        fallback: { type: "generated" },
+      });
+      expect(result.content).toContain("Nextjs, React, Typescript");
+      expect(result.attempts).toHaveLength(4);
+
+      const offline = await ruleFetcher.fetchRule(url, {
+        isUrl: true,
+        offlineMode: true,
+      });
+      expect(offline.success).toBe(false);
+    });
+
+    test("lists every configured source a rule name was looked for in", async () => {
+      const projectDir = path.join(CACHE_DIR, "project");
+      fs.mkdirSync(path.join(projectDir, ".cursor"), { recursive: true });
+      fs.writeFileSync(
+        path.join(projectDir, ".cursor", "rulez.json"),
+        JSON.stringify({
+          rules: {},
+          sources: [{ name: "shared", type: "local", path: "shared" }],
+        })
+      );
+      mockFetchResponses({});
+
+      const result = await ruleFetcher.fetchRule("team", {
+        basePath: projectDir,
+      });
+
+      expect(result.attempts).toEqual([
+        { source: "shared", error: expect.stringContaining("not found") },
+        { source: "cursor-directory", error: expect.stringContaining("404") },
+      ]);
+    });
+  });
+
   describe("scrapeCursorDirectoryPage", () => {
     test("extracts rule content from cursor.directory page", async () => {
-      // We'll need to mock fetchContent to return HTML with the expected structure
       const mockHtml = `
         <html>
           <body>
@@ -223,7 +957,7 @@ describe("Rule Fetcher Utility", () => {
           </body>
         </html>
       `;
-      mockHttpsGet(200, mockHtml);
+      mockFetchResponses({ "https://cursor.directory/test-rule": mockHtml });
 
       const result = await ruleFetcher.scrapeCursorDirectoryPage(
         "https://cursor.directory/test-rule"
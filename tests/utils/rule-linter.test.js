@@ -0,0 +1,246 @@
+/**
+ * Tests for the rule linter
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  lintRuleContent,
+  lintRules,
+  validateGlob,
+  MAX_RULE_LINES,
+} = require("../../src/utils/rule-linter");
+
+// Use a temp directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-rule-linter");
+
+const VALID_RULE =
+  "---\ndescription: React rules\nglobs: **/*.tsx\nalwaysApply: false\n---\n# React\n\nUse hooks.\n";
+
+const rulesOf = (problems) => problems.map((problem) => problem.rule);
+
+describe("Rule Linter", () => {
+  describe("lintRuleContent", () => {
+    test("accepts a well-formed rule", () => {
+      expect(lintRuleContent(VALID_RULE)).toEqual([]);
+    });
+
+    test("warns about missing frontmatter", () => {
+      expect(rulesOf(lintRuleContent("# Body\n"))).toEqual([
+        "frontmatter-missing",
+      ]);
+    });
+
+    test("reports an unterminated frontmatter block", () => {
+      const problems = lintRuleContent("---\ndescription: x\n# Body\n");
+      expect(problems[0]).toMatchObject({
+        rule: "frontmatter-syntax",
+        severity: "error",
+        line: 1,
+      });
+    });
+
+    test("reports malformed lines, unknown keys and wrong types", () => {
+      const problems = lintRuleContent(
+        "---\ndescription: x\nnot a field\nauthor: me\nalwaysApply: yes\n---\nBody\n"
+      );
+
+      expect(problems).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ rule: "frontmatter-syntax", line: 3 }),
+          expect.objectContaining({ rule: "frontmatter-unknown-key", line: 4 }),
+          expect.objectContaining({ rule: "frontmatter-type", line: 5 }),
+        ])
+      );
+    });
+
+    test("reports empty globs on a rule that would never apply", () => {
+      const problems = lintRuleContent(
+        "---\ndescription: \nglobs: \n---\nBody"
+      );
+      expect(problems).toEqual([
+        expect.objectContaining({
+          rule: "empty-globs",
+          severity: "error",
+          line: 3,
+        }),
+      ]);
+    });
+
+    test("warns about empty globs on agent-requested and always-applied rules", () => {
+      const emptyGlobs = [
+        expect.objectContaining({
+          rule: "empty-globs",
+          severity: "warning",
+          line: 3,
+        }),
+      ];
+      expect(
+        lintRuleContent("---\ndescription: When to use\nglobs: \n---\nBody")
+      ).toEqual(emptyGlobs);
+      expect(
+        lintRuleContent("---\nalwaysApply: true\nglobs: \n---\nBody")
+      ).toEqual(emptyGlobs);
+      expect(
+        lintRuleContent("---\ndescription: When to use\n---\nBody")
+      ).toEqual([]);
+    });
+
+    test("reports unterminated quotes", () => {
+      const problems = lintRuleContent(
+        "---\ndescription: \"React rules\nglobs: ['*.ts, *.tsx]\nnote: 'It''s fine'\nalwaysApply: false\n---\nBody"
+      );
+
+      expect(
+        problems.filter((problem) => problem.rule === "frontmatter-syntax")
+      ).toEqual([
+        expect.objectContaining({
+          message: "Unterminated quote in the value of 'description'",
+          line: 2,
+        }),
+        expect.objectContaining({
+          message: "Unterminated quote in the value of 'globs'",
+          line: 3,
+        }),
+      ]);
+    });
+
+    test("reports invalid globs", () => {
+      const problems = lintRuleContent(
+        "---\nglobs: src/**/*.{ts,tsx, ./lib/*.js\n---\nBody"
+      );
+      expect(rulesOf(problems)).toEqual(["glob-syntax", "glob-syntax"]);
+      expect(problems[0].severity).toBe("error");
+    });
+
+    test("reports leftover HTML tags and entities outside code", () => {
+      const problems = lintRuleContent(
+        [
+          "---",
+          "alwaysApply: true",
+          "---",
+          'Use <div class="x">wrappers</div>',
+          "Don&#x27;t do this",
+          "`<div>` in inline code is fine",
+          "```html",
+          "<div>&amp;</div>",
+          "```",
+        ].join("\n")
+      );
+
+      expect(problems).toEqual([
+        expect.objectContaining({ rule: "html-tag", line: 4 }),
+        expect.objectContaining({ rule: "html-entity", line: 5 }),
+      ]);
+    });
+
+    test("warns about legacy File patterns comments", () => {
+      const problems = lintRuleContent(
+        "---\nalwaysApply: true\n---\nBody\n\n# File patterns: **/*.js\n"
+      );
+      expect(problems).toEqual([
+        expect.objectContaining({
+          rule: "legacy-file-patterns",
+          severity: "warning",
+          line: 6,
+        }),
+      ]);
+    });
+
+    test("reports an empty body", () => {
+      expect(
+        rulesOf(lintRuleContent("---\nalwaysApply: true\n---\n\n"))
+      ).toEqual(["empty-body"]);
+    });
+
+    test("warns about excessively large rules", () => {
+      const body = "- guideline\n".repeat(MAX_RULE_LINES + 1);
+      expect(
+        rulesOf(lintRuleContent(`---\nalwaysApply: true\n---\n${body}`))
+      ).toEqual(["rule-size"]);
+    });
+  });
+
+  describe("validateGlob", () => {
+    test.each([
+      ["**/*.ts", null],
+      ["src/{a,b}/*.js", null],
+      ["src/{a,b/*.js", "error"],
+      ["[abc/*.js", "error"],
+      ["src/{}/x", "error"],
+      ["***/x", "error"],
+      ["src\\x.js", "warning"],
+      ["/abs/*.js", "warning"],
+      ["my file.js", "warning"],
+    ])("validates %s", (glob, severity) => {
+      const issue = validateGlob(glob);
+      expect(issue ? issue.severity : null).toBe(severity);
+    });
+  });
+
+  describe("lintRules", () => {
+    const rulesDir = path.join(TEST_DIR, ".cursor", "rules");
+    const localDir = path.join(TEST_DIR, ".cursor", "local");
+
+    beforeEach(() => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+      fs.mkdirSync(path.join(rulesDir, "nested"), { recursive: true });
+      fs.mkdirSync(localDir, { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    });
+
+    test("lints project and local rules, including nested directories", () => {
+      fs.writeFileSync(path.join(rulesDir, "react.mdc"), VALID_RULE);
+      fs.writeFileSync(path.join(rulesDir, "nested", "vue.mdc"), VALID_RULE);
+      fs.writeFileSync(path.join(localDir, "mine.mdc"), VALID_RULE);
+      fs.writeFileSync(path.join(rulesDir, "notes.txt"), "ignored");
+
+      const results = lintRules(TEST_DIR);
+      expect(results.map((result) => [result.scope, result.name])).toEqual([
+        ["project", "vue"],
+        ["project", "react"],
+        ["local", "mine"],
+      ]);
+      expect(results.every((result) => result.problems.length === 0)).toBe(
+        true
+      );
+    });
+
+    test("reports duplicated rule names", () => {
+      fs.writeFileSync(path.join(rulesDir, "react.mdc"), VALID_RULE);
+      fs.writeFileSync(path.join(rulesDir, "nested", "React.mdc"), VALID_RULE);
+      fs.writeFileSync(path.join(localDir, "react.mdc"), VALID_RULE);
+
+      const results = lintRules(TEST_DIR);
+      const project = results.filter((result) => result.scope === "project");
+      const local = results.find((result) => result.scope === "local");
+
+      project.forEach((result) =>
+        expect(result.problems).toEqual([
+          expect.objectContaining({
+            rule: "duplicate-name",
+            severity: "error",
+          }),
+        ])
+      );
+      expect(
+        project.find((result) => result.name === "react").problems[0].message
+      ).toBe(
+        `Rule name 'react' is also used by ${path.join(
+          ".cursor",
+          "rules",
+          "nested",
+          "React.mdc"
+        )}`
+      );
+      expect(local.problems).toEqual([
+        expect.objectContaining({
+          rule: "duplicate-name",
+          severity: "warning",
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for the rule search utility
+ */
+const {
+  searchRules,
+  getSnippet,
+  extractSearchFields,
+  editDistance,
+  tokenize,
+  MAX_INDEXED_BODY_LENGTH,
+} = require("../../src/utils/rule-search");
+
+describe("Rule Search", () => {
+  const rules = [
+    {
+      name: "react",
+      description: "React best practices",
+      tags: ["frontend"],
+      body: "Prefer function components and hooks over classes.",
+    },
+    {
+      name: "react-native",
+      description: "Mobile apps with React Native",
+      tags: ["mobile"],
+      body: "Use StyleSheet.create for styles.",
+    },
+    {
+      name: "python",
+      description: "Python coding standards",
+      tags: ["backend"],
+      body: "Follow PEP 8 and type hint public functions.",
+    },
+    {
+      name: "testing",
+      description: "Writing reliable tests",
+      tags: [],
+      body: "Mock network calls. Avoid testing React internals.",
+    },
+  ];
+
+  const names = (results) => results.map((result) => result.rule.name);
+
+  describe("tokenize", () => {
+    test("splits text into lowercase words", () => {
+      expect(tokenize("React-Native, TypeScript/v2")).toEqual([
+        "react",
+        "native",
+        "typescript",
+        "v2",
+      ]);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe("editDistance", () => {
+    test("counts insertions, deletions, substitutions and swaps", () => {
+      expect(editDistance("react", "react", 2)).toBe(0);
+      expect(editDistance("raect", "react", 2)).toBe(1);
+      expect(editDistance("reactt", "react", 2)).toBe(1);
+      expect(editDistance("rxact", "react", 2)).toBe(1);
+    });
+
+    test("stops counting past the maximum", () => {
+      expect(editDistance("python", "react", 1)).toBe(2);
+      expect(editDistance("a", "abcdef", 2)).toBe(3);
+    });
+  });
+
+  describe("searchRules", () => {
+    test("ranks name matches above description and body matches", () => {
+      expect(names(searchRules(rules, "react"))).toEqual([
+        "react",
+        "react-native",
+        "testing",
+      ]);
+    });
+
+    test("tolerates typos", () => {
+      expect(names(searchRules(rules, "pyhton"))[0]).toBe("python");
+      expect(names(searchRules(rules, "reactnative"))[0]).toBe("react-native");
+    });
+
+    test("matches prefixes and tags", () => {
+      expect(names(searchRules(rules, "pyth"))).toEqual(["python"]);
+      expect(names(searchRules(rules, "backend"))).toEqual(["python"]);
+    });
+
+    test("reports the fields that matched", () => {
+      const [result] = searchRules(rules, "hooks");
+
+      expect(result.rule.name).toBe("react");
+      expect(result.matches).toEqual(["body"]);
+    });
+
+    test("honors limit and minScore", () => {
+      expect(searchRules(rules, "react", { limit: 1 })).toHaveLength(1);
+      expect(names(searchRules(rules, "hooks", { minScore: 0.5 }))).toEqual([]);
+    });
+
+    test("returns nothing for an empty query", () => {
+      expect(searchRules(rules, "  ")).toEqual([]);
+    });
+  });
+
+  describe("getSnippet", () => {
+    test("returns text around the first query word", () => {
+      const text = `${"a".repeat(100)} use hooks here ${"b".repeat(100)}`;
+      const snippet = getSnippet(text, "hooks", 40);
+
+      expect(snippet).toContain("hooks");
+      expect(snippet.startsWith("...")).toBe(true);
+      expect(snippet.endsWith("...")).toBe(true);
+    });
+
+    test("returns null when no query word appears", () => {
+      expect(getSnippet("nothing to see", "hooks")).toBeNull();
+    });
+  });
+
+  describe("extractSearchFields", () => {
+    test("reads tags from the frontmatter and collapses the body", () => {
+      const content = `---
+description: React
+tags: frontend, ui
+---
+# React
+
+Use   hooks.
+`;
+      expect(extractSearchFields(content)).toEqual({
+        tags: ["frontend", "ui"],
+        body: "# React Use hooks.",
+      });
+    });
+
+    test("truncates long bodies", () => {
+      const fields = extractSearchFields("x".repeat(5000));
+
+      expect(fields.tags).toEqual([]);
+      expect(fields.body).toHaveLength(MAX_INDEXED_BODY_LENGTH);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests for the rule source registry
+ */
+const fs = require("fs");
+const path = require("path");
+const {
+  validateSource,
+  getSources,
+  parseSourceLocation,
+  describeSource,
+  addSource,
+  removeSource,
+  DEFAULT_SOURCE,
+} = require("../../src/utils/sources");
+const { readManifest, writeManifest } = require("../../src/utils/manifest");
+
+// Use a temp directory for testing
+const TEST_DIR = path.join(process.cwd(), "tests", "temp-sources");
+
+describe("Rule Sources", () => {
+  beforeEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe("getSources", () => {
+    test("returns the built-in source when none are configured", () => {
+      expect(getSources(TEST_DIR)).toEqual([DEFAULT_SOURCE]);
+    });
+
+    test("puts configured sources first and fills in defaults", () => {
+      writeManifest(
+        {
+          rules: {},
+          sources: [
+            { name: "acme", type: "github", repo: "acme/rules" },
+            { name: "mirror", type: "http", url: "https://example.com/r/" },
+          ],
+        },
+        TEST_DIR
+      );
+
+      expect(getSources(TEST_DIR)).toEqual([
+        {
+          name: "acme",
+          type: "github",
+          repo: "acme/rules",
+          branch: "main",
+          path: ".cursor/rules",
+        },
+        { name: "mirror", type: "http", url: "https://example.com/r" },
+        DEFAULT_SOURCE,
+      ]);
+    });
+
+    test("lets a configured source replace the built-in one", () => {
+      writeManifest(
+        {
+          rules: {},
+          sources: [{ name: DEFAULT_SOURCE.name, type: "local", path: "r" }],
+        },
+        TEST_DIR
+      );
+
+      expect(getSources(TEST_DIR)).toEqual([
+        { name: DEFAULT_SOURCE.name, type: "local", path: "r" },
+      ]);
+    });
+
+    test("throws for invalid declarations", () => {
+      writeManifest(
+        { rules: {}, sources: [{ name: "bad", type: "ftp" }] },
+        TEST_DIR
+      );
+
+      expect(() => getSources(TEST_DIR)).toThrow("Invalid rule source 'bad'");
+    });
+  });
+
+  describe("validateSource", () => {
+    test.each([
+      [{ name: "a", type: "github", repo: "acme/rules" }, null],
+      [{ name: "a", type: "http", url: "https://example.com" }, null],
+      [{ name: "a", type: "local", path: "../rules" }, null],
+      [{ name: "bad name", type: "local", path: "x" }, "name"],
+      [{ name: "a", type: "github", repo: "acme" }, "owner/name"],
+      [{ name: "a", type: "http", url: "ftp://example.com" }, "http"],
+      [{ name: "a", type: "local" }, "path"],
+      [{ name: "a", type: "git", url: "git@git.acme.dev:rules.git" }, null],
+      [{ name: "a", type: "git" }, "url"],
+      [{ name: "a", type: "git", url: "--upload-pack=/tmp/x" }, "url"],
+      [
+        { name: "a", type: "git", url: "/srv/rules.git", branch: "-x" },
+        "branch",
+      ],
+      [
+        {
+          name: "a",
+          type: "github",
+          repo: "acme/rules",
+          tokenEnv: "RULEZ_ACME_TOKEN",
+        },
+        null,
+      ],
+      [
+        {
+          name: "a",
+          type: "http",
+          url: "https://rules.example.com",
+          tokenEnv: "AWS_SECRET_ACCESS_KEY",
+        },
+        "RULEZ_<NAME>_TOKEN",
+      ],
+      [
+        { name: "a", type: "github", repo: "acme/rules", tokenEnv: "ghp_x-y" },
+        "not a token",
+      ],
+      [{ name: "a", type: "local", path: "x", tokenEnv: "ACME" }, "tokenEnv"],
+    ])("validates %o", (source, problem) => {
+      const result = validateSource(source);
+      if (problem) {
+        expect(result).toContain(problem);
+      } else {
+        expect(result).toBeNull();
+      }
+    });
+  });
+
+  describe("parseSourceLocation", () => {
+    test.each([
+      ["github:acme/rules", { name: "s", type: "github", repo: "acme/rules" }],
+      [
+        "https://github.com/acme/rules.git",
+        { name: "s", type: "github", repo: "acme/rules" },
+      ],
+      [
+        "https://github.com/acme/rules/tree/dev/cursor/rules",
+        {
+          name: "s",
+          type: "github",
+          repo: "acme/rules",
+          branch: "dev",
+          path: "cursor/rules",
+        },
+      ],
+      [
+        "https://rules.example.com/cursor",
+        { name: "s", type: "http", url: "https://rules.example.com/cursor" },
+      ],
+      [
+        "../shared-rules",
+        { name: "s", type: "local", path: "../shared-rules" },
+      ],
+      [
+        "git@git.acme.dev:ai/rules.git",
+        { name: "s", type: "git", url: "git@git.acme.dev:ai/rules.git" },
+      ],
+      [
+        "git+https://git.acme.dev/rules",
+        { name: "s", type: "git", url: "https://git.acme.dev/rules" },
+      ],
+      [
+        "https://git.acme.dev/ai/rules.git",
+        { name: "s", type: "git", url: "https://git.acme.dev/ai/rules.git" },
+      ],
+      ["../rules.git", { name: "s", type: "git", url: "../rules.git" }],
+    ])("parses %s", (location, expected) => {
+      expect(parseSourceLocation("s", location)).toEqual(expected);
+    });
+
+    test("applies branch and path options to GitHub sources", () => {
+      expect(
+        parseSourceLocation("s", "github:acme/rules", { branch: "v2" })
+      ).toEqual({
+        name: "s",
+        type: "github",
+        repo: "acme/rules",
+        branch: "v2",
+      });
+    });
+  });
+
+  test("describeSource summarizes each source type", () => {
+    expect(describeSource(DEFAULT_SOURCE)).toBe(
+      "github:ivangrynenko/cursorrules@main/.cursor/rules"
+    );
+    expect(describeSource({ type: "http", url: "https://x.dev" })).toBe(
+      "https://x.dev"
+    );
+    expect(describeSource({ type: "local", path: "../r" })).toBe("../r");
+    expect(
+      describeSource({ type: "git", url: "../r.git", branch: "v2", path: "" })
+    ).toBe("git+../r.git#v2:");
+  });
+
+  describe("addSource and removeSource", () => {
+    test("declares and removes sources in the manifest", () => {
+      addSource(
+        { name: "shared", type: "local", path: "../r" },
+        { basePath: TEST_DIR }
+      );
+
+      expect(readManifest(TEST_DIR).sources).toEqual([
+        { name: "shared", type: "local", path: "../r" },
+      ]);
+
+      expect(removeSource("missing", { basePath: TEST_DIR })).toBe(false);
+      expect(removeSource("shared", { basePath: TEST_DIR })).toBe(true);
+      expect(readManifest(TEST_DIR)).not.toHaveProperty("sources");
+    });
+
+    test("rejects duplicate names and invalid sources", () => {
+      const source = { name: "shared", type: "local", path: "../r" };
+      addSource(source, { basePath: TEST_DIR });
+
+      expect(() => addSource(source, { basePath: TEST_DIR })).toThrow(
+        "already exists"
+      );
+      expect(() =>
+        addSource(
+          { name: "x", type: "http", url: "nope" },
+          { basePath: TEST_DIR }
+        )
+      ).toThrow("Invalid rule source 'x'");
+    });
+  });
+});
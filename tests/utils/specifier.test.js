@@ -0,0 +1,187 @@
+/**
+ * Tests for rule specifier parsing
+ */
+const os = require("os");
+const path = require("path");
+const {
+  isHttpUrl,
+  looksLikeSpecifier,
+  parseRuleSpecifier,
+  parseGitSpecifier,
+  formatGitSpecifier,
+  isLocalSpecifier,
+  resolveLocalSpecifier,
+  toLocalSpecifier,
+} = require("../../src/utils/specifier");
+
+describe("Rule Specifiers", () => {
+  test("isHttpUrl only accepts http(s) URLs", () => {
+    expect(isHttpUrl("https://example.com/a.mdc")).toBe(true);
+    expect(isHttpUrl("http://example.com/a.mdc")).toBe(true);
+    expect(isHttpUrl("file:///tmp/a.mdc")).toBe(false);
+    expect(isHttpUrl("offline-mode")).toBe(false);
+  });
+
+  describe("parseRuleSpecifier", () => {
+    test("parses github:owner/repo/path@ref", () => {
+      expect(parseRuleSpecifier("github:acme/ai-rules/react.mdc@v2.1")).toEqual(
+        {
+          owner: "acme",
+          repo: "ai-rules",
+          ref: "v2.1",
+          path: "react.mdc",
+          name: "react",
+          url: "https://raw.githubusercontent.com/acme/ai-rules/v2.1/react.mdc",
+        }
+      );
+    });
+
+    test("parses owner/repo#ref:path", () => {
+      expect(
+        parseRuleSpecifier("acme/ai-rules#main:rules/react.mdc")
+      ).toMatchObject({
+        ref: "main",
+        path: "rules/react.mdc",
+        name: "react",
+        url: "https://raw.githubusercontent.com/acme/ai-rules/main/rules/react.mdc",
+      });
+    });
+
+    test("defaults the ref and adds the .mdc extension", () => {
+      expect(
+        parseRuleSpecifier("github:acme/ai-rules/rules/react")
+      ).toMatchObject({
+        ref: "HEAD",
+        path: "rules/react.mdc",
+        name: "react",
+      });
+      expect(parseRuleSpecifier("github:acme/ai-rules#:react")).toMatchObject({
+        ref: "HEAD",
+        path: "react.mdc",
+      });
+    });
+
+    test("keeps slashes in refs of the hash form", () => {
+      expect(
+        parseRuleSpecifier("acme/ai-rules#feature/new:react.mdc")
+      ).toMatchObject({ ref: "feature/new", path: "react.mdc" });
+    });
+
+    test.each([
+      "react",
+      "acme/ai-rules",
+      "github:acme/ai-rules",
+      "github:acme/ai-rules/react.mdc@",
+      "github:acme/ai-rules/../secrets.mdc",
+      "https://github.com/acme/ai-rules",
+      undefined,
+    ])("returns null for %s", (value) => {
+      expect(parseRuleSpecifier(value)).toBeNull();
+    });
+  });
+
+  test("looksLikeSpecifier recognizes malformed specifiers", () => {
+    expect(looksLikeSpecifier("github:acme")).toBe(true);
+    expect(looksLikeSpecifier("acme/rules#")).toBe(true);
+    expect(looksLikeSpecifier("react")).toBe(false);
+  });
+
+  describe("parseGitSpecifier", () => {
+    test.each([
+      [
+        "git+ssh://git@git.acme.dev/ai/rules.git#v2:rules/react.mdc",
+        {
+          remote: "ssh://git@git.acme.dev/ai/rules.git",
+          ref: "v2",
+          path: "rules/react.mdc",
+          name: "react",
+        },
+      ],
+      [
+        "git+file:///srv/rules.git#:shared/",
+        {
+          remote: "file:///srv/rules.git",
+          ref: "HEAD",
+          path: "shared",
+          name: "shared",
+        },
+      ],
+      [
+        "git+git@git.acme.dev:ai/rules.git#main:",
+        {
+          remote: "git@git.acme.dev:ai/rules.git",
+          ref: "main",
+          path: "",
+          name: "rules",
+        },
+      ],
+    ])("parses %s", (specifier, expected) => {
+      expect(parseGitSpecifier(specifier)).toEqual(expected);
+    });
+
+    test.each([
+      "git+file:///srv/rules.git",
+      "git+file:///srv/rules.git#main:../secrets.mdc",
+      "git+file:///srv/rules.git#--upload-pack=/tmp/evil.sh:r.mdc",
+      "git+file:///srv/rules.git#main..v2:r.mdc",
+      "git+--upload-pack=/tmp/evil.sh#main:r.mdc",
+      "github:acme/rules/react.mdc",
+      "react",
+    ])("rejects %s", (specifier) => {
+      expect(parseGitSpecifier(specifier)).toBeNull();
+    });
+
+    test("formats specifiers it can parse back", () => {
+      const specifier = formatGitSpecifier(
+        "https://git.acme.dev/rules.git",
+        "main",
+        "react.mdc"
+      );
+      expect(specifier).toBe(
+        "git+https://git.acme.dev/rules.git#main:react.mdc"
+      );
+      expect(parseGitSpecifier(specifier).remote).toBe(
+        "https://git.acme.dev/rules.git"
+      );
+      expect(looksLikeSpecifier("git+nonsense")).toBe(true);
+    });
+  });
+
+  describe("local specifiers", () => {
+    test.each([
+      ["./shared/rules/security.mdc", true],
+      ["../monorepo-rules/", true],
+      ["..", true],
+      ["/abs/rules", true],
+      ["~/rules/mine.mdc", true],
+      ["file:///tmp/rule.mdc", true],
+      ["react", false],
+      ["acme/ai-rules#main:react.mdc", false],
+      ["https://example.com/rule.mdc", false],
+    ])("isLocalSpecifier(%s) is %s", (value, expected) => {
+      expect(isLocalSpecifier(value)).toBe(expected);
+    });
+
+    test("resolves paths, home paths and file URLs", () => {
+      expect(resolveLocalSpecifier("../rules", "/work/app")).toBe(
+        path.resolve("/work/rules")
+      );
+      expect(resolveLocalSpecifier("~/rules/mine.mdc")).toBe(
+        path.join(os.homedir(), "rules", "mine.mdc")
+      );
+      expect(resolveLocalSpecifier("file:///tmp/rule.mdc")).toBe(
+        path.resolve("/tmp/rule.mdc")
+      );
+    });
+
+    test("expresses files relative to the project root", () => {
+      const base = path.resolve("/work/app");
+      expect(toLocalSpecifier(path.join(base, "shared", "a.mdc"), base)).toBe(
+        "./shared/a.mdc"
+      );
+      expect(toLocalSpecifier(path.resolve("/work/rules/a.mdc"), base)).toBe(
+        "../rules/a.mdc"
+      );
+    });
+  });
+});